@@ -0,0 +1,118 @@
+// Share links for single markets: /m/<chainId>/<contract>/<marketId> (rewritten here by vercel.json).
+//
+// Link previews come from crawlers that run no JavaScript and never see the app's `#/c/…` route,
+// so this answers with the market's question, odds and pool in Open Graph / Twitter meta tags and
+// sends visitors straight on to the market in the app. Reads use plain JSON-RPC, so the function
+// needs no dependencies.
+
+const RPC_URLS = { 5042002: process.env.ARC_RPC_URL || "https://rpc.testnet.arc.network" };
+const NATIVE = { symbol: "USDC", decimals: 18 };
+const SITE = "ARC PredictX";
+
+// Function selectors
+const GET_MARKET_INFO = "0x3ec79193"; // getMarketInfo(uint256)
+const OUTCOME_POOLS = "0x83bd2467";   // outcomePools(uint256,uint256)
+const SYMBOL = "0x95d89b41";          // symbol()
+const DECIMALS = "0x313ce567";        // decimals()
+
+const word = (n) => BigInt(n).toString(16).padStart(64, "0");
+const escape = (s) => String(s).replace(/[&<>"']/g, (c) => `&#${c.charCodeAt(0)};`);
+
+async function call(rpc, to, data) {
+  const res = await fetch(rpc, {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify({ jsonrpc: "2.0", id: 1, method: "eth_call", params: [{ to, data }, "latest"] }),
+  });
+  const { result, error } = await res.json();
+  if (error || !result || result === "0x") throw new Error(error?.message || "call failed");
+  return result.slice(2);
+}
+
+// ABI words and strings, read from hex without the 0x prefix
+const wordAt = (hex, i) => BigInt("0x" + hex.slice(i * 64, i * 64 + 64));
+function stringAt(hex, offsetBytes) {
+  const at = offsetBytes * 2, len = Number(BigInt("0x" + hex.slice(at, at + 64)));
+  return Buffer.from(hex.slice(at + 64, at + 64 + len * 2), "hex").toString("utf8");
+}
+
+const fmtAmount = (v, decimals) => {
+  const n = Number(v) / 10 ** decimals;
+  return n.toLocaleString("en-US", { maximumFractionDigits: 2 });
+};
+
+// Market fields in struct order (ARCPredictX.Market): the tuple starts one word in, after its offset
+async function readMarket(rpc, contract, id) {
+  const hex = (await call(rpc, contract, GET_MARKET_INFO + word(id))).slice(64);
+  const m = {
+    question: stringAt(hex, Number(wordAt(hex, 1))),
+    endTime: Number(wordAt(hex, 2)),
+    totalPool: wordAt(hex, 3),
+    kind: Number(wordAt(hex, 4)),
+    outcomeCount: Number(wordAt(hex, 5)),
+    winningOutcome: Number(wordAt(hex, 6)),
+    resolved: wordAt(hex, 7) === 1n,
+    cancelled: wordAt(hex, 8) === 1n,
+    collateral: "0x" + hex.slice(16 * 64 + 24, 17 * 64),
+  };
+  m.token = /^0x0{40}$/.test(m.collateral) ? NATIVE : {
+    symbol: await call(rpc, m.collateral, SYMBOL).then((h) => stringAt(h, Number(wordAt(h, 0)))).catch(() => "TOKEN"),
+    decimals: await call(rpc, m.collateral, DECIMALS).then((h) => Number(wordAt(h, 0))).catch(() => 18),
+  };
+  if (m.kind !== 1) m.pools = await Promise.all([0, 1].map((j) => call(rpc, contract, OUTCOME_POOLS + word(id) + word(j)).then((h) => wordAt(h, 0))));
+  return m;
+}
+
+function describe(m) {
+  const sides = m.kind === 2 ? ["LONG", "SHORT"] : ["YES", "NO"];
+  const pool = `${fmtAmount(m.totalPool, m.token.decimals)} ${m.token.symbol} pool`;
+  if (m.cancelled) return `Voided · ${pool}`;
+  if (m.resolved) return `Resolved${m.kind === 0 ? `: ${sides[m.winningOutcome]}` : ""} · ${pool}`;
+  const ends = new Date(m.endTime * 1000).toLocaleDateString("en-US", { dateStyle: "medium" });
+  if (m.kind === 1) return `${m.outcomeCount} outcomes · ${pool} · ends ${ends}`;
+  const sum = m.pools[0] + m.pools[1];
+  const yes = sum > 0n ? Number((m.pools[0] * 100n) / sum) : 50;
+  return `${sides[0]} ${yes}% · ${sides[1]} ${100 - yes}% · ${pool} · ends ${ends}`;
+}
+
+module.exports = async function share(req, res) {
+  const { chain, contract, id, ref } = req.query;
+  const valid = /^0x[0-9a-fA-F]{40}$/.test(contract || "") && /^\d+$/.test(id || "");
+  const search = /^0x[0-9a-fA-F]{40}$/.test(ref || "") ? `?ref=${ref}` : "";
+  const target = valid ? `/${search}#/c/${contract}/market/${id}?chain=${Number(chain)}` : "/";
+
+  let title = SITE, description = "Prediction markets on Arc";
+  const rpc = RPC_URLS[Number(chain)];
+  if (valid && rpc) {
+    try {
+      const m = await readMarket(rpc, contract, id);
+      title = m.question;
+      description = describe(m);
+    } catch (e) { console.error(`share ${contract}/${id}:`, e.message); }
+  }
+
+  const url = `https://${req.headers.host}${req.url}`;
+  res.setHeader("Content-Type", "text/html; charset=utf-8");
+  res.setHeader("Cache-Control", "public, max-age=60, s-maxage=60");
+  res.end(`<!DOCTYPE html>
+<html lang="en">
+  <head>
+    <meta charset="UTF-8" />
+    <title>${escape(title)} — ${SITE}</title>
+    <meta name="description" content="${escape(description)}" />
+    <meta property="og:type" content="website" />
+    <meta property="og:site_name" content="${SITE}" />
+    <meta property="og:title" content="${escape(title)}" />
+    <meta property="og:description" content="${escape(description)}" />
+    <meta property="og:url" content="${escape(url)}" />
+    <meta name="twitter:card" content="summary" />
+    <meta name="twitter:title" content="${escape(title)}" />
+    <meta name="twitter:description" content="${escape(description)}" />
+    <meta http-equiv="refresh" content="0;url=${escape(target)}" />
+  </head>
+  <body>
+    <a href="${escape(target)}">Open this market in ${SITE}</a>
+    <script>location.replace(${JSON.stringify(target)});</script>
+  </body>
+</html>`);
+};
@@ -1,162 +1,766 @@
 // SPDX-License-Identifier: MIT
 pragma solidity ^0.8.20;
 
-/// @title ARCPredictX — Decentralized YES/NO Prediction Market
-/// @notice Users bet native tokens on binary outcomes. Rewards are proportional pool distribution.
+import "./ARCPredictXStorage.sol";
+import "./ARCPredictXSettlement.sol";
+import "./interfaces/IERC20.sol";
+import "./interfaces/IMarketOracle.sol";
+
+/// @title ARCPredictX — Decentralized Prediction Market
+/// @notice Users bet native tokens or an ERC-20 on YES/NO, multi-outcome (categorical) or
+///         scalar (range) markets. Rewards are proportional pool distribution, minus a protocol
+///         fee on the losing pools.
 /// @dev Deployed on Arc Testnet (chain 5042002). Uses checks-effects-interactions pattern.
-contract ARCPredictX {
-
-    struct Market {
-        uint256 id;
-        string  question;
-        uint256 endTime;
-        uint256 totalYesAmount;
-        uint256 totalNoAmount;
-        bool    resolved;
-        bool    outcome;       // true = YES wins, false = NO wins
-    }
-
-    address public admin;
-    uint256 public marketCount;
-
-    mapping(uint256 => Market)                            public markets;
-    mapping(uint256 => mapping(address => uint256))       public yesBets;
-    mapping(uint256 => mapping(address => uint256))       public noBets;
-    mapping(uint256 => mapping(address => bool))          public claimed;
-
-    // ── Events ──────────────────────────────────────────
-    event MarketCreated(uint256 indexed id, string question, uint256 endTime);
-    event BetPlaced(uint256 indexed id, address indexed user, bool isYes, uint256 amount);
-    event MarketResolved(uint256 indexed id, bool outcome);
-    event RewardClaimed(uint256 indexed id, address indexed user, uint256 reward);
-
-    // ── Errors ──────────────────────────────────────────
-    error OnlyAdmin();
-    error EndTimeInPast();
-    error MarketExpired();
-    error MarketNotExpired();
-    error MarketAlreadyResolved();
-    error MarketNotResolved();
-    error ZeroBet();
-    error NotWinner();
-    error AlreadyClaimed();
-    error TransferFailed();
-    error InvalidMarket();
-
-    modifier onlyAdmin() {
-        if (msg.sender != admin) revert OnlyAdmin();
-        _;
-    }
+///      Every market keeps one pool per outcome; a YES/NO market is the two-outcome case
+///      with YES at index 0 and NO at index 1. A scalar market has a LONG and a SHORT pool
+///      that split the total linearly by where the resolved value falls in its range.
+///      Each market settles in one collateral, chosen at creation: the native token
+///      (address(0)) or an ERC-20. Fee-on-transfer and rebasing tokens are not supported.
+///      Access: the owner manages roles and fees (two-step transfer); CREATOR_ROLE opens
+///      markets, RESOLVER_ROLE proposes outcomes, voids and moderates them, ARBITER_ROLE
+///      settles disputed outcomes, PAUSER_ROLE pauses betting, resolution and claims. The
+///      deployer starts as owner with every role. As a last resort the owner can switch
+///      every unresolved market to refunds, after an EMERGENCY_DELAY timelock.
+///      Anyone else can propose a market by posting `creationBond`, which is slashed to the
+///      treasury if a resolver rejects the market as invalid.
+///      A market can instead be settled by the linked `oracle` (e.g. from a price feed),
+///      whose reading is final.
+///      Bettors can name a referrer, who earns a share of the fee charged on their winnings.
+///      Bets and claims can also be signed off-chain as EIP-712 intents and submitted by
+///      a relayer, who pays the gas; the signer is credited and paid as if they had called.
+///      Resolution is optimistic: a proposed outcome becomes final after `disputeWindow`
+///      unless someone matches the resolver's bond to dispute it, in which case an arbiter
+///      decides and the side it agrees with takes both bonds.
+///      Proposing, disputing and settling outcomes runs in ARCPredictXSettlement, deployed by the
+///      constructor and called by delegatecall, which keeps this contract under the EIP-170 size limit.
+contract ARCPredictX is ARCPredictXStorage {
+
+    /// @notice Module the resolution functions are forwarded to; shared by every factory clone
+    address public immutable settlement;
 
     constructor() {
-        admin = msg.sender;
+        settlement = address(new ARCPredictXSettlement());
+        _initialize(msg.sender);
+    }
+
+    /// @notice Set up a clone deployed by ARCPredictXFactory; `initialOwner` becomes owner and
+    ///         treasury with every role, as the deployer does for a direct deployment
+    /// @dev Clones share this contract's code but not its storage, so their constructor never
+    ///      runs. Callable once: owner can't return to address(0) after initialization.
+    function initialize(address initialOwner) external {
+        if (owner != address(0)) revert AlreadyInitialized();
+        if (initialOwner == address(0)) revert ZeroAddress();
+        _initialize(initialOwner);
+    }
+
+    function _initialize(address initialOwner) internal {
+        owner = initialOwner;
+        treasury = initialOwner;
+        emit OwnershipTransferred(address(0), initialOwner);
+        _grantRole(CREATOR_ROLE, initialOwner);
+        _grantRole(RESOLVER_ROLE, initialOwner);
+        _grantRole(PAUSER_ROLE, initialOwner);
+        _grantRole(ARBITER_ROLE, initialOwner);
+    }
+
+    // ── Ownership & Roles ───────────────────────────────
+
+    /// @notice Legacy alias for `owner`
+    function admin() external view returns (address) {
+        return owner;
     }
 
-    // ── Admin Functions ─────────────────────────────────
+    /// @notice Start handing the contract to `newOwner`; it takes effect once they call acceptOwnership
+    /// @param newOwner The proposed owner (address(0) cancels a pending transfer)
+    function transferOwnership(address newOwner) external onlyOwner {
+        pendingOwner = newOwner;
+        emit OwnershipTransferStarted(owner, newOwner);
+    }
+
+    /// @notice Complete a two-step ownership transfer
+    /// @dev The roles move with ownership, and so does the treasury while it is still the
+    ///      previous owner, so a retired key keeps no power and earns no fees.
+    function acceptOwnership() external {
+        if (msg.sender != pendingOwner) revert NotPendingOwner();
+        address previous = owner;
+        emit OwnershipTransferred(previous, msg.sender);
+        owner = msg.sender;
+        pendingOwner = address(0);
+        bytes32[4] memory roles = [CREATOR_ROLE, RESOLVER_ROLE, PAUSER_ROLE, ARBITER_ROLE];
+        for (uint256 i = 0; i < roles.length; i++) {
+            _revokeRole(roles[i], previous);
+            _grantRole(roles[i], msg.sender);
+        }
+        if (treasury == previous) {
+            treasury = msg.sender;
+            emit TreasuryUpdated(msg.sender);
+        }
+    }
+
+    /// @notice Give `account` a role
+    function grantRole(bytes32 role, address account) external onlyOwner {
+        if (account == address(0)) revert ZeroAddress();
+        _grantRole(role, account);
+    }
+
+    /// @notice Take a role away from `account`
+    function revokeRole(bytes32 role, address account) external onlyOwner {
+        _revokeRole(role, account);
+    }
+
+    // ── Circuit Breaker ─────────────────────────────────
+
+    /// @notice Pause or resume each flow independently
+    /// @param betting    Stop bets and early withdrawals (market maker trading too)
+    /// @param resolution Stop proposing, finalizing and arbitrating outcomes; disputes stay open
+    /// @param claims     Stop rewards, refunds, bond reclaims and fee withdrawals
+    function setPaused(bool betting, bool resolution, bool claims) external onlyRole(PAUSER_ROLE) {
+        bettingPaused = betting;
+        resolutionPaused = resolution;
+        claimsPaused = claims;
+        emit PauseUpdated(betting, resolution, claims);
+    }
+
+    /// @notice Start the EMERGENCY_DELAY countdown to emergency refund mode
+    function scheduleEmergencyRefund() external onlyOwner {
+        if (emergencyRefund) revert EmergencyActive();
+        emergencyRefundAt = block.timestamp + EMERGENCY_DELAY;
+        emit EmergencyRefundScheduled(emergencyRefundAt);
+    }
+
+    /// @notice Call off a scheduled emergency refund before it is activated
+    function cancelEmergencyRefund() external onlyOwner {
+        if (emergencyRefundAt == 0 || emergencyRefund) revert EmergencyNotScheduled();
+        emergencyRefundAt = 0;
+        emit EmergencyRefundCancelled();
+    }
+
+    /// @notice Void every unresolved market once the timelock has passed. Irreversible.
+    /// @dev Markets are voided lazily: the first refund, claimMany or claimBond on each one
+    ///      settles it as a cancellation (penalties to the treasury, resolution bonds back).
+    function activateEmergencyRefund() external onlyOwner {
+        if (emergencyRefundAt == 0) revert EmergencyNotScheduled();
+        if (emergencyRefund) revert EmergencyActive();
+        if (block.timestamp < emergencyRefundAt) revert EmergencyTimelocked();
+        emergencyRefund = true;
+        emit EmergencyRefundActivated();
+    }
+
+    // ── Market Management ───────────────────────────────
 
     /// @notice Create a new prediction market
     /// @param question The YES/NO question
     /// @param endTime  Unix timestamp when betting closes
-    function createMarket(string memory question, uint256 endTime) external onlyAdmin {
+    function createMarket(string memory question, uint256 endTime) external onlyRole(CREATOR_ROLE) {
+        _createMarket(question, endTime, MarketKind.Binary, 2, "");
+    }
+
+    /// @notice Create a market with N named outcomes, exactly one of which will win
+    /// @param question The question, e.g. "Who wins the election?"
+    /// @param outcomes Outcome labels (2 to MAX_OUTCOMES)
+    /// @param endTime  Unix timestamp when betting closes
+    function createCategoricalMarket(string memory question, string[] calldata outcomes, uint256 endTime) external onlyRole(CREATOR_ROLE) {
+        _createCategorical(question, outcomes, endTime, "");
+    }
+
+    /// @notice Create a market from a full set of options (e.g. ERC-20 collateral)
+    /// @return id The new market's id
+    function createMarketWithParams(MarketParams calldata params) external onlyRole(CREATOR_ROLE) returns (uint256 id) {
+        id = _createWithParams(params);
+    }
+
+    /// @notice Open a YES/NO market without CREATOR_ROLE by posting `creationBond`
+    /// @dev The bond comes back via claimBond once the market is resolved or voided,
+    ///      unless a resolver rejects it with rejectMarket.
+    function proposeMarket(string memory question, uint256 endTime) external payable {
+        _checkProposal(endTime, 0);
+        _recordBond(_createMarket(question, endTime, MarketKind.Binary, 2, ""));
+    }
+
+    /// @notice Open a categorical market without CREATOR_ROLE by posting `creationBond`
+    function proposeCategoricalMarket(string memory question, string[] calldata outcomes, uint256 endTime) external payable {
+        _checkProposal(endTime, 0);
+        _recordBond(_createCategorical(question, outcomes, endTime, ""));
+    }
+
+    /// @notice Open any market without CREATOR_ROLE by posting `creationBond` (always native)
+    /// @dev minDuration applies to the betting window, i.e. up to the cutoff. The bond and window
+    ///      are checked before _createWithParams, which may call the oracle, so a proposal that
+    ///      will be refused fails cheaply and never reaches a third-party contract.
+    function proposeMarketWithParams(MarketParams calldata params) external payable returns (uint256 id) {
+        _checkProposal(params.endTime, params.limits.cutoff);
+        id = _createWithParams(params);
+        _recordBond(id);
+    }
+
+    /// @notice Void a market (e.g. the question became ambiguous) and open refunds, any time before it is resolved
+    function cancelMarket(uint256 /* marketId */) external { _settle(); }
+
+    /// @notice Void a market as invalid (spam, unresolvable, abusive) and slash its bond to the treasury
+    function rejectMarket(uint256 /* marketId */) external { _settle(); }
+
+    /// @notice Hide a market from listings (and stop new bets on it), or restore it
+    function setMarketHidden(uint256 marketId, bool hidden) external onlyRole(RESOLVER_ROLE) {
+        _market(marketId).hidden = hidden;
+        emit MarketHidden(marketId, hidden);
+    }
+
+    /// @notice Push a live market's endTime later, e.g. after the event is postponed
+    /// @dev Only while the market is still open, and only later: resolution (and an oracle's
+    ///      reading) never moves earlier. Each market allows MAX_RESCHEDULES extensions of at
+    ///      most MAX_EXTENSION each. The betting cutoff moves with endTime while betting is open;
+    ///      once betting has closed it stays closed.
+    function rescheduleMarket(uint256 /* marketId */, uint256 /* newEndTime */) external { _settle(); }
+
+    /// @notice Stop betting on a live market at the given time (not in the past), e.g. once its
+    ///         event is decided early. endTime stays put, so resolution still waits for it.
+    /// @dev Raises the market's betting cutoff, which AMM trading and parlays follow too. It can
+    ///      only bring the close forward.
+    function closeBetting(uint256 /* marketId */, uint256 /* closesAt */) external { _settle(); }
+
+    /// @notice Configure permissionless market proposals
+    /// @param newCreationBond Native amount a proposer must post
+    /// @param newMinDuration  Minimum seconds between proposal and endTime
+    function setBondConfig(uint256 newCreationBond, uint256 newMinDuration) external onlyOwner {
+        creationBond = newCreationBond;
+        minDuration = newMinDuration;
+        emit BondConfigUpdated(newCreationBond, newMinDuration);
+    }
+
+    /// @notice Configure optimistic resolution
+    /// @param newResolutionBond Native amount a resolver posts with each proposal (and a disputer matches)
+    /// @param newDisputeWindow  Seconds a proposal stays open to disputes; 0 resolves instantly
+    function setResolutionConfig(uint256 newResolutionBond, uint256 newDisputeWindow) external onlyOwner {
+        resolutionBond = newResolutionBond;
+        disputeWindow = newDisputeWindow;
+        emit ResolutionConfigUpdated(newResolutionBond, newDisputeWindow);
+    }
+
+    /// @notice Point frontends at the market maker that trades this contract's markets (zero to unlink)
+    function setAmm(address newAmm) external onlyOwner {
+        amm = newAmm;
+        emit AmmUpdated(newAmm);
+    }
+
+    /// @notice Link the oracle that settles markets created with `oracleData` (zero to unlink)
+    /// @dev Markets keep the oracle they were created with.
+    function setOracle(address newOracle) external onlyOwner {
+        oracle = newOracle;
+        emit OracleUpdated(newOracle);
+    }
+
+    /// @notice Set what referrers earn on markets created from now on
+    /// @param newReferralBps Share of the fee, in basis points (≤ MAX_REFERRAL_BPS)
+    function setReferralBps(uint16 newReferralBps) external onlyOwner {
+        if (newReferralBps > MAX_REFERRAL_BPS) revert ReferralTooHigh();
+        referralBps = newReferralBps;
+        emit ReferralConfigUpdated(newReferralBps);
+    }
+
+    /// @notice Set the share of a withdrawn bet that stays in the pool
+    /// @param newExitPenaltyBps Penalty in basis points (≤ MAX_EXIT_PENALTY_BPS)
+    function setExitPenalty(uint16 newExitPenaltyBps) external onlyOwner {
+        if (newExitPenaltyBps > MAX_EXIT_PENALTY_BPS) revert PenaltyTooHigh();
+        exitPenaltyBps = newExitPenaltyBps;
+        emit ExitPenaltyUpdated(newExitPenaltyBps);
+    }
+
+    /// @notice Set the protocol fee for new markets and how it is split
+    /// @param newFeeBps           Fee on the losing pools, in basis points (≤ MAX_FEE_BPS)
+    /// @param newCreatorShareBps  Share of that fee paid to the market creator, in basis points
+    function setFeeConfig(uint16 newFeeBps, uint16 newCreatorShareBps) external onlyOwner {
+        if (newFeeBps > MAX_FEE_BPS) revert FeeTooHigh();
+        if (newCreatorShareBps > BPS) revert InvalidShare();
+
+        feeBps = newFeeBps;
+        creatorShareBps = newCreatorShareBps;
+
+        emit FeeConfigUpdated(newFeeBps, newCreatorShareBps);
+    }
+
+    /// @notice Change where the protocol's share of fees accrues
+    function setTreasury(address newTreasury) external onlyOwner {
+        if (newTreasury == address(0)) revert ZeroAddress();
+        treasury = newTreasury;
+        emit TreasuryUpdated(newTreasury);
+    }
+
+    // ── Resolution ──────────────────────────────────────
+    // Each of these runs in the settlement module (ARCPredictXSettlement) against this contract's storage.
+
+    /// @notice Propose the outcome of YES/NO market `marketId` (`outcome` true = YES wins), posting `resolutionBond`
+    /// @dev Final immediately when `disputeWindow` is 0, otherwise see finalizeResolution.
+    ///      Oracle-settled markets only accept their oracle, whose call is final and bond-free.
+    function resolveMarket(uint256 /* marketId */, bool /* outcome */) external payable { _settle(); }
+
+    /// @notice Propose the winning outcome index of any non-scalar market (YES = 0 / NO = 1 for binary markets),
+    ///         posting `resolutionBond`
+    function resolveOutcome(uint256 /* marketId */, uint8 /* outcomeIndex */) external payable { _settle(); }
+
+    /// @notice Propose the value a scalar market settles at, in the unit of its range, posting `resolutionBond`
+    /// @dev Goes through the same dispute window as resolveOutcome. LONG then receives
+    ///      (value - lower) / (upper - lower) of the pool, clamped to [0, 1], and SHORT the rest.
+    function resolveScalar(uint256 /* marketId */, int256 /* value */) external payable { _settle(); }
+
+    /// @notice Challenge a proposed outcome by matching the proposer's bond
+    /// @dev Only one dispute per proposal; an arbiter then decides the outcome.
+    function disputeResolution(uint256 /* marketId */) external payable { _settle(); }
+
+    /// @notice Make an undisputed proposal final once its dispute window has passed
+    /// @dev Callable by anyone; the proposer's bond is credited back to them.
+    function finalizeResolution(uint256 /* marketId */) external { _settle(); }
+
+    /// @notice Settle a disputed market at the given outcome (ARBITER_ROLE); whoever the arbiter
+    ///         sides with receives both bonds
+    function arbitrate(uint256 /* marketId */, uint8 /* outcomeIndex */) external { _settle(); }
+
+    /// @notice Settle a disputed scalar market at the given value (ARBITER_ROLE)
+    /// @dev The proposer only receives both bonds if the value is exactly the one they proposed.
+    function arbitrateScalar(uint256 /* marketId */, int256 /* value */) external { _settle(); }
+
+    // ── User Functions ──────────────────────────────────
+
+    /// @notice Bet on YES for a market
+    function buyYes(uint256 marketId) external payable {
+        if (_market(marketId).kind != MarketKind.Binary) revert NotBinaryMarket();
+        _bet(msg.sender, marketId, YES, msg.value);
+    }
+
+    /// @notice Bet on NO for a market
+    function buyNo(uint256 marketId) external payable {
+        if (_market(marketId).kind != MarketKind.Binary) revert NotBinaryMarket();
+        _bet(msg.sender, marketId, NO, msg.value);
+    }
+
+    /// @notice Bet on one outcome of any market
+    /// @param outcomeIndex Index into the market's outcomes (YES = 0 / NO = 1 for binary markets)
+    function buy(uint256 marketId, uint8 outcomeIndex) external payable {
+        _bet(msg.sender, marketId, outcomeIndex, msg.value);
+    }
+
+    /// @notice Bet an explicit amount in the market's collateral
+    /// @dev Native markets require msg.value == amount; ERC-20 markets pull `amount`
+    ///      with transferFrom (approve this contract first) and reject any msg.value.
+    function placeBet(uint256 marketId, uint8 outcomeIndex, uint256 amount) external payable {
+        _bet(msg.sender, marketId, outcomeIndex, amount);
+    }
+
+    /// @notice placeBet, crediting `referrer` for bringing the caller in
+    /// @dev First touch wins: the referrer is only recorded if the caller has none yet, and
+    ///      a zero address or the caller themselves is ignored rather than rejected.
+    function placeBetWithReferrer(uint256 marketId, uint8 outcomeIndex, uint256 amount, address referrer) external payable {
+        if (referrerOf[msg.sender] == address(0) && referrer != address(0) && referrer != msg.sender) {
+            referrerOf[msg.sender] = referrer;
+            emit ReferrerSet(msg.sender, referrer);
+        }
+        _bet(msg.sender, marketId, outcomeIndex, amount);
+    }
+
+    /// @notice Place a bet signed off-chain by `intent.bettor`; anyone can submit it
+    /// @dev The stake is credited to the bettor and ERC-20 collateral is pulled from the
+    ///      bettor's allowance, which needs an approve transaction (no EIP-2612 permit). On
+    ///      native markets the submitter must attach the amount, i.e. pays the stake from
+    ///      their own balance while the bet and any winnings stay the bettor's.
+    ///      (v, r, s) is the bettor's EIP-712 signature over `intent`.
+    function betBySig(BetIntent calldata intent, uint8 v, bytes32 r, bytes32 s) external payable {
+        bytes32 structHash = keccak256(abi.encode(
+            BET_INTENT_TYPEHASH, intent.bettor, intent.marketId, intent.outcome, intent.amount, intent.nonce, intent.deadline
+        ));
+        _useIntent(intent.bettor, structHash, intent.nonce, intent.deadline, v, r, s);
+        _bet(intent.bettor, intent.marketId, intent.outcome, intent.amount);
+    }
+
+    /// @notice Take back part or all of a YES/NO bet before the market closes
+    /// @dev exitPenaltyBps of `amount` stays in the pool for the remaining bettors
+    function withdrawBet(uint256 marketId, bool isYes, uint256 amount) external {
+        if (_market(marketId).kind != MarketKind.Binary) revert NotBinaryMarket();
+        _withdrawStake(marketId, isYes ? YES : NO, amount);
+    }
+
+    /// @notice Take back part or all of a stake on any outcome before the market closes
+    function withdrawStake(uint256 marketId, uint8 outcomeIndex, uint256 amount) external {
+        _withdrawStake(marketId, outcomeIndex, amount);
+    }
+
+    /// @notice Claim reward if on the winning side
+    /// @dev reward = (userBet / winningPool) * (totalPool - fee)
+    function claimReward(uint256 marketId) external {
+        Market storage m = _market(marketId);
+        if (!m.resolved) revert MarketNotResolved();
+        if (claimed[marketId][msg.sender]) revert AlreadyClaimed();
+
+        uint256 reward = _reward(m, msg.sender);
+        if (reward == 0) revert NotWinner();
+
+        _payout(m, msg.sender, reward);
+    }
+
+    /// @notice Recover the full stake (across every outcome) from a cancelled market
+    function refund(uint256 marketId) external {
+        Market storage m = _market(marketId);
+        _settleEmergency(m);
+        if (!m.cancelled) revert MarketNotCancelled();
+        if (claimed[marketId][msg.sender]) revert AlreadyClaimed();
+
+        uint256 amount = _totalStake(m, msg.sender);
+        if (amount == 0) revert NothingToRefund();
+
+        _payout(m, msg.sender, amount);
+    }
+
+    /// @notice Claim every reward and refund owed across several markets in one transaction
+    /// @dev Markets with nothing to claim (still open, lost, or already claimed) are skipped;
+    ///      reverts only if none of them paid out.
+    function claimMany(uint256[] calldata marketIds) external {
+        _claimMany(msg.sender, marketIds);
+    }
+
+    /// @notice Claim for `intent.claimant` with their off-chain signature; anyone can submit it
+    /// @dev Same rules as claimMany; every payout goes to the claimant, never the submitter.
+    ///      (v, r, s) is the claimant's EIP-712 signature over `intent`.
+    function claimBySig(ClaimIntent calldata intent, uint8 v, bytes32 r, bytes32 s) external {
+        bytes32 structHash = keccak256(abi.encode(
+            CLAIM_INTENT_TYPEHASH, intent.claimant, keccak256(abi.encodePacked(intent.marketIds)), intent.nonce, intent.deadline
+        ));
+        _useIntent(intent.claimant, structHash, intent.nonce, intent.deadline, v, r, s);
+        _claimMany(intent.claimant, intent.marketIds);
+    }
+
+    /// @notice Reclaim the creation bond of a market you proposed, once it has been resolved or voided
+    function claimBond(uint256 marketId) external {
+        if (claimsPaused) revert ClaimsPaused();
+        Market storage m = _market(marketId);
+        _settleEmergency(m);
+        if (!m.resolved && !m.cancelled) revert BondLocked();
+        uint256 bond = m.bond;
+        if (bond == 0 || msg.sender != m.creator) revert NothingToWithdraw();
+
+        // Effects
+        m.bond = 0;
+
+        // Interactions
+        _send(address(0), msg.sender, bond);
+
+        emit BondReturned(marketId, msg.sender, bond);
+    }
+
+    /// @notice Withdraw fees, referral earnings and settled resolution bonds accrued to the caller
+    function withdrawFees() external {
+        _withdrawOwed(address(0));
+    }
+
+    /// @notice Withdraw fees and referral earnings accrued to the caller from markets settled in `token`
+    function withdrawTokenFees(address token) external {
+        _withdrawOwed(token);
+    }
+
+    /// @notice EIP-712 domain separator ("ARCPredictX", version "1", this chain and address)
+    /// @dev Computed on every call because factory clones share the implementation's code.
+    function DOMAIN_SEPARATOR() public view returns (bytes32) {
+        return keccak256(abi.encode(
+            keccak256("EIP712Domain(string name,string version,uint256 chainId,address verifyingContract)"),
+            keccak256("ARCPredictX"),
+            keccak256("1"),
+            block.chainid,
+            address(this)
+        ));
+    }
+
+    // ── Internal ────────────────────────────────────────
+
+    /// @dev Runs this call's calldata in the settlement module and bubbles up its revert data.
+    ///      Events and storage writes land on this contract, as if the code were its own.
+    function _settle() internal {
+        (bool ok, bytes memory ret) = settlement.delegatecall(msg.data);
+        if (!ok) assembly { revert(add(ret, 32), mload(ret)) }
+    }
+
+    function _checkBetting() internal view {
+        if (bettingPaused) revert BettingPaused();
+        if (emergencyRefund) revert EmergencyActive();
+    }
+
+    /// @dev Emergency refund mode voids unresolved markets on first touch (see activateEmergencyRefund).
+    function _settleEmergency(Market storage m) internal {
+        if (!emergencyRefund || m.resolved || m.cancelled) return;
+        _void(m);
+        _returnResolutionBonds(m.id);
+    }
+
+    function _grantRole(bytes32 role, address account) internal {
+        if (!hasRole[role][account]) {
+            hasRole[role][account] = true;
+            emit RoleGranted(role, account, msg.sender);
+        }
+    }
+
+    function _revokeRole(bytes32 role, address account) internal {
+        if (hasRole[role][account]) {
+            hasRole[role][account] = false;
+            emit RoleRevoked(role, account, msg.sender);
+        }
+    }
+
+    /// @dev The metadata document is only emitted; storing its hash lets anyone check a copy
+    ///      served off-chain (e.g. from IPFS or an indexer) against what the creator committed to.
+    function _createMarket(string memory question, uint256 endTime, MarketKind kind, uint8 outcomeCount, string memory metadata) internal returns (uint256 id) {
         if (endTime <= block.timestamp) revert EndTimeInPast();
+        if (emergencyRefund) revert EmergencyActive();
 
-        uint256 id = marketCount;
+        id = marketCount;
         markets[id] = Market({
             id:             id,
             question:       question,
             endTime:        endTime,
-            totalYesAmount: 0,
-            totalNoAmount:  0,
+            totalPool:      0,
+            kind:           kind,
+            outcomeCount:   outcomeCount,
+            winningOutcome: 0,
             resolved:       false,
-            outcome:        false
+            cancelled:      false,
+            creator:        msg.sender,
+            feeBps:         feeBps,
+            creatorShareBps: creatorShareBps,
+            referralBps:    referralBps,
+            feeAmount:      0,
+            bond:           0,
+            hidden:         false,
+            collateral:     address(0)
         });
         marketCount++;
 
-        emit MarketCreated(id, question, endTime);
+        bytes32 hash;
+        if (bytes(metadata).length != 0) {
+            hash = keccak256(bytes(metadata));
+            metadataHash[id] = hash;
+        }
+
+        emit MarketCreated(id, question, endTime, hash, metadata);
     }
 
-    /// @notice Resolve a market with the outcome
-    /// @param marketId The market to resolve
-    /// @param outcome  true = YES wins, false = NO wins
-    function resolveMarket(uint256 marketId, bool outcome) external onlyAdmin {
-        if (marketId >= marketCount) revert InvalidMarket();
-        Market storage m = markets[marketId];
-        if (block.timestamp < m.endTime) revert MarketNotExpired();
-        if (m.resolved) revert MarketAlreadyResolved();
+    function _createCategorical(string memory question, string[] calldata outcomes, uint256 endTime, string memory metadata) internal returns (uint256 id) {
+        if (outcomes.length < 2 || outcomes.length > MAX_OUTCOMES) revert InvalidOutcomeCount();
 
-        // Effects
-        m.resolved = true;
-        m.outcome  = outcome;
+        id = _createMarket(question, endTime, MarketKind.Categorical, uint8(outcomes.length), metadata);
+        for (uint256 i = 0; i < outcomes.length; i++) {
+            outcomeLabels[id].push(outcomes[i]);
+        }
+    }
 
-        emit MarketResolved(marketId, outcome);
+    function _createWithParams(MarketParams calldata p) internal returns (uint256 id) {
+        ScalarRange calldata r = p.range;
+        bool scalar = r.lower != 0 || r.upper != 0;
+        id = p.outcomes.length == 0
+            ? _createMarket(p.question, p.endTime, scalar ? MarketKind.Scalar : MarketKind.Binary, 2, p.metadata)
+            : _createCategorical(p.question, p.outcomes, p.endTime, p.metadata);
+        if (scalar) {
+            // The width cap keeps totalPool * (value - lower) from overflowing at resolution
+            if (p.outcomes.length != 0 || r.lower >= r.upper) revert InvalidRange();
+            unchecked { if (uint256(r.upper) - uint256(r.lower) > type(uint128).max) revert InvalidRange(); }
+            scalars[id].lower = r.lower;
+            scalars[id].upper = r.upper;
+        }
+        if (p.collateral != address(0)) {
+            if (p.collateral.code.length == 0) revert InvalidCollateral();
+            markets[id].collateral = p.collateral;
+        }
+
+        BetLimits calldata l = p.limits;
+        if (
+            block.timestamp + l.cutoff >= p.endTime ||
+            (l.maxPerUser != 0 && l.maxPerUser < l.minBet) ||
+            (l.maxPool != 0 && l.maxPool < l.minBet)
+        ) revert InvalidLimits();
+        limits[id] = l;
+
+        if (p.oracleData.length != 0) {
+            address o = oracle;
+            if (o == address(0)) revert NoOracle();
+            marketOracle[id] = o;
+            IMarketOracle(o).onMarketCreated(id, p.oracleData);
+        }
     }
 
-    // ── User Functions ──────────────────────────────────
+    /// @dev The betting window, endTime less the cutoff, must last at least minDuration
+    function _checkProposal(uint256 endTime, uint256 cutoff) internal view {
+        if (msg.value != creationBond) revert WrongBond();
+        if (endTime < block.timestamp + minDuration + cutoff) revert DurationTooShort();
+    }
 
-    /// @notice Bet on YES for a market
-    function buyYes(uint256 marketId) external payable {
-        if (marketId >= marketCount) revert InvalidMarket();
-        Market storage m = markets[marketId];
-        if (block.timestamp >= m.endTime) revert MarketExpired();
-        if (msg.value == 0) revert ZeroBet();
+    function _recordBond(uint256 id) internal {
+        markets[id].bond = msg.value;
+        emit MarketProposed(id, msg.sender, msg.value);
+    }
+
+    function _bet(address user, uint256 marketId, uint8 outcomeIndex, uint256 amount) internal {
+        _checkBetting();
+        Market storage m = _market(marketId);
+        _checkOpen(m);
+        if (m.hidden) revert MarketIsHidden();
+        if (outcomeIndex >= m.outcomeCount) revert InvalidOutcome();
+        if (amount == 0) revert ZeroBet();
+
+        BetLimits storage l = limits[marketId];
+        if (amount < l.minBet) revert BetTooSmall();
+        if (l.maxPool != 0 && m.totalPool + amount > l.maxPool) revert PoolLimitExceeded();
+        if (l.maxPerUser != 0 && _totalStake(m, user) + amount > l.maxPerUser) revert UserLimitExceeded();
 
         // Effects
-        yesBets[marketId][msg.sender] += msg.value;
-        m.totalYesAmount += msg.value;
+        stakes[marketId][user][outcomeIndex] += amount;
+        outcomePools[marketId][outcomeIndex] += amount;
+        m.totalPool += amount;
 
-        emit BetPlaced(marketId, msg.sender, true, msg.value);
+        // Interactions
+        _collect(m.collateral, user, amount);
+
+        if (m.kind == MarketKind.Binary) emit BetPlaced(marketId, user, outcomeIndex == YES, amount);
+        else emit OutcomeBetPlaced(marketId, user, outcomeIndex, amount);
     }
 
-    /// @notice Bet on NO for a market
-    function buyNo(uint256 marketId) external payable {
-        if (marketId >= marketCount) revert InvalidMarket();
-        Market storage m = markets[marketId];
+    /// @dev Checks a signed intent's deadline, nonce and signer, then consumes the nonce.
+    function _useIntent(address signer, bytes32 structHash, uint256 nonce, uint256 deadline, uint8 v, bytes32 r, bytes32 s) internal {
+        if (block.timestamp > deadline) revert IntentExpired();
+        if (nonce != nonces[signer]) revert InvalidNonce();
+        bytes32 digest = keccak256(abi.encodePacked("\x19\x01", DOMAIN_SEPARATOR(), structHash));
+        address recovered = ecrecover(digest, v, r, s);
+        if (recovered == address(0) || recovered != signer) revert InvalidSignature();
+        nonces[signer] = nonce + 1;
+    }
+
+    /// @dev Bets and early exits stop `cutoff` seconds before endTime, so nobody can act on
+    ///      an outcome that is already known; resolution still waits for endTime.
+    function _checkOpen(Market storage m) internal view {
         if (block.timestamp >= m.endTime) revert MarketExpired();
-        if (msg.value == 0) revert ZeroBet();
+        if (block.timestamp + limits[m.id].cutoff >= m.endTime) revert BettingClosed();
+        if (m.cancelled) revert MarketIsCancelled();
+    }
+
+    /// @dev The penalty leaves the outcome pool but stays in totalPool, so it is paid out
+    ///      to the winners at resolution (or to the treasury if the market is voided).
+    function _withdrawStake(uint256 marketId, uint8 outcomeIndex, uint256 amount) internal {
+        _checkBetting();
+        Market storage m = _market(marketId);
+        _checkOpen(m);
+        if (outcomeIndex >= m.outcomeCount) revert InvalidOutcome();
+        if (amount == 0) revert ZeroBet();
+        if (stakes[marketId][msg.sender][outcomeIndex] < amount) revert InsufficientStake();
+
+        uint256 penalty = (amount * exitPenaltyBps) / BPS;
 
         // Effects
-        noBets[marketId][msg.sender] += msg.value;
-        m.totalNoAmount += msg.value;
+        stakes[marketId][msg.sender][outcomeIndex] -= amount;
+        outcomePools[marketId][outcomeIndex] -= amount;
+        m.totalPool -= amount - penalty;
+        exitPenalties[marketId] += penalty;
 
-        emit BetPlaced(marketId, msg.sender, false, msg.value);
+        // Interactions
+        _send(m.collateral, msg.sender, amount - penalty);
+
+        emit BetWithdrawn(marketId, msg.sender, outcomeIndex, amount, penalty);
     }
 
-    /// @notice Claim reward if on the winning side
-    /// @dev reward = (userBet / winningPool) * totalPool
-    function claimReward(uint256 marketId) external {
-        if (marketId >= marketCount) revert InvalidMarket();
-        Market storage m = markets[marketId];
-        if (!m.resolved) revert MarketNotResolved();
-        if (claimed[marketId][msg.sender]) revert AlreadyClaimed();
+    /// @dev Pays `user` everything owed in `marketIds`, skipping markets with nothing to claim.
+    function _claimMany(address user, uint256[] calldata marketIds) internal {
+        uint256 paid;
+        for (uint256 i = 0; i < marketIds.length; i++) {
+            Market storage m = markets[marketIds[i]];
+            uint256 amount = _owedTo(m, user);
+            if (amount == 0) continue;
+            _settleEmergency(m);
+            _payout(m, user, amount);
+            paid++;
+        }
+        if (paid == 0) revert NothingToClaim();
+    }
 
-        uint256 totalPool = m.totalYesAmount + m.totalNoAmount;
-        uint256 reward;
+    /// @dev Marks `user`'s claim on `m` and pays it: a reward if resolved, else a refund.
+    ///      A reward also releases the user's pro-rata part of the fee set aside for referrers,
+    ///      credited like a fee: to their referrer, or to the treasury if they have none.
+    ///      The user is paid in full either way.
+    function _payout(Market storage m, address user, uint256 amount) internal {
+        if (claimsPaused) revert ClaimsPaused();
 
-        if (m.outcome) {
-            // YES wins
-            uint256 userBet = yesBets[marketId][msg.sender];
-            if (userBet == 0) revert NotWinner();
-            reward = (userBet * totalPool) / m.totalYesAmount;
+        // Effects
+        claimed[m.id][user] = true;
+        uint256 share = m.resolved ? _prorata(amount, (m.feeAmount * m.referralBps) / BPS, m.totalPool - m.feeAmount) : 0;
+        if (share > 0) {
+            address referrer = referrerOf[user];
+            _owed(m.collateral)[referrer == address(0) ? treasury : referrer] += share;
+            if (referrer != address(0)) {
+                referralEarnings[referrer][m.collateral] += share;
+                emit ReferralPaid(m.id, referrer, user, share);
+            }
+        }
+
+        // Interactions
+        _send(m.collateral, user, amount);
+
+        if (m.resolved) emit RewardClaimed(m.id, user, amount);
+        else emit Refunded(m.id, user, amount);
+    }
+
+    /// @dev Take `amount` of collateral for a bet by `from`: native must arrive as msg.value,
+    ///      ERC-20 is pulled from `from` with transferFrom.
+    function _collect(address token, address from, uint256 amount) internal {
+        if (token == address(0)) {
+            if (msg.value != amount) revert WrongValue();
+            return;
+        }
+        if (msg.value != 0) revert WrongValue();
+        _callToken(token, abi.encodeWithSelector(IERC20.transferFrom.selector, from, address(this), amount));
+    }
+
+    function _send(address token, address to, uint256 amount) internal {
+        if (token == address(0)) {
+            (bool ok, ) = payable(to).call{value: amount}("");
+            if (!ok) revert TransferFailed();
         } else {
-            // NO wins
-            uint256 userBet = noBets[marketId][msg.sender];
-            if (userBet == 0) revert NotWinner();
-            reward = (userBet * totalPool) / m.totalNoAmount;
+            _callToken(token, abi.encodeWithSelector(IERC20.transfer.selector, to, amount));
         }
+    }
+
+    /// @dev Accepts tokens that return nothing as well as those returning true.
+    function _callToken(address token, bytes memory data) internal {
+        (bool ok, bytes memory ret) = token.call(data);
+        if (!ok || (ret.length != 0 && !abi.decode(ret, (bool)))) revert TransferFailed();
+    }
+
+    function _withdrawOwed(address token) internal {
+        if (claimsPaused) revert ClaimsPaused();
+        mapping(address => uint256) storage owed = _owed(token);
+        uint256 amount = owed[msg.sender];
+        if (amount == 0) revert NothingToWithdraw();
 
         // Effects
-        claimed[marketId][msg.sender] = true;
+        owed[msg.sender] = 0;
 
         // Interactions
-        (bool ok, ) = payable(msg.sender).call{value: reward}("");
-        if (!ok) revert TransferFailed();
+        _send(token, msg.sender, amount);
 
-        emit RewardClaimed(marketId, msg.sender, reward);
+        if (token == address(0)) emit FeesWithdrawn(msg.sender, amount);
+        else emit TokenFeesWithdrawn(token, msg.sender, amount);
+    }
+
+    function _reward(Market storage m, address user) internal view returns (uint256) {
+        mapping(uint256 => uint256) storage stake = stakes[m.id][user];
+        if (m.kind == MarketKind.Scalar) {
+            Scalar storage s = scalars[m.id];
+            return _prorata(stake[LONG], s.longPayout, outcomePools[m.id][LONG])
+                + _prorata(stake[SHORT], s.shortPayout, outcomePools[m.id][SHORT]);
+        }
+        return _prorata(stake[m.winningOutcome], m.totalPool - m.feeAmount, outcomePools[m.id][m.winningOutcome]);
+    }
+
+    function _totalStake(Market storage m, address user) internal view returns (uint256 total) {
+        for (uint256 i = 0; i < m.outcomeCount; i++) {
+            total += stakes[m.id][user][i];
+        }
     }
 
     // ── View Helpers ────────────────────────────────────
 
-    /// @notice Get full market data
+    /// @notice Get full market data (pools and outcome describe YES/NO markets;
+    ///         see getOutcomes for categorical ones)
     function getMarket(uint256 marketId) external view returns (
         uint256 id,
         string memory question,
@@ -164,41 +768,82 @@ contract ARCPredictX {
         uint256 totalYesAmount,
         uint256 totalNoAmount,
         bool resolved,
-        bool outcome
+        bool outcome,
+        bool cancelled
     ) {
         Market storage m = markets[marketId];
-        return (m.id, m.question, m.endTime, m.totalYesAmount, m.totalNoAmount, m.resolved, m.outcome);
+        return (
+            m.id, m.question, m.endTime,
+            outcomePools[marketId][YES], outcomePools[marketId][NO],
+            m.resolved, m.resolved && m.winningOutcome == YES, m.cancelled
+        );
+    }
+
+    /// @notice Every stored field of a market
+    function getMarketInfo(uint256 marketId) external view returns (Market memory) {
+        return markets[marketId];
+    }
+
+    /// @notice Get outcome labels and the amount staked on each
+    function getOutcomes(uint256 marketId) external view returns (string[] memory labels, uint256[] memory pools) {
+        Market storage m = markets[marketId];
+        if (m.kind == MarketKind.Binary) {
+            labels = new string[](2);
+            labels[YES] = "YES";
+            labels[NO]  = "NO";
+        } else if (m.kind == MarketKind.Scalar) {
+            labels = new string[](2);
+            labels[LONG]  = "LONG";
+            labels[SHORT] = "SHORT";
+        } else {
+            labels = outcomeLabels[marketId];
+        }
+        pools = new uint256[](m.outcomeCount);
+        for (uint256 i = 0; i < pools.length; i++) {
+            pools[i] = outcomePools[marketId][i];
+        }
     }
 
-    /// @notice Get user's bets for a market
+    /// @notice Get user's bets for a YES/NO market
     function getUserBets(uint256 marketId, address user) external view returns (
         uint256 yesBet,
         uint256 noBet,
         bool hasClaimed
     ) {
         return (
-            yesBets[marketId][user],
-            noBets[marketId][user],
+            stakes[marketId][user][YES],
+            stakes[marketId][user][NO],
             claimed[marketId][user]
         );
     }
 
-    /// @notice Check if user can claim and how much
-    function getClaimable(uint256 marketId, address user) external view returns (uint256) {
-        Market storage m = markets[marketId];
-        if (!m.resolved || claimed[marketId][user]) return 0;
+    /// @notice Get user's stake on every outcome of a market
+    function getUserStakes(uint256 marketId, address user) external view returns (uint256[] memory amounts) {
+        amounts = new uint256[](markets[marketId].outcomeCount);
+        for (uint256 i = 0; i < amounts.length; i++) {
+            amounts[i] = stakes[marketId][user][i];
+        }
+    }
 
-        uint256 totalPool = m.totalYesAmount + m.totalNoAmount;
-        if (totalPool == 0) return 0;
+    /// @notice User's YES stake (kept for binary-market integrations)
+    function yesBets(uint256 marketId, address user) external view returns (uint256) {
+        return stakes[marketId][user][YES];
+    }
 
-        if (m.outcome) {
-            uint256 bet = yesBets[marketId][user];
-            if (bet == 0 || m.totalYesAmount == 0) return 0;
-            return (bet * totalPool) / m.totalYesAmount;
-        } else {
-            uint256 bet = noBets[marketId][user];
-            if (bet == 0 || m.totalNoAmount == 0) return 0;
-            return (bet * totalPool) / m.totalNoAmount;
-        }
+    /// @notice User's NO stake (kept for binary-market integrations)
+    function noBets(uint256 marketId, address user) external view returns (uint256) {
+        return stakes[marketId][user][NO];
+    }
+
+    /// @notice Check if user can claim and how much (the refund amount for cancelled markets)
+    function getClaimable(uint256 marketId, address user) public view returns (uint256) {
+        return _owedTo(markets[marketId], user);
+    }
+
+    function _owedTo(Market storage m, address user) internal view returns (uint256) {
+        if (claimed[m.id][user]) return 0;
+        if (m.cancelled || (emergencyRefund && !m.resolved)) return _totalStake(m, user);
+        if (!m.resolved) return 0;
+        return _reward(m, user);
     }
 }
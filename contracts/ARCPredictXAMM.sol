@@ -0,0 +1,289 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "./ARCPredictX.sol";
+import "./interfaces/IERC20.sol";
+
+/// @title ARCPredictXAMM — Constant-product market maker for PredictX YES/NO markets
+/// @notice Gives every seeded binary market a live price and lets traders enter and exit
+///         before the market closes. A winning share redeems for 1 unit of the market's
+///         collateral once the market is resolved, or voided after a ruling nobody in the pool backed;
+///         if the market is voided any other way every share (YES or NO) redeems for half a unit.
+/// @dev Fixed-product design: collateral paid in is split into complete sets (1 YES + 1 NO)
+///      and the pool keeps yesReserve * noReserve constant across trades, so the YES price
+///      is noReserve / (yesReserve + noReserve). YES and NO supplies always equal the
+///      collateral held, which keeps redemptions fully backed. The liquidity provider's
+///      loss is bounded by the amount seeded. Markets, roles, collateral and resolution
+///      all come from the linked ARCPredictX contract.
+contract ARCPredictXAMM {
+
+    struct Pool {
+        uint256 yesReserve;
+        uint256 noReserve;
+        uint256 seeded;        // collateral the provider put in
+        address provider;
+        bool    withdrawn;     // provider has taken the reserves out after settlement
+    }
+
+    uint8 public constant YES = 0;
+    uint8 public constant NO  = 1;
+    uint256 public constant PRICE_PRECISION = 1e18;
+
+    ARCPredictX public immutable predictx;
+
+    mapping(uint256 => Pool)                                          public pools;   // market => pool
+    mapping(uint256 => mapping(address => mapping(uint8 => uint256))) public shares;  // market => user => outcome => shares
+
+    // ── Events ──────────────────────────────────────────
+    event PoolCreated(uint256 indexed id, address indexed provider, uint256 amount);
+    event SharesBought(uint256 indexed id, address indexed user, uint8 outcome, uint256 amountIn, uint256 sharesOut);
+    event SharesSold(uint256 indexed id, address indexed user, uint8 outcome, uint256 sharesIn, uint256 amountOut);
+    event SharesRedeemed(uint256 indexed id, address indexed user, uint256 payout);
+    event LiquidityWithdrawn(uint256 indexed id, address indexed provider, uint256 amount);
+
+    // ── Errors ──────────────────────────────────────────
+    error NotCreator();
+    error NotProvider();
+    error NotBinaryMarket();
+    error PoolExists();
+    error NoPool();
+    error MarketClosed();
+    error MarketNotSettled();
+    error InvalidOutcome();
+    error ZeroAmount();
+    error SlippageExceeded();
+    error InsufficientShares();
+    error NothingToRedeem();
+    error AlreadyWithdrawn();
+    error ClaimsPaused();
+    error WrongValue();
+    error TransferFailed();
+
+    constructor(ARCPredictX predictx_) {
+        predictx = predictx_;
+    }
+
+    // ── Liquidity ───────────────────────────────────────
+
+    /// @notice Seed a market's pool at 50/50; requires CREATOR_ROLE on the PredictX contract
+    /// @param amount Collateral to seed (send as msg.value for native markets, approve for ERC-20)
+    function createPool(uint256 marketId, uint256 amount) external payable {
+        if (!predictx.hasRole(predictx.CREATOR_ROLE(), msg.sender)) revert NotCreator();
+        ARCPredictX.Market memory m = _openMarket(marketId);
+        if (m.kind != ARCPredictXStorage.MarketKind.Binary) revert NotBinaryMarket();
+        if (pools[marketId].provider != address(0)) revert PoolExists();
+        if (amount == 0) revert ZeroAmount();
+
+        // Effects
+        pools[marketId] = Pool({
+            yesReserve: amount,
+            noReserve:  amount,
+            seeded:     amount,
+            provider:   msg.sender,
+            withdrawn:  false
+        });
+
+        // Interactions
+        _collect(m.collateral, amount);
+
+        emit PoolCreated(marketId, msg.sender, amount);
+    }
+
+    /// @notice Take the pool's remaining reserves out once the market has settled
+    function withdrawLiquidity(uint256 marketId) external {
+        Pool storage p = _pool(marketId);
+        if (msg.sender != p.provider) revert NotProvider();
+        if (p.withdrawn) revert AlreadyWithdrawn();
+        ARCPredictX.Market memory m = predictx.getMarketInfo(marketId);
+        uint256 amount = _settledValue(m, p.yesReserve, p.noReserve);
+
+        // Effects
+        p.withdrawn = true;
+
+        // Interactions
+        if (amount > 0) _send(m.collateral, msg.sender, amount);
+
+        emit LiquidityWithdrawn(marketId, msg.sender, amount);
+    }
+
+    // ── Trading ─────────────────────────────────────────
+
+    /// @notice Buy shares of one outcome
+    /// @param amount        Collateral to spend
+    /// @param minSharesOut  Revert if the trade would return fewer shares (slippage guard)
+    function buy(uint256 marketId, uint8 outcome, uint256 amount, uint256 minSharesOut) external payable returns (uint256 sharesOut) {
+        Pool storage p = _pool(marketId);
+        ARCPredictX.Market memory m = _openMarket(marketId);
+        if (outcome > NO) revert InvalidOutcome();
+        if (amount == 0) revert ZeroAmount();
+
+        sharesOut = _buyAmount(p, outcome, amount);
+        if (sharesOut < minSharesOut) revert SlippageExceeded();
+
+        // Effects
+        if (outcome == YES) {
+            p.noReserve  += amount;
+            p.yesReserve  = p.yesReserve + amount - sharesOut;
+        } else {
+            p.yesReserve += amount;
+            p.noReserve   = p.noReserve + amount - sharesOut;
+        }
+        shares[marketId][msg.sender][outcome] += sharesOut;
+
+        // Interactions
+        _collect(m.collateral, amount);
+
+        emit SharesBought(marketId, msg.sender, outcome, amount, sharesOut);
+    }
+
+    /// @notice Sell shares of one outcome back to the pool
+    /// @param shareAmount   Shares to sell
+    /// @param minAmountOut  Revert if the trade would return less collateral (slippage guard)
+    function sell(uint256 marketId, uint8 outcome, uint256 shareAmount, uint256 minAmountOut) external returns (uint256 amountOut) {
+        Pool storage p = _pool(marketId);
+        ARCPredictX.Market memory m = _openMarket(marketId);
+        if (outcome > NO) revert InvalidOutcome();
+        if (shareAmount == 0) revert ZeroAmount();
+        if (shares[marketId][msg.sender][outcome] < shareAmount) revert InsufficientShares();
+
+        amountOut = _sellAmount(p, outcome, shareAmount);
+        if (amountOut < minAmountOut) revert SlippageExceeded();
+
+        // Effects
+        shares[marketId][msg.sender][outcome] -= shareAmount;
+        if (outcome == YES) {
+            p.yesReserve = p.yesReserve + shareAmount - amountOut;
+            p.noReserve -= amountOut;
+        } else {
+            p.noReserve   = p.noReserve + shareAmount - amountOut;
+            p.yesReserve -= amountOut;
+        }
+
+        // Interactions
+        _send(m.collateral, msg.sender, amountOut);
+
+        emit SharesSold(marketId, msg.sender, outcome, shareAmount, amountOut);
+    }
+
+    /// @notice Cash in shares after settlement: 1 per winning share, 0.5 per share if voided
+    function redeem(uint256 marketId) external {
+        _pool(marketId);
+        ARCPredictX.Market memory m = predictx.getMarketInfo(marketId);
+        uint256 payout = _settledValue(m, shares[marketId][msg.sender][YES], shares[marketId][msg.sender][NO]);
+        if (payout == 0) revert NothingToRedeem();
+
+        // Effects
+        delete shares[marketId][msg.sender][YES];
+        delete shares[marketId][msg.sender][NO];
+
+        // Interactions
+        _send(m.collateral, msg.sender, payout);
+
+        emit SharesRedeemed(marketId, msg.sender, payout);
+    }
+
+    // ── Internal ────────────────────────────────────────
+
+    function _pool(uint256 marketId) internal view returns (Pool storage p) {
+        p = pools[marketId];
+        if (p.provider == address(0)) revert NoPool();
+    }
+
+    /// @dev Trading follows betting: only until the market's betting cutoff on a live, visible
+    ///      market, and not while PredictX has betting paused or is in emergency refund mode.
+    function _openMarket(uint256 marketId) internal view returns (ARCPredictX.Market memory m) {
+        m = predictx.getMarketInfo(marketId);
+        (, , , uint64 cutoff) = predictx.limits(marketId);
+        if (block.timestamp + cutoff >= m.endTime || m.resolved || m.cancelled || m.hidden) revert MarketClosed();
+        if (predictx.bettingPaused() || predictx.emergencyRefund()) revert MarketClosed();
+    }
+
+    /// @dev Collateral in is minted into `amount` of each share; the pool keeps the other
+    ///      side and releases enough of the bought side to restore the product (rounded in
+    ///      the pool's favour).
+    function _buyAmount(Pool storage p, uint8 outcome, uint256 amount) internal view returns (uint256) {
+        (uint256 r, uint256 o) = outcome == YES ? (p.yesReserve, p.noReserve) : (p.noReserve, p.yesReserve);
+        uint256 newR = (r * o + (o + amount) - 1) / (o + amount);
+        return r + amount - newR;
+    }
+
+    /// @dev Selling s shares for x collateral burns x complete sets:
+    ///      (r + s - x)(o - x) = r·o  ⇒  x = (B - √(B² - 4·s·o)) / 2  with  B = r + s + o.
+    function _sellAmount(Pool storage p, uint8 outcome, uint256 s) internal view returns (uint256) {
+        (uint256 r, uint256 o) = outcome == YES ? (p.yesReserve, p.noReserve) : (p.noReserve, p.yesReserve);
+        uint256 b = r + s + o;
+        return (b - _sqrtUp(b * b - 4 * s * o)) / 2;
+    }
+
+    /// @dev Payouts follow PredictX claims: they stop while claims are paused, and in emergency
+    ///      refund mode every unresolved market is treated as void, as PredictX does. A market
+    ///      voided only because nobody bet on the ruled outcome still pays that outcome's shares.
+    function _settledValue(ARCPredictX.Market memory m, uint256 yesShares, uint256 noShares) internal view returns (uint256) {
+        if (predictx.claimsPaused()) revert ClaimsPaused();
+        if (m.resolved) return m.winningOutcome == YES ? yesShares : noShares;
+        uint8 ruling = predictx.voidedRuling(m.id);
+        if (ruling != 0) return ruling - 1 == YES ? yesShares : noShares;
+        if (m.cancelled || predictx.emergencyRefund()) return (yesShares + noShares) / 2;
+        revert MarketNotSettled();
+    }
+
+    function _sqrtUp(uint256 x) internal pure returns (uint256 z) {
+        if (x == 0) return 0;
+        z = x;
+        uint256 y = x / 2 + 1;
+        while (y < z) {
+            z = y;
+            y = (x / y + y) / 2;
+        }
+        if (z * z < x) z++;
+    }
+
+    function _collect(address token, uint256 amount) internal {
+        if (token == address(0)) {
+            if (msg.value != amount) revert WrongValue();
+            return;
+        }
+        if (msg.value != 0) revert WrongValue();
+        _callToken(token, abi.encodeWithSelector(IERC20.transferFrom.selector, msg.sender, address(this), amount));
+    }
+
+    function _send(address token, address to, uint256 amount) internal {
+        if (token == address(0)) {
+            (bool ok, ) = payable(to).call{value: amount}("");
+            if (!ok) revert TransferFailed();
+        } else {
+            _callToken(token, abi.encodeWithSelector(IERC20.transfer.selector, to, amount));
+        }
+    }
+
+    function _callToken(address token, bytes memory data) internal {
+        (bool ok, bytes memory ret) = token.call(data);
+        if (!ok || (ret.length != 0 && !abi.decode(ret, (bool)))) revert TransferFailed();
+    }
+
+    // ── View Helpers ────────────────────────────────────
+
+    /// @notice Current price of each outcome, scaled by PRICE_PRECISION (they sum to 1)
+    function getPrice(uint256 marketId) external view returns (uint256 yesPrice, uint256 noPrice) {
+        Pool storage p = _pool(marketId);
+        yesPrice = (p.noReserve * PRICE_PRECISION) / (p.yesReserve + p.noReserve);
+        noPrice  = PRICE_PRECISION - yesPrice;
+    }
+
+    /// @notice Shares received for spending `amount` on `outcome` right now
+    function quoteBuy(uint256 marketId, uint8 outcome, uint256 amount) external view returns (uint256) {
+        if (outcome > NO) revert InvalidOutcome();
+        return _buyAmount(_pool(marketId), outcome, amount);
+    }
+
+    /// @notice Collateral received for selling `shareAmount` of `outcome` right now
+    function quoteSell(uint256 marketId, uint8 outcome, uint256 shareAmount) external view returns (uint256) {
+        if (outcome > NO) revert InvalidOutcome();
+        return _sellAmount(_pool(marketId), outcome, shareAmount);
+    }
+
+    /// @notice A user's YES and NO shares in a market
+    function getShares(uint256 marketId, address user) external view returns (uint256 yesShares, uint256 noShares) {
+        return (shares[marketId][user][YES], shares[marketId][user][NO]);
+    }
+}
@@ -0,0 +1,105 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "./ARCPredictX.sol";
+
+/// @title ARCPredictXFactory — Deploys and registers PredictX instances
+/// @notice Anyone can launch their own PredictX contract with `createInstance`; the caller
+///         becomes its owner with every role. Every instance is recorded with its name,
+///         original owner and creation time so frontends can list and switch between them.
+/// @dev Instances are EIP-1167 minimal proxies of one `implementation` contract, set up
+///      through `ARCPredictX.initialize` in the same transaction. Cloning keeps each launch
+///      to a few hundred thousand gas and keeps the core contract's bytecode out of this one.
+///      The implementation is an ordinary PredictX deployment; clones share its code but
+///      none of its storage.
+contract ARCPredictXFactory {
+
+    struct Instance {
+        address instance;
+        address owner;       // who created it; ownership can move later on the instance itself
+        string  name;
+        uint64  createdAt;
+    }
+
+    ARCPredictX public immutable implementation;
+
+    Instance[]                    internal instances;
+    mapping(address => bool)      public   isInstance;
+    mapping(address => uint256[]) internal ownerInstances; // creator => indexes into instances
+
+    // ── Events ──────────────────────────────────────────
+    event InstanceCreated(uint256 indexed index, address indexed instance, address indexed owner, string name);
+
+    // ── Errors ──────────────────────────────────────────
+    error EmptyName();
+    error CloneFailed();
+
+    constructor(ARCPredictX implementation_) {
+        implementation = implementation_;
+    }
+
+    // ── Deployment ──────────────────────────────────────
+
+    /// @notice Deploy a new PredictX instance owned by the caller
+    /// @param name Display name shown in the registry
+    /// @return instance The new contract's address
+    function createInstance(string calldata name) external returns (address instance) {
+        if (bytes(name).length == 0) revert EmptyName();
+
+        instance = _clone(address(implementation));
+        ARCPredictX(instance).initialize(msg.sender);
+
+        uint256 index = instances.length;
+        instances.push(Instance({
+            instance:  instance,
+            owner:     msg.sender,
+            name:      name,
+            createdAt: uint64(block.timestamp)
+        }));
+        isInstance[instance] = true;
+        ownerInstances[msg.sender].push(index);
+
+        emit InstanceCreated(index, instance, msg.sender, name);
+    }
+
+    /// @dev EIP-1167 minimal proxy delegating every call to `target`
+    function _clone(address target) internal returns (address instance) {
+        assembly {
+            mstore(0x00, or(shr(0xe8, shl(0x60, target)), 0x3d602d80600a3d3981f3363d3d373d3d3d363d73000000))
+            mstore(0x20, or(shl(0x78, target), 0x5af43d82803e903d91602b57fd5bf3))
+            instance := create(0, 0x09, 0x37)
+        }
+        if (instance == address(0)) revert CloneFailed();
+    }
+
+    // ── View Helpers ────────────────────────────────────
+
+    /// @notice Number of instances created through this factory
+    function instanceCount() external view returns (uint256) {
+        return instances.length;
+    }
+
+    /// @notice Registry entry `index`
+    function getInstance(uint256 index) external view returns (Instance memory) {
+        return instances[index];
+    }
+
+    /// @notice Instances `offset` to `offset + limit - 1`, clamped to instanceCount
+    function getInstances(uint256 offset, uint256 limit) external view returns (Instance[] memory page) {
+        uint256 count = instances.length;
+        uint256 size = offset >= count ? 0 : (count - offset < limit ? count - offset : limit);
+        page = new Instance[](size);
+        for (uint256 i = 0; i < size; i++) {
+            page[i] = instances[offset + i];
+        }
+    }
+
+    /// @notice Every instance created by `owner`
+    function getInstancesByOwner(address owner) external view returns (Instance[] memory list) {
+        uint256[] storage idx = ownerInstances[owner];
+        list = new Instance[](idx.length);
+        for (uint256 i = 0; i < idx.length; i++) {
+            list[i] = instances[idx[i]];
+        }
+    }
+}
@@ -0,0 +1,65 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "./ARCPredictX.sol";
+import "./ARCPredictXAMM.sol";
+
+/// @title ARCPredictXLens — Batched reads for PredictX frontends
+/// @notice Returns a page of markets, or a page of markets joined with one user's stakes,
+///         claims, pending resolution and market-maker position, in a single eth_call.
+/// @dev Stateless and read-only: every function takes the PredictX contract to read from,
+///      so one deployment serves any number of PredictX instances. Kept out of the core
+///      contract so the aggregation code doesn't count against its size limit.
+contract ARCPredictXLens {
+
+    /// @notice One row of getUserPortfolio: everything a frontend shows for a market
+    struct Position {
+        ARCPredictX.Market     market;
+        string[]               labels;
+        uint256[]              pools;
+        uint256[]              stakes;      // the user's stake per outcome
+        uint256                claimable;   // reward, or refund if voided; 0 once claimed
+        bool                   claimed;
+        ARCPredictX.Resolution resolution;  // pending outcome proposal, if any
+        ARCPredictX.BetLimits  limits;
+        ARCPredictXAMM.Pool    ammPool;     // empty unless the market has a seeded AMM pool
+        uint256                yesShares;   // the user's AMM shares
+        uint256                noShares;
+    }
+
+    /// @notice Markets `offset` to `offset + limit - 1`, clamped to marketCount
+    function getMarkets(ARCPredictX predictx, uint256 offset, uint256 limit) external view returns (ARCPredictX.Market[] memory page) {
+        page = new ARCPredictX.Market[](_pageSize(predictx, offset, limit));
+        for (uint256 i = 0; i < page.length; i++) {
+            page[i] = predictx.getMarketInfo(offset + i);
+        }
+    }
+
+    /// @notice The same page of markets with `user`'s position in each
+    function getUserPortfolio(ARCPredictX predictx, address user, uint256 offset, uint256 limit) external view returns (Position[] memory page) {
+        page = new Position[](_pageSize(predictx, offset, limit));
+        ARCPredictXAMM amm = ARCPredictXAMM(predictx.amm());
+        for (uint256 i = 0; i < page.length; i++) {
+            uint256 id = offset + i;
+            Position memory p = page[i];
+            p.market = predictx.getMarketInfo(id);
+            (p.labels, p.pools) = predictx.getOutcomes(id);
+            p.stakes    = predictx.getUserStakes(id, user);
+            p.claimable = predictx.getClaimable(id, user);
+            p.claimed   = predictx.claimed(id, user);
+            (p.resolution.proposer, p.resolution.outcome, p.resolution.deadline, p.resolution.disputer, p.resolution.bond, p.resolution.value) = predictx.resolutions(id);
+            (p.limits.minBet, p.limits.maxPerUser, p.limits.maxPool, p.limits.cutoff) = predictx.limits(id);
+            if (address(amm) != address(0) && p.market.kind == ARCPredictXStorage.MarketKind.Binary) {
+                ARCPredictXAMM.Pool memory pool = p.ammPool;
+                (pool.yesReserve, pool.noReserve, pool.seeded, pool.provider, pool.withdrawn) = amm.pools(id);
+                (p.yesShares, p.noShares) = amm.getShares(id, user);
+            }
+        }
+    }
+
+    function _pageSize(ARCPredictX predictx, uint256 offset, uint256 limit) internal view returns (uint256) {
+        uint256 count = predictx.marketCount();
+        if (offset >= count) return 0;
+        return count - offset < limit ? count - offset : limit;
+    }
+}
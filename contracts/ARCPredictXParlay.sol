@@ -0,0 +1,298 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "./ARCPredictX.sol";
+import "./interfaces/IERC20.sol";
+
+/// @title ARCPredictXParlay — Combined tickets across several PredictX YES/NO markets
+/// @notice A ticket stakes once on 2 to MAX_LEGS binary markets of one PredictX contract and
+///         pays only if every leg wins. Each winning leg pays the lower of its odds when the
+///         ticket was bought and when its market resolved:
+///
+///             odds    = min(totalPool / sidePool, MAX_LEG_ODDS)   (the leg's pari-mutuel multiple)
+///             legOdds = min(odds when bought, odds at resolution)
+///             payout  = stake × legOdds₁ × … × legOddsₙ           (at most MAX_MULTIPLE × stake)
+///
+///         A leg whose market is voided counts as 1×, so a ticket whose legs are all voided
+///         returns its stake. Payouts come from a parlay pool that the PredictX owner funds
+///         per collateral, never from the markets' own pools, and buying a ticket reserves
+///         the most it can pay, so every open ticket is always covered.
+/// @dev One deployment serves every PredictX contract; pools and tickets are kept per contract.
+///      A bettor can inflate a leg's odds by betting the other side, buy, then withdraw that
+///      bet. PredictX freezes pools at the cutoff, so the odds at resolution are the closing
+///      odds. Paying the lower of the two means the inflating bet only counts if it stays in
+///      until the market closes, where it loses whenever the ticket's leg wins.
+contract ARCPredictXParlay {
+
+    struct Ticket {
+        ARCPredictX predictx;
+        address     owner;
+        address     collateral;    // shared by every leg
+        bool        settled;
+        uint256     stake;
+        uint256     maxPayout;     // reserved from the pool until settlement
+        uint256     payout;        // what settlement paid (0 for a lost ticket)
+    }
+
+    struct Leg {
+        uint256 marketId;
+        uint8   outcome;           // YES = 0 / NO = 1
+        uint256 odds;              // scaled by ODDS_PRECISION
+    }
+
+    uint8 public constant YES = 0;
+    uint8 public constant NO  = 1;
+    uint8 public constant MIN_LEGS = 2;
+    uint8 public constant MAX_LEGS = 5;
+    uint256 public constant ODDS_PRECISION = 1e18;
+    uint256 public constant MAX_LEG_ODDS = 10e18;   // 10× per leg
+    uint256 public constant MAX_MULTIPLE = 100;     // payout ≤ 100× stake
+
+    uint256 public ticketCount;
+    mapping(uint256 => Ticket)                          public tickets;
+    mapping(uint256 => Leg[])                           internal legs;
+    mapping(address => uint256[])                       internal ticketsOf;  // owner => ticket ids
+    mapping(address => mapping(address => uint256))     public liquidity;    // PredictX => collateral => free to back tickets
+    mapping(address => mapping(address => uint256))     public reserved;     // PredictX => collateral => held for open tickets
+
+    // ── Events ──────────────────────────────────────────
+    event TicketBought(uint256 indexed id, address indexed predictx, address indexed owner, uint256 stake, uint256 maxPayout, uint256[] marketIds, uint8[] outcomes);
+    event TicketSettled(uint256 indexed id, address indexed owner, uint256 payout);
+    event LiquidityAdded(address indexed predictx, address indexed collateral, uint256 amount);
+    event LiquidityRemoved(address indexed predictx, address indexed collateral, uint256 amount);
+
+    // ── Errors ──────────────────────────────────────────
+    error NotOwner();
+    error InvalidLegCount();
+    error DuplicateMarket();
+    error NotBinaryMarket();
+    error InvalidOutcome();
+    error MarketClosed();
+    error CollateralMismatch();
+    error EmptySide();
+    error PayoutTooHigh();
+    error SlippageExceeded();
+    error InsufficientLiquidity();
+    error UnknownTicket();
+    error AlreadySettled();
+    error TicketOpen();
+    error ClaimsPaused();
+    error ZeroAmount();
+    error WrongValue();
+    error TransferFailed();
+
+    // ── Liquidity ───────────────────────────────────────
+
+    /// @notice Fund `predictx`'s parlay pool in `collateral`; only that contract's owner
+    /// @param amount Collateral to add (send as msg.value for native, approve for ERC-20)
+    function addLiquidity(ARCPredictX predictx, address collateral, uint256 amount) external payable {
+        _checkOwner(predictx);
+        if (amount == 0) revert ZeroAmount();
+
+        // Effects
+        liquidity[address(predictx)][collateral] += amount;
+
+        // Interactions
+        _collect(collateral, amount);
+
+        emit LiquidityAdded(address(predictx), collateral, amount);
+    }
+
+    /// @notice Take back pool funds that no open ticket has reserved
+    function removeLiquidity(ARCPredictX predictx, address collateral, uint256 amount) external {
+        _checkOwner(predictx);
+        if (amount == 0) revert ZeroAmount();
+        if (amount > liquidity[address(predictx)][collateral]) revert InsufficientLiquidity();
+
+        // Effects
+        liquidity[address(predictx)][collateral] -= amount;
+
+        // Interactions
+        _send(collateral, msg.sender, amount);
+
+        emit LiquidityRemoved(address(predictx), collateral, amount);
+    }
+
+    // ── Tickets ─────────────────────────────────────────
+
+    /// @notice Buy a ticket that wins only if every leg does
+    /// @param marketIds One binary market per leg, no repeats, all in the same collateral
+    /// @param outcomes  The side of each leg (YES = 0 / NO = 1)
+    /// @param stake     Collateral to stake (send as msg.value for native, approve for ERC-20)
+    /// @param minPayout Revert if the odds moved so the payout would be lower (slippage guard)
+    /// @return id The new ticket's id
+    function buyTicket(ARCPredictX predictx, uint256[] calldata marketIds, uint8[] calldata outcomes, uint256 stake, uint256 minPayout)
+        external payable returns (uint256 id)
+    {
+        if (stake == 0) revert ZeroAmount();
+        (address collateral, Leg[] memory priced, uint256 payout) = _price(predictx, marketIds, outcomes, stake);
+        if (payout < minPayout) revert SlippageExceeded();
+        uint256 backing = payout - stake;
+        if (backing > liquidity[address(predictx)][collateral]) revert InsufficientLiquidity();
+
+        // Effects
+        id = ticketCount++;
+        tickets[id] = Ticket({
+            predictx:   predictx,
+            owner:      msg.sender,
+            collateral: collateral,
+            settled:    false,
+            stake:      stake,
+            maxPayout:  payout,
+            payout:     0
+        });
+        for (uint256 i = 0; i < priced.length; i++) legs[id].push(priced[i]);
+        ticketsOf[msg.sender].push(id);
+        liquidity[address(predictx)][collateral] -= backing;
+        reserved[address(predictx)][collateral]  += payout;
+
+        // Interactions
+        _collect(collateral, stake);
+
+        emit TicketBought(id, address(predictx), msg.sender, stake, payout, marketIds, outcomes);
+    }
+
+    /// @notice Close a ticket once its result is known and pay its owner; callable by anyone
+    /// @dev A ticket is lost as soon as one leg loses, even if other markets are still open.
+    function settle(uint256 ticketId) external {
+        Ticket storage t = _ticket(ticketId);
+        if (t.settled) revert AlreadySettled();
+        if (t.predictx.claimsPaused()) revert ClaimsPaused();
+        (bool done, uint256 payout) = _evaluate(ticketId);
+        if (!done) revert TicketOpen();
+
+        // Effects
+        t.settled = true;
+        t.payout  = payout;
+        reserved[address(t.predictx)][t.collateral]  -= t.maxPayout;
+        liquidity[address(t.predictx)][t.collateral] += t.maxPayout - payout;
+
+        // Interactions
+        if (payout > 0) _send(t.collateral, t.owner, payout);
+
+        emit TicketSettled(ticketId, t.owner, payout);
+    }
+
+    // ── Internal ────────────────────────────────────────
+
+    function _checkOwner(ARCPredictX predictx) internal view {
+        if (msg.sender != predictx.owner()) revert NotOwner();
+    }
+
+    function _ticket(uint256 ticketId) internal view returns (Ticket storage t) {
+        if (ticketId >= ticketCount) revert UnknownTicket();
+        t = tickets[ticketId];
+    }
+
+    /// @dev Legs follow betting: only binary markets that are live, visible and before their
+    ///      cutoff, while PredictX isn't paused or in emergency refund mode.
+    function _price(ARCPredictX predictx, uint256[] calldata marketIds, uint8[] calldata outcomes, uint256 stake)
+        internal view returns (address collateral, Leg[] memory priced, uint256 payout)
+    {
+        uint256 n = marketIds.length;
+        if (n < MIN_LEGS || n > MAX_LEGS || outcomes.length != n) revert InvalidLegCount();
+        if (predictx.bettingPaused() || predictx.emergencyRefund()) revert MarketClosed();
+
+        priced = new Leg[](n);
+        payout = stake;
+        for (uint256 i = 0; i < n; i++) {
+            uint256 id = marketIds[i];
+            for (uint256 j = 0; j < i; j++) if (marketIds[j] == id) revert DuplicateMarket();
+            if (outcomes[i] > NO) revert InvalidOutcome();
+
+            ARCPredictX.Market memory m = predictx.getMarketInfo(id);
+            if (m.kind != ARCPredictXStorage.MarketKind.Binary) revert NotBinaryMarket();
+            (, , , uint64 cutoff) = predictx.limits(id);
+            if (block.timestamp + cutoff >= m.endTime || m.cancelled || m.hidden) revert MarketClosed();
+            if (i == 0) collateral = m.collateral;
+            else if (m.collateral != collateral) revert CollateralMismatch();
+
+            uint256 odds = _odds(predictx, id, m.totalPool, outcomes[i]);
+            if (odds == 0) revert EmptySide();
+            priced[i] = Leg({ marketId: id, outcome: outcomes[i], odds: odds });
+            payout = (payout * odds) / ODDS_PRECISION;
+        }
+        if (payout > stake * MAX_MULTIPLE) revert PayoutTooHigh();
+    }
+
+    /// @dev Legs are applied in purchase order, as in _price, and never above their locked odds,
+    ///      so a ticket never pays more than was reserved. In emergency refund mode PredictX voids
+    ///      every unresolved market, so those legs count as voided here too.
+    function _evaluate(uint256 ticketId) internal view returns (bool done, uint256 payout) {
+        Ticket storage t = tickets[ticketId];
+        Leg[] storage ls = legs[ticketId];
+        bool emergency = t.predictx.emergencyRefund();
+        done = true;
+        payout = t.stake;
+        for (uint256 i = 0; i < ls.length; i++) {
+            ARCPredictX.Market memory m = t.predictx.getMarketInfo(ls[i].marketId);
+            if (m.resolved) {
+                if (m.winningOutcome != ls[i].outcome) return (true, 0);
+                uint256 odds = _odds(t.predictx, ls[i].marketId, m.totalPool, ls[i].outcome);
+                if (odds > ls[i].odds) odds = ls[i].odds;
+                payout = (payout * odds) / ODDS_PRECISION;
+            } else if (!m.cancelled && !emergency) {
+                done = false;
+            }
+        }
+    }
+
+    /// @dev A side's pari-mutuel multiple capped at MAX_LEG_ODDS, or 0 if nothing is staked on it.
+    function _odds(ARCPredictX predictx, uint256 marketId, uint256 totalPool, uint8 outcome) internal view returns (uint256 odds) {
+        uint256 side = predictx.outcomePools(marketId, outcome);
+        if (side == 0) return 0;
+        odds = (totalPool * ODDS_PRECISION) / side;
+        if (odds > MAX_LEG_ODDS) odds = MAX_LEG_ODDS;
+    }
+
+    function _collect(address token, uint256 amount) internal {
+        if (token == address(0)) {
+            if (msg.value != amount) revert WrongValue();
+            return;
+        }
+        if (msg.value != 0) revert WrongValue();
+        _callToken(token, abi.encodeWithSelector(IERC20.transferFrom.selector, msg.sender, address(this), amount));
+    }
+
+    function _send(address token, address to, uint256 amount) internal {
+        if (token == address(0)) {
+            (bool ok, ) = payable(to).call{value: amount}("");
+            if (!ok) revert TransferFailed();
+        } else {
+            _callToken(token, abi.encodeWithSelector(IERC20.transfer.selector, to, amount));
+        }
+    }
+
+    function _callToken(address token, bytes memory data) internal {
+        (bool ok, bytes memory ret) = token.call(data);
+        if (!ok || (ret.length != 0 && !abi.decode(ret, (bool)))) revert TransferFailed();
+    }
+
+    // ── View Helpers ────────────────────────────────────
+
+    /// @notice The most a ticket on these legs would pay if every leg won, at the current odds
+    /// @return payout     stake × the product of the leg odds
+    /// @return collateral The legs' shared collateral
+    function quote(ARCPredictX predictx, uint256[] calldata marketIds, uint8[] calldata outcomes, uint256 stake)
+        external view returns (uint256 payout, address collateral)
+    {
+        (collateral, , payout) = _price(predictx, marketIds, outcomes, stake);
+    }
+
+    /// @notice Whether a ticket can be settled yet and what it would pay
+    function preview(uint256 ticketId) external view returns (bool done, uint256 payout) {
+        Ticket storage t = _ticket(ticketId);
+        if (t.settled) return (true, t.payout);
+        return _evaluate(ticketId);
+    }
+
+    /// @notice A ticket's legs with the odds locked in when it was bought, the most each can pay
+    function getLegs(uint256 ticketId) external view returns (Leg[] memory) {
+        return legs[ticketId];
+    }
+
+    /// @notice Ids of every ticket `owner` has bought
+    function getTickets(address owner) external view returns (uint256[] memory) {
+        return ticketsOf[owner];
+    }
+}
@@ -0,0 +1,147 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "./ARCPredictX.sol";
+import "./interfaces/IMarketOracle.sol";
+import "./interfaces/AggregatorV3Interface.sol";
+
+/// @title ARCPredictXPriceOracle — Settles "will the price be above X at T?" markets from a feed
+/// @notice A YES/NO market created with `oracleData = abi.encode(feed, threshold, comparison)`
+///         resolves YES when the feed's first reading at or after endTime compares true against
+///         the threshold, and NO otherwise. Anyone can trigger `settle` once that reading exists.
+/// @dev One deployment serves every PredictX contract that links it with `setOracle`; terms are
+///      stored per calling contract. The feed must be a Chainlink-style AggregatorV3 that the
+///      PredictX contract's owner has allowed with `setFeedAllowed`, and the threshold uses the
+///      feed's decimals. The settling round is supplied by the caller and
+///      must be the first at or after endTime (its predecessor reported before endTime), so a
+///      later, more convenient reading can't be picked. If the feed stops reporting, a resolver
+///      can still void the market on PredictX.
+contract ARCPredictXPriceOracle is IMarketOracle {
+
+    /// @dev The market resolves YES when `price <comparison> threshold` holds
+    enum Comparison { Above, AtOrAbove, Below, AtOrBelow }
+
+    struct Condition {
+        AggregatorV3Interface feed;
+        int256     threshold;     // in the feed's decimals
+        Comparison comparison;
+        bool       settled;
+        uint80     roundId;       // round the market settled on
+        int256     price;         // that round's answer
+    }
+
+    mapping(address => mapping(uint256 => Condition)) public conditions;   // PredictX contract => market => terms
+    mapping(address => mapping(address => bool))      public allowedFeeds; // PredictX contract => feed => usable
+
+    // ── Events ──────────────────────────────────────────
+    event FeedAllowed(address indexed predictx, address indexed feed, bool allowed);
+    event ConditionSet(address indexed predictx, uint256 indexed marketId, address feed, int256 threshold, Comparison comparison);
+    event PriceSettled(address indexed predictx, uint256 indexed marketId, uint80 roundId, int256 price, bool outcome);
+
+    // ── Errors ──────────────────────────────────────────
+    error NotOwner();
+    error InvalidFeed();
+    error FeedNotAllowed();
+    error NotBinaryMarket();
+    error UnknownMarket();
+    error AlreadySettled();
+    error MarketNotExpired();
+    error RoundTooEarly();
+    error NotFirstRound();
+
+    // ── Feeds ───────────────────────────────────────────
+
+    /// @notice Let markets on `predictx` settle from `feed`, or stop new ones from using it
+    /// @dev Only the PredictX contract's owner may change its list. Markets already created keep
+    ///      their feed when it is removed.
+    function setFeedAllowed(ARCPredictX predictx, address feed, bool allowed) external {
+        if (msg.sender != predictx.owner()) revert NotOwner();
+        if (allowed && feed.code.length == 0) revert InvalidFeed();
+        allowedFeeds[address(predictx)][feed] = allowed;
+        emit FeedAllowed(address(predictx), feed, allowed);
+    }
+
+    // ── Market Setup ────────────────────────────────────
+
+    /// @inheritdoc IMarketOracle
+    /// @dev `data` is abi.encode(address feed, int256 threshold, Comparison comparison).
+    function onMarketCreated(uint256 marketId, bytes calldata data) external {
+        (address feed, int256 threshold, Comparison comparison) = abi.decode(data, (address, int256, Comparison));
+        if (ARCPredictX(msg.sender).getMarketInfo(marketId).kind != ARCPredictXStorage.MarketKind.Binary) revert NotBinaryMarket();
+        if (!allowedFeeds[msg.sender][feed]) revert FeedNotAllowed();
+        AggregatorV3Interface(feed).latestRoundData(); // reverts unless it is a live feed
+
+        conditions[msg.sender][marketId] = Condition({
+            feed:       AggregatorV3Interface(feed),
+            threshold:  threshold,
+            comparison: comparison,
+            settled:    false,
+            roundId:    0,
+            price:      0
+        });
+
+        emit ConditionSet(msg.sender, marketId, feed, threshold, comparison);
+    }
+
+    // ── Settlement ──────────────────────────────────────
+
+    /// @notice Resolve a market from its feed; callable by anyone after endTime
+    /// @param roundId The feed's first round at or after endTime (see firstRoundAfterEnd)
+    function settle(ARCPredictX predictx, uint256 marketId, uint80 roundId) external {
+        Condition storage c = conditions[address(predictx)][marketId];
+        if (address(c.feed) == address(0)) revert UnknownMarket();
+        if (c.settled) revert AlreadySettled();
+        uint256 endTime = predictx.getMarketInfo(marketId).endTime;
+        if (block.timestamp < endTime) revert MarketNotExpired();
+
+        (, int256 price, , uint256 updatedAt, ) = c.feed.getRoundData(roundId);
+        if (updatedAt < endTime) revert RoundTooEarly();
+        if (roundId > 0) {
+            // A missing predecessor (first round, or a new feed phase) is fine
+            try c.feed.getRoundData(roundId - 1) returns (uint80, int256, uint256, uint256 prevUpdatedAt, uint80) {
+                if (prevUpdatedAt >= endTime) revert NotFirstRound();
+            } catch {}
+        }
+        bool outcome = _holds(price, c.threshold, c.comparison);
+
+        // Effects
+        c.settled = true;
+        c.roundId = roundId;
+        c.price   = price;
+
+        // Interactions
+        predictx.resolveMarket(marketId, outcome);
+
+        emit PriceSettled(address(predictx), marketId, roundId, price, outcome);
+    }
+
+    // ── View Helpers ────────────────────────────────────
+
+    /// @notice The round `settle` needs: the feed's first reading at or after the market's endTime
+    /// @param maxSteps How many rounds to walk back from the latest one
+    /// @return roundId 0 if the feed hasn't reported since endTime, or that round is further back
+    function firstRoundAfterEnd(ARCPredictX predictx, uint256 marketId, uint256 maxSteps) external view returns (uint80 roundId) {
+        AggregatorV3Interface feed = conditions[address(predictx)][marketId].feed;
+        if (address(feed) == address(0)) revert UnknownMarket();
+        uint256 endTime = predictx.getMarketInfo(marketId).endTime;
+
+        (uint80 id, , , uint256 updatedAt, ) = feed.latestRoundData();
+        if (updatedAt < endTime) return 0;
+        for (uint256 i = 0; i < maxSteps && id > 0; i++) {
+            try feed.getRoundData(id - 1) returns (uint80, int256, uint256, uint256 prevUpdatedAt, uint80) {
+                if (prevUpdatedAt < endTime) return id;
+            } catch {
+                return id;
+            }
+            id--;
+        }
+        return 0;
+    }
+
+    function _holds(int256 price, int256 threshold, Comparison comparison) internal pure returns (bool) {
+        if (comparison == Comparison.Above)     return price > threshold;
+        if (comparison == Comparison.AtOrAbove) return price >= threshold;
+        if (comparison == Comparison.Below)     return price < threshold;
+        return price <= threshold;
+    }
+}
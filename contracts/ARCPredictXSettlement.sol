@@ -0,0 +1,263 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "./ARCPredictXStorage.sol";
+
+/// @title ARCPredictXSettlement — resolution, voiding and rescheduling for ARCPredictX
+/// @notice Deployed by the ARCPredictX constructor. ARCPredictX forwards its resolver and arbiter
+///         functions here by delegatecall, so they run against its storage; see ARCPredictX for
+///         what each does.
+/// @dev Called directly, the module only sees its own empty storage, where no market exists.
+contract ARCPredictXSettlement is ARCPredictXStorage {
+
+    // ── Resolution ──────────────────────────────────────
+
+    function resolveMarket(uint256 marketId, bool outcome) external payable {
+        _checkResolver(marketId);
+        if (_market(marketId).kind != MarketKind.Binary) revert NotBinaryMarket();
+        uint8 outcomeIndex = outcome ? YES : NO;
+        if (_proposeResolution(marketId, outcomeIndex, 0)) _resolve(marketId, outcomeIndex);
+    }
+
+    function resolveOutcome(uint256 marketId, uint8 outcomeIndex) external payable {
+        _checkResolver(marketId);
+        if (_market(marketId).kind == MarketKind.Scalar) revert InvalidOutcome();
+        if (_proposeResolution(marketId, outcomeIndex, 0)) _resolve(marketId, outcomeIndex);
+    }
+
+    function resolveScalar(uint256 marketId, int256 value) external payable {
+        _checkResolver(marketId);
+        if (_market(marketId).kind != MarketKind.Scalar) revert NotScalarMarket();
+        if (_proposeResolution(marketId, 0, value)) _resolveScalar(marketId, value);
+    }
+
+    function disputeResolution(uint256 marketId) external payable {
+        Resolution storage r = resolutions[marketId];
+        if (r.deadline == 0) revert NoResolutionProposed();
+        if (r.disputer != address(0)) revert AlreadyDisputed();
+        if (block.timestamp >= r.deadline) revert DisputeWindowClosed();
+        if (msg.value != r.bond) revert WrongBond();
+
+        r.disputer = msg.sender;
+
+        emit ResolutionDisputed(marketId, msg.sender);
+    }
+
+    function finalizeResolution(uint256 marketId) external {
+        _checkResolution();
+        Resolution storage r = resolutions[marketId];
+        if (r.deadline == 0) revert NoResolutionProposed();
+        if (r.disputer != address(0)) revert AlreadyDisputed();
+        if (block.timestamp < r.deadline) revert DisputeWindowOpen();
+
+        accruedFees[r.proposer] += r.bond;
+        (uint8 outcome, int256 value) = (r.outcome, r.value);
+        delete resolutions[marketId];
+        if (markets[marketId].kind == MarketKind.Scalar) _resolveScalar(marketId, value);
+        else _resolve(marketId, outcome);
+    }
+
+    function arbitrate(uint256 marketId, uint8 outcomeIndex) external onlyRole(ARBITER_ROLE) {
+        Market storage m = markets[marketId];
+        if (outcomeIndex >= m.outcomeCount || m.kind == MarketKind.Scalar) revert InvalidOutcome();
+        _arbitrate(marketId, outcomeIndex, 0);
+        _resolve(marketId, outcomeIndex);
+    }
+
+    function arbitrateScalar(uint256 marketId, int256 value) external onlyRole(ARBITER_ROLE) {
+        if (markets[marketId].kind != MarketKind.Scalar) revert NotScalarMarket();
+        _arbitrate(marketId, 0, value);
+        _resolveScalar(marketId, value);
+    }
+
+    // ── Voiding & Rescheduling ──────────────────────────
+
+    function cancelMarket(uint256 marketId) external onlyRole(RESOLVER_ROLE) {
+        Market storage m = _market(marketId);
+        _checkUnsettled(m);
+
+        _void(m);
+        _returnResolutionBonds(marketId);
+    }
+
+    function rejectMarket(uint256 marketId) external onlyRole(RESOLVER_ROLE) {
+        Market storage m = _market(marketId);
+        _checkUnsettled(m);
+
+        uint256 bond = m.bond;
+        m.bond = 0;
+        accruedFees[treasury] += bond;
+        _void(m);
+        _returnResolutionBonds(marketId);
+
+        if (bond > 0) emit BondSlashed(marketId, bond);
+    }
+
+    function rescheduleMarket(uint256 marketId, uint256 newEndTime) external onlyRole(RESOLVER_ROLE) {
+        Market storage m = _market(marketId);
+        uint256 oldEndTime = m.endTime;
+        if (block.timestamp >= oldEndTime) revert MarketExpired();
+        if (m.cancelled) revert MarketIsCancelled();
+        if (newEndTime <= oldEndTime) revert NotExtension();
+        if (newEndTime > oldEndTime + MAX_EXTENSION) revert ExtensionTooLong();
+        if (reschedules[marketId] >= MAX_RESCHEDULES) revert TooManyReschedules();
+
+        reschedules[marketId]++;
+        m.endTime = newEndTime;
+        // A market whose betting has already closed stays closed
+        BetLimits storage l = limits[marketId];
+        if (block.timestamp + l.cutoff >= oldEndTime) l.cutoff += uint64(newEndTime - oldEndTime);
+
+        emit MarketRescheduled(marketId, oldEndTime, newEndTime);
+    }
+
+    function closeBetting(uint256 marketId, uint256 closesAt) external onlyRole(RESOLVER_ROLE) {
+        Market storage m = _market(marketId);
+        BetLimits storage l = limits[marketId];
+        if (m.cancelled) revert MarketIsCancelled();
+        if (block.timestamp + l.cutoff >= m.endTime) revert BettingClosed();
+        if (closesAt < block.timestamp) revert EndTimeInPast();
+        if (closesAt + l.cutoff >= m.endTime) revert NotEarlier();
+
+        l.cutoff = uint64(m.endTime - closesAt);
+
+        emit BettingClosedEarly(marketId, closesAt);
+    }
+
+    // ── Internal ────────────────────────────────────────
+
+    /// @dev Oracle-settled markets only take their oracle's reading; the rest need RESOLVER_ROLE.
+    function _checkResolver(uint256 marketId) internal view {
+        address o = marketOracle[marketId];
+        if (o == address(0)) _checkRole(RESOLVER_ROLE);
+        else if (msg.sender != o) revert NotMarketOracle();
+    }
+
+    /// @dev Records the proposal, or returns true if the caller should settle the market at once
+    ///      (an oracle's reading, or no dispute window), so each caller only pulls in its own settlement.
+    /// @param value Only read for scalar markets, whose outcomeIndex is always 0
+    function _proposeResolution(uint256 marketId, uint8 outcomeIndex, int256 value) internal returns (bool immediate) {
+        _checkResolution();
+        Market storage m = _market(marketId);
+        _checkResolvable(m);
+        if (outcomeIndex >= m.outcomeCount) revert InvalidOutcome();
+        if (resolutions[marketId].deadline != 0) revert ResolutionPending();
+
+        // An oracle's reading takes no bond
+        immediate = marketOracle[marketId] != address(0);
+        if (msg.value != (immediate ? 0 : resolutionBond)) revert WrongBond();
+
+        if (immediate || disputeWindow == 0) {
+            accruedFees[msg.sender] += msg.value;
+            return true;
+        }
+
+        uint256 deadline = block.timestamp + disputeWindow;
+        resolutions[marketId] = Resolution({
+            proposer: msg.sender,
+            outcome:  outcomeIndex,
+            deadline: uint64(deadline),
+            disputer: address(0),
+            bond:     msg.value,
+            value:    value
+        });
+
+        emit ResolutionProposed(marketId, outcomeIndex, value, msg.sender, deadline);
+    }
+
+    /// @dev Pays out both bonds and clears the dispute; the caller then settles the market.
+    function _arbitrate(uint256 marketId, uint8 outcomeIndex, int256 value) internal {
+        _checkResolution();
+        Resolution storage r = resolutions[marketId];
+        if (r.disputer == address(0)) revert NotDisputed();
+
+        address recipient = outcomeIndex == r.outcome && value == r.value ? r.proposer : r.disputer;
+        accruedFees[recipient] += r.bond * 2;
+        delete resolutions[marketId];
+
+        emit DisputeSettled(marketId, outcomeIndex, value, recipient);
+    }
+
+    /// @dev If nobody backed the winning outcome the market is voided instead, so the
+    ///      losing pools are refunded rather than locked in the contract. The ruling is still
+    ///      recorded in `voidedRuling`, so market maker shares redeem against it and a dust bet
+    ///      on the losing side can't turn them into a coin flip.
+    function _resolve(uint256 marketId, uint8 outcomeIndex) internal {
+        Market storage m = markets[marketId];
+        _checkResolvable(m);
+        if (outcomeIndex >= m.outcomeCount) revert InvalidOutcome();
+
+        if (outcomePools[marketId][outcomeIndex] == 0 && m.totalPool > 0) {
+            voidedRuling[marketId] = outcomeIndex + 1;
+            _void(m);
+            return;
+        }
+
+        // Effects
+        m.resolved       = true;
+        m.winningOutcome = outcomeIndex;
+        _takeFee(m, m.totalPool - outcomePools[marketId][outcomeIndex]);
+
+        if (m.kind == MarketKind.Binary) emit MarketResolved(marketId, outcomeIndex == YES);
+        else emit OutcomeResolved(marketId, outcomeIndex);
+    }
+
+    /// @dev LONG receives (value - lower) / (upper - lower) of the pool, clamped to [0, 1], and
+    ///      SHORT the rest. The fee comes out of whatever one side gains from the other. If one
+    ///      side is empty the other takes the whole pool; if both are, the market is voided.
+    function _resolveScalar(uint256 marketId, int256 value) internal {
+        Market storage m = markets[marketId];
+        _checkResolvable(m);
+
+        uint256 longPool  = outcomePools[marketId][LONG];
+        uint256 shortPool = outcomePools[marketId][SHORT];
+        if (longPool == 0 && shortPool == 0 && m.totalPool > 0) {
+            _void(m);
+            return;
+        }
+
+        Scalar storage s = scalars[marketId];
+        int256 clamped = value < s.lower ? s.lower : value > s.upper ? s.upper : value;
+        uint256 longShare;
+        if (shortPool == 0) longShare = m.totalPool;
+        else if (longPool != 0) {
+            uint256 offset;
+            uint256 width;
+            unchecked { // two's-complement differences are exact since lower <= clamped <= upper
+                offset = uint256(clamped) - uint256(s.lower);
+                width  = uint256(s.upper) - uint256(s.lower);
+            }
+            longShare = (m.totalPool * offset) / width;
+        }
+        uint256 shortShare = m.totalPool - longShare;
+
+        // Effects
+        m.resolved = true;
+        bool longGains = longShare > longPool;
+        _takeFee(m, longGains ? longShare - longPool : shortShare - shortPool);
+        if (longGains) longShare -= m.feeAmount;
+        else shortShare -= m.feeAmount;
+        s.value       = value;
+        s.longPayout  = longShare;
+        s.shortPayout = shortShare;
+
+        emit ScalarResolved(marketId, value, longShare, shortShare);
+    }
+
+    /// @dev The fee only comes out of the losing pools, so winners never get back less than they staked.
+    ///      The market's referralBps of it stays in the contract and is released claim by claim
+    ///      (see _payout), so referrers are paid out of the fee rather than their referees' winnings.
+    function _takeFee(Market storage m, uint256 losingPool) internal {
+        uint256 fee = (losingPool * m.feeBps) / BPS;
+        if (fee == 0) return;
+
+        uint256 split = fee - (fee * m.referralBps) / BPS;
+        uint256 creatorFee = (split * m.creatorShareBps) / BPS;
+        m.feeAmount = fee;
+        mapping(address => uint256) storage owed = _owed(m.collateral);
+        owed[m.creator] += creatorFee;
+        owed[treasury]  += split - creatorFee;
+
+        emit FeesAccrued(m.id, split - creatorFee, creatorFee);
+    }
+}
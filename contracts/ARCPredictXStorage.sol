@@ -0,0 +1,338 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+/// @title ARCPredictXStorage — types, state, events and errors shared by ARCPredictX and its modules
+/// @dev ARCPredictXSettlement runs by delegatecall against ARCPredictX's storage, so both inherit
+///      this layout and neither may declare state of its own. New state goes at the end.
+abstract contract ARCPredictXStorage {
+
+    enum MarketKind { Binary, Categorical, Scalar }
+
+    struct Market {
+        uint256    id;
+        string     question;
+        uint256    endTime;
+        uint256    totalPool;      // sum of every outcome pool, plus early-exit penalties
+        MarketKind kind;
+        uint8      outcomeCount;
+        uint8      winningOutcome; // valid once resolved; unused by scalar markets
+        bool       resolved;
+        bool       cancelled;      // void — every bettor is refunded their stake
+        address    creator;        // earns creatorShareBps of the fee
+        uint16     feeBps;         // fee rate locked in at creation
+        uint16     creatorShareBps; // creator's share of the fee, locked in at creation
+        uint16     referralBps;    // referral rate locked in at creation
+        uint256    feeAmount;      // fee taken from the losing pools at resolution
+        uint256    bond;           // posted by permissionless creators, 0 once returned or slashed
+        bool       hidden;         // moderated out of listings; no new bets
+        address    collateral;     // ERC-20 staked and paid out, address(0) = native
+    }
+
+    /// @notice Options for createMarketWithParams / proposeMarketWithParams
+    struct MarketParams {
+        string   question;
+        string[] outcomes;         // empty for a YES/NO market
+        uint256  endTime;
+        address  collateral;       // address(0) = native
+        string   metadata;         // JSON document (description, category, …); only its hash is stored
+        BetLimits limits;          // all zero = no limits
+        bytes    oracleData;       // settlement terms for the linked oracle; empty = resolvers settle
+        ScalarRange range;         // lower < upper makes a scalar market (no outcomes); both 0 otherwise
+    }
+
+    /// @notice Bounds of a scalar market, in whatever unit the question is asked in
+    struct ScalarRange {
+        int256 lower;              // values at or below pay everything to SHORT
+        int256 upper;              // values at or above pay everything to LONG
+    }
+
+    /// @notice Optional per-market betting limits; 0 disables each one
+    struct BetLimits {
+        uint128 minBet;            // smallest single bet
+        uint128 maxPerUser;        // cap on one account's total stake across outcomes
+        uint128 maxPool;           // cap on totalPool
+        uint64  cutoff;            // betting closes this many seconds before endTime
+    }
+
+    /// @notice EIP-712 intent to bet `amount` of a market's collateral on `outcome`
+    struct BetIntent {
+        address bettor;            // signer; credited with the stake and charged the collateral
+        uint256 marketId;
+        uint8   outcome;
+        uint256 amount;
+        uint256 nonce;             // must equal nonces[bettor]
+        uint256 deadline;          // unix time after which the intent can't be executed
+    }
+
+    /// @notice EIP-712 intent to collect every reward and refund owed in `marketIds`
+    struct ClaimIntent {
+        address claimant;          // signer; receives the payouts
+        uint256[] marketIds;
+        uint256 nonce;
+        uint256 deadline;
+    }
+
+    /// @dev A scalar market's range and, once resolved, the value and each side's net payout.
+    struct Scalar {
+        int256  lower;
+        int256  upper;
+        int256  value;         // as reported; payouts use it clamped to [lower, upper]
+        uint256 longPayout;    // shared pro rata by the LONG pool
+        uint256 shortPayout;   // shared pro rata by the SHORT pool
+    }
+
+    /// @dev A pending outcome proposal; deleted once the market is resolved or voided.
+    struct Resolution {
+        address proposer;
+        uint8   outcome;
+        uint64  deadline;      // disputes accepted until this timestamp
+        address disputer;      // zero unless disputed
+        uint256 bond;          // posted by the proposer and matched by the disputer
+        int256  value;         // proposed value, scalar markets only
+    }
+
+    uint8 public constant YES = 0;
+    uint8 public constant NO  = 1;
+    uint8 public constant LONG  = 0;
+    uint8 public constant SHORT = 1;
+    uint8 public constant MAX_OUTCOMES = 16;
+    uint16 public constant MAX_FEE_BPS = 1000; // 10% of the losing pools
+    uint16 public constant MAX_EXIT_PENALTY_BPS = 1000; // 10% of the amount withdrawn
+    uint16 public constant MAX_REFERRAL_BPS = 5000; // half of a market's fee
+    uint16 public constant BPS = 10_000;
+    uint256 public constant EMERGENCY_DELAY = 2 days;
+    uint8 public constant MAX_RESCHEDULES = 3;      // endTime extensions per market
+    uint256 public constant MAX_EXTENSION = 30 days; // per change
+
+    bytes32 public constant CREATOR_ROLE  = keccak256("CREATOR_ROLE");
+    bytes32 public constant RESOLVER_ROLE = keccak256("RESOLVER_ROLE");
+    bytes32 public constant PAUSER_ROLE   = keccak256("PAUSER_ROLE");
+    bytes32 public constant ARBITER_ROLE  = keccak256("ARBITER_ROLE");
+
+    bytes32 public constant BET_INTENT_TYPEHASH = keccak256(
+        "BetIntent(address bettor,uint256 marketId,uint8 outcome,uint256 amount,uint256 nonce,uint256 deadline)"
+    );
+    bytes32 public constant CLAIM_INTENT_TYPEHASH = keccak256(
+        "ClaimIntent(address claimant,uint256[] marketIds,uint256 nonce,uint256 deadline)"
+    );
+
+    address public owner;
+    address public pendingOwner;
+    mapping(bytes32 => mapping(address => bool)) public hasRole;
+
+    uint256 public marketCount;
+
+    address public treasury;
+    uint16  public feeBps;            // applied to markets created from now on
+    uint16  public creatorShareBps;   // part of each new market's fee paid to its creator
+    mapping(address => uint256) public accruedFees;                       // native
+    mapping(address => mapping(address => uint256)) public tokenFees;     // token => account => accrued
+
+    uint256 public creationBond;      // required to propose a market without CREATOR_ROLE
+    uint256 public minDuration;       // shortest betting window a proposal may have
+
+    uint256 public resolutionBond;    // posted with every outcome proposal
+    uint256 public disputeWindow;     // seconds a proposal can be disputed; 0 = resolve instantly
+
+    address public amm;               // linked ARCPredictXAMM, for discovery by frontends
+    address public oracle;            // settles markets created with oracleData
+
+    uint16  public exitPenaltyBps;    // kept in the pool when a bet is withdrawn before endTime
+    uint16  public referralBps;       // share of a new market's fee set aside for referrers
+
+    bool    public bettingPaused;     // bets and early withdrawals
+    bool    public resolutionPaused;  // proposing, finalizing and arbitrating outcomes
+    bool    public claimsPaused;      // rewards, refunds, bonds and fee withdrawals
+    bool    public emergencyRefund;   // every unresolved market is void; one-way
+    uint256 public emergencyRefundAt; // earliest activation of a scheduled emergency refund, 0 = none
+
+    mapping(uint256 => Market)                                        internal markets;
+    mapping(uint256 => string[])                                      internal outcomeLabels;  // categorical only
+    mapping(uint256 => mapping(uint256 => uint256))                   public outcomePools;     // market => outcome => staked
+    mapping(uint256 => mapping(address => mapping(uint256 => uint256))) public stakes;         // market => user => outcome => staked
+    mapping(uint256 => mapping(address => bool))                      public claimed;
+    mapping(uint256 => Resolution)                                    public resolutions;
+    mapping(uint256 => uint256)                                       public exitPenalties;    // market => penalties kept in totalPool
+    mapping(uint256 => bytes32)                                       public metadataHash;     // keccak256 of the metadata document, 0 = none
+    mapping(uint256 => BetLimits)                                     public limits;
+    mapping(address => uint256)                                       public nonces;           // next intent nonce per signer
+    mapping(uint256 => address)                                       public marketOracle;     // oracle that settles the market, 0 = resolvers
+    mapping(uint256 => Scalar)                                        public scalars;          // scalar markets only
+    mapping(uint256 => uint8)                                         public reschedules;      // endTime extensions made so far
+    mapping(address => address)                                       public referrerOf;       // first referrer a bettor named, 0 = none
+    mapping(address => mapping(address => uint256))                   public referralEarnings; // referrer => collateral => total earned
+    mapping(uint256 => uint8)                                         public voidedRuling;     // 1 + outcome ruled on a market voided for lack of winners, 0 = none
+
+    // ── Events ──────────────────────────────────────────
+    event MarketCreated(uint256 indexed id, string question, uint256 endTime, bytes32 metadataHash, string metadata);
+    event BetPlaced(uint256 indexed id, address indexed user, bool isYes, uint256 amount);
+    event MarketResolved(uint256 indexed id, bool outcome);
+    event RewardClaimed(uint256 indexed id, address indexed user, uint256 reward);
+    event MarketCancelled(uint256 indexed id);
+    event Refunded(uint256 indexed id, address indexed user, uint256 amount);
+    event OutcomeBetPlaced(uint256 indexed id, address indexed user, uint256 outcome, uint256 amount);
+    event OutcomeResolved(uint256 indexed id, uint256 outcome);
+    event ScalarResolved(uint256 indexed id, int256 value, uint256 longPayout, uint256 shortPayout);
+    event OwnershipTransferStarted(address indexed previousOwner, address indexed newOwner);
+    event OwnershipTransferred(address indexed previousOwner, address indexed newOwner);
+    event RoleGranted(bytes32 indexed role, address indexed account, address indexed sender);
+    event RoleRevoked(bytes32 indexed role, address indexed account, address indexed sender);
+    event FeeConfigUpdated(uint16 feeBps, uint16 creatorShareBps);
+    event TreasuryUpdated(address indexed treasury);
+    event FeesAccrued(uint256 indexed id, uint256 treasuryFee, uint256 creatorFee);
+    event FeesWithdrawn(address indexed account, uint256 amount);
+    event TokenFeesWithdrawn(address indexed token, address indexed account, uint256 amount);
+    event BondConfigUpdated(uint256 creationBond, uint256 minDuration);
+    event MarketProposed(uint256 indexed id, address indexed creator, uint256 bond);
+    event MarketHidden(uint256 indexed id, bool hidden);
+    event MarketRescheduled(uint256 indexed id, uint256 oldEndTime, uint256 newEndTime);
+    event BettingClosedEarly(uint256 indexed id, uint256 closesAt);
+    event ReferralConfigUpdated(uint16 referralBps);
+    event ReferrerSet(address indexed user, address indexed referrer);
+    event ReferralPaid(uint256 indexed id, address indexed referrer, address indexed user, uint256 amount);
+    event BondReturned(uint256 indexed id, address indexed creator, uint256 amount);
+    event BondSlashed(uint256 indexed id, uint256 amount);
+    event ResolutionConfigUpdated(uint256 resolutionBond, uint256 disputeWindow);
+    event ResolutionProposed(uint256 indexed id, uint256 outcome, int256 value, address indexed proposer, uint256 deadline);
+    event ResolutionDisputed(uint256 indexed id, address indexed disputer);
+    event DisputeSettled(uint256 indexed id, uint256 outcome, int256 value, address indexed bondRecipient);
+    event AmmUpdated(address indexed amm);
+    event OracleUpdated(address indexed oracle);
+    event ExitPenaltyUpdated(uint16 exitPenaltyBps);
+    event BetWithdrawn(uint256 indexed id, address indexed user, uint256 outcome, uint256 amount, uint256 penalty);
+    event PauseUpdated(bool betting, bool resolution, bool claims);
+    event EmergencyRefundScheduled(uint256 activateAt);
+    event EmergencyRefundCancelled();
+    event EmergencyRefundActivated();
+
+    // ── Errors ──────────────────────────────────────────
+    error OnlyOwner();
+    error NotPendingOwner();
+    error MissingRole(bytes32 role, address account);
+    error EndTimeInPast();
+    error MarketExpired();
+    error MarketNotExpired();
+    error MarketAlreadyResolved();
+    error MarketNotResolved();
+    error ZeroBet();
+    error NotWinner();
+    error AlreadyClaimed();
+    error TransferFailed();
+    error InvalidMarket();
+    error MarketIsCancelled();
+    error MarketNotCancelled();
+    error NothingToRefund();
+    error InvalidOutcome();
+    error InvalidOutcomeCount();
+    error NotBinaryMarket();
+    error FeeTooHigh();
+    error InvalidShare();
+    error ZeroAddress();
+    error NothingToWithdraw();
+    error WrongBond();
+    error DurationTooShort();
+    error BondLocked();
+    error MarketIsHidden();
+    error ResolutionPending();
+    error NoResolutionProposed();
+    error DisputeWindowClosed();
+    error DisputeWindowOpen();
+    error AlreadyDisputed();
+    error NotDisputed();
+    error InvalidCollateral();
+    error WrongValue();
+    error PenaltyTooHigh();
+    error InsufficientStake();
+    error NothingToClaim();
+    error BettingPaused();
+    error ResolutionPaused();
+    error ClaimsPaused();
+    error EmergencyActive();
+    error EmergencyNotScheduled();
+    error EmergencyTimelocked();
+    error AlreadyInitialized();
+    error InvalidLimits();
+    error BettingClosed();
+    error BetTooSmall();
+    error UserLimitExceeded();
+    error PoolLimitExceeded();
+    error IntentExpired();
+    error InvalidNonce();
+    error InvalidSignature();
+    error NoOracle();
+    error NotMarketOracle();
+    error InvalidRange();
+    error NotScalarMarket();
+    error TooManyReschedules();
+    error ExtensionTooLong();
+    error NotExtension();
+    error NotEarlier();
+    error ReferralTooHigh();
+
+    // Modifiers delegate to functions so the check is compiled once, not inlined per use.
+    modifier onlyOwner() {
+        _checkOwner();
+        _;
+    }
+
+    modifier onlyRole(bytes32 role) {
+        _checkRole(role);
+        _;
+    }
+
+    // ── Internal ────────────────────────────────────────
+
+    function _market(uint256 marketId) internal view returns (Market storage) {
+        if (marketId >= marketCount) revert InvalidMarket();
+        return markets[marketId];
+    }
+
+    function _checkOwner() internal view {
+        if (msg.sender != owner) revert OnlyOwner();
+    }
+
+    function _checkRole(bytes32 role) internal view {
+        if (!hasRole[role][msg.sender]) revert MissingRole(role, msg.sender);
+    }
+
+    function _checkResolution() internal view {
+        if (resolutionPaused) revert ResolutionPaused();
+        if (emergencyRefund) revert EmergencyActive();
+    }
+
+    function _checkResolvable(Market storage m) internal view {
+        if (block.timestamp < m.endTime) revert MarketNotExpired();
+        _checkUnsettled(m);
+    }
+
+    function _checkUnsettled(Market storage m) internal view {
+        if (m.resolved) revert MarketAlreadyResolved();
+        if (m.cancelled) revert MarketIsCancelled();
+    }
+
+    /// @dev Voiding a market mid-dispute is nobody's fault, so both bonds go back.
+    function _returnResolutionBonds(uint256 marketId) internal {
+        Resolution storage r = resolutions[marketId];
+        if (r.deadline == 0) return;
+        accruedFees[r.proposer] += r.bond;
+        if (r.disputer != address(0)) accruedFees[r.disputer] += r.bond;
+        delete resolutions[marketId];
+    }
+
+    /// @dev Early-exit penalties belong to no outcome, so refunds can't return them;
+    ///      on a void they accrue to the treasury instead of staying locked.
+    function _void(Market storage m) internal {
+        m.cancelled = true;
+        uint256 penalties = exitPenalties[m.id];
+        if (penalties > 0) _owed(m.collateral)[treasury] += penalties;
+        emit MarketCancelled(m.id);
+    }
+
+    function _owed(address token) internal view returns (mapping(address => uint256) storage) {
+        return token == address(0) ? accruedFees : tokenFees[token];
+    }
+
+    function _prorata(uint256 stake, uint256 payout, uint256 pool) internal pure returns (uint256) {
+        return stake == 0 ? 0 : (stake * payout) / pool;
+    }
+}
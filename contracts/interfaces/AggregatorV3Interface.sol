@@ -0,0 +1,14 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+/// @title AggregatorV3Interface — the Chainlink price feed reads PredictX uses
+interface AggregatorV3Interface {
+    function decimals() external view returns (uint8);
+    function description() external view returns (string memory);
+    function getRoundData(uint80 roundId) external view returns (
+        uint80 roundId_, int256 answer, uint256 startedAt, uint256 updatedAt, uint80 answeredInRound
+    );
+    function latestRoundData() external view returns (
+        uint80 roundId, int256 answer, uint256 startedAt, uint256 updatedAt, uint80 answeredInRound
+    );
+}
@@ -0,0 +1,12 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+/// @title IMarketOracle — a contract PredictX can hand the settlement of a market to
+/// @notice The oracle is told about each market created with `MarketParams.oracleData` and
+///         later settles it by calling `resolveMarket` / `resolveOutcome` on PredictX.
+interface IMarketOracle {
+    /// @notice Called by PredictX when market `marketId` is created with oracle data
+    /// @dev Keyed by msg.sender, so one oracle can serve every PredictX instance.
+    ///      Revert to refuse the market (e.g. malformed data).
+    function onMarketCreated(uint256 marketId, bytes calldata data) external;
+}
@@ -0,0 +1,35 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+/// @title MockAggregator — Chainlink-style price feed whose answers are pushed by hand
+/// @dev Every `setAnswer` opens a new round stamped with the current block time.
+contract MockAggregator {
+    uint8   public decimals;
+    string  public description;
+    uint80  public latestRound;
+
+    mapping(uint80 => int256)  internal answers;
+    mapping(uint80 => uint256) internal timestamps;
+
+    error NoData();
+
+    constructor(uint8 decimals_, string memory description_) {
+        decimals = decimals_;
+        description = description_;
+    }
+
+    function setAnswer(int256 answer) external {
+        latestRound++;
+        answers[latestRound] = answer;
+        timestamps[latestRound] = block.timestamp;
+    }
+
+    function getRoundData(uint80 roundId) public view returns (uint80, int256, uint256, uint256, uint80) {
+        if (roundId == 0 || roundId > latestRound) revert NoData();
+        return (roundId, answers[roundId], timestamps[roundId], timestamps[roundId], roundId);
+    }
+
+    function latestRoundData() external view returns (uint80, int256, uint256, uint256, uint80) {
+        return getRoundData(latestRound);
+    }
+}
@@ -1,6 +1,8 @@
 import { useState, useEffect, useCallback, useRef } from "react";
-import { BrowserProvider, Contract, ContractFactory, formatEther, parseEther, getAddress, isAddress } from "ethers";
+import { BrowserProvider, Contract, ContractFactory, formatEther, parseEther, formatUnits, parseUnits, getAddress, isAddress, id as keccakId, ZeroAddress, AbiCoder } from "ethers";
 import deployment from "./deployment.json";
+import { readSync, writeSync, getLogsInRanges, findDeployBlock } from "./sync";
+import { userLedgers, positionResult, rankForecasters } from "./leaderboard";
 
 /* ─── Arc Testnet ──────────────────────────────────────── */
 const ARC = {
@@ -11,116 +13,244 @@ const ARC = {
   blockExplorerUrls: ["https://testnet.arcscan.app"],
 };
 const ABI = deployment.abi;
+const AMM_ABI = deployment.ammAbi;
+const LENS_ABI = deployment.lensAbi;
+const FACTORY_ABI = deployment.factoryAbi;
+const ORACLE_ABI = deployment.oracleAbi;
+const PARLAY_ABI = deployment.parlayAbi;
+const FEED_ABI = [
+  "function decimals() view returns (uint8)",
+  "function description() view returns (string)",
+];
+const ERC20_ABI = [
+  "function symbol() view returns (string)",
+  "function decimals() view returns (uint8)",
+  "function allowance(address owner, address spender) view returns (uint256)",
+  "function balanceOf(address account) view returns (uint256)",
+  "function approve(address spender, uint256 amount) returns (bool)",
+];
+const NATIVE = { symbol: ARC.nativeCurrency.symbol, decimals: ARC.nativeCurrency.decimals };
 const SAVED_ADDR_KEY = "predictx_contract";
 const SAVED_CONN_KEY = "predictx_connected";
+const SAVED_LENS_KEY = "predictx_lens";
+const SAVED_FACTORY_KEY = "predictx_factory";
+const SAVED_RELAYER_KEY = "predictx_relayer";
+const SAVED_REF_KEY = "predictx_referrer";
+const SAVED_PARLAY_KEY = "predictx_parlay";
+const PAGE_SIZE = 50;
+const ROLES = [
+  { key: "creator", id: keccakId("CREATOR_ROLE"), label: "Market creator" },
+  { key: "resolver", id: keccakId("RESOLVER_ROLE"), label: "Resolver" },
+  { key: "pauser", id: keccakId("PAUSER_ROLE"), label: "Pauser" },
+  { key: "arbiter", id: keccakId("ARBITER_ROLE"), label: "Arbiter" },
+];
+const NO_ROLES = { owner: false, pendingOwner: false, creator: false, resolver: false, pauser: false, arbiter: false };
+const EMERGENCY_DELAY = 2 * 86400; // ARCPredictX.EMERGENCY_DELAY
+const NO_CIRCUIT = { betting: false, resolution: false, claims: false, emergency: false, emergencyAt: 0 };
+// EIP-712 intents, matching ARCPredictX.BET_INTENT_TYPEHASH / CLAIM_INTENT_TYPEHASH
+const BET_INTENT_TYPES = {
+  BetIntent: [
+    { name: "bettor", type: "address" }, { name: "marketId", type: "uint256" }, { name: "outcome", type: "uint8" },
+    { name: "amount", type: "uint256" }, { name: "nonce", type: "uint256" }, { name: "deadline", type: "uint256" },
+  ],
+};
+const CLAIM_INTENT_TYPES = {
+  ClaimIntent: [
+    { name: "claimant", type: "address" }, { name: "marketIds", type: "uint256[]" },
+    { name: "nonce", type: "uint256" }, { name: "deadline", type: "uint256" },
+  ],
+};
+const INTENT_TTL = 600; // seconds a signed intent stays valid
+const COMPARISONS = [">", "≥", "<", "≤"]; // ARCPredictXPriceOracle.Comparison
+const MAX_RESCHEDULES = 3;         // ARCPredictX.MAX_RESCHEDULES
+const MAX_EXTENSION = 30 * 86400;  // ARCPredictX.MAX_EXTENSION, per change
+const PARLAY_MAX_LEGS = 5;         // ARCPredictXParlay.MAX_LEGS (MIN_LEGS = 2)
+const PARLAY_MAX_LEG_ODDS = 10;    // ARCPredictXParlay.MAX_LEG_ODDS, as a multiple
+const PARLAY_ERRORS = {
+  InsufficientLiquidity: "The parlay pool can't cover this payout — try a smaller stake",
+  PayoutTooHigh: "A parlay can pay at most 100× its stake",
+  EmptySide: "A leg has no bets on its side yet, so it has no odds",
+  MarketClosed: "A leg is closed for betting",
+  CollateralMismatch: "Every leg must use the same collateral",
+};
 
 function getContractAddr() {
   try { const s = localStorage.getItem(SAVED_ADDR_KEY); if (s && isAddress(s)) return getAddress(s); } catch {}
   const d = deployment.address; return d.includes("YOUR") ? "" : d;
 }
 
-/* ─── Embedded Solidity Source (for browser deploy) ──── */
-const SOL_SOURCE = `// SPDX-License-Identifier: MIT
-pragma solidity ^0.8.20;
-contract ARCPredictX {
-    struct Market { uint256 id; string question; uint256 endTime; uint256 totalYesAmount; uint256 totalNoAmount; bool resolved; bool outcome; }
-    address public admin; uint256 public marketCount;
-    mapping(uint256 => Market) public markets;
-    mapping(uint256 => mapping(address => uint256)) public yesBets;
-    mapping(uint256 => mapping(address => uint256)) public noBets;
-    mapping(uint256 => mapping(address => bool)) public claimed;
-    event MarketCreated(uint256 indexed id, string question, uint256 endTime);
-    event BetPlaced(uint256 indexed id, address indexed user, bool isYes, uint256 amount);
-    event MarketResolved(uint256 indexed id, bool outcome);
-    event RewardClaimed(uint256 indexed id, address indexed user, uint256 reward);
-    error OnlyAdmin(); error EndTimeInPast(); error MarketExpired(); error MarketNotExpired();
-    error MarketAlreadyResolved(); error MarketNotResolved(); error ZeroBet();
-    error NotWinner(); error AlreadyClaimed(); error TransferFailed(); error InvalidMarket();
-    modifier onlyAdmin() { if (msg.sender != admin) revert OnlyAdmin(); _; }
-    constructor() { admin = msg.sender; }
-    function createMarket(string memory question, uint256 endTime) external onlyAdmin {
-        if (endTime <= block.timestamp) revert EndTimeInPast();
-        uint256 id = marketCount;
-        markets[id] = Market({ id: id, question: question, endTime: endTime, totalYesAmount: 0, totalNoAmount: 0, resolved: false, outcome: false });
-        marketCount++; emit MarketCreated(id, question, endTime);
-    }
-    function resolveMarket(uint256 marketId, bool outcome) external onlyAdmin {
-        if (marketId >= marketCount) revert InvalidMarket(); Market storage m = markets[marketId];
-        if (block.timestamp < m.endTime) revert MarketNotExpired(); if (m.resolved) revert MarketAlreadyResolved();
-        m.resolved = true; m.outcome = outcome; emit MarketResolved(marketId, outcome);
-    }
-    function buyYes(uint256 marketId) external payable {
-        if (marketId >= marketCount) revert InvalidMarket(); Market storage m = markets[marketId];
-        if (block.timestamp >= m.endTime) revert MarketExpired(); if (msg.value == 0) revert ZeroBet();
-        yesBets[marketId][msg.sender] += msg.value; m.totalYesAmount += msg.value;
-        emit BetPlaced(marketId, msg.sender, true, msg.value);
-    }
-    function buyNo(uint256 marketId) external payable {
-        if (marketId >= marketCount) revert InvalidMarket(); Market storage m = markets[marketId];
-        if (block.timestamp >= m.endTime) revert MarketExpired(); if (msg.value == 0) revert ZeroBet();
-        noBets[marketId][msg.sender] += msg.value; m.totalNoAmount += msg.value;
-        emit BetPlaced(marketId, msg.sender, false, msg.value);
-    }
-    function claimReward(uint256 marketId) external {
-        if (marketId >= marketCount) revert InvalidMarket(); Market storage m = markets[marketId];
-        if (!m.resolved) revert MarketNotResolved(); if (claimed[marketId][msg.sender]) revert AlreadyClaimed();
-        uint256 totalPool = m.totalYesAmount + m.totalNoAmount; uint256 reward;
-        if (m.outcome) { uint256 ub = yesBets[marketId][msg.sender]; if (ub == 0) revert NotWinner(); reward = (ub * totalPool) / m.totalYesAmount; }
-        else { uint256 ub = noBets[marketId][msg.sender]; if (ub == 0) revert NotWinner(); reward = (ub * totalPool) / m.totalNoAmount; }
-        claimed[marketId][msg.sender] = true;
-        (bool ok, ) = payable(msg.sender).call{value: reward}(""); if (!ok) revert TransferFailed();
-        emit RewardClaimed(marketId, msg.sender, reward);
-    }
-    function getMarket(uint256 marketId) external view returns (uint256 id, string memory question, uint256 endTime, uint256 totalYesAmount, uint256 totalNoAmount, bool resolved, bool outcome) {
-        Market storage m = markets[marketId]; return (m.id, m.question, m.endTime, m.totalYesAmount, m.totalNoAmount, m.resolved, m.outcome);
-    }
-    function getUserBets(uint256 marketId, address user) external view returns (uint256 yesBet, uint256 noBet, bool hasClaimed) {
-        return (yesBets[marketId][user], noBets[marketId][user], claimed[marketId][user]);
-    }
-    function getClaimable(uint256 marketId, address user) external view returns (uint256) {
-        Market storage m = markets[marketId]; if (!m.resolved || claimed[marketId][user]) return 0;
-        uint256 tp = m.totalYesAmount + m.totalNoAmount; if (tp == 0) return 0;
-        if (m.outcome) { uint256 b = yesBets[marketId][user]; if (b == 0 || m.totalYesAmount == 0) return 0; return (b * tp) / m.totalYesAmount; }
-        else { uint256 b = noBets[marketId][user]; if (b == 0 || m.totalNoAmount == 0) return 0; return (b * tp) / m.totalNoAmount; }
-    }
-}`;
+// The lens is stateless, so one deployment serves every PredictX contract on the chain
+function getLensAddr() {
+  try { const s = localStorage.getItem(SAVED_LENS_KEY); if (s && isAddress(s)) return getAddress(s); } catch {}
+  return isAddress(deployment.lens) ? getAddress(deployment.lens) : "";
+}
+
+// The factory's registry lists every instance it deployed, so teammates can switch between them
+function getFactoryAddr() {
+  try { const s = localStorage.getItem(SAVED_FACTORY_KEY); if (s && isAddress(s)) return getAddress(s); } catch {}
+  return isAddress(deployment.factory) ? getAddress(deployment.factory) : "";
+}
+
+// The parlay contract keeps pools and tickets per PredictX contract, so one deployment serves every instance
+function getParlayAddr() {
+  try { const s = localStorage.getItem(SAVED_PARLAY_KEY); if (s && isAddress(s)) return getAddress(s); } catch {}
+  return isAddress(deployment.parlay) ? getAddress(deployment.parlay) : "";
+}
+
+// A relayer (scripts/relayer.js) submits signed bets and claims and pays their gas
+function getRelayerUrl() {
+  try { return localStorage.getItem(SAVED_RELAYER_KEY) || ""; } catch { return ""; }
+}
+
+// A `?ref=0x…` link names who sent this visitor; the first one sticks
+function getReferrer() {
+  try {
+    const r = new URLSearchParams(window.location.search).get("ref");
+    if (r && isAddress(r) && !localStorage.getItem(SAVED_REF_KEY)) localStorage.setItem(SAVED_REF_KEY, getAddress(r));
+    const s = localStorage.getItem(SAVED_REF_KEY); if (s && isAddress(s)) return getAddress(s);
+  } catch {}
+  return "";
+}
+
+// The compiler and the bundled contract sources only load when something is deployed
+const loadCompiler = () => import("./compiler");
+
+/* ─── Routes ───────────────────────────────────────────── */
+// `#/c/<contract>[/<tab> | /market/<id> | /user/<address>]?chain=<id>` — the address bar and every link
+// carry the open contract, tab, market and profile. `/m/<chain>/<contract>/<id>` share links go through
+// api/share.js for previews.
+const ARC_CHAIN_ID = Number(ARC.chainId);
+const TABS = ["markets", "positions", "leaderboard", "referrals", "admin"];
+
+function parseRoute(hash = window.location.hash) {
+  const [path, query = ""] = hash.replace(/^#\/?/, "").split("?");
+  const parts = path.split("/").filter(Boolean);
+  if (parts[0] !== "c" || !isAddress(parts[1] ?? "")) return null;
+  const route = { contract: getAddress(parts[1]), chain: Number(new URLSearchParams(query).get("chain")) || null, page: "markets", market: null, user: null };
+  if (parts[2] === "market" && /^\d+$/.test(parts[3] ?? "")) route.market = Number(parts[3]);
+  else if (parts[2] === "user" && isAddress(parts[3] ?? "")) { route.page = "profile"; route.user = getAddress(parts[3]); }
+  else if (TABS.includes(parts[2])) route.page = parts[2];
+  return route;
+}
+
+// A deep link to the contract already open applies at once. One to any other contract waits in App
+// until it checks out as the bundled deployment or a factory instance, or the user confirms it, so a
+// crafted link can't quietly swap in a look-alike contract that asks for token approvals.
+const openRoute = () => { const r = parseRoute(); return r && r.contract === getContractAddr() ? r : null; };
+const linkedRoute = () => { const r = parseRoute(); return r && r.contract !== getContractAddr() ? r : null; };
+
+const routeHash = (contract, page, market, user = null) =>
+  `#/c/${contract}${market !== null ? `/market/${market}` : page === "profile" ? `/user/${user}` : page !== "markets" ? `/${page}` : ""}?chain=${ARC_CHAIN_ID}`;
+
+// Production builds share through the preview page; the dev server has no /m route, so it shares the app link
+const shareLink = (contract, id, ref) => import.meta.env.PROD
+  ? `${window.location.origin}/m/${ARC_CHAIN_ID}/${contract}/${id}${ref ? `?ref=${ref}` : ""}`
+  : `${window.location.origin}${window.location.pathname}${ref ? `?ref=${ref}` : ""}${routeHash(contract, "markets", id)}`;
 
 /* ─── Helpers ──────────────────────────────────────────── */
 const short = (a) => a ? `${a.slice(0,6)}···${a.slice(-4)}` : "";
-const fmtAmt = (v) => { const n = Number(formatEther(v)); return n < 0.0001 && n > 0 ? "<0.0001" : n.toLocaleString("en-US", { minimumFractionDigits: 2, maximumFractionDigits: 4 }); };
-const timeLeft = (ts) => {
-  const diff = ts - Math.floor(Date.now() / 1000);
-  if (diff <= 0) return "Ended";
-  const d = Math.floor(diff / 86400), h = Math.floor((diff % 86400) / 3600), m = Math.floor((diff % 3600) / 60);
+const fmtAmt = (v, decimals = 18) => { const n = Number(formatUnits(v, decimals)); return n < 0.0001 && n > 0 ? "<0.0001" : n.toLocaleString("en-US", { minimumFractionDigits: 2, maximumFractionDigits: 4 }); };
+const fmtDur = (secs) => {
+  const d = Math.floor(secs / 86400), h = Math.floor((secs % 86400) / 3600), m = Math.floor((secs % 3600) / 60);
   if (d > 0) return `${d}d ${h}h`;
   if (h > 0) return `${h}h ${m}m`;
   return `${m}m`;
 };
+const fmtDate = (ts) => new Date(ts * 1000).toLocaleString("en-US", { dateStyle: "medium", timeStyle: "short" });
+const fmtPrice = (v, decimals) => Number(formatUnits(v, decimals)).toLocaleString("en-US", { maximumFractionDigits: 4 });
+// Scalar bounds and values are whole numbers in the question's own unit
+const fmtVal = (v) => BigInt(v).toLocaleString("en-US");
+const proposalLabel = (m) => (m.scalar ? fmtVal(m.proposal.value) : m.outcomes[m.proposal.outcome].label);
+const timeAgo = (ts) => {
+  const diff = Math.floor(Date.now() / 1000) - ts;
+  return diff < 60 ? "just now" : `${fmtDur(diff)} ago`;
+};
+const timeLeft = (ts) => {
+  const diff = ts - Math.floor(Date.now() / 1000);
+  return diff <= 0 ? "Ended" : fmtDur(diff);
+};
 
 /* ═══════════════════════════════════════════════════════ */
 export default function App() {
   const [signer, setSigner] = useState(null);
   const [account, setAccount] = useState("");
   const [balance, setBalance] = useState("0");
+  const [wallet, setWallet] = useState({}); // collateral => the account's balance, for bet previews
   const [isArc, setIsArc] = useState(false);
   const [contractAddr, setContractAddr] = useState(getContractAddr);
+  const [linked, setLinked] = useState(linkedRoute); // deep link to another contract, not yet checked
+  const [lensAddr, setLensAddr] = useState(getLensAddr);
+  const [factoryAddr, setFactoryAddr] = useState(getFactoryAddr);
+  const [instances, setInstances] = useState([]);
+  const [instanceName, setInstanceName] = useState("");
+  const [relayerUrl, setRelayerUrl] = useState(getRelayerUrl);
+  const [relayerInput, setRelayerInput] = useState("");
+  const [showRelayer, setShowRelayer] = useState(false);
   const [addrInput, setAddrInput] = useState("");
-  const [isAdmin, setIsAdmin] = useState(false);
-  const [page, setPage] = useState("markets");
+  const [roles, setRoles] = useState(NO_ROLES);
+  const [roleHolders, setRoleHolders] = useState(null);
+  const [roleAddr, setRoleAddr] = useState("");
+  const [roleKey, setRoleKey] = useState("creator");
+  const [newOwner, setNewOwner] = useState("");
+  const [page, setPage] = useState(() => openRoute()?.page ?? "markets");
   const [markets, setMarkets] = useState([]);
   const [loading, setLoading] = useState("");
   const [toast, setToast] = useState(null);
-  const [newQ, setNewQ] = useState("");
-  const [newDays, setNewDays] = useState("1");
-  const [newHours, setNewHours] = useState("0");
+  const [showPropose, setShowPropose] = useState(false);
+  const [category, setCategory] = useState("");
+  const [bondCfg, setBondCfg] = useState(null);
+  const [bondInput, setBondInput] = useState("");
+  const [minDurInput, setMinDurInput] = useState("");
+  const [resCfg, setResCfg] = useState(null);
+  const [resBondInput, setResBondInput] = useState("");
+  const [windowInput, setWindowInput] = useState("");
+  const [fees, setFees] = useState(null);
+  const [feeInput, setFeeInput] = useState("");
+  const [shareInput, setShareInput] = useState("");
+  const [treasuryInput, setTreasuryInput] = useState("");
+  const [exitPenaltyBps, setExitPenaltyBps] = useState(0);
+  const [penaltyInput, setPenaltyInput] = useState("");
+  const [linkReferrer] = useState(getReferrer);
+  const [referral, setReferral] = useState(null);
+  const [referralInput, setReferralInput] = useState("");
+  const [parlayAddr, setParlayAddr] = useState(getParlayAddr);
+  const [parlayLegs, setParlayLegs] = useState([]); // { id, outcome } picked on the Markets page
+  const [tickets, setTickets] = useState([]);
+  const [parlayBank, setParlayBank] = useState([]); // per collateral: free and reserved pool funds
+  const [parlayInputs, setParlayInputs] = useState({});
+  const [detailId, setDetailId] = useState(() => openRoute()?.market ?? null); // market open in the detail view
+  const [activity, setActivity] = useState(null);   // that market's logged activity, with block times
+  const [profileAddr, setProfileAddr] = useState(() => openRoute()?.user ?? null); // account on the profile page
+  const [profile, setProfile] = useState(null);     // that account's positions and per-market results
+  const [board, setBoard] = useState(null);         // leaderboard rows for the chosen window and collateral
+  const [boardWindow, setBoardWindow] = useState("all");
+  const [boardToken, setBoardToken] = useState(ZeroAddress);
+  const [boardSort, setBoardSort] = useState("profit");
+  const [circuit, setCircuit] = useState(NO_CIRCUIT);
+  const [ammAddr, setAmmAddr] = useState("");
+  const [ammInput, setAmmInput] = useState("");
+  const [oracleAddr, setOracleAddr] = useState("");
+  const [oracleInput, setOracleInput] = useState("");
+  const [feedInput, setFeedInput] = useState("");
+  const [seedInputs, setSeedInputs] = useState({});
+  const [valueInputs, setValueInputs] = useState({}); // scalar resolution values
+  const [endInputs, setEndInputs] = useState({});     // reschedule targets (datetime-local strings)
   // Deployer
   const [deployStatus, setDeployStatus] = useState("");
   const [deployPct, setDeployPct] = useState(0);
   const [deploying, setDeploying] = useState(false);
   const [showManual, setShowManual] = useState(false);
+  const tokenMeta = useRef({});
+  const feedMeta = useRef({});   // feed address => { description, decimals }
+  const syncState = useRef({});  // `${chainId}:${contract}` => synced record (mirrors IndexedDB)
+  const painted = useRef("");     // the record and account whose cached rows are on screen
+  const syncKey = useRef("");     // the record the last sync wrote
+  const syncQueue = useRef(Promise.resolve());
 
   const deployed = !!contractAddr && isAddress(contractAddr);
+  const hasAdminTab = roles.owner || roles.pendingOwner || roles.creator || roles.resolver || roles.pauser || roles.arbiter || markets.some(m => m.pool?.mine) || (!!fees && (fees.mine !== "0" || fees.tokens.some(t => t.mine !== "0")));
   const getContract = useCallback((s) => s && deployed ? new Contract(getAddress(contractAddr), ABI, s) : null, [contractAddr, deployed]);
+  const getAmm = (s) => s && ammAddr ? new Contract(ammAddr, AMM_ABI, s) : null;
 
   const showToast = (msg, type = "ok") => { setToast({ msg, type }); setTimeout(() => setToast(null), 5000); };
 
@@ -134,7 +264,7 @@ export default function App() {
       const s = await bp.getSigner();
       const addr = await s.getAddress();
       const { chainId } = await bp.getNetwork();
-      const ok = Number(chainId) === 5042002;
+      const ok = Number(chainId) === ARC_CHAIN_ID;
       setSigner(s); setAccount(addr); setIsArc(ok);
       localStorage.setItem(SAVED_CONN_KEY, "1");
       const bal = await bp.getBalance(addr);
@@ -147,89 +277,365 @@ export default function App() {
   }, []);
 
   const disconnect = useCallback(() => {
-    setAccount(""); setSigner(null); setIsArc(false); setBalance("0"); setIsAdmin(false);
+    setAccount(""); setSigner(null); setIsArc(false); setBalance("0"); setRoles(NO_ROLES);
     localStorage.removeItem(SAVED_CONN_KEY);
   }, []);
 
   /* ─── In-App Deploy ── */
+  // With a factory this is a single cheap transaction; the first deployer also sets up the factory
   const deployContract = useCallback(async () => {
     if (!signer) return showToast("Connect wallet first", "err");
-    setDeploying(true); setDeployPct(5); setDeployStatus("Loading Solidity compiler…");
+    const name = instanceName.trim();
+    if (!name) return showToast("Name your instance first", "err");
+    setDeploying(true); setDeployPct(5);
     try {
-      const workerCode = `self.onmessage = function(e) {
-        try {
-          importScripts("https://binaries.soliditylang.org/bin/soljson-v0.8.20+commit.a1b79de6.js");
-          self.postMessage({t:"loaded"});
-          var compile = Module.cwrap("solidity_compile","string",["string","number","number"]);
-          var input = JSON.stringify({language:"Solidity",sources:{"C.sol":{content:e.data}},
-            settings:{optimizer:{enabled:true,runs:200},outputSelection:{"*":{"*":["abi","evm.bytecode.object"]}}}});
-          self.postMessage({t:"done",d:compile(input,0,0)});
-        } catch(err) { self.postMessage({t:"err",d:err.message}); }
-      };`;
-      const blob = new Blob([workerCode], { type: "text/javascript" });
-      const worker = new Worker(URL.createObjectURL(blob));
-      const result = await new Promise((resolve, reject) => {
-        worker.onmessage = (e) => {
-          if (e.data.t === "loaded") { setDeployPct(40); setDeployStatus("Compiling contract…"); }
-          else if (e.data.t === "done") resolve(e.data.d);
-          else reject(new Error(e.data.d));
-        };
-        worker.onerror = (e) => reject(new Error(e.message));
-        worker.postMessage(SOL_SOURCE);
-      });
-      worker.terminate();
-
-      const output = JSON.parse(result);
-      if (output.errors) { const errs = output.errors.filter(e => e.severity === "error"); if (errs.length) throw new Error(errs[0].formattedMessage); }
-      const compiled = output.contracts["C.sol"]["ARCPredictX"];
-      const bytecode = "0x" + compiled.evm.bytecode.object;
+      let factoryA = factoryAddr;
+      if (!factoryA || !lensAddr) {
+        setDeployStatus("Loading Solidity compiler…");
+        const names = [...(factoryA ? [] : ["ARCPredictX", "ARCPredictXFactory"]), ...(lensAddr ? [] : ["ARCPredictXLens"])];
+        const compiled = await (await loadCompiler()).compileContracts(names, () => { setDeployPct(30); setDeployStatus("Compiling contracts…"); });
+        if (!factoryA) {
+          setDeployPct(45); setDeployStatus("Deploying implementation…");
+          const impl = await new ContractFactory(compiled.ARCPredictX.abi, compiled.ARCPredictX.bytecode, signer).deploy();
+          await impl.waitForDeployment();
+          setDeployPct(60); setDeployStatus("Deploying factory…");
+          const f = await new ContractFactory(compiled.ARCPredictXFactory.abi, compiled.ARCPredictXFactory.bytecode, signer).deploy(await impl.getAddress());
+          await f.waitForDeployment();
+          factoryA = await f.getAddress();
+          setFactoryAddr(factoryA); localStorage.setItem(SAVED_FACTORY_KEY, factoryA);
+        }
+        if (!lensAddr) { setDeployPct(70); setDeployStatus("Deploying lens…"); await deployLens(compiled.ARCPredictXLens); }
+      }
 
-      setDeployPct(65); setDeployStatus("Deploying to Arc Testnet…");
-      const factory = new ContractFactory(ABI, bytecode, signer);
-      const contract = await factory.deploy();
-      setDeployPct(80); setDeployStatus("Waiting for confirmation…");
-      await contract.waitForDeployment();
-      const addr = await contract.getAddress();
+      setDeployPct(80); setDeployStatus("Creating your instance…");
+      const factory = new Contract(factoryA, FACTORY_ABI, signer);
+      const receipt = await (await factory.createInstance(name)).wait();
+      const created = receipt.logs.map(l => { try { return factory.interface.parseLog(l); } catch { return null; } }).find(e => e?.name === "InstanceCreated");
+      const addr = created.args.instance;
 
       setContractAddr(addr);
       localStorage.setItem(SAVED_ADDR_KEY, addr);
+      setInstanceName("");
       setDeployPct(100); setDeployStatus("Deployed!");
-      showToast("Contract deployed: " + short(addr));
+      showToast(`"${name}" deployed: ${short(addr)}`);
     } catch (e) {
       showToast(e?.reason || e?.message || "Deploy failed", "err");
       setDeployStatus(""); setDeployPct(0);
     } finally { setDeploying(false); }
-  }, [signer]);
+  }, [signer, lensAddr, factoryAddr, instanceName]);
+
+  const deployLens = async (compiled) => {
+    const { abi, bytecode } = compiled ?? await (await loadCompiler()).compileContract("ARCPredictXLens");
+    const lens = await new ContractFactory(abi, bytecode, signer).deploy();
+    await lens.waitForDeployment();
+    const addr = await lens.getAddress();
+    setLensAddr(addr); localStorage.setItem(SAVED_LENS_KEY, addr);
+  };
+  const enableLens = async () => {
+    try { setLoading("Deploying lens"); await deployLens(); showToast("Lens deployed — markets now load in batches"); }
+    catch (e) { showToast(e?.reason || e?.message || "Deploy failed", "err"); }
+    finally { setLoading(""); }
+  };
+
+  /* ─── Token metadata (cached per collateral address) ── */
+  const getToken = useCallback(async (addr, runner) => {
+    if (addr === ZeroAddress) return NATIVE;
+    if (!tokenMeta.current[addr]) {
+      const t = new Contract(addr, ERC20_ABI, runner);
+      const [symbol, decimals] = await Promise.all([t.symbol().catch(() => "TOKEN"), t.decimals().catch(() => 18n)]);
+      tokenMeta.current[addr] = { symbol, decimals: Number(decimals) };
+    }
+    return tokenMeta.current[addr];
+  }, []);
 
   /* ─── Load Markets ── */
-  const loadMarkets = useCallback(async () => {
+  // Market rows are cached in IndexedDB per chain and contract. A sync paints the cached rows, scans
+  // the logs added since the last sync and re-reads only the markets they touched, plus new ones.
+  const syncMarkets = useCallback(async () => {
     if (!signer || !deployed || !isArc) return;
     try {
       const c = getContract(signer); if (!c) return;
-      const count = await c.marketCount();
-      const n = Number(count);
       const addr = await signer.getAddress();
-      const arr = [];
-      for (let i = 0; i < n; i++) {
-        const m = await c.getMarket(i);
-        const ub = await c.getUserBets(i, addr);
-        const cl = await c.getClaimable(i, addr);
-        arr.push({
-          id: Number(m.id), question: m.question, endTime: Number(m.endTime),
-          totalYes: m.totalYesAmount.toString(), totalNo: m.totalNoAmount.toString(),
-          resolved: m.resolved, outcome: m.outcome,
-          yesBet: ub.yesBet.toString(), noBet: ub.noBet.toString(),
-          claimed: ub.hasClaimed, claimable: cl.toString(),
-        });
+      const me = addr.toLowerCase();
+      const { chainId } = await signer.provider.getNetwork();
+      const key = `${chainId}:${c.target.toLowerCase()}`;
+      const rec = syncState.current[key] ??= (await readSync(key)) ?? newSyncRecord();
+      const mine = rec.users[me] ??= { block: -1, rows: {}, referees: [] };
+      if (painted.current !== `${key}:${me}` && rec.block >= 0) {
+        painted.current = `${key}:${me}`;
+        setMarkets(buildMarkets(rec, mine, rec.circuit ?? NO_CIRCUIT, addr));
+      }
+      const n = Number(await c.marketCount());
+      const ammA = await c.amm().catch(() => ZeroAddress);
+      const amm = ammA !== ZeroAddress ? new Contract(ammA, AMM_ABI, signer) : null;
+      setAmmAddr(amm ? ammA : "");
+      const lens = lensAddr ? new Contract(lensAddr, LENS_ABI, signer) : null;
+      const oracleA = await c.oracle().catch(() => ZeroAddress);
+      setOracleAddr(oracleA !== ZeroAddress ? oracleA : "");
+      const po = oracleA !== ZeroAddress ? new Contract(oracleA, ORACLE_ABI, signer) : null;
+      const cb = await Promise.all([c.bettingPaused(), c.resolutionPaused(), c.claimsPaused(), c.emergencyRefund(), c.emergencyRefundAt()])
+        .then(([betting, resolution, claims, emergency, at]) => ({ betting, resolution, claims, emergency, emergencyAt: Number(at) }))
+        .catch(() => NO_CIRCUIT);
+      setCircuit(cb);
+
+      // Logs from the contract, its market maker and its oracle name the markets that changed. A new account
+      // scans from the contract's deployment block; logs the shared record has already seen only mark markets dirty.
+      const head = await signer.provider.getBlockNumber();
+      rec.start ??= await findDeployBlock(signer.provider, c.target, head);
+      const from = Math.max(Math.min(rec.block, mine.block) + 1, rec.start);
+      const dirty = new Set();
+      let all = mine.block < 0;
+      if (n > 0 && head >= from) {
+        const sources = [c, amm, po].filter(Boolean);
+        for (const log of await getLogsInRanges(signer.provider, { address: sources.map(s => s.target) }, from, head)) {
+          const src = sources.find(s => s.target.toLowerCase() === log.address.toLowerCase());
+          let ev = null; try { ev = src.interface.parseLog(log); } catch {}
+          if (!ev || (src === po && ev.args.predictx.toLowerCase() !== c.target.toLowerCase())) continue; // the oracle serves every instance
+          const at = ev.fragment.inputs.findIndex(i => i.name === "id" || i.name === "marketId");
+          const id = at >= 0 ? Number(ev.args[at]) : null;
+          if (id !== null) dirty.add(id);
+          if (RESYNC_EVENTS.includes(ev.name) || (ev.name === "ReferrerSet" && ev.args.user.toLowerCase() === me)) all = true;
+          if (ev.name === "ReferrerSet" && ev.args.referrer.toLowerCase() === me && log.blockNumber > mine.block) mine.referees.push(ev.args.user);
+          if (log.blockNumber <= rec.block) continue;
+          const act = toActivity(ev);
+          if (act) (rec.activity[id] ??= []).push({ ...act, block: log.blockNumber, tx: log.transactionHash });
+          // Documents, price terms and schedule changes never change once logged, so they are kept from the logs
+          if (ev.name === "MarketCreated") rec.meta[id] = parseMetadata(ev.args.metadata);
+          else if (ev.name === "MarketRescheduled") {
+            const { timestamp } = await log.getBlock();
+            (rec.schedule[id] ??= []).push({ from: Number(ev.args.oldEndTime), to: Number(ev.args.newEndTime), at: timestamp });
+          } else if (ev.name === "ConditionSet") {
+            const feed = ev.args.feed;
+            if (!feedMeta.current[feed]) {
+              const f = new Contract(feed, FEED_ABI, signer);
+              const [description, decimals] = await Promise.all([f.description().catch(() => short(feed)), f.decimals()]);
+              feedMeta.current[feed] = { description, decimals: Number(decimals) };
+            }
+            rec.terms[id] = { feed, ...feedMeta.current[feed], threshold: ev.args.threshold.toString(), comparison: Number(ev.args.comparison), price: null };
+          } else if (ev.name === "PriceSettled" && rec.terms[id]) {
+            Object.assign(rec.terms[id], { price: ev.args.price.toString(), round: ev.args.roundId.toString() });
+          }
+        }
+      }
+      const ids = all ? [...Array(n).keys()]
+        : [...new Set([...dirty, ...Array.from({ length: Math.max(n - rec.count, 0) }, (_, i) => rec.count + i)])].filter(i => i < n).sort((a, b) => a - b);
+      for (const row of await readPortfolio(c, lens, amm, addr, ids)) {
+        const id = Number(row.market.id);
+        rec.markets[id] = { ...toMarketRow(row), token: await getToken(row.market.collateral, signer) };
+        mine.rows[id] = toPosition(row);
       }
-      setMarkets(arr.reverse());
-      try { const adm = await c.admin(); setIsAdmin(adm.toLowerCase() === addr.toLowerCase()); } catch { setIsAdmin(false); }
+      await Promise.all(ids.filter(id => rec.markets[id].scalar).map(async (id) => {
+        const m = rec.markets[id], s = await c.scalars(id);
+        m.range = { lower: s.lower.toString(), upper: s.upper.toString(), value: m.resolved ? s.value.toString() : null, longPayout: s.longPayout.toString(), shortPayout: s.shortPayout.toString() };
+      }));
+      rec.block = Math.max(rec.block, head); mine.block = Math.max(mine.block, head);
+      rec.count = n; rec.circuit = cb;
+      writeSync(key, rec);
+      syncKey.current = key;
+      painted.current = `${key}:${me}`;
+      const arr = buildMarkets(rec, mine, cb, addr);
+      setMarkets(arr);
+      try {
+        const [owner, pending, ...held] = await Promise.all([c.owner(), c.pendingOwner(), ...ROLES.map(r => c.hasRole(r.id, addr))]);
+        const next = { owner: owner.toLowerCase() === addr.toLowerCase(), pendingOwner: pending.toLowerCase() === addr.toLowerCase(), ownerAddr: owner, pendingAddr: pending };
+        ROLES.forEach((r, i) => { next[r.key] = held[i]; });
+        setRoles(next);
+      } catch { setRoles(NO_ROLES); }
+      try {
+        const [feeBps, share, treasury, mine] = await Promise.all([c.feeBps(), c.creatorShareBps(), c.treasury(), c.accruedFees(addr)]);
+        const collaterals = [...new Set(arr.map(m => m.collateral).filter(a => a !== ZeroAddress))];
+        const tokens = await Promise.all(collaterals.map(async (a) => {
+          const [mineT, treasuryT] = await Promise.all([c.tokenFees(a, addr), c.tokenFees(a, treasury)]);
+          return { address: a, ...(await getToken(a, signer)), mine: mineT.toString(), treasuryAccrued: treasuryT.toString() };
+        }));
+        setFees({ feeBps: Number(feeBps), share: Number(share), treasury, mine: mine.toString(), treasuryAccrued: (await c.accruedFees(treasury)).toString(), tokens });
+      } catch { setFees(null); }
+      try {
+        const collaterals = [ZeroAddress, ...new Set(arr.map(m => m.collateral).filter(a => a !== ZeroAddress))];
+        const held = await Promise.all(collaterals.map(a => a === ZeroAddress ? signer.provider.getBalance(addr) : new Contract(a, ERC20_ABI, signer).balanceOf(addr)));
+        setWallet(Object.fromEntries(collaterals.map((a, i) => [a, held[i].toString()])));
+      } catch { setWallet({}); }
+      try {
+        const [bond, minDuration, resBond, window, penalty] = await Promise.all([c.creationBond(), c.minDuration(), c.resolutionBond(), c.disputeWindow(), c.exitPenaltyBps()]);
+        setBondCfg({ bond: bond.toString(), minDuration: Number(minDuration) });
+        setResCfg({ bond: resBond.toString(), window: Number(window) });
+        setExitPenaltyBps(Number(penalty));
+      } catch { setBondCfg(null); setResCfg(null); }
+      try {
+        const collaterals = [ZeroAddress, ...new Set(arr.map(m => m.collateral).filter(a => a !== ZeroAddress))];
+        const [bps, referrer] = await Promise.all([c.referralBps(), c.referrerOf(addr)]);
+        const earnings = await Promise.all(collaterals.map(async (a) => {
+          const [earned, owed] = await Promise.all([c.referralEarnings(addr, a), a === ZeroAddress ? c.accruedFees(addr) : c.tokenFees(a, addr)]);
+          return { address: a, ...(await getToken(a, signer)), earned: earned.toString(), owed: owed.toString() };
+        }));
+        setReferral({ bps: Number(bps), referrer: referrer === ZeroAddress ? "" : referrer, referees: [...mine.referees], earnings });
+      } catch { setReferral(null); }
+      if (parlayAddr) try {
+        const pc = new Contract(parlayAddr, PARLAY_ABI, signer);
+        const collaterals = [ZeroAddress, ...new Set(arr.map(m => m.collateral).filter(a => a !== ZeroAddress))];
+        setParlayBank(await Promise.all(collaterals.map(async (a) => {
+          const [free, held] = await Promise.all([pc.liquidity(c.target, a), pc.reserved(c.target, a)]);
+          return { address: a, ...(await getToken(a, signer)), liquidity: free.toString(), reserved: held.toString() };
+        })));
+        const rows = await Promise.all((await pc.getTickets(addr)).map(async (id) => {
+          const [t, legs, [done, due]] = await Promise.all([pc.tickets(id), pc.getLegs(id), pc.preview(id)]);
+          return {
+            id: Number(id), predictx: t.predictx, collateral: t.collateral, token: await getToken(t.collateral, signer),
+            stake: t.stake.toString(), maxPayout: t.maxPayout.toString(), settled: t.settled, done, due: due.toString(),
+            legs: legs.map(l => ({ id: Number(l.marketId), outcome: Number(l.outcome), odds: Number(formatUnits(l.odds, 18)) })),
+          };
+        }));
+        setTickets(rows.filter(t => t.predictx.toLowerCase() === c.target.toLowerCase()).reverse());
+      } catch (e) { console.error("Parlays unavailable:", e); setTickets([]); setParlayBank([]); }
     } catch (e) { console.error("Load failed:", e); }
-  }, [signer, deployed, isArc, getContract]);
+  }, [signer, deployed, isArc, getContract, getToken, lensAddr, parlayAddr]);
+  // Syncs run one after another, so a sync asked for mid-run (after a transaction) still sees its logs
+  const loadMarkets = useCallback(() => (syncQueue.current = syncQueue.current.then(syncMarkets)), [syncMarkets]);
+
+  /* ─── Market activity (from the sync record; block times fetched once and cached with it) ── */
+  useEffect(() => {
+    const key = syncKey.current, rec = syncState.current[key];
+    if (detailId === null || !rec || !signer) return setActivity(null);
+    const events = rec.activity[detailId] ?? [];
+    let stale = false;
+    (async () => {
+      if (await fillBlockTimes(signer.provider, rec, events.map(e => e.block))) writeSync(key, rec);
+      if (!stale) setActivity(events.map(e => ({ ...e, at: rec.times[e.block] })));
+    })().catch((e) => console.error("Activity unavailable:", e));
+    return () => { stale = true; };
+  }, [detailId, markets, signer]);
+
+  /* ─── Leaderboard and profiles (replayed from the sync record's activity) ── */
+  useEffect(() => {
+    const key = syncKey.current, rec = syncState.current[key];
+    if (page !== "leaderboard" || !rec || !signer) return setBoard(null);
+    const span = BOARD_WINDOWS.find(w => w.key === boardWindow).seconds;
+    const since = span ? Math.floor(Date.now() / 1000) - span : 0;
+    let stale = false;
+    (async () => {
+      // Only a time window needs block times: of bets for volume, and of rulings and voids for the rest
+      if (since && await fillBlockTimes(signer.provider, rec, Object.values(rec.activity).flat()
+        .filter(e => e.kind === "bet" || e.kind === "resolved" || e.kind === "voided").map(e => e.block))) writeSync(key, rec);
+      const rows = Object.values(rec.markets);
+      const collateral = rows.some(m => m.collateral === boardToken) ? boardToken : rows[0]?.collateral ?? boardToken;
+      if (!stale) setBoard({ collateral, rows: rankForecasters(rec, userLedgers(rec), { since, collateral, emergency: circuit.emergency }) });
+    })().catch((e) => console.error("Leaderboard unavailable:", e));
+    return () => { stale = true; };
+  }, [page, markets, signer, boardWindow, boardToken, circuit.emergency]);
+
+  // A profile is any account's My Positions: the same rows, read for that address (or taken from the
+  // record if that account synced here and is up to date), plus what each market made or lost them
+  useEffect(() => {
+    const rec = syncState.current[syncKey.current];
+    if (page !== "profile" || !profileAddr || !rec || !signer) return setProfile(null);
+    let stale = false;
+    (async () => {
+      const who = profileAddr.toLowerCase();
+      const ledgers = userLedgers(rec)[who] ?? {};
+      const ids = Object.keys(ledgers).map(Number).sort((a, b) => a - b);
+      let rows = rec.users[who]?.block === rec.block ? rec.users[who].rows : null;
+      if (!rows) {
+        const c = getContract(signer);
+        const lens = lensAddr ? new Contract(lensAddr, LENS_ABI, signer) : null;
+        const amm = ammAddr ? new Contract(ammAddr, AMM_ABI, signer) : null;
+        rows = Object.fromEntries((await readPortfolio(c, lens, amm, profileAddr, ids)).map(r => [Number(r.market.id), toPosition(r)]));
+      }
+      const cb = rec.circuit ?? NO_CIRCUIT;
+      const positions = buildMarkets(rec, { rows }, cb, profileAddr).filter(m => m.id in ledgers)
+        .map(m => ({ ...m, result: positionResult(rec.markets[m.id], ledgers[m.id], m.cancelled) }));
+      const stats = [...new Set(positions.map(m => m.collateral))].map(collateral => ({
+        token: positions.find(m => m.collateral === collateral).token,
+        ...rankForecasters(rec, { [who]: ledgers }, { since: 0, collateral, emergency: cb.emergency })[0],
+      }));
+      if (!stale) setProfile({ address: profileAddr, positions, stats });
+    })().catch((e) => { console.error("Profile unavailable:", e); if (!stale) setProfile({ address: profileAddr, positions: [], stats: [] }); });
+    return () => { stale = true; };
+  }, [page, profileAddr, markets, signer, getContract, lensAddr, ammAddr]);
+  const openProfile = (addr) => { setProfileAddr(getAddress(addr)); setPage("profile"); setDetailId(null); };
+
+  /* ─── Role holders (rebuilt from RoleGranted / RoleRevoked logs) ── */
+  const loadRoleHolders = useCallback(async () => {
+    if (!signer || !deployed) return;
+    try {
+      const c = getContract(signer);
+      const [granted, revoked] = await Promise.all([c.queryFilter(c.filters.RoleGranted()), c.queryFilter(c.filters.RoleRevoked())]);
+      const held = {};
+      [...granted, ...revoked]
+        .sort((a, b) => a.blockNumber - b.blockNumber || a.index - b.index)
+        .forEach((ev) => { const k = `${ev.args.role}:${ev.args.account}`; if (ev.eventName === "RoleGranted") held[k] = ev.args; else delete held[k]; });
+      setRoleHolders(Object.values(held).map(a => ({ role: a.role, account: a.account })));
+    } catch (e) { console.error("Role history unavailable:", e); setRoleHolders(null); }
+  }, [signer, deployed, getContract]);
 
   /* ─── Effects ── */
+  /* ─── Instance registry ── */
+  const loadInstances = useCallback(async () => {
+    if (!signer || !isArc || !factoryAddr) return setInstances([]);
+    try {
+      const f = new Contract(factoryAddr, FACTORY_ABI, signer);
+      const n = Number(await f.instanceCount());
+      const rows = [];
+      for (let off = 0; off < n; off += PAGE_SIZE) rows.push(...await f.getInstances(off, PAGE_SIZE));
+      setInstances(rows.map(r => ({ address: getAddress(r.instance), owner: r.owner, name: r.name, createdAt: Number(r.createdAt) })));
+    } catch (e) { console.error("Registry load failed:", e); setInstances([]); }
+  }, [signer, isArc, factoryAddr]);
+
+  const selectInstance = (addr) => {
+    setContractAddr(addr); localStorage.setItem(SAVED_ADDR_KEY, addr);
+    setMarkets([]); setRoles(NO_ROLES); setPage("markets"); setCategory(""); setDetailId(null); setProfileAddr(null);
+  };
+
   useEffect(() => { if (localStorage.getItem(SAVED_CONN_KEY) === "1") connect(true); }, [connect]);
-  useEffect(() => { loadMarkets(); const id = setInterval(loadMarkets, 15000); return () => clearInterval(id); }, [loadMarkets]);
+  useEffect(() => { loadInstances(); }, [loadInstances, contractAddr]);
+  // The address bar follows the open contract, tab and market; each change is a history entry, so Back works
+  useEffect(() => {
+    if (linked) return; // keep the link in the address bar until it is opened or turned down
+    const cur = parseRoute();
+    if (!deployed) { if (cur) window.history.replaceState(null, "", window.location.pathname + window.location.search); return; }
+    const contract = getAddress(contractAddr);
+    if (cur && cur.contract === contract && cur.page === page && cur.market === detailId && cur.user === profileAddr) return;
+    window.history[cur ? "pushState" : "replaceState"](null, "", routeHash(contract, page, detailId, profileAddr));
+  }, [deployed, contractAddr, page, detailId, profileAddr, linked]);
+  useEffect(() => {
+    const onPop = () => {
+      const r = parseRoute(); if (!r) return;
+      if (r.contract !== getAddress(contractAddr || ZeroAddress)) return setLinked(r);
+      setPage(r.page); setDetailId(r.market); setProfileAddr(r.user);
+    };
+    window.addEventListener("popstate", onPop);
+    return () => window.removeEventListener("popstate", onPop);
+  }, [contractAddr]);
+  // Nothing is opened or saved from a link until the contract is known or the user says so
+  useEffect(() => {
+    if (!linked || !signer || !isArc) return;
+    let live = true;
+    (async () => {
+      const known = (isAddress(deployment.address) && linked.contract === getAddress(deployment.address))
+        || (!!factoryAddr && await new Contract(factoryAddr, FACTORY_ABI, signer).isInstance(linked.contract).catch(() => false));
+      if (!live) return;
+      if (known || confirm(`This link opens ${linked.contract}, which is not a PredictX contract this app knows. Anyone can deploy a look-alike that asks for token approvals — only open it if you trust whoever sent the link. Open it?`)) {
+        selectInstance(linked.contract); setPage(linked.page); setDetailId(linked.market); setProfileAddr(linked.user);
+      }
+      setLinked(null);
+    })();
+    return () => { live = false; };
+  }, [linked, signer, isArc, factoryAddr]);
+  useEffect(() => {
+    const chain = parseRoute()?.chain;
+    if (chain && chain !== ARC_CHAIN_ID) showToast(`This link points to chain ${chain}; PredictX runs on ${ARC.chainName}`, "err");
+  }, []);
+  // Clocks (countdowns, betting cutoffs) move without logs, so a slow tick still resyncs
+  useEffect(() => { loadMarkets(); const id = setInterval(loadMarkets, 60000); return () => clearInterval(id); }, [loadMarkets]);
+  // New logs from the contract, its market maker or its oracle trigger an incremental sync
+  useEffect(() => {
+    if (!signer || !deployed || !isArc) return;
+    const filter = { address: [contractAddr, ammAddr, oracleAddr].filter(Boolean) };
+    let t;
+    const onLog = () => { clearTimeout(t); t = setTimeout(loadMarkets, 300); };
+    signer.provider.on(filter, onLog);
+    return () => { clearTimeout(t); signer.provider.off(filter, onLog); };
+  }, [signer, deployed, isArc, contractAddr, ammAddr, oracleAddr, loadMarkets]);
+  useEffect(() => { if (page === "admin" && roles.owner) loadRoleHolders(); }, [page, roles.owner, loadRoleHolders]);
   useEffect(() => {
     if (!window.ethereum) return;
     const hc = () => connect(true);
@@ -240,27 +646,321 @@ export default function App() {
 
   /* ─── Actions ── */
   const execTx = async (label, fn) => {
-    try { setLoading(label); const tx = await fn(); await tx.wait(); await loadMarkets(); showToast(`${label} successful!`); }
-    catch (e) { showToast(e?.reason || e?.info?.error?.message || e?.message || "Failed", "err"); }
+    try { setLoading(label); const tx = await fn(); await tx.wait(); await loadMarkets(); showToast(`${label} successful!`); return true; }
+    catch (e) { showToast(e?.reason || e?.info?.error?.message || e?.message || "Failed", "err"); return false; }
+    finally { setLoading(""); }
+  };
+  // ERC-20 markets need an allowance: approve the amount for `spender` if it is short
+  const ensureAllowance = async (m, spender, amount) => {
+    if (m.collateral === ZeroAddress) return true;
+    const token = new Contract(m.collateral, ERC20_ABI, signer);
+    return await token.allowance(account, spender) >= amount || execTx(`Approving ${m.token.symbol}`, () => token.approve(spender, amount));
+  };
+  const valueFor = (m, amount) => m.collateral === ZeroAddress ? { value: amount } : {};
+  const bet = async (m, idx, amt) => {
+    const amount = parseUnits(amt, m.token.decimals);
+    const err = limitError(m, amount); if (err) return showToast(err, "err");
+    if (!(await ensureAllowance(m, contractAddr, amount))) return;
+    // Only the first referrer counts on-chain, so the link is passed along until one is recorded
+    const ref = !referral?.referrer && linkReferrer && linkReferrer !== getAddress(account) ? linkReferrer : "";
+    execTx(`Betting ${m.outcomes[idx].label}`, () => ref
+      ? getContract(signer).placeBetWithReferrer(m.id, idx, amount, ref, valueFor(m, amount))
+      : getContract(signer).placeBet(m.id, idx, amount, valueFor(m, amount)));
+  };
+  // Sign an intent and hand it to the relayer, which submits it and pays the gas
+  const relay = async (label, path, types, intent) => {
+    try {
+      setLoading(label);
+      const { chainId } = await signer.provider.getNetwork();
+      const domain = { name: "ARCPredictX", version: "1", chainId, verifyingContract: getAddress(contractAddr) };
+      const signature = await signer.signTypedData(domain, types, intent);
+      const res = await fetch(`${relayerUrl}/${path}`, {
+        method: "POST", headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({ contract: domain.verifyingContract, intent, signature }, (k, v) => typeof v === "bigint" ? v.toString() : v),
+      });
+      const out = await res.json().catch(() => ({}));
+      if (!res.ok) throw new Error(out.error || `Relayer error ${res.status}`);
+      const receipt = await signer.provider.waitForTransaction(out.hash);
+      if (receipt?.status !== 1) throw new Error("Relayed transaction reverted");
+      await loadMarkets(); showToast(`${label} successful!`); return true;
+    }
+    catch (e) { showToast(e?.reason || e?.info?.error?.message || e?.message || "Failed", "err"); return false; }
+    finally { setLoading(""); }
+  };
+  const intentBase = async () => ({
+    nonce: await getContract(signer).nonces(account),
+    deadline: BigInt(Math.floor(Date.now() / 1000) + INTENT_TTL),
+  });
+  // ERC-20 only: the contract pulls the stake from the bettor's allowance, so the relayer never fronts funds
+  const signBet = async (m, idx, amt) => {
+    const amount = parseUnits(amt, m.token.decimals);
+    const err = limitError(m, amount); if (err) return showToast(err, "err");
+    if (!(await ensureAllowance(m, contractAddr, amount))) return;
+    relay(`Betting ${m.outcomes[idx].label} (signed)`, "bet", BET_INTENT_TYPES, { bettor: account, marketId: BigInt(m.id), outcome: idx, amount, ...await intentBase() });
+  };
+  const signClaimAll = async (ms) => relay(`Claiming ${ms.length} markets (signed)`, "claim", CLAIM_INTENT_TYPES, { claimant: account, marketIds: ms.map(m => BigInt(m.id)), ...await intentBase() });
+  const saveRelayer = () => {
+    const url = relayerInput.trim().replace(/\/+$/, "");
+    if (url && !/^https?:\/\//.test(url)) return showToast("Relayer URL must start with http(s)://", "err");
+    if (url) localStorage.setItem(SAVED_RELAYER_KEY, url); else localStorage.removeItem(SAVED_RELAYER_KEY);
+    setRelayerUrl(url); setShowRelayer(false); setRelayerInput("");
+    showToast(url ? "Relayer saved — ERC-20 markets can take signed bets" : "Relayer removed");
+  };
+  const quote = (m, side, idx, amount) => getAmm(signer)[side === "buy" ? "quoteBuy" : "quoteSell"](m.id, idx, amount);
+  const trade = async (m, side, idx, amount, minOut) => {
+    const label = m.outcomes[idx].label;
+    if (side === "sell") return execTx(`Selling ${label}`, () => getAmm(signer).sell(m.id, idx, amount, minOut));
+    if (!(await ensureAllowance(m, ammAddr, amount))) return;
+    execTx(`Buying ${label}`, () => getAmm(signer).buy(m.id, idx, amount, minOut, valueFor(m, amount)));
+  };
+  // Anyone can settle a price-feed market once the feed has reported at or after endTime
+  const settleFromFeed = async (m) => {
+    const po = new Contract(oracleAddr, ORACLE_ABI, signer);
+    const round = await po.firstRoundAfterEnd(contractAddr, m.id, 50).catch(() => 0n);
+    if (round === 0n) return showToast(`${m.priceFeed.description} hasn't reported since the market ended — try again shortly`, "err");
+    execTx("Settling from feed", () => po.settle(contractAddr, m.id, round));
+  };
+  const allowFeed = (allowed) => execTx(allowed ? "Allowing price feed" : "Removing price feed", () => new Contract(oracleAddr, ORACLE_ABI, signer).setFeedAllowed(contractAddr, getAddress(feedInput), allowed)).then((ok) => ok && setFeedInput(""));
+  const linkOracle = (addr) => execTx("Linking price oracle", () => getContract(signer).setOracle(addr)).then((ok) => ok && setOracleInput(""));
+  const deployOracle = async () => {
+    let addr;
+    try {
+      setLoading("Compiling price oracle");
+      const { abi, bytecode } = await (await loadCompiler()).compileContract("ARCPredictXPriceOracle");
+      setLoading("Deploying price oracle");
+      const po = await new ContractFactory(abi, bytecode, signer).deploy();
+      await po.waitForDeployment();
+      addr = await po.getAddress();
+    } catch (e) { setLoading(""); return showToast(e?.reason || e?.message || "Deploy failed", "err"); }
+    linkOracle(addr);
+  };
+  const redeemShares = (id) => execTx("Redeeming shares", () => getAmm(signer).redeem(id));
+  const seedPool = async (m) => {
+    const amt = seedInputs[m.id];
+    if (!(Number(amt) > 0)) return showToast("Enter an amount to seed", "err");
+    const amount = parseUnits(amt, m.token.decimals);
+    if (!(await ensureAllowance(m, ammAddr, amount))) return;
+    if (await execTx("Seeding liquidity", () => getAmm(signer).createPool(m.id, amount, valueFor(m, amount)))) setSeedInputs(v => ({ ...v, [m.id]: "" }));
+  };
+  const withdrawLiquidity = (id) => execTx("Withdrawing liquidity", () => getAmm(signer).withdrawLiquidity(id));
+  const linkAmm = (addr) => execTx("Linking market maker", () => getContract(signer).setAmm(addr)).then((ok) => ok && setAmmInput(""));
+  const deployAmm = async () => {
+    let addr;
+    try {
+      setLoading("Compiling market maker");
+      const { abi, bytecode } = await (await loadCompiler()).compileContract("ARCPredictXAMM");
+      setLoading("Deploying market maker");
+      const amm = await new ContractFactory(abi, bytecode, signer).deploy(getAddress(contractAddr));
+      await amm.waitForDeployment();
+      addr = await amm.getAddress();
+    } catch (e) { setLoading(""); return showToast(e?.reason || e?.message || "Deploy failed", "err"); }
+    linkAmm(addr);
+  };
+  const getParlay = (s) => s && parlayAddr ? new Contract(parlayAddr, PARLAY_ABI, s) : null;
+  // Picking a market's other side switches the leg; picking the same side again drops it
+  const toggleParlayLeg = (m, outcome) => setParlayLegs((legs) => {
+    const at = legs.findIndex(l => l.id === m.id);
+    if (at >= 0) return legs[at].outcome === outcome ? legs.filter((_, i) => i !== at) : legs.map((l, i) => i === at ? { ...l, outcome } : l);
+    if (legs.length >= PARLAY_MAX_LEGS) { showToast(`A parlay can have at most ${PARLAY_MAX_LEGS} legs`, "err"); return legs; }
+    return [...legs, { id: m.id, outcome }];
+  });
+  const quoteParlay = (legs, stake) => getParlay(signer).quote(contractAddr, legs.map(l => l.id), legs.map(l => l.outcome), stake);
+  const buyParlay = async (legs, stake, minPayout) => {
+    const m = markets.find(x => x.id === legs[0].id);
+    if (!(await ensureAllowance(m, parlayAddr, stake))) return;
+    const ok = await execTx(`Placing ${legs.length}-leg parlay`, () => getParlay(signer).buyTicket(contractAddr, legs.map(l => l.id), legs.map(l => l.outcome), stake, minPayout, valueFor(m, stake)));
+    if (ok) setParlayLegs([]);
+  };
+  const settleTicket = (t) => execTx(`Settling parlay #${t.id}`, () => getParlay(signer).settle(t.id));
+  const moveParlayFunds = async (t, add) => {
+    const amt = parlayInputs[t.address];
+    if (!(Number(amt) > 0)) return showToast("Enter an amount", "err");
+    const amount = parseUnits(amt, t.decimals);
+    const asMarket = { collateral: t.address, token: t };
+    if (add && !(await ensureAllowance(asMarket, parlayAddr, amount))) return;
+    const ok = await execTx(add ? `Funding ${t.symbol} parlay pool` : `Withdrawing ${t.symbol} parlay funds`, () => add
+      ? getParlay(signer).addLiquidity(contractAddr, t.address, amount, valueFor(asMarket, amount))
+      : getParlay(signer).removeLiquidity(contractAddr, t.address, amount));
+    if (ok) setParlayInputs(v => ({ ...v, [t.address]: "" }));
+  };
+  const deployParlay = async () => {
+    try {
+      setLoading("Compiling parlay contract");
+      const { abi, bytecode } = await (await loadCompiler()).compileContract("ARCPredictXParlay");
+      setLoading("Deploying parlay contract");
+      const pc = await new ContractFactory(abi, bytecode, signer).deploy();
+      await pc.waitForDeployment();
+      const addr = await pc.getAddress();
+      setParlayAddr(addr); localStorage.setItem(SAVED_PARLAY_KEY, addr);
+      showToast("Parlay contract deployed — fund its pool to open parlays");
+    } catch (e) { showToast(e?.reason || e?.message || "Deploy failed", "err"); }
     finally { setLoading(""); }
   };
-  const betYes = (id, amt) => execTx("Betting YES", () => getContract(signer).buyYes(id, { value: parseEther(amt) }));
-  const betNo = (id, amt) => execTx("Betting NO", () => getContract(signer).buyNo(id, { value: parseEther(amt) }));
+  const linkParlay = (addr) => { setParlayAddr(addr); localStorage.setItem(SAVED_PARLAY_KEY, addr); setParlayInputs(v => ({ ...v, link: "" })); };
+  const withdrawBet = (m, idx, amount) => execTx(`Reducing ${m.outcomes[idx].label}`, () => m.categorical || m.scalar
+    ? getContract(signer).withdrawStake(m.id, idx, amount)
+    : getContract(signer).withdrawBet(m.id, idx === 0, amount));
   const claim = (id) => execTx("Claiming", () => getContract(signer).claimReward(id));
-  const createMkt = () => {
-    if (!newQ.trim()) return showToast("Enter a question", "err");
-    const endTime = Math.floor(Date.now() / 1000) + Number(newDays) * 86400 + Number(newHours) * 3600;
-    execTx("Creating market", async () => {
-      const tx = await getContract(signer).createMarket(newQ.trim(), endTime);
-      setNewQ(""); setNewDays("1"); setNewHours("0"); return tx;
+  const refund = (id) => execTx("Refunding", () => getContract(signer).refund(id));
+  const claimAll = (ms) => execTx(`Claiming ${ms.length} markets`, () => getContract(signer).claimMany(ms.map(m => m.id)));
+  const checkForm = (f) => {
+    if (!f.question) return "Enter a question";
+    if (f.kind === "categorical" && (f.outcomes.length < 2 || f.outcomes.length > 16)) return "Enter 2–16 outcomes, one per line";
+    if (f.range && !(/^-?\d+$/.test(f.range.lower) && /^-?\d+$/.test(f.range.upper) && BigInt(f.range.lower) < BigInt(f.range.upper))) return "Enter whole-number bounds with the lower one first";
+    if (f.collateral && !isAddress(f.collateral)) return "Collateral must be a token address (or empty for native USDC)";
+    if (f.meta.resolutionSource && !safeUrl(f.meta.resolutionSource)) return "Resolution source must be an http(s) or ipfs:// link";
+    if (f.meta.image && !safeUrl(f.meta.image)) return "Image must be an http(s) or ipfs:// link";
+    const { minBet, maxPerUser, maxPool, cutoffHours } = f.limits;
+    if ([minBet, maxPerUser, maxPool, cutoffHours].some(v => v !== "" && !(Number(v) >= 0))) return "Limits must be positive numbers";
+    if (Number(cutoffHours || 0) * 3600 >= f.endTime - Date.now() / 1000) return "The betting cutoff must leave some time to bet";
+    if ((maxPerUser && Number(maxPerUser) < Number(minBet || 0)) || (maxPool && Number(maxPool) < Number(minBet || 0))) return "Maximums can't be below the minimum bet";
+    if (f.feed) {
+      if (!oracleAddr) return "No price oracle is linked to this contract";
+      if (!isAddress(f.feed.address)) return "Enter the price feed's address";
+      if (f.feed.threshold === "" || isNaN(Number(f.feed.threshold))) return "Enter a price threshold";
+    }
+    return "";
+  };
+  const toParams = async (f) => {
+    const collateral = f.collateral ? getAddress(f.collateral) : ZeroAddress;
+    const { decimals } = await getToken(collateral, signer);
+    const amt = (v) => v ? parseUnits(v, decimals) : 0n;
+    const { minBet, maxPerUser, maxPool, cutoffHours } = f.limits;
+    let oracleData = "0x";
+    if (f.feed) {
+      const feed = getAddress(f.feed.address);
+      if (!(await new Contract(oracleAddr, ORACLE_ABI, signer).allowedFeeds(contractAddr, feed))) throw new Error("That price feed isn't allowed on this contract — ask the owner to add it");
+      const feedDecimals = await new Contract(feed, FEED_ABI, signer).decimals();
+      oracleData = AbiCoder.defaultAbiCoder().encode(["address", "int256", "uint8"], [feed, parseUnits(f.feed.threshold, feedDecimals), f.feed.comparison]);
+    }
+    return {
+      question: f.question, outcomes: f.kind === "categorical" ? f.outcomes : [], endTime: f.endTime, collateral, metadata: toMetadata(f.meta),
+      limits: { minBet: amt(minBet), maxPerUser: amt(maxPerUser), maxPool: amt(maxPool), cutoff: Math.round(Number(cutoffHours || 0) * 3600) },
+      oracleData, range: f.range ? { lower: BigInt(f.range.lower), upper: BigInt(f.range.upper) } : { lower: 0n, upper: 0n },
+    };
+  };
+  const createMkt = (f, reset) => {
+    const err = checkForm(f); if (err) return showToast(err, "err");
+    execTx("Creating market", async () => { const tx = await getContract(signer).createMarketWithParams(await toParams(f)); reset(); return tx; });
+  };
+  const proposeMkt = (f, reset) => {
+    const err = checkForm(f); if (err) return showToast(err, "err");
+    if (f.endTime - Math.round(Number(f.limits.cutoffHours || 0) * 3600) - Math.floor(Date.now() / 1000) < bondCfg.minDuration) return showToast(`Betting must stay open for at least ${fmtDur(bondCfg.minDuration)}`, "err");
+    execTx("Proposing market", async () => {
+      const tx = await getContract(signer).proposeMarketWithParams(await toParams(f), { value: BigInt(bondCfg.bond) });
+      reset(); setShowPropose(false); return tx;
     });
   };
-  const resolve = (id, outcome) => execTx("Resolving", () => getContract(signer).resolveMarket(id, outcome));
+  const claimBond = (id) => execTx("Reclaiming bond", () => getContract(signer).claimBond(id));
+  const setHidden = (id, hidden) => execTx(hidden ? "Hiding market" : "Restoring market", () => getContract(signer).setMarketHidden(id, hidden));
+  const reject = (id) => { if (confirm(`Reject market #${id} as invalid? Bettors are refunded and the creator's bond goes to the treasury.`)) execTx("Rejecting", () => getContract(signer).rejectMarket(id)); };
+  const saveBondCfg = () => {
+    if (!(Number(bondInput) >= 0) || !(Number(minDurInput) >= 0)) return showToast("Enter a bond and a minimum duration", "err");
+    execTx("Updating bond", async () => {
+      const tx = await getContract(signer).setBondConfig(parseEther(bondInput), Math.round(Number(minDurInput) * 3600));
+      setBondInput(""); setMinDurInput(""); return tx;
+    });
+  };
+  const resolveLabel = () => resCfg?.window ? "Proposing outcome" : "Resolving";
+  const resolve = (id, outcome) => execTx(resolveLabel(), () => getContract(signer).resolveMarket(id, outcome, { value: BigInt(resCfg?.bond ?? 0) }));
+  const resolveOutcome = (id, idx) => execTx(resolveLabel(), () => getContract(signer).resolveOutcome(id, idx, { value: BigInt(resCfg?.bond ?? 0) }));
+  // Scalar values are whole numbers typed into valueInputs; resolving and arbitrating both read them
+  const scalarInput = (m) => {
+    const v = (valueInputs[m.id] ?? "").trim();
+    if (/^-?\d+$/.test(v)) return BigInt(v);
+    showToast("Enter the observed value as a whole number", "err");
+    return null;
+  };
+  const clearValue = (id) => (ok) => ok && setValueInputs(x => ({ ...x, [id]: "" }));
+  const resolveScalar = (m) => {
+    const v = scalarInput(m);
+    if (v !== null) execTx(resolveLabel(), () => getContract(signer).resolveScalar(m.id, v, { value: BigInt(resCfg?.bond ?? 0) })).then(clearValue(m.id));
+  };
+  const dispute = (m) => {
+    if (!confirm(`Dispute the proposed ${m.scalar ? "value" : "outcome"} "${proposalLabel(m)}"? You post ${fmtAmt(m.proposal.bond)} USDC, returned with the proposer's bond if the arbiter agrees with you.`)) return;
+    execTx("Disputing", () => getContract(signer).disputeResolution(m.id, { value: BigInt(m.proposal.bond) }));
+  };
+  const finalize = (id) => execTx("Finalizing", () => getContract(signer).finalizeResolution(id));
+  const arbitrate = (id, idx) => execTx("Settling dispute", () => getContract(signer).arbitrate(id, idx));
+  const arbitrateScalar = (m, v) => v !== null && execTx("Settling dispute", () => getContract(signer).arbitrateScalar(m.id, v)).then(clearValue(m.id));
+  const saveResCfg = () => {
+    if (!(Number(resBondInput) >= 0) || !(Number(windowInput) >= 0)) return showToast("Enter a bond and a dispute window", "err");
+    execTx("Updating resolution rules", async () => {
+      const tx = await getContract(signer).setResolutionConfig(parseEther(resBondInput), Math.round(Number(windowInput) * 3600));
+      setResBondInput(""); setWindowInput(""); return tx;
+    });
+  };
+  const withdrawFees = () => execTx("Withdrawing fees", () => getContract(signer).withdrawFees());
+  const withdrawTokenFees = (t) => execTx(`Withdrawing ${t.symbol} fees`, () => getContract(signer).withdrawTokenFees(t.address));
+  const saveFees = () => {
+    const bps = Math.round(Number(feeInput) * 100), shareBps = Math.round(Number(shareInput) * 100);
+    if (!(bps >= 0 && bps <= 1000) || !(shareBps >= 0 && shareBps <= 10000)) return showToast("Fee must be 0–10%, creator share 0–100%", "err");
+    execTx("Updating fees", async () => { const tx = await getContract(signer).setFeeConfig(bps, shareBps); setFeeInput(""); setShareInput(""); return tx; });
+  };
+  const savePenalty = () => {
+    const bps = Math.round(Number(penaltyInput) * 100);
+    if (penaltyInput === "" || !(bps >= 0 && bps <= 1000)) return showToast("Penalty must be 0–10%", "err");
+    execTx("Updating exit penalty", async () => { const tx = await getContract(signer).setExitPenalty(bps); setPenaltyInput(""); return tx; });
+  };
+  const saveReferral = () => {
+    const bps = Math.round(Number(referralInput) * 100);
+    if (referralInput === "" || !(bps >= 0 && bps <= 5000)) return showToast("Referral share must be 0–50%", "err");
+    execTx("Updating referral share", async () => { const tx = await getContract(signer).setReferralBps(bps); setReferralInput(""); return tx; });
+  };
+  const shareMarket = (m) => navigator.clipboard.writeText(shareLink(getAddress(contractAddr), m.id, account))
+    .then(() => showToast("Market link copied"), () => showToast("Copy failed", "err"));
+  const referralLink = account ? `${window.location.origin}${window.location.pathname}?ref=${account}` : "";
+  const copyReferralLink = () => navigator.clipboard.writeText(referralLink)
+    .then(() => showToast("Referral link copied"), () => showToast("Copy failed — select the link instead", "err"));
+  const savePause = (key, on) => {
+    const next = { ...circuit, [key]: on };
+    execTx(on ? "Pausing" : "Unpausing", () => getContract(signer).setPaused(next.betting, next.resolution, next.claims));
+  };
+  const scheduleEmergency = () => execTx("Scheduling emergency refund", () => getContract(signer).scheduleEmergencyRefund());
+  const cancelEmergency = () => execTx("Cancelling emergency refund", () => getContract(signer).cancelEmergencyRefund());
+  const activateEmergency = () => execTx("Activating emergency refund", () => getContract(signer).activateEmergencyRefund());
+  const changeRole = (grant) => {
+    if (!isAddress(roleAddr)) return showToast("Invalid address", "err");
+    const role = ROLES.find(r => r.key === roleKey);
+    execTx(grant ? "Granting role" : "Revoking role", () => getContract(signer)[grant ? "grantRole" : "revokeRole"](role.id, getAddress(roleAddr)))
+      .then(loadRoleHolders);
+  };
+  const revokeHolder = (role, account) => execTx("Revoking role", () => getContract(signer).revokeRole(role, account)).then(loadRoleHolders);
+  const startTransfer = () => {
+    if (!isAddress(newOwner)) return showToast("Invalid address", "err");
+    if (!confirm(`Hand ownership to ${getAddress(newOwner)}? They must accept before it takes effect.`)) return;
+    execTx("Starting transfer", async () => { const tx = await getContract(signer).transferOwnership(getAddress(newOwner)); setNewOwner(""); return tx; });
+  };
+  const acceptOwnership = () => execTx("Accepting ownership", () => getContract(signer).acceptOwnership());
+  const saveTreasury = () => {
+    if (!isAddress(treasuryInput)) return showToast("Invalid treasury address", "err");
+    execTx("Updating treasury", async () => { const tx = await getContract(signer).setTreasury(getAddress(treasuryInput)); setTreasuryInput(""); return tx; });
+  };
+  // A time after endTime extends the market; an earlier one only closes betting then, and resolution still waits for endTime
+  const reschedule = (m, ts) => {
+    if (!Number.isFinite(ts)) return showToast("Pick a new time", "err");
+    if (ts <= Date.now() / 1000) return showToast("The new time must be in the future", "err");
+    if (ts < m.endTime) {
+      if (ts >= m.closesAt) return showToast("Betting already closes before then", "err");
+      return execTx("Closing betting early", () => getContract(signer).closeBetting(m.id, ts))
+        .then((ok) => ok && setEndInputs(x => ({ ...x, [m.id]: "" })));
+    }
+    if (ts === m.endTime) return showToast("Pick a time before or after the current end time", "err");
+    if (m.schedule.length >= MAX_RESCHEDULES) return showToast(`This market has used all ${MAX_RESCHEDULES} extensions`, "err");
+    if (ts > m.endTime + MAX_EXTENSION) return showToast(`A market can move at most ${fmtDur(MAX_EXTENSION)} later per change`, "err");
+    execTx("Extending market", () => getContract(signer).rescheduleMarket(m.id, ts))
+      .then((ok) => ok && setEndInputs(x => ({ ...x, [m.id]: "" })));
+  };
+  const cancel = (id) => { if (confirm(`Void market #${id}? Every bettor will be refunded.`)) execTx("Cancelling", () => getContract(signer).cancelMarket(id)); };
 
-  const saveAddr = () => {
+  // Accepts either a PredictX contract or a factory, whose registry then lists the instances to pick from
+  const saveAddr = async () => {
     if (!addrInput || !isAddress(addrInput)) return;
     const a = getAddress(addrInput);
-    setContractAddr(a); localStorage.setItem(SAVED_ADDR_KEY, a); setAddrInput(""); setShowManual(false);
+    const isFactory = await new Contract(a, FACTORY_ABI, signer).implementation().then(() => true, () => false);
+    if (isFactory) { setFactoryAddr(a); localStorage.setItem(SAVED_FACTORY_KEY, a); showToast("Factory saved — pick an instance"); }
+    else selectInstance(a);
+    setAddrInput(""); setShowManual(false);
   };
 
   /* ═══ RENDER ════════════════════════════════════════════ */
@@ -395,6 +1095,19 @@ export default function App() {
 
         /* ── Market Card ── */
         .mkt-q{font-size:15px;font-weight:600;line-height:1.4;margin-bottom:12px}
+        .mkt-info{font-size:12px;color:var(--dm);line-height:1.6;padding:10px 12px;margin-bottom:14px;border-radius:10px;background:rgba(8,12,22,.6);border:1px solid var(--bd);overflow:hidden}
+        .mkt-info p{margin-bottom:6px}
+        .mkt-info b{color:var(--tx);font-weight:600}
+        .mkt-info a{color:var(--pr2);word-break:break-all}
+        .mkt-img{float:right;width:64px;height:64px;object-fit:cover;border-radius:8px;margin:0 0 8px 12px}
+        .mkt-tags{display:flex;flex-wrap:wrap;gap:6px}
+        .mkt-tags span{font-family:var(--mono);font-size:10px;color:var(--pr2)}
+        .limit-err{font-size:11px;color:var(--warn);margin-top:8px}
+        .sign-tog{display:flex;align-items:center;gap:6px;font-size:11px;color:var(--dm);margin-top:8px;cursor:pointer}
+        .cat-bar{display:flex;flex-wrap:wrap;gap:6px;margin-bottom:14px}
+        .cat-chip{padding:6px 12px;border-radius:20px;border:1px solid var(--bd);background:transparent;color:var(--dm);font-family:var(--sans);font-size:12px;font-weight:600;cursor:pointer}
+        .cat-chip span{font-family:var(--mono);font-size:10px;opacity:.6;margin-left:4px}
+        .cat-chip.on{background:var(--prg);border-color:rgba(99,102,241,.3);color:var(--pr2)}
         .mkt-meta{display:flex;gap:8px;flex-wrap:wrap;margin-bottom:14px}
         .mkt-tag{font-family:var(--mono);font-size:10px;font-weight:600;padding:4px 10px;border-radius:6px;letter-spacing:.3px}
         .tag-time{background:var(--prg);color:var(--pr2);border:1px solid rgba(99,102,241,.1)}
@@ -402,6 +1115,7 @@ export default function App() {
         .tag-ended{background:var(--warng);color:var(--warn);border:1px solid rgba(245,158,11,.12)}
         .tag-yes-win{background:var(--yesg);color:var(--yes);border:1px solid rgba(16,185,129,.12)}
         .tag-no-win{background:var(--nog);color:var(--no);border:1px solid rgba(239,68,68,.12)}
+        .tag-void{background:rgba(255,255,255,.04);color:var(--dm);border:1px solid var(--bd)}
         .mkt-pools{display:grid;grid-template-columns:1fr 1fr;gap:8px;margin-bottom:14px}
         .pool-box{padding:12px;border-radius:10px;text-align:center;background:rgba(8,12,22,.5);border:1px solid var(--bd)}
         .pool-lbl{font-size:9px;font-weight:700;text-transform:uppercase;letter-spacing:1px;margin-bottom:6px}
@@ -409,6 +1123,24 @@ export default function App() {
         .pool-val{font-family:var(--mono);font-size:16px;font-weight:700}
         .pool-u{font-size:10px;color:var(--dm);margin-left:3px}
         .mkt-bet{display:flex;gap:8px;align-items:stretch}
+        .rng{margin-bottom:14px}
+        .rng-track{position:relative;height:8px;border-radius:4px;background:var(--nog)}
+        .rng-fill{position:absolute;left:0;top:0;bottom:0;border-radius:4px;background:var(--prg);transition:width .3s}
+        .rng-done{background:var(--yes)}
+        .rng-mark{position:absolute;top:-4px;width:4px;height:16px;margin-left:-2px;border-radius:2px;background:var(--tx)}
+        .rng-ends{display:flex;justify-content:space-between;gap:8px;margin-top:6px;font-family:var(--mono);font-size:11px;color:var(--dm)}
+        .rng-ends b{color:var(--tx)}
+        .rng-pay{margin-top:4px;font-size:11px;color:var(--dm);text-align:center}
+        .mkt-outs{display:flex;flex-direction:column;gap:6px;margin-bottom:14px}
+        .out-row{position:relative;display:flex;align-items:center;gap:10px;padding:10px 12px;border-radius:10px;background:rgba(8,12,22,.5);border:1px solid var(--bd);overflow:hidden}
+        .out-bar{position:absolute;left:0;top:0;bottom:0;background:var(--prg);transition:width .3s}
+        .out-row>*:not(.out-bar){position:relative}
+        .out-lbl{flex:1;font-size:13px;font-weight:600;min-width:0;overflow:hidden;text-overflow:ellipsis;white-space:nowrap}
+        .out-pct{font-family:var(--mono);font-size:12px;font-weight:700;color:var(--pr2)}
+        .out-val{font-family:var(--mono);font-size:11px;color:var(--dm)}
+        .out-win{border-color:rgba(16,185,129,.25)} .out-win .out-bar{background:var(--yesg)} .out-win .out-pct{color:var(--yes)}
+        .btn-out{padding:6px 12px;border-radius:7px;border:1px solid rgba(99,102,241,.18);background:var(--prg);color:var(--pr2);font-family:var(--sans);font-size:11px;font-weight:700;cursor:pointer;transition:all .15s}
+        .btn-out:hover:not(:disabled){background:rgba(99,102,241,.16)} .btn-out:disabled{opacity:.3;cursor:not-allowed}
         .inp{
           flex:1;background:rgba(8,12,22,.6);border:1px solid var(--bd);
           border-radius:9px;padding:11px 12px;color:var(--tx);font-family:var(--mono);
@@ -424,6 +1156,10 @@ export default function App() {
         .btn-no{background:rgba(239,68,68,.1);color:var(--no);border:1px solid rgba(239,68,68,.15)}
         .btn-no:hover:not(:disabled){background:rgba(239,68,68,.18);box-shadow:0 0 12px rgba(239,68,68,.1)}
         .btn-yes:disabled,.btn-no:disabled{opacity:.3;cursor:not-allowed}
+        .trade-info{display:flex;flex-direction:column;gap:4px;margin-top:8px;font-family:var(--mono);font-size:10px;color:var(--dm)}
+        .trade-slip{margin-left:6px;padding:2px 7px;border-radius:5px;border:1px solid var(--bd);background:none;color:var(--dm);font-family:var(--mono);font-size:10px;cursor:pointer}
+        .trade-slip.on{background:var(--prg);color:var(--pr2);border-color:rgba(99,102,241,.18)}
+        .trade-held{display:flex;gap:8px;flex-wrap:wrap;margin-top:10px}
 
         /* ── Positions ── */
         .pos-row{display:flex;gap:8px;flex-wrap:wrap;margin-bottom:10px}
@@ -431,6 +1167,45 @@ export default function App() {
         .pos-y{background:var(--yesg);color:var(--yes);border:1px solid rgba(16,185,129,.12)}
         .pos-n{background:var(--nog);color:var(--no);border:1px solid rgba(239,68,68,.12)}
         .pos-cl{background:var(--prg);color:var(--pr2);border:1px solid rgba(99,102,241,.12)}
+        .bet-prev{margin-top:8px;padding:10px 12px;border-radius:10px;background:rgba(8,12,22,.5);border:1px solid var(--bd);font-size:12px}
+        .bet-prev-row{display:grid;grid-template-columns:64px 1fr auto;gap:8px;align-items:center;padding:3px 0}
+        .bet-prev-side{font-size:10px;font-weight:700;letter-spacing:.5px;text-transform:uppercase;color:var(--dm)}
+        .bet-prev-odds{font-family:var(--mono);font-size:11px;color:var(--dm)}
+        .bet-prev-note{margin-top:6px;font-size:10px;color:var(--dm)}
+        .bet-prev .limit-err{margin-top:6px}
+        .mkt-open{display:block;width:100%;padding:0;border:none;background:none;color:var(--tx);font-family:var(--sans);text-align:left;cursor:pointer}
+        .mkt-open:hover{color:var(--pr2)}
+        .lb{display:grid;gap:2px;font-size:12px}
+        .lb-row{display:grid;grid-template-columns:32px 1.4fr 1fr 1fr 1fr .7fr;gap:10px;align-items:center;padding:8px 6px;border-radius:6px;font-family:var(--mono)}
+        .lb-row>span:nth-child(n+3),.lb-head button{text-align:right}
+        .lb-head{font-family:var(--sans);font-size:10px;letter-spacing:1px;text-transform:uppercase;color:var(--dm)}
+        .lb-head button{padding:0;border:none;background:none;color:inherit;font:inherit;letter-spacing:inherit;text-transform:inherit;cursor:pointer}
+        .lb-head button.on{color:var(--pr2)}
+        .lb-me{background:var(--prg)}
+        .lb-user{padding:0;border:none;background:none;color:var(--pr2);font-family:var(--mono);font-size:12px;text-align:left;cursor:pointer}
+        .lb-user:hover{text-decoration:underline}
+        .lb-up{color:var(--yes)}
+        .lb-down{color:var(--no)}
+        .lb-note{margin-top:14px;font-size:11px;line-height:1.6;color:var(--dm)}
+        .prof-head{display:flex;justify-content:space-between;align-items:flex-end;gap:12px}
+        .prof-head a{color:var(--pr2);text-decoration:none;font-size:12px}
+        .prof-addr{font-family:var(--mono);font-size:13px;margin-top:4px;word-break:break-all}
+        .prof-result{display:flex;justify-content:space-between;gap:12px;margin-top:10px;font-size:12px;color:var(--dm)}
+        .dt-share{display:flex;justify-content:space-between;align-items:center;gap:12px;margin:-4px 0 16px;font-size:11px;color:var(--dm)}
+        .dt-chart{width:100%;height:auto;display:block;margin-bottom:6px}
+        .dt-legend{display:flex;flex-wrap:wrap;gap:10px;font-size:11px;color:var(--dm);margin-bottom:4px}
+        .dt-legend i{display:inline-block;width:10px;height:3px;border-radius:2px;margin-right:5px;vertical-align:middle}
+        .dt-axis{display:flex;justify-content:space-between;font-size:10px;color:var(--dm);font-family:var(--mono)}
+        .dt-feed{display:grid;grid-template-columns:auto 1fr auto auto;gap:6px 12px;font-size:12px;align-items:center}
+        .dt-feed a,.dt-holders a{color:var(--pr2);text-decoration:none;font-family:var(--mono)}
+        .dt-feed a:hover,.dt-holders a:hover{text-decoration:underline}
+        .dt-holders{display:grid;grid-template-columns:repeat(auto-fit,minmax(200px,1fr));gap:12px}
+        .parlay-add{display:flex;align-items:center;gap:6px;margin-top:10px;font-size:11px;color:var(--dm)}
+        .parlay-add .cat-chip:disabled{opacity:.4;cursor:not-allowed}
+        .parlay-slip{border-color:var(--pr2)}
+        .parlay-y{color:var(--yes)}
+        .parlay-n{color:var(--no)}
+        .pos-o{background:rgba(255,255,255,.04);color:var(--tx);border:1px solid var(--bd)}
         .btn-claim{
           padding:10px 24px;background:linear-gradient(135deg,var(--pr),var(--pr2));
           color:#fff;border:none;border-radius:9px;font-family:var(--sans);
@@ -450,6 +1225,9 @@ export default function App() {
         }
         .adm-inp:focus{border-color:rgba(99,102,241,.25)} .adm-inp::placeholder{color:#1e2a3d}
         .adm-row{display:flex;gap:8px} .adm-row>div{flex:1}
+        .adm-seg{display:flex;gap:2px;background:rgba(8,12,22,.6);border:1px solid var(--bd);border-radius:9px;padding:3px}
+        .adm-seg button{flex:1;background:none;border:none;color:var(--dm);font-family:var(--sans);font-size:12px;font-weight:600;padding:8px 0;border-radius:7px;cursor:pointer}
+        .adm-seg button.on{background:var(--prg);color:var(--pr2)}
         .btn-create{
           padding:14px;width:100%;background:linear-gradient(135deg,var(--pr),var(--pr2));
           color:#fff;border:none;border-radius:10px;font-family:var(--sans);
@@ -457,10 +1235,32 @@ export default function App() {
         }
         .btn-create:hover:not(:disabled){box-shadow:0 4px 20px rgba(99,102,241,.25);transform:translateY(-1px)}
         .btn-create:disabled{opacity:.3;cursor:not-allowed}
+        .fee-stats{display:grid;grid-template-columns:repeat(3,1fr);gap:8px;margin-bottom:14px}
+        .role-row{display:flex;justify-content:space-between;align-items:center;gap:8px;padding:8px 0;border-bottom:1px solid var(--bd);font-size:12px}
+        .role-addr{font-family:var(--mono);font-size:11px;color:var(--pr2)}
+        .inst-bar{display:flex;align-items:center;gap:10px;margin-bottom:14px}
+        .inst-bar .adm-sel{flex:1;height:34px}
+        .inst-list{text-align:left;margin-bottom:12px}
+        .inst-row{display:flex;justify-content:space-between;align-items:center;width:100%;padding:10px 12px;margin-bottom:6px;border-radius:9px;border:1px solid var(--bd);background:rgba(8,12,22,.6);color:var(--tx);font-family:var(--sans);cursor:pointer}
+        .inst-row:hover{border-color:var(--pr2)}
+        .inst-nm{font-size:13px;font-weight:600}
+        .inst-meta{font-family:var(--mono);font-size:10px;color:var(--dm)}
+        .adm-sel{background:rgba(8,12,22,.6);border:1px solid var(--bd);border-radius:9px;padding:0 10px;color:var(--tx);font-family:var(--sans);font-size:12px;outline:none}
         .resolve-row{display:flex;gap:8px;margin-top:10px}
         .btn-res{flex:1;padding:10px;border-radius:8px;font-family:var(--sans);font-size:12px;font-weight:700;cursor:pointer;transition:all .15s;border:none}
         .btn-res-y{background:rgba(16,185,129,.1);color:var(--yes)} .btn-res-y:hover{background:rgba(16,185,129,.2)}
         .btn-res-n{background:rgba(239,68,68,.08);color:var(--no)} .btn-res-n:hover{background:rgba(239,68,68,.16)}
+        .btn-res-o{background:var(--prg);color:var(--pr2)} .btn-res-o:hover{background:rgba(99,102,241,.16)}
+        .tag-prop{background:var(--warng);color:var(--warn);border:1px solid rgba(245,158,11,.12)}
+        .pause-bar{padding:12px 16px;background:var(--warng);border-color:rgba(245,158,11,.25);color:var(--warn);font-size:12px;line-height:1.6}
+        .mkt-prop{display:flex;align-items:center;justify-content:space-between;gap:10px;padding:10px 12px;margin-bottom:14px;border-radius:10px;background:var(--warng);border:1px solid rgba(245,158,11,.12);font-size:12px}
+        .mkt-prop b{color:var(--tx)}
+        .btn-disp{padding:6px 12px;border-radius:7px;border:1px solid rgba(245,158,11,.25);background:rgba(245,158,11,.1);color:var(--warn);font-family:var(--sans);font-size:11px;font-weight:700;cursor:pointer;white-space:nowrap}
+        .btn-disp:hover:not(:disabled){background:rgba(245,158,11,.18)} .btn-disp:disabled{opacity:.3;cursor:not-allowed}
+        .tag-hidden{background:var(--nog);color:var(--no);border:1px solid rgba(239,68,68,.12)}
+        .propose-toggle{width:100%;padding:12px;margin-bottom:10px;background:var(--sf);border:1px dashed var(--bdh);border-radius:12px;color:var(--pr2);font-family:var(--sans);font-size:13px;font-weight:600;cursor:pointer;transition:all .2s}
+        .propose-toggle:hover{background:var(--prg)}
+        .btn-res-v{flex:0 0 auto;padding:10px 14px;background:rgba(255,255,255,.04);color:var(--dm)} .btn-res-v:hover{color:var(--tx);background:rgba(255,255,255,.08)}
 
         /* ── Connect Card ── */
         .con-card{text-align:center;padding:60px 24px}
@@ -545,7 +1345,21 @@ export default function App() {
               <div className="land-feat"><div className="land-feat-ico">⚡</div><div className="land-feat-t">Arc Testnet</div><div className="land-feat-d">Fast, low-cost transactions with native USDC</div></div>
             </div>
 
-            <button className="deploy-btn" onClick={deployContract} disabled={deploying}>
+            {instances.length > 0 && (
+              <div className="inst-list">
+                <div className="adm-lbl">Open an existing instance</div>
+                {instances.map(i => (
+                  <button key={i.address} className="inst-row" onClick={() => selectInstance(i.address)}>
+                    <span className="inst-nm">{i.name}</span>
+                    <span className="inst-meta">{short(i.owner)} · {new Date(i.createdAt * 1000).toLocaleDateString()}</span>
+                  </button>
+                ))}
+                <div className="or-divider">or create your own</div>
+              </div>
+            )}
+
+            <input className="inp" style={{width:'100%',marginBottom:12}} placeholder="Instance name, e.g. Team Alpha" maxLength={64} value={instanceName} onChange={(e) => setInstanceName(e.target.value)} />
+            <button className="deploy-btn" onClick={deployContract} disabled={deploying || !instanceName.trim()}>
               {deploying ? "Deploying…" : "🚀 Deploy Contract"}
             </button>
 
@@ -558,7 +1372,7 @@ export default function App() {
 
             <div className="or-divider">or</div>
             <button className="manual-toggle" onClick={() => setShowManual(!showManual)}>
-              {showManual ? "Hide" : "Already deployed? Paste contract address"}
+              {showManual ? "Hide" : "Already deployed? Paste a contract or factory address"}
             </button>
 
             {showManual && (
@@ -573,100 +1387,639 @@ export default function App() {
         {/* ══ CONNECTED — CONTRACT DEPLOYED ══ */}
         {account && isArc && deployed && (
           <>
+            {instances.length > 0 && (
+              <div className="inst-bar">
+                <span className="adm-lbl" style={{marginBottom:0}}>Instance</span>
+                <select className="adm-sel" value={contractAddr} onChange={(e) => e.target.value ? selectInstance(e.target.value) : setContractAddr("")}>
+                  {!instances.some(i => i.address === contractAddr) && <option value={contractAddr}>{short(contractAddr)} (not in registry)</option>}
+                  {instances.map(i => <option key={i.address} value={i.address}>{i.name} — {short(i.owner)}</option>)}
+                  <option value="">＋ New instance…</option>
+                </select>
+              </div>
+            )}
             <div className="nav">
               {[
                 ["markets", "Markets"],
                 ["positions", "My Positions"],
-                ...(isAdmin ? [["admin", "Admin"]] : []),
+                ["leaderboard", "Leaderboard"],
+                ["referrals", "Referrals"],
+                ...(hasAdminTab ? [["admin", "Admin"]] : []),
               ].map(([k, l]) => (
-                <button key={k} className={`nav-btn ${page === k ? "on" : ""}`} onClick={() => setPage(k)}>{l}</button>
+                <button key={k} className={`nav-btn ${page === k ? "on" : ""}`} onClick={() => { setPage(k); setDetailId(null); setProfileAddr(null); }}>{l}</button>
               ))}
             </div>
 
             {loading && <div className="ld">{loading}…</div>}
 
+            {circuit.emergency ? (
+              <div className="crd pause-bar">Emergency refund mode — betting is closed and every unresolved market can be refunded from My Positions.</div>
+            ) : (circuit.betting || circuit.resolution || circuit.claims || circuit.emergencyAt > 0) && (
+              <div className="crd pause-bar">
+                {(circuit.betting || circuit.resolution || circuit.claims) && <div>Contract paused: {[circuit.betting && "betting", circuit.resolution && "resolution", circuit.claims && "claims"].filter(Boolean).join(", ")}.</div>}
+                {circuit.emergencyAt > 0 && <div>Emergency refund scheduled — {Date.now()/1000 < circuit.emergencyAt ? `can activate in ${timeLeft(circuit.emergencyAt)}` : "can be activated now"}.</div>}
+              </div>
+            )}
+
             {/* ════ MARKETS ════ */}
             {page === "markets" && (
               <>
-                {markets.length === 0 && <div className="empty">No markets yet.{isAdmin ? " Create one from the Admin tab." : " Admin will create markets soon."}</div>}
-                {markets.map((m) => <MarketCard key={m.id} m={m} loading={loading} onYes={betYes} onNo={betNo} />)}
+                {!roles.creator && bondCfg && (showPropose ? (
+                  <div className="crd">
+                    <div style={{display:'flex',justifyContent:'space-between',alignItems:'center',marginBottom:12}}>
+                      <div className="adm-lbl" style={{fontSize:11,letterSpacing:1.5,textTransform:'uppercase',marginBottom:0}}>Propose Market</div>
+                      <button className="manual-toggle" onClick={() => setShowPropose(false)}>Close</button>
+                    </div>
+                    <div style={{fontSize:12,color:'var(--dm)',lineHeight:1.5,marginBottom:12}}>
+                      Posting a market locks a bond of <b style={{color:'var(--tx)'}}>{fmtAmt(bondCfg.bond)} USDC</b>. You get it back once the market is resolved or voided;
+                      it is forfeited if moderators reject the market as invalid.{bondCfg.minDuration > 0 && ` Betting must stay open for at least ${fmtDur(bondCfg.minDuration)}.`}
+                    </div>
+                    <MarketForm loading={loading} canUseFeed={!!oracleAddr} cta={`Propose · ${fmtAmt(bondCfg.bond)} USDC bond`} onSubmit={proposeMkt} />
+                  </div>
+                ) : <button className="propose-toggle" onClick={() => setShowPropose(true)}>＋ Propose a market</button>)}
+                {detailId !== null && (() => {
+                  const m = markets.find(x => x.id === detailId);
+                  return <>
+                    <button className="manual-toggle" style={{marginBottom:12}} onClick={() => setDetailId(null)}>← All markets</button>
+                    {!m ? <div className="empty">Loading market #{detailId}…</div> : <>
+                      <MarketCard m={m} circuit={circuit} loading={loading} onBet={bet} onSignBet={relayerUrl ? signBet : null} onQuote={quote} onTrade={trade} onDispute={dispute} onFinalize={finalize} onSettle={settleFromFeed} wallet={wallet[m.collateral]}
+                        onParlay={parlayAddr ? toggleParlayLeg : null} parlayPick={parlayLegs.find(l => l.id === m.id)?.outcome} />
+                      <MarketDetail m={m} events={activity} onShare={shareMarket} />
+                    </>}
+                  </>;
+                })()}
+                {detailId === null && (() => {
+                  const listed = markets.filter(m => !m.hidden || roles.resolver);
+                  const categories = [...new Set(listed.map(m => m.meta?.category).filter(Boolean))].sort();
+                  const shown = category ? listed.filter(m => m.meta?.category === category) : listed;
+                  return <>
+                    {categories.length > 0 && (
+                      <div className="cat-bar">
+                        {["", ...categories].map(cat => (
+                          <button key={cat} className={`cat-chip ${category === cat ? "on" : ""}`} onClick={() => setCategory(cat)}>
+                            {cat || "All"} <span>{cat ? listed.filter(m => m.meta?.category === cat).length : listed.length}</span>
+                          </button>
+                        ))}
+                      </div>
+                    )}
+                    {listed.length === 0 && <div className="empty">No markets yet.{roles.creator ? " Create one from the Admin tab." : " Propose the first one!"}</div>}
+                    {listed.length > 0 && shown.length === 0 && <div className="empty">No {category} markets.</div>}
+                    {parlayLegs.length > 0 && (
+                      <ParlaySlip legs={parlayLegs} markets={markets} bank={parlayBank} loading={loading}
+                        onQuote={quoteParlay} onBuy={buyParlay} onRemove={(id) => setParlayLegs(ls => ls.filter(l => l.id !== id))} onClear={() => setParlayLegs([])} />
+                    )}
+                    {shown.map((m) => <MarketCard key={m.id} m={m} circuit={circuit} loading={loading} onBet={bet} onSignBet={relayerUrl ? signBet : null} onQuote={quote} onTrade={trade} onDispute={dispute} onFinalize={finalize} onSettle={settleFromFeed} wallet={wallet[m.collateral]}
+                      onOpen={setDetailId} onParlay={parlayAddr ? toggleParlayLeg : null} parlayPick={parlayLegs.find(l => l.id === m.id)?.outcome} />)}
+                  </>;
+                })()}
               </>
             )}
 
             {/* ════ POSITIONS ════ */}
             {page === "positions" && (
               <>
-                {markets.filter(m => m.yesBet !== "0" || m.noBet !== "0").length === 0 && (
+                {markets.filter(m => m.claimable !== "0" && !m.claimed).length > 1 && (() => {
+                  const ready = markets.filter(m => m.claimable !== "0" && !m.claimed);
+                  const totals = {};
+                  ready.forEach(m => { const t = totals[m.collateral] ??= { ...m.token, sum: 0n }; t.sum += BigInt(m.claimable); });
+                  return (
+                    <div className="crd" style={{display:'flex',justifyContent:'space-between',alignItems:'center',gap:12}}>
+                      <span style={{fontSize:13}}>
+                        {ready.length} markets ready to claim: <b style={{fontFamily:'var(--mono)'}}>{Object.values(totals).map(t => `${fmtAmt(t.sum, t.decimals)} ${t.symbol}`).join(" + ")}</b>
+                      </span>
+                      <span style={{display:'flex',gap:6}}>
+                        {relayerUrl && <button className="btn-claim" disabled={!!loading || circuit.claims} onClick={() => signClaimAll(ready)} title="Sign a claim and let the relayer pay the gas">Sign claim</button>}
+                        <button className="btn-claim" disabled={!!loading || circuit.claims} onClick={() => claimAll(ready)}>Claim All</button>
+                      </span>
+                    </div>
+                  );
+                })()}
+                {tickets.map((t) => {
+                  const status = t.settled ? (t.due === "0" ? "Lost" : "Paid") : t.done ? (t.due === "0" ? "Lost" : "Won — ready to collect") : "Open";
+                  return (
+                    <div key={`parlay-${t.id}`} className="crd">
+                      <div className="mkt-q">{t.legs.length}-leg parlay #{t.id}</div>
+                      <div className="mkt-meta">
+                        <span className={`mkt-tag ${status === "Open" ? "tag-live" : status === "Lost" ? "tag-no-win" : "tag-yes-win"}`}>{status}</span>
+                      </div>
+                      {t.legs.map((l) => {
+                        const m = markets.find(x => x.id === l.id);
+                        const leg = !m ? "…" : m.cancelled ? "Void · 1×" : m.resolved ? (m.winner === l.outcome ? "Won" : "Lost") : "Open";
+                        return (
+                          <div key={l.id} className="role-row">
+                            <span>{m?.question ?? `Market #${l.id}`} — <b className={l.outcome === 0 ? "parlay-y" : "parlay-n"}>{l.outcome === 0 ? "YES" : "NO"}</b> @ {l.odds.toFixed(2)}×</span>
+                            <span style={{color:'var(--dm)'}}>{leg}</span>
+                          </div>
+                        );
+                      })}
+                      <div className="pos-row" style={{marginTop:10}}>
+                        <span className="pos-chip pos-o">Stake: {fmtAmt(t.stake, t.token.decimals)} {t.token.symbol}</span>
+                        <span className="pos-chip pos-cl">{t.settled ? "Paid" : t.done ? "Pays" : "Pays up to"}: {fmtAmt(t.settled || t.done ? t.due : t.maxPayout, t.token.decimals)} {t.token.symbol}</span>
+                      </div>
+                      {t.done && !t.settled && t.due !== "0" && (
+                        <button className="btn-claim" disabled={!!loading || circuit.claims} onClick={() => settleTicket(t)}>Collect Payout</button>
+                      )}
+                    </div>
+                  );
+                })}
+                {tickets.length === 0 && markets.filter(m => m.hasStake || m.bondClaimable || m.hasShares).length === 0 && (
                   <div className="empty">No positions yet. Place a bet first!</div>
                 )}
-                {markets.filter(m => m.yesBet !== "0" || m.noBet !== "0").map((m) => (
+                {markets.filter(m => m.hasStake || m.bondClaimable || m.hasShares).map((m) => (
                   <div key={m.id} className="crd">
                     <div className="mkt-q">{m.question}</div>
-                    <div className="mkt-meta">
-                      {m.resolved ? (
-                        <span className={`mkt-tag ${m.outcome ? "tag-yes-win" : "tag-no-win"}`}>{m.outcome ? "YES Won" : "NO Won"}</span>
-                      ) : (
-                        <span className={`mkt-tag ${Date.now()/1000 < m.endTime ? "tag-live" : "tag-ended"}`}>
-                          {Date.now()/1000 < m.endTime ? timeLeft(m.endTime) : "Ended — Awaiting resolution"}
-                        </span>
-                      )}
-                    </div>
-                    <div className="pos-row">
-                      {m.yesBet !== "0" && <span className="pos-chip pos-y">YES: {fmtAmt(m.yesBet)} USDC</span>}
-                      {m.noBet !== "0" && <span className="pos-chip pos-n">NO: {fmtAmt(m.noBet)} USDC</span>}
-                      {m.claimable !== "0" && !m.claimed && <span className="pos-chip pos-cl">Reward: {fmtAmt(m.claimable)} USDC</span>}
-                    </div>
+                    <PositionSummary m={m} />
                     {m.resolved && m.claimable !== "0" && !m.claimed && (
-                      <button className="btn-claim" disabled={!!loading} onClick={() => claim(m.id)}>Claim Reward</button>
+                      <button className="btn-claim" disabled={!!loading || circuit.claims} onClick={() => claim(m.id)}>Claim Reward</button>
+                    )}
+                    {m.cancelled && m.claimable !== "0" && !m.claimed && (
+                      <button className="btn-claim" disabled={!!loading || circuit.claims} onClick={() => refund(m.id)}>Refund</button>
+                    )}
+                    {m.claimed && <span className="claimed-tag">✓ {m.cancelled ? "Refunded" : "Claimed"}</span>}
+                    {m.hasStake && !m.resolved && !m.cancelled && !circuit.betting && Date.now()/1000 < m.closesAt && (
+                      <ReducePosition m={m} penaltyBps={exitPenaltyBps} loading={loading} onWithdraw={withdrawBet} />
+                    )}
+                    {m.bondClaimable && (
+                      <button className="btn-claim" style={{marginLeft:8}} disabled={!!loading || circuit.claims} onClick={() => claimBond(m.id)}>Reclaim Bond</button>
+                    )}
+                    {m.hasShares && (m.resolved || m.cancelled) && (
+                      <button className="btn-claim" style={{marginLeft:8}} disabled={!!loading || circuit.claims} onClick={() => redeemShares(m.id)}>Redeem Shares</button>
                     )}
-                    {m.claimed && <span className="claimed-tag">✓ Claimed</span>}
                   </div>
                 ))}
               </>
             )}
 
-            {/* ════ ADMIN ════ */}
-            {page === "admin" && isAdmin && (
+            {/* ════ LEADERBOARD ════ */}
+            {page === "leaderboard" && (() => {
+              const tokens = [...new Map(markets.map(m => [m.collateral, m.token])).entries()];
+              const token = tokens.find(([a]) => a === board?.collateral)?.[1] ?? NATIVE;
+              const rows = board && sortBoard(board.rows, boardSort).slice(0, BOARD_SIZE);
+              return <>
+                <div className="cat-bar">
+                  {BOARD_WINDOWS.map(w => (
+                    <button key={w.key} className={`cat-chip ${boardWindow === w.key ? "on" : ""}`} onClick={() => setBoardWindow(w.key)}>{w.label}</button>
+                  ))}
+                  {tokens.length > 1 && (
+                    <select className="adm-sel" style={{marginLeft:'auto'}} value={board?.collateral ?? boardToken} onChange={(e) => setBoardToken(e.target.value)}>
+                      {tokens.map(([a, t]) => <option key={a} value={a}>{t.symbol}</option>)}
+                    </select>
+                  )}
+                </div>
+                <div className="crd">
+                  {!rows ? <div className="empty">Loading…</div> : rows.length === 0 ? <div className="empty">No forecasts here yet.</div> : (
+                    <div className="lb">
+                      <div className="lb-row lb-head">
+                        <span>#</span><span>Forecaster</span>
+                        {BOARD_SORTS.map(([k, l]) => <button key={k} className={boardSort === k ? "on" : ""} onClick={() => setBoardSort(k)}>{l}</button>)}
+                      </div>
+                      {rows.map((r, i) => (
+                        <div key={r.user} className={`lb-row ${r.user === account.toLowerCase() ? "lb-me" : ""}`}>
+                          <span>{i + 1}</span>
+                          <button className="lb-user" onClick={() => openProfile(r.user)}>{short(getAddress(r.user))}{r.user === account.toLowerCase() && " (you)"}</button>
+                          <span>{fmtAmt(r.volume, token.decimals)}</span>
+                          <span className={r.profit > 0n ? "lb-up" : r.profit < 0n ? "lb-down" : ""}>{r.settled ? signedAmt(r.profit, token.decimals) : "—"}</span>
+                          <span>{r.called ? `${Math.round((r.wins / r.called) * 100)}% (${r.wins}/${r.called})` : "—"}</span>
+                          <span>{r.brier === null ? "—" : r.brier.toFixed(3)}</span>
+                        </div>
+                      ))}
+                    </div>
+                  )}
+                  <div className="lb-note">
+                    Amounts in {token.symbol}. Volume counts bets placed in the window; the other columns count markets settled in it.
+                    Realized P/L is what settled positions paid back minus what went in, once nothing is left to collect.
+                    A win means the side an account staked most on came out ahead; Brier compares the split of their stake
+                    with the result (0 is a perfect call, lower is better).
+                  </div>
+                </div>
+              </>;
+            })()}
+
+            {/* ════ PROFILE ════ */}
+            {page === "profile" && profileAddr && (
               <>
                 <div className="crd">
-                  <div className="adm-lbl" style={{marginBottom:12,fontSize:11,letterSpacing:1.5,textTransform:'uppercase'}}>Create Market</div>
-                  <div className="adm-form">
+                  <div className="prof-head">
                     <div>
-                      <div className="adm-lbl">Question</div>
-                      <input className="adm-inp" placeholder="Will ETH hit $10k by 2026?" value={newQ} onChange={(e) => setNewQ(e.target.value)} />
-                    </div>
-                    <div className="adm-row">
-                      <div><div className="adm-lbl">Days</div><input className="adm-inp" type="number" min="0" value={newDays} onChange={(e) => setNewDays(e.target.value)} /></div>
-                      <div><div className="adm-lbl">Hours</div><input className="adm-inp" type="number" min="0" max="23" value={newHours} onChange={(e) => setNewHours(e.target.value)} /></div>
+                      <div className="adm-lbl" style={{fontSize:11,letterSpacing:1.5,textTransform:'uppercase'}}>Forecaster{profileAddr.toLowerCase() === account.toLowerCase() && " · you"}</div>
+                      <div className="prof-addr">{profileAddr}</div>
                     </div>
-                    <button className="btn-create" disabled={!!loading || !newQ.trim()} onClick={createMkt}>Create Market</button>
+                    <a href={`${EXPLORER}/address/${profileAddr}`} target="_blank" rel="noreferrer">Explorer ↗</a>
                   </div>
+                  {profile?.stats.map((st) => (
+                    <div key={st.token.symbol} className="pos-row" style={{marginTop:12}}>
+                      <span className="pos-chip pos-o">Volume: {fmtAmt(st.volume ?? 0n, st.token.decimals)} {st.token.symbol}</span>
+                      {st.settled > 0 && <span className={`pos-chip ${st.profit < 0n ? "pos-n" : "pos-y"}`}>Realized: {signedAmt(st.profit, st.token.decimals)} {st.token.symbol}</span>}
+                      {st.called > 0 && <span className="pos-chip pos-o">Win rate: {Math.round((st.wins / st.called) * 100)}% of {st.called}</span>}
+                      {st.called > 0 && <span className="pos-chip pos-o">Brier: {st.brier.toFixed(3)}</span>}
+                    </div>
+                  ))}
                 </div>
+                {!profile ? <div className="empty">Loading…</div> : profile.positions.length === 0 ? (
+                  <div className="empty">No bets from this account on this contract.</div>
+                ) : profile.positions.map((m) => (
+                  <div key={m.id} className="crd">
+                    <button className="mkt-q mkt-open" onClick={() => { setProfileAddr(null); setPage("markets"); setDetailId(m.id); }} title="Odds history, bets and holders">{m.question}</button>
+                    <PositionSummary m={m} />
+                    <div className="prof-result">
+                      {m.result.closed ? (
+                        <span className={m.result.profit > 0n ? "lb-up" : m.result.profit < 0n ? "lb-down" : ""}>Realized {signedAmt(m.result.profit, m.token.decimals)} {m.token.symbol}</span>
+                      ) : <span>{m.result.settled ? "Settled — payout not collected yet" : "Open"}</span>}
+                      {m.result.called && <span>{m.result.won ? "Called it" : "Missed"} · Brier {m.result.brier.toFixed(3)}</span>}
+                    </div>
+                  </div>
+                ))}
+              </>
+            )}
 
+            {/* ════ REFERRALS ════ */}
+            {page === "referrals" && (
+              !referral ? <div className="empty">Referral data unavailable on this contract.</div> : <>
                 <div className="crd">
-                  <div className="adm-lbl" style={{marginBottom:12,fontSize:11,letterSpacing:1.5,textTransform:'uppercase'}}>Resolve Markets</div>
-                  {markets.filter(m => !m.resolved && Date.now()/1000 >= m.endTime).length === 0 && (
-                    <div className="empty" style={{padding:16}}>No markets ready to resolve.</div>
-                  )}
-                  {markets.filter(m => !m.resolved && Date.now()/1000 >= m.endTime).map(m => (
-                    <div key={m.id} style={{marginBottom:12}}>
-                      <div style={{fontSize:13,fontWeight:600,marginBottom:6}}>#{m.id}: {m.question}</div>
-                      <div style={{fontSize:11,color:'var(--dm)',marginBottom:8}}>Pool: {fmtAmt(m.totalYes)} YES / {fmtAmt(m.totalNo)} NO</div>
-                      <div className="resolve-row">
-                        <button className="btn-res btn-res-y" disabled={!!loading} onClick={() => resolve(m.id, true)}>Resolve YES ✓</button>
-                        <button className="btn-res btn-res-n" disabled={!!loading} onClick={() => resolve(m.id, false)}>Resolve NO ✗</button>
-                      </div>
+                  <div className="adm-lbl" style={{marginBottom:12,fontSize:11,letterSpacing:1.5,textTransform:'uppercase'}}>Your Referral Link</div>
+                  <div style={{fontSize:12,color:'var(--dm)',lineHeight:1.5,marginBottom:12}}>
+                    {referral.bps > 0
+                      ? <>Bettors who first arrive through your link earn you <b style={{color:'var(--tx)'}}>{referral.bps / 100}%</b> of the fee charged on their winnings, paid when they claim. It comes out of the fee, never their winnings, and each market keeps the share it was created with.</>
+                      : "Referral rewards are switched off right now; referees you bring in are still recorded."}
+                  </div>
+                  <div className="manual-row" style={{marginTop:0}}>
+                    <input className="inp" readOnly value={referralLink} onFocus={(e) => e.target.select()} />
+                    <button className="btn-save" onClick={copyReferralLink}>Copy</button>
+                  </div>
+                  {referral.referrer && <div style={{fontSize:12,color:'var(--dm)',marginTop:10}}>You were referred by <span style={{fontFamily:'var(--mono)'}}>{short(referral.referrer)}</span>.</div>}
+                </div>
+                <div className="crd">
+                  <div className="adm-lbl" style={{marginBottom:12,fontSize:11,letterSpacing:1.5,textTransform:'uppercase'}}>Earnings</div>
+                  <div className="fee-stats">
+                    <div className="pool-box"><div className="pool-lbl">Referees</div><div className="pool-val">{referral.referees.length}</div></div>
+                    <div className="pool-box"><div className="pool-lbl">Share of fees</div><div className="pool-val">{referral.bps / 100}%</div></div>
+                    <div className="pool-box"><div className="pool-lbl">Earned</div><div className="pool-val">{fmtAmt(referral.earnings[0].earned)}<span className="pool-u">USDC</span></div></div>
+                  </div>
+                  {referral.earnings.filter(t => t.earned !== "0" || t.owed !== "0").map(t => (
+                    <div key={t.address} className="role-row">
+                      <span>
+                        {t.symbol} — earned: <b style={{fontFamily:'var(--mono)'}}>{fmtAmt(t.earned, t.decimals)}</b> · withdrawable: {fmtAmt(t.owed, t.decimals)}
+                      </span>
+                      <button className="btn-claim" disabled={!!loading || circuit.claims || t.owed === "0"} onClick={() => t.address === ZeroAddress ? withdrawFees() : withdrawTokenFees(t)}>Claim</button>
                     </div>
                   ))}
+                  <div style={{fontSize:11,color:'var(--dm)',marginTop:10}}>Referral earnings are credited with any fees and bonds you are owed and withdrawn together.</div>
+                  {referral.referees.length > 0 && (
+                    <div className="pos-row" style={{marginTop:12}}>
+                      {referral.referees.map(a => <span key={a} className="pos-chip pos-o">{short(a)}</span>)}
+                    </div>
+                  )}
                 </div>
+              </>
+            )}
+
+            {/* ════ ADMIN ════ */}
+            {page === "admin" && hasAdminTab && (
+              <>
+                {roles.pendingOwner && (
+                  <div className="crd" style={{display:'flex',justifyContent:'space-between',alignItems:'center',gap:12}}>
+                    <span style={{fontSize:13}}>You have been offered ownership of this contract. Accepting moves every role to you, and the treasury too if it is still the current owner.</span>
+                    <button className="btn-claim" disabled={!!loading} onClick={acceptOwnership}>Accept Ownership</button>
+                  </div>
+                )}
+
+                {roles.creator && (
+                  <div className="crd">
+                    <div className="adm-lbl" style={{marginBottom:12,fontSize:11,letterSpacing:1.5,textTransform:'uppercase'}}>Create Market</div>
+                    <MarketForm loading={loading} canUseFeed={!!oracleAddr} cta="Create Market" onSubmit={createMkt} />
+                  </div>
+                )}
+
+                {roles.resolver && (
+                  <div className="crd">
+                    <div className="adm-lbl" style={{marginBottom:12,fontSize:11,letterSpacing:1.5,textTransform:'uppercase'}}>Resolve Markets</div>
+                    {resCfg?.window > 0 && (
+                      <div style={{fontSize:11,color:'var(--dm)',marginBottom:12,lineHeight:1.5}}>
+                        Outcomes are proposals: each posts a {fmtAmt(resCfg.bond)} USDC bond and becomes final after a {fmtDur(resCfg.window)} dispute window.
+                      </div>
+                    )}
+                    {markets.filter(m => !m.resolved && !m.cancelled && !m.proposal && Date.now()/1000 >= m.endTime).length === 0 && (
+                      <div className="empty" style={{padding:16}}>No markets ready to resolve.</div>
+                    )}
+                    {markets.filter(m => !m.resolved && !m.cancelled && !m.proposal && Date.now()/1000 >= m.endTime).map(m => (
+                      <div key={m.id} style={{marginBottom:12}}>
+                        <div style={{fontSize:13,fontWeight:600,marginBottom:6}}>#{m.id}: {m.question}</div>
+                        <div style={{fontSize:11,color:'var(--dm)',marginBottom:8}}>Pool ({m.token.symbol}): {m.outcomes.map(o => `${fmtAmt(o.pool, m.token.decimals)} ${o.label}`).join(" / ")}</div>
+                        <div className="resolve-row" style={{flexWrap:'wrap'}}>
+                          {m.priceFeed ? (
+                            <button className="btn-res btn-res-o" disabled={!!loading || circuit.resolution} onClick={() => settleFromFeed(m)} title="Only the price feed can settle this market">Settle from {m.priceFeed.description}</button>
+                          ) : m.categorical ? m.outcomes.map((o, j) => (
+                            <button key={j} className="btn-res btn-res-o" disabled={!!loading || circuit.resolution} onClick={() => resolveOutcome(m.id, j)}>{o.label}</button>
+                          )) : m.scalar ? <>
+                            <input className="adm-inp" style={{flex:1,minWidth:120}} placeholder={`Value (${fmtVal(m.range.lower)} – ${fmtVal(m.range.upper)})`} value={valueInputs[m.id] ?? ""} onChange={(e) => setValueInputs(x => ({ ...x, [m.id]: e.target.value }))} />
+                            <button className="btn-res btn-res-o" disabled={!!loading || circuit.resolution} onClick={() => resolveScalar(m)}>Resolve at value</button>
+                          </> : <>
+                            <button className="btn-res btn-res-y" disabled={!!loading || circuit.resolution} onClick={() => resolve(m.id, true)}>Resolve YES ✓</button>
+                            <button className="btn-res btn-res-n" disabled={!!loading || circuit.resolution} onClick={() => resolve(m.id, false)}>Resolve NO ✗</button>
+                          </>}
+                          <button className="btn-res btn-res-v" disabled={!!loading} onClick={() => cancel(m.id)} title="Cancel and refund everyone">Void</button>
+                        </div>
+                      </div>
+                    ))}
+                  </div>
+                )}
+
+                {roles.resolver && (
+                  <div className="crd">
+                    <div className="adm-lbl" style={{marginBottom:12,fontSize:11,letterSpacing:1.5,textTransform:'uppercase'}}>Reschedule Markets</div>
+                    <div style={{fontSize:11,color:'var(--dm)',marginBottom:12,lineHeight:1.5}}>
+                      Extend a live market when its event is postponed, or pick an earlier time to close betting then. Closing early leaves the end time, and so resolution, where it is. Each market can be extended {MAX_RESCHEDULES} times, at most {fmtDur(MAX_EXTENSION)} each time, and nothing can be set to a time already past. Bettors see every extension on the market card.
+                    </div>
+                    {markets.filter(m => !m.cancelled && Date.now()/1000 < m.endTime).length === 0 && (
+                      <div className="empty" style={{padding:16}}>No live markets.</div>
+                    )}
+                    {markets.filter(m => !m.cancelled && Date.now()/1000 < m.endTime).map(m => (
+                      <div key={m.id} style={{marginBottom:12}}>
+                        <div style={{fontSize:13,fontWeight:600,marginBottom:6}}>#{m.id}: {m.question}</div>
+                        <div style={{fontSize:11,color:'var(--dm)',marginBottom:8}}>{Date.now()/1000 < m.closesAt ? `Betting closes ${fmtDate(m.closesAt)}` : "Betting closed"} · ends {fmtDate(m.endTime)} · {m.schedule.length}/{MAX_RESCHEDULES} extensions used</div>
+                        <div className="resolve-row" style={{flexWrap:'wrap'}}>
+                          <input className="adm-inp" style={{flex:1,minWidth:180}} type="datetime-local" value={endInputs[m.id] ?? ""} onChange={(e) => setEndInputs(x => ({ ...x, [m.id]: e.target.value }))} />
+                          <button className="btn-res btn-res-o" disabled={!!loading} onClick={() => reschedule(m, Math.floor(new Date(endInputs[m.id] ?? "").getTime() / 1000))}>{Math.floor(new Date(endInputs[m.id] ?? "").getTime() / 1000) < m.endTime ? "Close betting then" : "Extend"}</button>
+                          {Date.now()/1000 < m.closesAt && (
+                            <button className="btn-res btn-res-v" disabled={!!loading} onClick={() => reschedule(m, Math.floor(Date.now() / 1000) + 60)} title="Closes a minute from now, so the transaction can't land after the new time">Close betting now</button>
+                          )}
+                        </div>
+                      </div>
+                    ))}
+                  </div>
+                )}
+
+                {(roles.arbiter || roles.owner) && (
+                  <div className="crd">
+                    <div className="adm-lbl" style={{marginBottom:12,fontSize:11,letterSpacing:1.5,textTransform:'uppercase'}}>Disputes</div>
+                    {markets.filter(m => m.proposal?.disputed).length === 0 && (
+                      <div className="empty" style={{padding:16}}>No disputed outcomes.</div>
+                    )}
+                    {markets.filter(m => m.proposal?.disputed).map(m => (
+                      <div key={m.id} style={{marginBottom:12}}>
+                        <div style={{fontSize:13,fontWeight:600,marginBottom:6}}>#{m.id}: {m.question}</div>
+                        <div style={{fontSize:11,color:'var(--dm)',marginBottom:8}}>
+                          Proposed <b style={{color:'var(--tx)'}}>{proposalLabel(m)}</b> by {short(m.proposal.proposer)} · {fmtAmt(m.proposal.bond)} USDC bond each side
+                        </div>
+                        {roles.arbiter && <div className="resolve-row" style={{flexWrap:'wrap'}}>
+                          {m.scalar ? <>
+                            <input className="adm-inp" style={{flex:1,minWidth:120}} placeholder={`Value (${fmtVal(m.range.lower)} – ${fmtVal(m.range.upper)})`} value={valueInputs[m.id] ?? ""} onChange={(e) => setValueInputs(x => ({ ...x, [m.id]: e.target.value }))} />
+                            <button className="btn-res btn-res-o" disabled={!!loading || circuit.resolution} onClick={() => arbitrateScalar(m, scalarInput(m))}>Rule value</button>
+                            <button className="btn-res btn-res-y" disabled={!!loading || circuit.resolution} onClick={() => arbitrateScalar(m, BigInt(m.proposal.value))}>{proposalLabel(m)} (uphold)</button>
+                          </> : m.outcomes.map((o, j) => (
+                            <button key={j} className={`btn-res ${j === m.proposal.outcome ? "btn-res-y" : "btn-res-o"}`} disabled={!!loading || circuit.resolution} onClick={() => arbitrate(m.id, j)}>
+                              {o.label}{j === m.proposal.outcome ? " (uphold)" : ""}
+                            </button>
+                          ))}
+                        </div>}
+                      </div>
+                    ))}
+                    {roles.owner && resCfg && <div className="adm-form" style={{marginTop:14}}>
+                      <div className="adm-row">
+                        <div><div className="adm-lbl">Resolution bond (USDC)</div><input className="adm-inp" type="number" min="0" step="0.01" placeholder={formatEther(resCfg.bond)} value={resBondInput} onChange={(e) => setResBondInput(e.target.value)} /></div>
+                        <div><div className="adm-lbl">Dispute window (hours, 0 = instant)</div><input className="adm-inp" type="number" min="0" step="0.5" placeholder={String(resCfg.window / 3600)} value={windowInput} onChange={(e) => setWindowInput(e.target.value)} /></div>
+                      </div>
+                      <button className="btn-create" disabled={!!loading || resBondInput === "" || windowInput === ""} onClick={saveResCfg}>Update Resolution Rules</button>
+                    </div>}
+                  </div>
+                )}
+
+                {(roles.resolver || roles.owner) && (
+                  <div className="crd">
+                    <div className="adm-lbl" style={{marginBottom:12,fontSize:11,letterSpacing:1.5,textTransform:'uppercase'}}>Moderation Queue</div>
+                    {markets.filter(m => m.bond !== "0" && !m.resolved && !m.cancelled).length === 0 && (
+                      <div className="empty" style={{padding:16}}>No community proposals awaiting resolution.</div>
+                    )}
+                    {markets.filter(m => m.bond !== "0" && !m.resolved && !m.cancelled).map(m => (
+                      <div key={m.id} className="role-row">
+                        <span style={{minWidth:0}}>
+                          <div style={{fontWeight:600}}>#{m.id} {m.question}</div>
+                          <div style={{fontSize:10,color:'var(--dm)',marginTop:2}}>by <span className="role-addr">{short(m.creator)}</span> · bond {fmtAmt(m.bond)} USDC{m.hidden && <span className="mkt-tag tag-hidden" style={{marginLeft:6}}>Hidden</span>}</div>
+                        </span>
+                        {roles.resolver && <span style={{display:'flex',gap:6,flex:'0 0 auto'}}>
+                          <button className="btn-res btn-res-v" style={{padding:'4px 10px',fontSize:10}} disabled={!!loading} onClick={() => setHidden(m.id, !m.hidden)}>{m.hidden ? "Unhide" : "Hide"}</button>
+                          <button className="btn-res btn-res-n" style={{padding:'4px 10px',fontSize:10}} disabled={!!loading} onClick={() => reject(m.id)}>Reject</button>
+                        </span>}
+                      </div>
+                    ))}
+                    {roles.owner && bondCfg && <div className="adm-form" style={{marginTop:14}}>
+                      <div className="adm-row">
+                        <div><div className="adm-lbl">Proposal bond (USDC)</div><input className="adm-inp" type="number" min="0" step="0.01" placeholder={formatEther(bondCfg.bond)} value={bondInput} onChange={(e) => setBondInput(e.target.value)} /></div>
+                        <div><div className="adm-lbl">Min. duration (hours)</div><input className="adm-inp" type="number" min="0" step="0.5" placeholder={String(bondCfg.minDuration / 3600)} value={minDurInput} onChange={(e) => setMinDurInput(e.target.value)} /></div>
+                      </div>
+                      <button className="btn-create" disabled={!!loading || bondInput === "" || minDurInput === ""} onClick={saveBondCfg}>Update Proposal Rules</button>
+                    </div>}
+                  </div>
+                )}
+
+                {(roles.owner || (ammAddr && (roles.creator || markets.some(m => m.pool?.mine)))) && (
+                  <div className="crd">
+                    <div className="adm-lbl" style={{marginBottom:12,fontSize:11,letterSpacing:1.5,textTransform:'uppercase'}}>Market Maker</div>
+                    {!ammAddr && <div className="empty" style={{padding:16}}>No market maker linked. Deploy one to let traders buy and sell YES/NO shares at a live price.</div>}
+                    {ammAddr && roles.creator && markets.filter(m => !m.categorical && !m.scalar && !m.pool && !m.resolved && !m.cancelled && !m.hidden && Date.now()/1000 < m.closesAt).map(m => (
+                      <div key={m.id} className="role-row">
+                        <span style={{minWidth:0,fontWeight:600}}>#{m.id} {m.question}</span>
+                        <span style={{display:'flex',gap:6,flex:'0 0 auto'}}>
+                          <input className="inp" style={{width:110,padding:'6px 10px',fontSize:11}} type="number" min="0" placeholder={`Seed (${m.token.symbol})`} value={seedInputs[m.id] ?? ""} onChange={(e) => setSeedInputs(v => ({ ...v, [m.id]: e.target.value }))} />
+                          <button className="btn-res btn-res-o" style={{padding:'4px 10px',fontSize:10}} disabled={!!loading || !(Number(seedInputs[m.id]) > 0)} onClick={() => seedPool(m)}>Seed</button>
+                        </span>
+                      </div>
+                    ))}
+                    {markets.filter(m => m.pool?.mine).map(m => (
+                      <div key={m.id} className="role-row">
+                        <span style={{minWidth:0}}>
+                          <div style={{fontWeight:600}}>#{m.id} {m.question}</div>
+                          <div style={{fontSize:10,color:'var(--dm)',marginTop:2}}>Seeded {fmtAmt(m.pool.seeded, m.token.decimals)} {m.token.symbol} · reserves {fmtAmt(m.pool.yes, m.token.decimals)} YES / {fmtAmt(m.pool.no, m.token.decimals)} NO</div>
+                        </span>
+                        {m.pool.withdrawn ? <span className="claimed-tag">✓ Withdrawn</span> : (m.resolved || m.cancelled) && (
+                          <button className="btn-res btn-res-o" style={{padding:'4px 10px',fontSize:10,flex:'0 0 auto'}} disabled={!!loading} onClick={() => withdrawLiquidity(m.id)}>Withdraw liquidity</button>
+                        )}
+                      </div>
+                    ))}
+                    {roles.owner && <div className="adm-form" style={{marginTop:14}}>
+                      {ammAddr && <div style={{fontSize:11,color:'var(--dm)'}}>Linked: <span className="role-addr">{ammAddr}</span></div>}
+                      {!ammAddr && <button className="btn-create" disabled={!!loading} onClick={deployAmm}>Deploy Market Maker</button>}
+                      <div className="manual-row" style={{marginTop:0}}>
+                        <input className="inp" placeholder={ammAddr ? "0x… replace market maker" : "0x… existing market maker"} value={ammInput} onChange={(e) => setAmmInput(e.target.value)} />
+                        <button className="btn-save" disabled={!!loading || !isAddress(ammInput)} onClick={() => linkAmm(getAddress(ammInput))}>Link</button>
+                      </div>
+                    </div>}
+                  </div>
+                )}
+
+                {roles.owner && (
+                  <div className="crd">
+                    <div className="adm-lbl" style={{marginBottom:12,fontSize:11,letterSpacing:1.5,textTransform:'uppercase'}}>Price Feeds</div>
+                    <div style={{fontSize:11,color:'var(--dm)',marginBottom:12,lineHeight:1.5}}>
+                      The price oracle settles YES/NO markets from a Chainlink-style feed: creators pick one of the feeds you allow here, a threshold and a comparison, and anyone can settle the market once the feed reports after the end time. One oracle serves every instance, each with its own list of feeds.
+                    </div>
+                    <div className="adm-form">
+                      {oracleAddr ? <div style={{fontSize:11,color:'var(--dm)'}}>Linked: <span className="role-addr">{oracleAddr}</span></div>
+                        : <button className="btn-create" disabled={!!loading} onClick={() => isAddress(deployment.oracle) ? linkOracle(getAddress(deployment.oracle)) : deployOracle()}>{isAddress(deployment.oracle) ? "Link Price Oracle" : "Deploy Price Oracle"}</button>}
+                      <div className="manual-row" style={{marginTop:0}}>
+                        <input className="inp" placeholder={oracleAddr ? "0x… replace price oracle" : "0x… existing price oracle"} value={oracleInput} onChange={(e) => setOracleInput(e.target.value)} />
+                        <button className="btn-save" disabled={!!loading || !isAddress(oracleInput)} onClick={() => linkOracle(getAddress(oracleInput))}>Link</button>
+                      </div>
+                      {oracleAddr && <div className="manual-row" style={{marginTop:0}}>
+                        <input className="inp" placeholder="0x… price feed to allow or remove" value={feedInput} onChange={(e) => setFeedInput(e.target.value)} />
+                        <button className="btn-save" disabled={!!loading || !isAddress(feedInput)} onClick={() => allowFeed(true)}>Allow</button>
+                        <button className="btn-save" disabled={!!loading || !isAddress(feedInput)} onClick={() => allowFeed(false)}>Remove</button>
+                      </div>}
+                    </div>
+                  </div>
+                )}
+
+                {roles.owner && (
+                  <div className="crd">
+                    <div className="adm-lbl" style={{marginBottom:12,fontSize:11,letterSpacing:1.5,textTransform:'uppercase'}}>Parlays</div>
+                    <div style={{fontSize:11,color:'var(--dm)',marginBottom:12,lineHeight:1.5}}>
+                      Parlay tickets combine 2–{PARLAY_MAX_LEGS} YES/NO markets and pay stake × each leg's odds (the lower of when bought and at close) when every leg wins. Payouts come from a pool you fund per collateral; each ticket reserves its full payout until it settles, and losing stakes flow back into the pool. One parlay contract serves every instance.
+                    </div>
+                    <div className="adm-form">
+                      {parlayAddr ? <div style={{fontSize:11,color:'var(--dm)'}}>Using: <span className="role-addr">{parlayAddr}</span></div>
+                        : <button className="btn-create" disabled={!!loading} onClick={deployParlay}>Deploy Parlay Contract</button>}
+                      <div className="manual-row" style={{marginTop:0}}>
+                        <input className="inp" placeholder={parlayAddr ? "0x… switch parlay contract" : "0x… existing parlay contract"} value={parlayInputs.link ?? ""} onChange={(e) => setParlayInputs(v => ({ ...v, link: e.target.value }))} />
+                        <button className="btn-save" disabled={!!loading || !isAddress(parlayInputs.link ?? "")} onClick={() => linkParlay(getAddress(parlayInputs.link))}>Use</button>
+                      </div>
+                      {parlayAddr && parlayBank.map(t => (
+                        <div key={t.address} className="role-row">
+                          <span>{t.symbol} pool — free: <b style={{fontFamily:'var(--mono)'}}>{fmtAmt(t.liquidity, t.decimals)}</b> · reserved: {fmtAmt(t.reserved, t.decimals)}</span>
+                          <span style={{display:'flex',gap:6}}>
+                            <input className="adm-inp" style={{width:90}} type="number" min="0" placeholder="Amount" value={parlayInputs[t.address] ?? ""} onChange={(e) => setParlayInputs(v => ({ ...v, [t.address]: e.target.value }))} />
+                            <button className="btn-save" disabled={!!loading} onClick={() => moveParlayFunds(t, true)}>Add</button>
+                            <button className="btn-save" disabled={!!loading || t.liquidity === "0"} onClick={() => moveParlayFunds(t, false)}>Remove</button>
+                          </span>
+                        </div>
+                      ))}
+                    </div>
+                  </div>
+                )}
+
+                {fees && (roles.owner || fees.mine !== "0") && (
+                  <div className="crd">
+                    <div className="adm-lbl" style={{marginBottom:12,fontSize:11,letterSpacing:1.5,textTransform:'uppercase'}}>Fees</div>
+                    <div className="fee-stats">
+                      <div className="pool-box"><div className="pool-lbl">Fee (new markets)</div><div className="pool-val">{fees.feeBps / 100}%</div></div>
+                      <div className="pool-box"><div className="pool-lbl">Creator share (new markets)</div><div className="pool-val">{fees.share / 100}%</div></div>
+                      <div className="pool-box"><div className="pool-lbl">Treasury accrued</div><div className="pool-val">{fmtAmt(fees.treasuryAccrued)}<span className="pool-u">USDC</span></div></div>
+                    </div>
+                    <div style={{display:'flex',justifyContent:'space-between',alignItems:'center',gap:8,marginBottom:14}}>
+                      <span style={{fontSize:12,color:'var(--dm)'}}>Your accrued fees & bonds: <b style={{color:'var(--tx)',fontFamily:'var(--mono)'}}>{fmtAmt(fees.mine)} USDC</b></span>
+                      <button className="btn-claim" disabled={!!loading || circuit.claims || fees.mine === "0"} onClick={withdrawFees}>Withdraw</button>
+                    </div>
+                    {fees.tokens.filter(t => t.mine !== "0" || (roles.owner && t.treasuryAccrued !== "0")).map(t => (
+                      <div key={t.address} style={{display:'flex',justifyContent:'space-between',alignItems:'center',gap:8,marginBottom:14}}>
+                        <span style={{fontSize:12,color:'var(--dm)'}}>
+                          {t.symbol} fees — yours: <b style={{color:'var(--tx)',fontFamily:'var(--mono)'}}>{fmtAmt(t.mine, t.decimals)}</b> · treasury: {fmtAmt(t.treasuryAccrued, t.decimals)}
+                        </span>
+                        <button className="btn-claim" disabled={!!loading || circuit.claims || t.mine === "0"} onClick={() => withdrawTokenFees(t)}>Withdraw</button>
+                      </div>
+                    ))}
+                    {roles.owner && <div className="adm-form">
+                      <div className="adm-row">
+                        <div><div className="adm-lbl">Fee % (max 10)</div><input className="adm-inp" type="number" min="0" max="10" step="0.1" placeholder={String(fees.feeBps / 100)} value={feeInput} onChange={(e) => setFeeInput(e.target.value)} /></div>
+                        <div><div className="adm-lbl">Creator share %</div><input className="adm-inp" type="number" min="0" max="100" placeholder={String(fees.share / 100)} value={shareInput} onChange={(e) => setShareInput(e.target.value)} /></div>
+                      </div>
+                      <button className="btn-create" disabled={!!loading || feeInput === "" || shareInput === ""} onClick={saveFees}>Update Fees</button>
+                      <div className="manual-row" style={{marginTop:0}}>
+                        <input className="inp" placeholder={`Treasury: ${short(fees.treasury)}`} value={treasuryInput} onChange={(e) => setTreasuryInput(e.target.value)} />
+                        <button className="btn-save" disabled={!!loading || !isAddress(treasuryInput)} onClick={saveTreasury}>Set</button>
+                      </div>
+                      <div className="manual-row" style={{marginTop:0}}>
+                        <input className="inp" type="number" min="0" max="10" step="0.1" placeholder={`Early-exit penalty: ${exitPenaltyBps / 100}% (max 10)`} value={penaltyInput} onChange={(e) => setPenaltyInput(e.target.value)} />
+                        <button className="btn-save" disabled={!!loading || penaltyInput === ""} onClick={savePenalty}>Set</button>
+                      </div>
+                      {referral && <div className="manual-row" style={{marginTop:0}}>
+                        <input className="inp" type="number" min="0" max="50" step="0.1" placeholder={`Referral share of fees, new markets: ${referral.bps / 100}% (max 50)`} value={referralInput} onChange={(e) => setReferralInput(e.target.value)} />
+                        <button className="btn-save" disabled={!!loading || referralInput === ""} onClick={saveReferral}>Set</button>
+                      </div>}
+                    </div>}
+                  </div>
+                )}
+
+                {(roles.pauser || roles.owner) && (
+                  <div className="crd">
+                    <div className="adm-lbl" style={{marginBottom:12,fontSize:11,letterSpacing:1.5,textTransform:'uppercase'}}>Circuit Breaker</div>
+                    {roles.pauser && !circuit.emergency && [["betting", "Betting & trading"], ["resolution", "Resolution"], ["claims", "Claims & withdrawals"]].map(([k, l]) => (
+                      <div key={k} className="role-row">
+                        <span style={{fontSize:12}}>{l}: <b style={{color: circuit[k] ? 'var(--warn)' : 'var(--yes)'}}>{circuit[k] ? "Paused" : "Running"}</b></span>
+                        <button className="btn-res btn-res-v" style={{padding:'4px 10px',fontSize:10}} disabled={!!loading} onClick={() => savePause(k, !circuit[k])}>{circuit[k] ? "Resume" : "Pause"}</button>
+                      </div>
+                    ))}
+                    {circuit.emergency ? (
+                      <div style={{fontSize:12,color:'var(--warn)'}}>Emergency refund mode is active. It cannot be turned off.</div>
+                    ) : roles.owner && (
+                      <div style={{marginTop:14}}>
+                        <div style={{fontSize:11,color:'var(--dm)',lineHeight:1.5,marginBottom:8}}>
+                          Emergency refund mode voids every unresolved market so all stakes can be refunded. It can only be activated after a {fmtDur(EMERGENCY_DELAY)} notice period and is permanent.
+                        </div>
+                        <div className="resolve-row" style={{marginTop:0}}>
+                          {circuit.emergencyAt === 0 ? (
+                            <button className="btn-res btn-res-n" disabled={!!loading} onClick={scheduleEmergency}>Schedule Emergency Refund</button>
+                          ) : <>
+                            <button className="btn-res btn-res-n" disabled={!!loading || Date.now()/1000 < circuit.emergencyAt} onClick={activateEmergency}>
+                              {Date.now()/1000 < circuit.emergencyAt ? `Activate in ${timeLeft(circuit.emergencyAt)}` : "Activate Now"}
+                            </button>
+                            <button className="btn-res btn-res-v" disabled={!!loading} onClick={cancelEmergency}>Cancel</button>
+                          </>}
+                        </div>
+                      </div>
+                    )}
+                  </div>
+                )}
+
+                {roles.owner && (
+                  <div className="crd">
+                    <div className="adm-lbl" style={{marginBottom:12,fontSize:11,letterSpacing:1.5,textTransform:'uppercase'}}>Roles</div>
+                    {roleHolders === null && <div className="empty" style={{padding:16}}>Role history unavailable from this RPC.</div>}
+                    {roleHolders && ROLES.map(r => (
+                      <div key={r.key} style={{marginBottom:10}}>
+                        <div className="adm-lbl">{r.label}</div>
+                        {roleHolders.filter(h => h.role === r.id).map(h => (
+                          <div key={h.account} className="role-row">
+                            <span className="role-addr">{h.account}{h.account.toLowerCase() === account.toLowerCase() ? " (you)" : ""}</span>
+                            <button className="btn-res btn-res-v" style={{padding:'4px 10px',fontSize:10}} disabled={!!loading} onClick={() => revokeHolder(h.role, h.account)}>Revoke</button>
+                          </div>
+                        ))}
+                        {roleHolders.filter(h => h.role === r.id).length === 0 && <div style={{fontSize:11,color:'var(--dm)',padding:'6px 0'}}>Nobody</div>}
+                      </div>
+                    ))}
+                    <div className="adm-form" style={{marginTop:8}}>
+                      <div className="manual-row" style={{marginTop:0}}>
+                        <input className="inp" placeholder="0x… account" value={roleAddr} onChange={(e) => setRoleAddr(e.target.value)} />
+                        <select className="adm-sel" value={roleKey} onChange={(e) => setRoleKey(e.target.value)}>
+                          {ROLES.map(r => <option key={r.key} value={r.key}>{r.label}</option>)}
+                        </select>
+                      </div>
+                      <div className="resolve-row" style={{marginTop:0}}>
+                        <button className="btn-res btn-res-y" disabled={!!loading || !isAddress(roleAddr)} onClick={() => changeRole(true)}>Grant</button>
+                        <button className="btn-res btn-res-n" disabled={!!loading || !isAddress(roleAddr)} onClick={() => changeRole(false)}>Revoke</button>
+                      </div>
+                    </div>
+                    <div className="adm-lbl" style={{margin:'20px 0 4px'}}>Transfer ownership</div>
+                    <div style={{fontSize:11,color:'var(--dm)',marginBottom:8}}>Once accepted, this account loses its roles and, unless set elsewhere, the treasury.</div>
+                    {roles.pendingAddr && roles.pendingAddr !== ZeroAddress && (
+                      <div style={{fontSize:11,color:'var(--warn)',marginBottom:8}}>Pending: {short(roles.pendingAddr)} has not accepted yet</div>
+                    )}
+                    <div className="manual-row" style={{marginTop:0}}>
+                      <input className="inp" placeholder="0x… new owner" value={newOwner} onChange={(e) => setNewOwner(e.target.value)} />
+                      <button className="btn-save" disabled={!!loading || !isAddress(newOwner)} onClick={startTransfer}>Transfer</button>
+                    </div>
+                  </div>
+                )}
 
                 <div className="crd">
                   <div className="adm-lbl" style={{marginBottom:12,fontSize:11,letterSpacing:1.5,textTransform:'uppercase'}}>All Markets</div>
                   {markets.map(m => (
                     <div key={m.id} style={{padding:'8px 0',borderBottom:'1px solid var(--bd)',display:'flex',justifyContent:'space-between',alignItems:'center',fontSize:12}}>
                       <span style={{fontWeight:600}}>#{m.id} {m.question.slice(0,40)}{m.question.length>40?"…":""}</span>
-                      <span className={`mkt-tag ${m.resolved ? (m.outcome ? "tag-yes-win" : "tag-no-win") : (Date.now()/1000<m.endTime ? "tag-live" : "tag-ended")}`}>
-                        {m.resolved ? (m.outcome ? "YES" : "NO") : (Date.now()/1000<m.endTime ? "Live" : "Pending")}
+                      <span style={{display:'flex',gap:6,alignItems:'center'}}>
+                        {roles.resolver && !m.resolved && !m.cancelled && Date.now()/1000 < m.endTime && (
+                          <button className="btn-res btn-res-v" style={{padding:'4px 10px',fontSize:10}} disabled={!!loading} onClick={() => cancel(m.id)}>Void</button>
+                        )}
+                        <span className={`mkt-tag ${m.cancelled ? "tag-void" : m.resolved ? (m.outcome || m.categorical || m.scalar ? "tag-yes-win" : "tag-no-win") : m.proposal ? "tag-prop" : (Date.now()/1000<m.endTime ? "tag-live" : "tag-ended")}`}>
+                          {m.cancelled ? "Void" : m.resolved ? (m.scalar ? `= ${fmtVal(m.range.value)}` : m.outcomes[m.winner].label) : m.proposal ? (m.proposal.disputed ? "Disputed" : "Proposed") : (Date.now()/1000<m.endTime ? "Live" : "Pending")}
+                        </span>
                       </span>
                     </div>
                   ))}
@@ -676,9 +2029,21 @@ export default function App() {
 
             <div style={{display:'flex',justifyContent:'center',gap:8,marginTop:4}}>
               <span style={{fontFamily:'var(--mono)',fontSize:10,color:'var(--dm)'}}>Contract: {short(contractAddr)}</span>
+              {!lensAddr && (
+                <button onClick={enableLens} disabled={!!loading} title="Deploy a read-only lens so markets load in one call per page"
+                  style={{background:'none',border:'none',color:'var(--pr2)',cursor:'pointer',fontSize:10,fontFamily:'var(--sans)',fontWeight:600,opacity:.6}}>speed up loading</button>
+              )}
               <button onClick={() => { localStorage.removeItem(SAVED_ADDR_KEY); setContractAddr(""); }}
                 style={{background:'none',border:'none',color:'var(--pr2)',cursor:'pointer',fontSize:10,fontFamily:'var(--sans)',fontWeight:600,opacity:.6}}>change</button>
+              <button onClick={() => { setShowRelayer(!showRelayer); setRelayerInput(relayerUrl); }} title="A relayer submits signed bets and claims and pays their gas"
+                style={{background:'none',border:'none',color:'var(--pr2)',cursor:'pointer',fontSize:10,fontFamily:'var(--sans)',fontWeight:600,opacity:.6}}>{relayerUrl ? `relayer: ${relayerUrl.replace(/^https?:\/\//, "")}` : "gasless bets"}</button>
             </div>
+            {showRelayer && (
+              <div className="adm-row" style={{maxWidth:420,margin:'8px auto 0'}}>
+                <input className="inp" style={{flex:1}} placeholder="Relayer URL, e.g. http://localhost:8787 (empty to turn off)" value={relayerInput} onChange={(e) => setRelayerInput(e.target.value)} />
+                <button className="btn-claim" onClick={saveRelayer}>Save</button>
+              </div>
+            )}
           </>
         )}
 
@@ -696,37 +2061,874 @@ export default function App() {
   );
 }
 
+/* ─── Betting limits ───────────────────────────────────── */
+// Mirrors the contract's checks so a bet that would revert is caught before it is sent
+const limitError = (m, amount) => {
+  const { minBet, maxPerUser, maxPool } = m.limits, { symbol, decimals } = m.token;
+  const staked = m.outcomes.reduce((t, o) => t + BigInt(o.stake), 0n);
+  const room = (cap, used) => fmtAmt(BigInt(cap) > used ? BigInt(cap) - used : 0n, decimals);
+  if (amount < BigInt(minBet)) return `Minimum bet is ${fmtAmt(minBet, decimals)} ${symbol}`;
+  if (maxPerUser !== "0" && staked + amount > BigInt(maxPerUser)) return `Max ${fmtAmt(maxPerUser, decimals)} ${symbol} per account — ${room(maxPerUser, staked)} left for you`;
+  if (maxPool !== "0" && BigInt(m.totalPool) + amount > BigInt(maxPool)) return `Pool capped at ${fmtAmt(maxPool, decimals)} ${symbol} — ${room(maxPool, BigInt(m.totalPool))} left`;
+  return "";
+};
+
+/* ─── Market metadata (JSON document emitted in MarketCreated) ── */
+const CATEGORIES = ["Crypto", "Sports", "Politics", "Economics", "Tech", "Culture", "Other"];
+const META_FIELDS = ["description", "category", "resolutionSource", "resolutionCriteria", "image"];
+
+// Empty fields are dropped so a market without details stores no document at all
+const toMetadata = (meta) => {
+  const doc = {};
+  META_FIELDS.forEach(k => { const v = meta[k]?.trim(); if (v) doc[k] = v; });
+  if (meta.tags?.length) doc.tags = meta.tags;
+  return Object.keys(doc).length ? JSON.stringify(doc) : "";
+};
+
+// Documents are free-form creator input: keep only well-typed known fields
+const parseMetadata = (json) => {
+  try {
+    const d = JSON.parse(json);
+    if (!d || typeof d !== "object") return null;
+    const meta = { tags: Array.isArray(d.tags) ? d.tags.filter(t => typeof t === "string") : [] };
+    META_FIELDS.forEach(k => { meta[k] = typeof d[k] === "string" ? d[k] : ""; });
+    return meta;
+  } catch { return null; }
+};
+
+// Only http(s) and ipfs links are rendered, so a document can't smuggle in javascript: URLs
+const safeUrl = (u) => {
+  if (typeof u !== "string") return "";
+  if (u.startsWith("ipfs://")) return `https://ipfs.io/ipfs/${u.slice(7)}`;
+  return /^https?:\/\//i.test(u) ? u : "";
+};
+
+/* ─── Portfolio reads ──────────────────────────────────── */
+const NO_POOL = { provider: ZeroAddress };
+// Logs that change every market's row (claimable amounts, refunds, maker pools) rather than one
+const RESYNC_EVENTS = ["EmergencyRefundActivated", "ReferralConfigUpdated", "AmmUpdated"];
+
+// One lens call per run of consecutive ids (PAGE_SIZE at most); without a lens, the same rows are read market by market
+async function readPortfolio(c, lens, amm, user, ids) {
+  const rows = [];
+  if (lens) {
+    for (let i = 0, j; i < ids.length; i = j) {
+      for (j = i + 1; j < ids.length && j - i < PAGE_SIZE && ids[j] === ids[j - 1] + 1; j++);
+      rows.push(...await lens.getUserPortfolio(c.target, user, ids[i], j - i));
+    }
+    return rows;
+  }
+  for (const i of ids) {
+    const [market, oc, stakes, claimable, claimed, resolution, limits] = await Promise.all([
+      c.getMarketInfo(i), c.getOutcomes(i), c.getUserStakes(i, user), c.getClaimable(i, user), c.claimed(i, user), c.resolutions(i), c.limits(i),
+    ]);
+    const [ammPool, sh] = amm && Number(market.kind) === 0 ? await Promise.all([amm.pools(i), amm.getShares(i, user)]) : [NO_POOL, [0n, 0n]];
+    rows.push({ market, labels: oc.labels, pools: oc.pools, stakes, claimable, claimed, resolution, limits, ammPool, yesShares: sh[0], noShares: sh[1] });
+  }
+  return rows;
+}
+
+/* ─── Sync records ─────────────────────────────────────── */
+// Looks up the times of `blocks` not yet in `rec.times`, 20 at a time; true if any were added
+async function fillBlockTimes(provider, rec, blocks) {
+  const missing = [...new Set(blocks)].filter(b => !(b in rec.times));
+  for (let i = 0; i < missing.length; i += 20) {
+    await Promise.all(missing.slice(i, i + 20).map(async (b) => { rec.times[b] = (await provider.getBlock(b)).timestamp; }));
+  }
+  return missing.length > 0;
+}
+
+// One record per chain and contract: market rows shared by every account, plus each account's positions.
+// Everything is plain data so it can go to IndexedDB as is.
+const newSyncRecord = () => ({ block: -1, start: null, count: 0, circuit: null, markets: {}, meta: {}, schedule: {}, terms: {}, activity: {}, times: {}, users: {} });
+
+// Bets, early exits, claims and resolution steps, as a market's detail page lists them (block times are looked up later)
+function toActivity(ev) {
+  const a = ev.args;
+  switch (ev.name) {
+    case "BetPlaced": return { kind: "bet", user: a.user, outcome: a.isYes ? 0 : 1, amount: a.amount.toString() };
+    case "OutcomeBetPlaced": return { kind: "bet", user: a.user, outcome: Number(a.outcome), amount: a.amount.toString() };
+    case "BetWithdrawn": return { kind: "exit", user: a.user, outcome: Number(a.outcome), amount: a.amount.toString(), penalty: a.penalty.toString() };
+    case "RewardClaimed": return { kind: "claim", user: a.user, amount: a.reward.toString() };
+    case "Refunded": return { kind: "refund", user: a.user, amount: a.amount.toString() };
+    case "ResolutionProposed": return { kind: "proposed", user: a.proposer, outcome: Number(a.outcome), value: a.value.toString() };
+    case "ResolutionDisputed": return { kind: "disputed", user: a.disputer };
+    case "DisputeSettled": return { kind: "arbitrated", outcome: Number(a.outcome), value: a.value.toString() };
+    case "MarketResolved": return { kind: "resolved", outcome: a.outcome ? 0 : 1 };
+    case "OutcomeResolved": return { kind: "resolved", outcome: Number(a.outcome) };
+    case "ScalarResolved": return { kind: "resolved", value: a.value.toString() };
+    case "MarketCancelled": return { kind: "voided" };
+    default: return null;
+  }
+}
+
+function toMarketRow({ market: m, labels, pools, resolution: r, limits: lim, ammPool: pool }) {
+  return {
+    id: Number(m.id), question: m.question, endTime: Number(m.endTime),
+    closesAt: Number(m.endTime) - Number(lim.cutoff), totalPool: m.totalPool.toString(),
+    limits: { minBet: lim.minBet.toString(), maxPerUser: lim.maxPerUser.toString(), maxPool: lim.maxPool.toString(), cutoff: Number(lim.cutoff) },
+    categorical: Number(m.kind) === 1, scalar: Number(m.kind) === 2,
+    labels: Array.from(labels), pools: Array.from(pools, String),
+    resolved: m.resolved, winner: Number(m.winningOutcome), cancelled: m.cancelled, feeBps: Number(m.feeBps),
+    creator: m.creator, bond: m.bond.toString(), hidden: m.hidden, collateral: m.collateral,
+    resolution: r.deadline > 0n ? { outcome: Number(r.outcome), value: r.value.toString(), deadline: Number(r.deadline), proposer: r.proposer, disputed: r.disputer !== ZeroAddress, bond: r.bond.toString() } : null,
+    pool: pool.provider !== ZeroAddress ? { provider: pool.provider, yes: pool.yesReserve.toString(), no: pool.noReserve.toString(), seeded: pool.seeded.toString(), withdrawn: pool.withdrawn } : null,
+  };
+}
+
+const toPosition = (row) => ({
+  stakes: Array.from(row.stakes, String), claimable: row.claimable.toString(), claimed: row.claimed,
+  shares: [row.yesShares.toString(), row.noShares.toString()],
+});
+
+// The cards' market objects: cached rows joined with one account's positions. Emergency refund mode
+// voids every unresolved market, whether or not it has been touched yet, so that is applied here.
+function buildMarkets(rec, mine, cb, user) {
+  const me = user.toLowerCase();
+  return Object.values(rec.markets).sort((a, b) => b.id - a.id).map(({ labels, pools, resolution, pool, cancelled: voided, ...m }) => {
+    const { stakes, claimable, claimed, shares } = mine.rows[m.id] ?? { stakes: labels.map(() => "0"), claimable: "0", claimed: false, shares: ["0", "0"] };
+    const cancelled = voided || (cb.emergency && !m.resolved);
+    return {
+      ...m, cancelled, outcome: m.resolved && m.winner === 0,
+      outcomes: labels.map((label, j) => ({ label, pool: pools[j], stake: stakes[j] })),
+      totalYes: pools[0], totalNo: pools[1],
+      yesBet: stakes[0], noBet: stakes[1], hasStake: stakes.some(v => v !== "0"),
+      claimed, claimable, shares, hasShares: shares.some(v => v !== "0"),
+      bondClaimable: m.bond !== "0" && (m.resolved || cancelled) && m.creator.toLowerCase() === me,
+      proposal: resolution && !cancelled ? resolution : null,
+      pool: pool ? { yes: pool.yes, no: pool.no, seeded: pool.seeded, withdrawn: pool.withdrawn, mine: pool.provider.toLowerCase() === me } : null,
+      meta: rec.meta[m.id] ?? null, priceFeed: rec.terms[m.id] ?? null, schedule: rec.schedule[m.id] ?? [],
+    };
+  });
+}
+
+const NO_FORM_LIMITS = { minBet: "", maxPerUser: "", maxPool: "", cutoffHours: "" };
+const NO_FORM_FEED = { on: false, address: "", comparison: 1, threshold: "" };
+const NO_FORM_RANGE = { lower: "", upper: "" };
+
+/* ─── Market Form (admin create + community proposals) ── */
+
+function MarketForm({ loading, canUseFeed, cta, onSubmit }) {
+  const [kind, setKind] = useState("binary");
+  const [q, setQ] = useState("");
+  const [outcomes, setOutcomes] = useState("");
+  const [days, setDays] = useState("1");
+  const [hours, setHours] = useState("0");
+  const [collateral, setCollateral] = useState("");
+  const [meta, setMeta] = useState({ description: "", category: "", tags: "", resolutionSource: "", resolutionCriteria: "", image: "" });
+  const [limits, setLimits] = useState(NO_FORM_LIMITS);
+  const [feed, setFeed] = useState(NO_FORM_FEED);
+  const [range, setRange] = useState(NO_FORM_RANGE);
+  const limit = (k) => ({ value: limits[k], onChange: (e) => setLimits({ ...limits, [k]: e.target.value }) });
+  const field = (k) => ({ value: meta[k], onChange: (e) => setMeta({ ...meta, [k]: e.target.value }) });
+  const reset = () => { setQ(""); setOutcomes(""); setDays("1"); setHours("0"); setCollateral(""); setMeta({ description: "", category: "", tags: "", resolutionSource: "", resolutionCriteria: "", image: "" }); setLimits(NO_FORM_LIMITS); setFeed(NO_FORM_FEED); setRange(NO_FORM_RANGE); };
+  const submit = () => onSubmit({
+    kind, question: q.trim(), collateral: collateral.trim(),
+    outcomes: outcomes.split("\n").map(o => o.trim()).filter(Boolean),
+    endTime: Math.floor(Date.now() / 1000) + Number(days) * 86400 + Number(hours) * 3600,
+    meta: { ...meta, resolutionSource: meta.resolutionSource.trim(), image: meta.image.trim(), tags: meta.tags.split(",").map(t => t.trim()).filter(Boolean) },
+    limits,
+    feed: kind === "binary" && feed.on ? { ...feed, address: feed.address.trim(), threshold: feed.threshold.trim() } : null,
+    range: kind === "scalar" ? { lower: range.lower.trim(), upper: range.upper.trim() } : null,
+  }, reset);
+
+  return (
+    <div className="adm-form">
+      <div className="adm-seg">
+        <button className={kind === "binary" ? "on" : ""} onClick={() => setKind("binary")}>YES / NO</button>
+        <button className={kind === "categorical" ? "on" : ""} onClick={() => setKind("categorical")}>Multiple choice</button>
+        <button className={kind === "scalar" ? "on" : ""} onClick={() => setKind("scalar")}>Range</button>
+      </div>
+      <div>
+        <div className="adm-lbl">Question</div>
+        <input className="adm-inp" placeholder={kind === "categorical" ? "Who wins the election?" : kind === "scalar" ? "What will Arc's TVL be on Dec 1 ($M)?" : "Will ETH hit $10k by 2026?"} value={q} onChange={(e) => setQ(e.target.value)} />
+      </div>
+      {kind === "categorical" && (
+        <div>
+          <div className="adm-lbl">Outcomes (one per line, 2–16)</div>
+          <textarea className="adm-inp" rows={4} placeholder={"Candidate A\nCandidate B\nCandidate C"} value={outcomes} onChange={(e) => setOutcomes(e.target.value)} />
+        </div>
+      )}
+      {kind === "scalar" && <>
+        <div className="adm-row">
+          <div><div className="adm-lbl">Lower bound</div><input className="adm-inp" type="number" step="1" placeholder="0" value={range.lower} onChange={(e) => setRange({ ...range, lower: e.target.value })} /></div>
+          <div><div className="adm-lbl">Upper bound</div><input className="adm-inp" type="number" step="1" placeholder="500" value={range.upper} onChange={(e) => setRange({ ...range, upper: e.target.value })} /></div>
+        </div>
+        <div style={{fontSize:11,color:'var(--dm)',lineHeight:1.5}}>
+          Whole numbers in the question's unit. LONG is paid the share of the pool that the result covers of the range, SHORT the rest; results outside the range count as the nearest bound.
+        </div>
+      </>}
+      <div className="adm-row">
+        <div><div className="adm-lbl">Days</div><input className="adm-inp" type="number" min="0" value={days} onChange={(e) => setDays(e.target.value)} /></div>
+        <div><div className="adm-lbl">Hours</div><input className="adm-inp" type="number" min="0" max="23" value={hours} onChange={(e) => setHours(e.target.value)} /></div>
+      </div>
+      {kind === "binary" && canUseFeed && (
+        <label className="sign-tog" style={{marginTop:0}}>
+          <input type="checkbox" checked={feed.on} onChange={(e) => setFeed({ ...feed, on: e.target.checked })} />
+          Settle from a price feed instead of a resolver
+        </label>
+      )}
+      {kind === "binary" && canUseFeed && feed.on && <>
+        <div>
+          <div className="adm-lbl">Price feed (Chainlink-style aggregator)</div>
+          <input className="adm-inp" placeholder="0x… feed address" value={feed.address} onChange={(e) => setFeed({ ...feed, address: e.target.value })} />
+        </div>
+        <div className="adm-row">
+          <div>
+            <div className="adm-lbl">YES if the price is</div>
+            <select className="adm-sel" style={{width:'100%',height:40}} value={feed.comparison} onChange={(e) => setFeed({ ...feed, comparison: Number(e.target.value) })}>
+              {["above", "at or above", "below", "at or below"].map((label, i) => <option key={i} value={i}>{label}</option>)}
+            </select>
+          </div>
+          <div><div className="adm-lbl">Threshold</div><input className="adm-inp" type="number" step="any" placeholder="3000" value={feed.threshold} onChange={(e) => setFeed({ ...feed, threshold: e.target.value })} /></div>
+        </div>
+      </>}
+      <div>
+        <div className="adm-lbl">Collateral token (optional)</div>
+        <input className="adm-inp" placeholder={`Empty = native ${NATIVE.symbol}, or 0x… ERC-20 address`} value={collateral} onChange={(e) => setCollateral(e.target.value)} />
+      </div>
+      <div className="adm-row">
+        <div><div className="adm-lbl">Min bet</div><input className="adm-inp" type="number" min="0" step="0.01" placeholder="No minimum" {...limit("minBet")} /></div>
+        <div><div className="adm-lbl">Max per account</div><input className="adm-inp" type="number" min="0" step="0.01" placeholder="Unlimited" {...limit("maxPerUser")} /></div>
+      </div>
+      <div className="adm-row">
+        <div><div className="adm-lbl">Pool cap</div><input className="adm-inp" type="number" min="0" step="0.01" placeholder="Unlimited" {...limit("maxPool")} /></div>
+        <div><div className="adm-lbl">Close betting (hours before end)</div><input className="adm-inp" type="number" min="0" step="0.5" placeholder="0" {...limit("cutoffHours")} /></div>
+      </div>
+      <div className="adm-row">
+        <div>
+          <div className="adm-lbl">Category</div>
+          <select className="adm-sel" style={{width:'100%',height:40}} {...field("category")}>
+            <option value="">None</option>
+            {CATEGORIES.map(c => <option key={c} value={c}>{c}</option>)}
+          </select>
+        </div>
+        <div><div className="adm-lbl">Tags (comma-separated)</div><input className="adm-inp" placeholder="btc, price" {...field("tags")} /></div>
+      </div>
+      <div>
+        <div className="adm-lbl">Description (optional)</div>
+        <textarea className="adm-inp" rows={2} placeholder="Context bettors need to understand the question" {...field("description")} />
+      </div>
+      <div>
+        <div className="adm-lbl">Resolution criteria</div>
+        <textarea className="adm-inp" rows={2} placeholder={kind === "scalar" ? "Resolves at the value published by … Voided if …" : "Resolves YES if … Closes early if … Voided if …"} {...field("resolutionCriteria")} />
+      </div>
+      <div className="adm-row">
+        <div><div className="adm-lbl">Resolution source</div><input className="adm-inp" placeholder="https://…" {...field("resolutionSource")} /></div>
+        <div><div className="adm-lbl">Image (optional)</div><input className="adm-inp" placeholder="https://… or ipfs://…" {...field("image")} /></div>
+      </div>
+      <button className="btn-create" disabled={!!loading || !q.trim()} onClick={submit}>{cta}</button>
+    </div>
+  );
+}
+
+/* ─── Reduce Position (withdraw a stake before endTime) ── */
+function ReducePosition({ m, penaltyBps, loading, onWithdraw }) {
+  const staked = m.outcomes.map((o, j) => ({ ...o, j })).filter(o => o.stake !== "0");
+  const [open, setOpen] = useState(false);
+  const [idx, setIdx] = useState(staked[0]?.j ?? 0);
+  const [amt, setAmt] = useState("");
+  const { symbol, decimals } = m.token;
+  const stake = BigInt(m.outcomes[idx]?.stake ?? "0");
+  const amount = (() => { try { return Number(amt) > 0 ? parseUnits(amt, decimals) : 0n; } catch { return 0n; } })();
+  const penalty = amount * BigInt(penaltyBps) / 10000n;
+  const valid = amount > 0n && amount <= stake;
+  const submit = async () => { if (await onWithdraw(m, idx, amount)) { setAmt(""); setOpen(false); } };
+
+  if (!open) return <button className="manual-toggle" style={{display:'block',marginTop:10}} onClick={() => setOpen(true)}>Reduce position</button>;
+  return (
+    <div className="adm-form" style={{marginTop:12}}>
+      <div className="manual-row" style={{marginTop:0}}>
+        {staked.length > 1 && (
+          <select className="adm-sel" value={idx} onChange={(e) => { setIdx(Number(e.target.value)); setAmt(""); }}>
+            {staked.map(o => <option key={o.j} value={o.j}>{o.label}</option>)}
+          </select>
+        )}
+        <input className="inp" type="number" min="0" step="0.01" placeholder={`Amount of ${m.outcomes[idx].label} stake (${symbol})`} value={amt} onChange={(e) => setAmt(e.target.value)} />
+        <button className="btn-res btn-res-v" onClick={() => setAmt(formatUnits(stake, decimals))}>Max</button>
+      </div>
+      <div style={{fontSize:11,color:'var(--dm)',lineHeight:1.5}}>
+        {amount > stake ? `You only have ${fmtAmt(stake, decimals)} ${symbol} on ${m.outcomes[idx].label}.`
+          : penaltyBps > 0 ? `You receive ${fmtAmt(amount - penalty, decimals)} ${symbol}; ${fmtAmt(penalty, decimals)} (${penaltyBps / 100}%) stays in the pool for the remaining bettors.`
+          : "No penalty — you get the full amount back."}
+      </div>
+      <div className="resolve-row" style={{marginTop:0}}>
+        <button className="btn-res btn-res-n" disabled={!!loading || !valid} onClick={submit}>Withdraw</button>
+        <button className="btn-res btn-res-v" onClick={() => { setOpen(false); setAmt(""); }}>Cancel</button>
+      </div>
+    </div>
+  );
+}
+
 /* ─── Market Card ──────────────────────────────────────── */
-function MarketCard({ m, loading, onYes, onNo }) {
+function MarketCard({ m, circuit, loading, wallet, onBet, onSignBet, onQuote, onTrade, onDispute, onFinalize, onSettle, onOpen, onParlay, parlayPick }) {
   const [amt, setAmt] = useState("");
+  const [mode, setMode] = useState("pool");
+  const [signed, setSigned] = useState(false);
+  const [showInfo, setShowInfo] = useState(false);
   const isLive = Date.now() / 1000 < m.endTime;
-  const canBet = isLive && !m.resolved;
-  const totalPool = BigInt(m.totalYes) + BigInt(m.totalNo);
+  const isOpen = Date.now() / 1000 < m.closesAt;
+  const canBet = isOpen && !m.resolved && !m.cancelled && !circuit.betting;
+  const totalPool = m.outcomes.reduce((t, o) => t + BigInt(o.pool), 0n);
   const yPct = totalPool > 0n ? Number(BigInt(m.totalYes) * 100n / totalPool) : 50;
   const nPct = 100 - yPct;
+  const pctOf = (pool) => totalPool > 0n ? Number(BigInt(pool) * 100n / totalPool) : Math.round(100 / m.outcomes.length);
+  const { symbol, decimals } = m.token;
+  const parsedAmt = (() => { try { return Number(amt) > 0 ? parseUnits(amt, decimals) : 0n; } catch { return 0n; } })();
+  const limitErr = parsedAmt > 0n ? limitError(m, parsedAmt) : "";
+  const validAmt = parsedAmt > 0n && !limitErr;
+  const preview = validAmt && <BetPreview m={m} amount={parsedAmt} wallet={wallet} />;
+  // Signed bets need a relayer and an ERC-20 market
+  const canSign = !!onSignBet && m.collateral !== ZeroAddress;
+  const place = (idx) => { (canSign && signed ? onSignBet : onBet)(m, idx, amt); setAmt(""); };
+  const p = m.proposal, disputeOpen = !!p && !p.disputed && Date.now() / 1000 < p.deadline;
+  const meta = m.meta, hasInfo = !!meta && !!(meta.description || meta.resolutionCriteria || safeUrl(meta.resolutionSource) || meta.tags.length || safeUrl(meta.image));
 
   return (
     <div className="crd">
-      <div className="mkt-q">{m.question}</div>
+      {onOpen ? <button className="mkt-q mkt-open" onClick={() => onOpen(m.id)} title="Odds history, bets and holders">{m.question}</button>
+        : <div className="mkt-q">{m.question}</div>}
+      {hasInfo && (
+        <button className="manual-toggle" style={{marginBottom:10}} onClick={() => setShowInfo(!showInfo)}>{showInfo ? "Hide details ▴" : "Details & resolution rules ▾"}</button>
+      )}
+      {hasInfo && showInfo && (
+        <div className="mkt-info">
+          {safeUrl(meta.image) && <img src={safeUrl(meta.image)} alt="" className="mkt-img" />}
+          {meta.description && <p>{meta.description}</p>}
+          {meta.resolutionCriteria && <p><b>How it resolves:</b> {meta.resolutionCriteria}</p>}
+          {safeUrl(meta.resolutionSource) && <p><b>Source:</b> <a href={safeUrl(meta.resolutionSource)} target="_blank" rel="noopener noreferrer">{meta.resolutionSource}</a></p>}
+          {meta.tags.length > 0 && <div className="mkt-tags">{meta.tags.map(t => <span key={t}>#{t}</span>)}</div>}
+        </div>
+      )}
       <div className="mkt-meta">
-        {m.resolved ? (
+        {m.cancelled ? (
+          <span className="mkt-tag tag-void">Voided — stakes refunded</span>
+        ) : m.resolved && m.categorical ? (
+          <span className="mkt-tag tag-yes-win">Resolved: {m.outcomes[m.winner].label} ✓</span>
+        ) : m.resolved && m.scalar ? (
+          <span className="mkt-tag tag-yes-win">Resolved at {fmtVal(m.range.value)}</span>
+        ) : m.resolved ? (
           <span className={`mkt-tag ${m.outcome ? "tag-yes-win" : "tag-no-win"}`}>Resolved: {m.outcome ? "YES Won ✓" : "NO Won ✗"}</span>
         ) : (
-          <><span className={`mkt-tag ${isLive ? "tag-live" : "tag-ended"}`}>{isLive ? `⏱ ${timeLeft(m.endTime)}` : "Ended"}</span><span className="mkt-tag tag-time">#{m.id}</span></>
+          <><span className={`mkt-tag ${isOpen ? "tag-live" : "tag-ended"}`}>{isOpen ? `⏱ ${timeLeft(m.closesAt)}` : isLive ? `Betting closed · ends in ${timeLeft(m.endTime)}` : "Ended"}</span><span className="mkt-tag tag-time">#{m.id}</span></>
+        )}
+        {m.hidden && <span className="mkt-tag tag-hidden">Hidden</span>}
+        {meta?.category && <span className="mkt-tag tag-time">{meta.category}</span>}
+        {m.categorical && <span className="mkt-tag tag-time">{m.outcomes.length} outcomes</span>}
+        {m.scalar && <span className="mkt-tag tag-time">Range {fmtVal(m.range.lower)} – {fmtVal(m.range.upper)}</span>}
+        {m.collateral !== ZeroAddress && <span className="mkt-tag tag-time" title={m.collateral}>{symbol}</span>}
+        {m.feeBps > 0 && <span className="mkt-tag tag-time" title="Taken from the losing pools at resolution">{m.feeBps / 100}% fee</span>}
+        {m.limits.minBet !== "0" && <span className="mkt-tag tag-time">Min {fmtAmt(m.limits.minBet, decimals)}</span>}
+        {m.limits.maxPerUser !== "0" && <span className="mkt-tag tag-time">Max {fmtAmt(m.limits.maxPerUser, decimals)} / account</span>}
+        {m.limits.maxPool !== "0" && <span className="mkt-tag tag-time">Pool {fmtAmt(m.totalPool, decimals)} / {fmtAmt(m.limits.maxPool, decimals)}</span>}
+        {m.priceFeed && <span className="mkt-tag tag-time" title={`Settled by price feed ${m.priceFeed.feed}`}>📈 {m.priceFeed.description} {COMPARISONS[m.priceFeed.comparison]} {fmtPrice(m.priceFeed.threshold, m.priceFeed.decimals)}</span>}
+        {m.priceFeed?.price != null && <span className="mkt-tag tag-time" title={`Feed round ${m.priceFeed.round}`}>Settled at {fmtPrice(m.priceFeed.price, m.priceFeed.decimals)}</span>}
+        {m.limits.cutoff > 0 && isOpen && <span className="mkt-tag tag-time" title="Resolution still waits for the end time">Closes {fmtDur(m.limits.cutoff)} before end</span>}
+      </div>
+      {m.schedule.length > 0 && <ScheduleHistory m={m} />}
+      {m.priceFeed && !isLive && !m.resolved && !m.cancelled && (
+        <div className="mkt-prop">
+          <span>Settles on the first {m.priceFeed.description} reading after the end time. Anyone can trigger it.</span>
+          <button className="btn-disp" disabled={!!loading || circuit.resolution} onClick={() => onSettle(m)}>Settle</button>
+        </div>
+      )}
+      {p && (
+        <div className="mkt-prop">
+          <span>
+            Proposed outcome: <b>{m.outcomes[p.outcome].label}</b>
+            {p.disputed ? " · Disputed — awaiting arbiter" : disputeOpen ? ` · Final in ${timeLeft(p.deadline)}` : " · Dispute window closed"}
+          </span>
+          {disputeOpen && <button className="btn-disp" disabled={!!loading} onClick={() => onDispute(m)} title={`Post a ${fmtAmt(p.bond)} USDC bond to challenge`}>Dispute</button>}
+          {!p.disputed && !disputeOpen && <button className="btn-disp" disabled={!!loading || circuit.resolution} onClick={() => onFinalize(m.id)}>Finalize</button>}
+        </div>
+      )}
+      {m.categorical ? (
+        <>
+          <div className="mkt-outs">
+            {m.outcomes.map((o, j) => (
+              <div key={j} className={`out-row ${m.resolved && m.winner === j ? "out-win" : ""}`}>
+                <div className="out-bar" style={{width:`${pctOf(o.pool)}%`}} />
+                <span className="out-lbl">{o.label}</span>
+                <span className="out-val">{fmtAmt(o.pool, decimals)} {symbol}</span>
+                <span className="out-pct">{pctOf(o.pool)}%</span>
+                {canBet && <button className="btn-out" disabled={!!loading || !validAmt} onClick={() => place(j)}>Bet</button>}
+              </div>
+            ))}
+          </div>
+          {canBet && <input className="inp" style={{width:'100%'}} type="number" min="0" step="0.01" placeholder={`Amount (${symbol}) — then pick an outcome`} value={amt} onChange={(e) => setAmt(e.target.value)} />}
+          {canBet && limitErr && <div className="limit-err">{limitErr}</div>}
+          {canBet && preview}
+          {canBet && canSign && <SignToggle on={signed} set={setSigned} />}
+        </>
+      ) : m.scalar ? (
+        <>
+          <RangeBar m={m} />
+          <div className="mkt-pools">
+            <div className="pool-box pool-yes"><div className="pool-lbl">LONG ({yPct}%)</div><div className="pool-val">{fmtAmt(m.totalYes, decimals)}<span className="pool-u">{symbol}</span></div></div>
+            <div className="pool-box pool-no"><div className="pool-lbl">SHORT ({nPct}%)</div><div className="pool-val">{fmtAmt(m.totalNo, decimals)}<span className="pool-u">{symbol}</span></div></div>
+          </div>
+          {canBet && (
+            <div className="mkt-bet">
+              <input className="inp" type="number" min="0" step="0.01" placeholder={`Amount (${symbol})`} value={amt} onChange={(e) => setAmt(e.target.value)} />
+              <button className="btn-yes" disabled={!!loading || !validAmt} onClick={() => place(0)}>LONG ↑</button>
+              <button className="btn-no" disabled={!!loading || !validAmt} onClick={() => place(1)}>SHORT ↓</button>
+            </div>
+          )}
+          {canBet && limitErr && <div className="limit-err">{limitErr}</div>}
+          {canBet && preview}
+          {canBet && canSign && <SignToggle on={signed} set={setSigned} />}
+        </>
+      ) : <>
+        <div className="mkt-pools">
+          <div className="pool-box pool-yes"><div className="pool-lbl">YES ({yPct}%)</div><div className="pool-val">{fmtAmt(m.totalYes, decimals)}<span className="pool-u">{symbol}</span></div></div>
+          <div className="pool-box pool-no"><div className="pool-lbl">NO ({nPct}%)</div><div className="pool-val">{fmtAmt(m.totalNo, decimals)}<span className="pool-u">{symbol}</span></div></div>
+        </div>
+        <div style={{height:4,borderRadius:2,background:'var(--nog)',overflow:'hidden',marginBottom:14}}>
+          <div style={{height:'100%',width:`${yPct}%`,background:'var(--yes)',borderRadius:2,transition:'width .3s'}} />
+        </div>
+        {canBet && m.pool && (
+          <div className="adm-seg" style={{marginBottom:10}}>
+            <button className={mode === "pool" ? "on" : ""} onClick={() => setMode("pool")}>Bet into pool</button>
+            <button className={mode === "trade" ? "on" : ""} onClick={() => setMode("trade")}>Trade shares · YES {Math.round(ammPrice(m.pool) * 100)}¢</button>
+          </div>
+        )}
+        {canBet && m.pool && mode === "trade" ? (
+          <TradePanel m={m} loading={loading} onQuote={onQuote} onTrade={onTrade} />
+        ) : canBet && (
+          <div className="mkt-bet">
+            <input className="inp" type="number" min="0" step="0.01" placeholder={`Amount (${symbol})`} value={amt} onChange={(e) => setAmt(e.target.value)} />
+            <button className="btn-yes" disabled={!!loading || !validAmt} onClick={() => place(0)}>YES ↑</button>
+            <button className="btn-no" disabled={!!loading || !validAmt} onClick={() => place(1)}>NO ↓</button>
+          </div>
+        )}
+        {canBet && mode !== "trade" && limitErr && <div className="limit-err">{limitErr}</div>}
+        {canBet && mode !== "trade" && preview}
+        {canBet && mode !== "trade" && canSign && <SignToggle on={signed} set={setSigned} />}
+        {canBet && onParlay && !m.hidden && (
+          <div className="parlay-add">
+            <span>Parlay</span>
+            {["YES", "NO"].map((l, j) => (
+              <button key={l} className={`cat-chip ${parlayPick === j ? "on" : ""}`} disabled={m.outcomes[j].pool === "0"}
+                title={m.outcomes[j].pool === "0" ? "No bets on this side yet, so it has no odds" : ""} onClick={() => onParlay(m, j)}>
+                {parlayPick === j ? "✓" : "+"} {l}
+              </button>
+            ))}
+          </div>
+        )}
+      </>}
+    </div>
+  );
+}
+
+/* ─── Bet preview (what a bet would pay, before placing it) ── */
+const BPS = 10000n;
+const SHARP_MOVE = 0.1; // a bet that moves its side's odds 10 points or more gets a warning
+
+// claimReward's pro-rata share for `amount` more on outcome `j`, from the pools as they stand plus the bet:
+// the whole pot less the fee on the losing pools. On a range market this is what the side gets if the value lands on its bound.
+function projectBet(m, j, amount) {
+  const pools = m.outcomes.map(o => BigInt(o.pool)), sum = pools.reduce((a, b) => a + b, 0n);
+  const side = pools[j] + amount, pot = BigInt(m.totalPool) + amount;
+  const fee = ((pot - side) * BigInt(m.feeBps)) / BPS;
+  const mine = BigInt(m.outcomes[j].stake) + amount;
+  const payout = (mine * (pot - fee)) / side;
+  return { payout, multiple: Number(payout) / Number(mine), before: sum > 0n ? Number(pools[j]) / Number(sum) : null, after: Number(side) / Number(sum + amount) };
+}
+
+function BetPreview({ m, amount, wallet }) {
+  const { symbol, decimals } = m.token;
+  const label = (j) => m.scalar ? ["LONG", "SHORT"][j] : m.outcomes[j].label;
+  const rows = m.outcomes.map((o, j) => ({ j, ...projectBet(m, j, amount), existing: o.stake }));
+  const sharp = rows.filter(r => r.before !== null && r.after - r.before >= SHARP_MOVE);
+  const pct = (p) => `${Math.round(p * 100)}%`;
+  return (
+    <div className="bet-prev">
+      {rows.map(r => (
+        <div key={r.j} className="bet-prev-row">
+          <span className="bet-prev-side">{label(r.j)}</span>
+          <span>{m.scalar ? "up to " : "wins "}<b>{fmtAmt(r.payout, decimals)} {symbol}</b> · {r.multiple.toFixed(2)}×{r.existing !== "0" && <span title="Your stake already on this side is included"> incl. your {fmtAmt(r.existing, decimals)}</span>}</span>
+          <span className="bet-prev-odds">{r.before === null ? "—" : pct(r.before)} → {pct(r.after)}</span>
+        </div>
+      ))}
+      {sharp.length > 0 && <div className="limit-err">This bet moves the {sharp.map(r => label(r.j)).join(" / ")} odds by {sharp.map(r => `${Math.round((r.after - r.before) * 100)} points`).join(" / ")} — the payout above reflects the odds after your bet, not the current ones.</div>}
+      {wallet !== undefined && amount > BigInt(wallet) && <div className="limit-err">That is more than your wallet holds ({fmtAmt(wallet, decimals)} {symbol}).</div>}
+      <div className="bet-prev-note">If that side wins, before later bets move the pools{m.feeBps > 0 ? `, after the ${m.feeBps / 100}% fee` : ""}.</div>
+    </div>
+  );
+}
+
+/* ─── Market detail (odds history, volume, bet feed, holders, resolution) ── */
+const OUTCOME_COLORS = ["#6366f1", "#f59e0b", "#06b6d4", "#ec4899", "#84cc16", "#a855f7", "#f97316", "#14b8a6"];
+const VOLUME_BUCKETS = 24;
+const FEED_SIZE = 25;
+const EXPLORER = ARC.blockExplorerUrls[0];
+
+const BOARD_WINDOWS = [
+  { key: "day", label: "24 hours", seconds: 86400 },
+  { key: "week", label: "7 days", seconds: 7 * 86400 },
+  { key: "month", label: "30 days", seconds: 30 * 86400 },
+  { key: "all", label: "All time", seconds: 0 },
+];
+const BOARD_SORTS = [["volume", "Volume"], ["profit", "Realized P/L"], ["winRate", "Win rate"], ["brier", "Brier"]];
+const BOARD_SIZE = 100;
+
+// Win rate and Brier only rank accounts with a resolved call; ties go to the account with more of them
+function sortBoard(rows, key) {
+  const byCalls = (a, b) => b.called - a.called;
+  switch (key) {
+    case "volume": return [...rows].sort((a, b) => (b.volume > a.volume) - (b.volume < a.volume));
+    case "profit": return rows.filter(r => r.settled).sort((a, b) => (b.profit > a.profit) - (b.profit < a.profit) || b.settled - a.settled);
+    case "winRate": return rows.filter(r => r.called).sort((a, b) => b.wins / b.called - a.wins / a.called || byCalls(a, b));
+    default: return rows.filter(r => r.called).sort((a, b) => a.brier - b.brier || byCalls(a, b));
+  }
+}
+
+const signedAmt = (v, decimals) => `${BigInt(v) > 0n ? "+" : ""}${fmtAmt(v, decimals)}`;
+
+// A position's status and stakes, as My Positions and profile pages show them
+function PositionSummary({ m }) {
+  return <>
+    <div className="mkt-meta">
+      {m.cancelled ? (
+        <span className="mkt-tag tag-void">Voided — Refund open</span>
+      ) : m.resolved && m.categorical ? (
+        <span className="mkt-tag tag-yes-win">{m.outcomes[m.winner].label} Won</span>
+      ) : m.resolved && m.scalar ? (
+        <span className="mkt-tag tag-yes-win">Resolved at {fmtVal(m.range.value)}</span>
+      ) : m.resolved ? (
+        <span className={`mkt-tag ${m.outcome ? "tag-yes-win" : "tag-no-win"}`}>{m.outcome ? "YES Won" : "NO Won"}</span>
+      ) : m.proposal ? (
+        <span className="mkt-tag tag-prop">
+          {proposalLabel(m)} proposed — {m.proposal.disputed ? "disputed, awaiting arbiter" : Date.now()/1000 < m.proposal.deadline ? `final in ${timeLeft(m.proposal.deadline)}` : "ready to finalize"}
+        </span>
+      ) : (
+        <span className={`mkt-tag ${Date.now()/1000 < m.closesAt ? "tag-live" : "tag-ended"}`}>
+          {Date.now()/1000 < m.closesAt ? timeLeft(m.closesAt) : Date.now()/1000 < m.endTime ? `Betting closed — ends in ${timeLeft(m.endTime)}` : "Ended — Awaiting resolution"}
+        </span>
+      )}
+    </div>
+    <div className="pos-row">
+      {m.categorical || m.scalar ? m.outcomes.filter(o => o.stake !== "0").map(o => (
+        <span key={o.label} className="pos-chip pos-o">{o.label}: {fmtAmt(o.stake, m.token.decimals)} {m.token.symbol}</span>
+      )) : <>
+        {m.yesBet !== "0" && <span className="pos-chip pos-y">YES: {fmtAmt(m.yesBet, m.token.decimals)} {m.token.symbol}</span>}
+        {m.noBet !== "0" && <span className="pos-chip pos-n">NO: {fmtAmt(m.noBet, m.token.decimals)} {m.token.symbol}</span>}
+      </>}
+      {m.claimable !== "0" && !m.claimed && <span className="pos-chip pos-cl">{m.cancelled ? "Refund" : "Reward"}: {fmtAmt(m.claimable, m.token.decimals)} {m.token.symbol}</span>}
+      {m.bondClaimable && <span className="pos-chip pos-cl">Bond: {fmtAmt(m.bond)} USDC</span>}
+      {m.shares[0] !== "0" && <span className="pos-chip pos-y">YES shares: {fmtAmt(m.shares[0], m.token.decimals)}</span>}
+      {m.shares[1] !== "0" && <span className="pos-chip pos-n">NO shares: {fmtAmt(m.shares[1], m.token.decimals)}</span>}
+    </div>
+  </>;
+}
+
+function MarketDetail({ m, events, onShare }) {
+  const { symbol, decimals } = m.token;
+  const labels = m.outcomes.map(o => o.label);
+  const colorOf = (j) => m.categorical ? OUTCOME_COLORS[j % OUTCOME_COLORS.length] : j === 0 ? "var(--yes)" : "var(--no)";
+  const share = (
+    <div className="dt-share">
+      <span>Links to this market open it directly, and your link credits you as referrer.</span>
+      <button className="btn-save" onClick={() => onShare(m)}>Copy link</button>
+    </div>
+  );
+  if (!events) return <>{share}<div className="crd"><div className="empty" style={{padding:0}}>Loading activity…</div></div></>;
+
+  // Replay bets and early exits into pools and stakes, as the contract applied them
+  const flows = events.filter(e => e.kind === "bet" || e.kind === "exit");
+  const pools = labels.map(() => 0n), stakes = {}, points = [];
+  for (const e of flows) {
+    const d = e.kind === "bet" ? BigInt(e.amount) : -BigInt(e.amount);
+    pools[e.outcome] += d;
+    const s = stakes[e.user] ??= labels.map(() => 0n); s[e.outcome] += d;
+    const total = pools.reduce((a, b) => a + b, 0n);
+    if (total > 0n) points.push({ at: e.at, odds: pools.map(p => Number(p * 10000n / total) / 10000) });
+  }
+  const now = Math.floor(Date.now() / 1000);
+  const t0 = points[0]?.at ?? now, t1 = Math.max(Math.min(now, m.endTime), (points.at(-1)?.at ?? t0) + 1);
+  const W = 600, H = 160, x = (t) => ((t - t0) / (t1 - t0)) * W, y = (p) => H - p * H;
+  // Step lines: each bet holds the odds until the next one
+  const path = (j) => points.map((p, i) => `${i === 0 ? "M" : "H"}${x(p.at).toFixed(1)}${i === 0 ? "," : " V"}${y(p.odds[j]).toFixed(1)}`).join(" ") + ` H${W}`;
+  const shown = m.categorical ? labels.map((_, j) => j) : [0];
+
+  const buckets = Array(VOLUME_BUCKETS).fill(0);
+  flows.filter(e => e.kind === "bet").forEach(e => { buckets[Math.min(VOLUME_BUCKETS - 1, Math.floor(((e.at - t0) / (t1 - t0)) * VOLUME_BUCKETS))] += Number(formatUnits(e.amount, decimals)); });
+  const peak = Math.max(...buckets, 0);
+
+  const holders = labels.map((_, j) => Object.entries(stakes).filter(([, s]) => s[j] > 0n).sort((a, b) => (b[1][j] > a[1][j]) - (b[1][j] < a[1][j])).slice(0, 5).map(([user, s]) => ({ user, stake: s[j] })));
+  const settlement = events.filter(e => e.kind !== "bet" && e.kind !== "exit");
+  const paid = (k) => settlement.filter(e => e.kind === k).reduce((t, e) => t + BigInt(e.amount), 0n);
+  const outcomeLabel = (e) => m.scalar ? fmtVal(e.value) : labels[e.outcome];
+  const step = (e) => ({
+    proposed: <>proposed <b>{outcomeLabel(e)}</b></>, disputed: <>disputed the proposal</>,
+    arbitrated: <>Arbiter ruled <b>{outcomeLabel(e)}</b></>,
+    resolved: <>Resolved <b>{outcomeLabel(e)}</b></>, voided: <>Market voided</>,
+    claim: <>claimed {fmtAmt(e.amount, decimals)} {symbol}</>, refund: <>was refunded {fmtAmt(e.amount, decimals)} {symbol}</>,
+  })[e.kind];
+  const who = (a) => <a href={`${EXPLORER}/address/${a}`} target="_blank" rel="noreferrer">{short(a)}</a>;
+  const when = (e) => <a href={`${EXPLORER}/tx/${e.tx}`} target="_blank" rel="noreferrer" title={fmtDate(e.at)}>{timeAgo(e.at)}</a>;
+
+  return <>
+    {share}
+    <div className="crd">
+      <div className="adm-lbl" style={{fontSize:11,letterSpacing:1.5,textTransform:'uppercase',marginBottom:10}}>Implied probability</div>
+      {points.length === 0 ? <div style={{fontSize:12,color:'var(--dm)'}}>No bets yet.</div> : <>
+        <div className="dt-legend">{shown.map(j => <span key={j}><i style={{background:colorOf(j)}} />{labels[j]} {Math.round(points.at(-1).odds[j] * 100)}%</span>)}</div>
+        <svg className="dt-chart" viewBox={`0 0 ${W} ${H}`} preserveAspectRatio="none">
+          <line x1="0" x2={W} y1={H / 2} y2={H / 2} stroke="var(--bd)" strokeDasharray="4 4" />
+          {shown.map(j => <path key={j} d={path(j)} fill="none" stroke={colorOf(j)} strokeWidth="2" vectorEffect="non-scaling-stroke" />)}
+        </svg>
+        <div className="dt-axis"><span>{fmtDate(t0)}</span><span>{fmtDate(t1)}</span></div>
+      </>}
+    </div>
+
+    {peak > 0 && (
+      <div className="crd">
+        <div className="adm-lbl" style={{fontSize:11,letterSpacing:1.5,textTransform:'uppercase',marginBottom:10}}>Volume</div>
+        <svg className="dt-chart" viewBox={`0 0 ${W} 80`} preserveAspectRatio="none">
+          {buckets.map((v, i) => <rect key={i} x={(i * W) / VOLUME_BUCKETS + 1} width={W / VOLUME_BUCKETS - 2} y={80 - (v / peak) * 80} height={(v / peak) * 80} fill="var(--pr)" opacity=".7"><title>{v.toLocaleString("en-US", { maximumFractionDigits: 4 })} {symbol}</title></rect>)}
+        </svg>
+        <div className="dt-axis"><span>{fmtDate(t0)}</span><span>peak {peak.toLocaleString("en-US", { maximumFractionDigits: 2 })} {symbol}</span><span>{fmtDate(t1)}</span></div>
+      </div>
+    )}
+
+    <div className="crd">
+      <div className="adm-lbl" style={{fontSize:11,letterSpacing:1.5,textTransform:'uppercase',marginBottom:10}}>Recent bets</div>
+      {flows.length === 0 ? <div style={{fontSize:12,color:'var(--dm)'}}>No bets yet.</div> : (
+        <div className="dt-feed">
+          {flows.slice(-FEED_SIZE).reverse().map((e, i) => [
+            <span key={`u${i}`}>{who(e.user)}</span>,
+            <span key={`s${i}`} style={{color:colorOf(e.outcome)}}>{e.kind === "exit" ? "Reduced " : ""}{labels[e.outcome]}</span>,
+            <span key={`a${i}`} style={{fontFamily:'var(--mono)'}}>{e.kind === "exit" ? "−" : ""}{fmtAmt(e.amount, decimals)} {symbol}</span>,
+            <span key={`t${i}`}>{when(e)}</span>,
+          ])}
+        </div>
+      )}
+    </div>
+
+    {flows.length > 0 && (
+      <div className="crd">
+        <div className="adm-lbl" style={{fontSize:11,letterSpacing:1.5,textTransform:'uppercase',marginBottom:10}}>Top holders</div>
+        <div className="dt-holders">
+          {labels.map((l, j) => (
+            <div key={j}>
+              <div style={{fontSize:11,fontWeight:700,color:colorOf(j),marginBottom:6}}>{l}</div>
+              {holders[j].length === 0 ? <div style={{fontSize:12,color:'var(--dm)'}}>Nobody yet</div> : holders[j].map(h => (
+                <div key={h.user} className="role-row"><span>{who(h.user)}</span><span style={{fontFamily:'var(--mono)'}}>{fmtAmt(h.stake, decimals)}</span></div>
+              ))}
+            </div>
+          ))}
+        </div>
+      </div>
+    )}
+
+    {settlement.length > 0 && (
+      <div className="crd">
+        <div className="adm-lbl" style={{fontSize:11,letterSpacing:1.5,textTransform:'uppercase',marginBottom:10}}>Resolution & claims</div>
+        {(m.resolved || m.cancelled) && (
+          <div className="pos-row" style={{marginBottom:10}}>
+            {m.resolved && <span className="pos-chip pos-cl">Claimed: {fmtAmt(paid("claim"), decimals)} {symbol}</span>}
+            {paid("refund") > 0n && <span className="pos-chip pos-o">Refunded: {fmtAmt(paid("refund"), decimals)} {symbol}</span>}
+          </div>
         )}
+        <div className="dt-feed" style={{gridTemplateColumns:'1fr auto'}}>
+          {settlement.slice().reverse().map((e, i) => [
+            <span key={`w${i}`}>{e.user && <>{who(e.user)} </>}{step(e)}</span>,
+            <span key={`t${i}`}>{when(e)}</span>,
+          ])}
+        </div>
+      </div>
+    )}
+  </>;
+}
+
+/* ─── Parlay ticket builder ── */
+function ParlaySlip({ legs, markets, bank, loading, onQuote, onBuy, onRemove, onClear }) {
+  const [amt, setAmt] = useState("");
+  const [quoted, setQuoted] = useState(null); // { payout } or { error }
+  const picked = legs.map(l => ({ ...l, m: markets.find(m => m.id === l.id) })).filter(l => l.m);
+  const first = picked[0]?.m;
+  const { symbol, decimals } = first?.token ?? NATIVE;
+  const mixed = picked.some(l => l.m.collateral !== first.collateral);
+  const stake = (() => { try { return Number(amt) > 0 ? parseUnits(amt, decimals) : 0n; } catch { return 0n; } })();
+  // The pari-mutuel multiple each leg would cap at now; the contract's quote is what counts
+  const legOdds = (l) => { const side = BigInt(l.m.outcomes[l.outcome].pool), total = BigInt(l.m.totalYes) + BigInt(l.m.totalNo); return side > 0n ? Math.min(Number(total) / Number(side), PARLAY_MAX_LEG_ODDS) : 0; };
+  const pool = bank.find(b => b.address === first?.collateral);
+  const key = picked.map(l => `${l.id}:${l.outcome}:${l.m.totalYes}:${l.m.totalNo}`).join(",");
+
+  useEffect(() => {
+    setQuoted(null);
+    if (picked.length < 2 || stake === 0n || mixed) return;
+    const t = setTimeout(() => onQuote(picked, stake).then(
+      ([payout]) => setQuoted({ payout }),
+      (e) => setQuoted({ error: PARLAY_ERRORS[e?.revert?.name] || "These legs can't be combined right now" })
+    ), 300);
+    return () => clearTimeout(t);
+  }, [key, stake]);
+
+  const place = () => { onBuy(picked, stake, withSlippage(quoted.payout, 100)); setAmt(""); };
+
+  return (
+    <div className="crd parlay-slip">
+      <div style={{display:'flex',justifyContent:'space-between',alignItems:'center',marginBottom:10}}>
+        <div className="adm-lbl" style={{fontSize:11,letterSpacing:1.5,textTransform:'uppercase',marginBottom:0}}>Parlay · {picked.length} leg{picked.length === 1 ? "" : "s"}</div>
+        <button className="manual-toggle" onClick={onClear}>Clear</button>
+      </div>
+      {picked.map(l => (
+        <div key={l.id} className="role-row">
+          <span>{l.m.question} — <b className={l.outcome === 0 ? "parlay-y" : "parlay-n"}>{l.outcome === 0 ? "YES" : "NO"}</b></span>
+          <span style={{display:'flex',alignItems:'center',gap:8,fontFamily:'var(--mono)'}}>
+            {legOdds(l).toFixed(2)}×
+            <button className="manual-toggle" onClick={() => onRemove(l.id)} title="Remove leg">✕</button>
+          </span>
+        </div>
+      ))}
+      {picked.length < 2 ? (
+        <div className="limit-err" style={{color:'var(--dm)'}}>Add at least one more market with its + YES / + NO buttons.</div>
+      ) : mixed ? (
+        <div className="limit-err">Every leg must use the same collateral.</div>
+      ) : <>
+        <div className="mkt-bet" style={{marginTop:12}}>
+          <input className="inp" type="number" min="0" step="0.01" placeholder={`Stake (${symbol})`} value={amt} onChange={(e) => setAmt(e.target.value)} />
+          <button className="btn-yes" disabled={!!loading || !quoted?.payout} onClick={place}>Place parlay</button>
+        </div>
+        <div className="trade-info">
+          {quoted?.error ? <span className="limit-err">{quoted.error}</span>
+            : quoted ? <span>Pays up to <b>{fmtAmt(quoted.payout, decimals)} {symbol}</b> ({(Number(quoted.payout) / Number(stake)).toFixed(2)}×) if all {picked.length} legs win · less if a leg's odds shorten before it closes</span>
+            : <span>Enter a stake for a quote. Pays stake × each leg's odds, the lower of now and at close; a voided leg counts as 1×.</span>}
+          {pool && <span>Pool can back {fmtAmt(pool.liquidity, decimals)} {symbol} of winnings</span>}
+        </div>
+      </>}
+    </div>
+  );
+}
+
+/* ─── Scalar range (resolved value, or the value the pools imply) ── */
+const rangePct = (r, v) => {
+  const lo = BigInt(r.lower), width = BigInt(r.upper) - lo, x = BigInt(v) - lo;
+  return x <= 0n ? 0 : x >= width ? 100 : Number(x * 10000n / width) / 100;
+};
+const payoutMultiple = (payout, pool) => pool > 0n ? `${(Number(BigInt(payout) * 1000n / pool) / 1000).toFixed(2)}×` : "—";
+
+function RangeBar({ m }) {
+  const r = m.range;
+  const [longPool, shortPool] = m.outcomes.map(o => BigInt(o.pool));
+  const staked = longPool + shortPool;
+  const done = m.resolved && r.value !== null;
+  // LONG breaks even where its share of the range equals its share of the pool
+  const implied = staked > 0n ? BigInt(r.lower) + (BigInt(r.upper) - BigInt(r.lower)) * longPool / staked : null;
+  const marker = done ? r.value : implied;
+  const pct = marker === null ? 0 : rangePct(r, marker);
+
+  return (
+    <div className="rng">
+      <div className="rng-track">
+        <div className={`rng-fill ${done ? "rng-done" : ""}`} style={{width:`${pct}%`}} />
+        {marker !== null && <div className="rng-mark" style={{left:`${pct}%`}} title={fmtVal(marker)} />}
       </div>
-      <div className="mkt-pools">
-        <div className="pool-box pool-yes"><div className="pool-lbl">YES ({yPct}%)</div><div className="pool-val">{fmtAmt(m.totalYes)}<span className="pool-u">USDC</span></div></div>
-        <div className="pool-box pool-no"><div className="pool-lbl">NO ({nPct}%)</div><div className="pool-val">{fmtAmt(m.totalNo)}<span className="pool-u">USDC</span></div></div>
+      <div className="rng-ends">
+        <span>{fmtVal(r.lower)}</span>
+        <b>{done ? `Resolved at ${fmtVal(r.value)}` : implied !== null ? `Pools imply ${fmtVal(implied)}` : "No bets yet"}</b>
+        <span>{fmtVal(r.upper)}</span>
+      </div>
+      {done && (
+        <div className="rng-pay">
+          LONG returns {payoutMultiple(r.longPayout, longPool)} · SHORT returns {payoutMultiple(r.shortPayout, shortPool)}
+        </div>
+      )}
+    </div>
+  );
+}
+
+/* ─── Schedule history (every endTime extension, oldest first) ── */
+function ScheduleHistory({ m }) {
+  const [open, setOpen] = useState(false);
+  const changes = m.schedule;
+  return (
+    <>
+      <button className="manual-toggle" style={{marginBottom:10}} onClick={() => setOpen(!open)}>
+        {open ? "Hide schedule history ▴" : `Rescheduled ${changes.length === 1 ? "once" : `${changes.length} times`} ▾`}
+      </button>
+      {open && (
+        <div className="mkt-info">
+          <p>Originally ending <b>{fmtDate(changes[0].from)}</b></p>
+          {changes.map((c, i) => (
+            <p key={i}>
+              {fmtDate(c.at)}: extended by {fmtDur(c.to - c.from)} to <b>{fmtDate(c.to)}</b>
+            </p>
+          ))}
+        </div>
+      )}
+    </>
+  );
+}
+
+function SignToggle({ on, set }) {
+  return (
+    <label className="sign-tog">
+      <input type="checkbox" checked={on} onChange={(e) => set(e.target.checked)} />
+      Sign bet — the relayer pays the gas (the token allowance is still a normal transaction)
+    </label>
+  );
+}
+
+/* ─── AMM trading (binary markets with a seeded pool) ── */
+const SLIPPAGE_OPTIONS = [50, 100, 200, 500]; // bps
+const ammPrice = (pool) => { const y = Number(pool.yes), n = Number(pool.no); return y + n > 0 ? n / (y + n) : 0.5; };
+const withSlippage = (out, bps) => out * BigInt(10000 - bps) / 10000n;
+
+function TradePanel({ m, loading, onQuote, onTrade }) {
+  const [amt, setAmt] = useState("");
+  const [slip, setSlip] = useState(100);
+  const [buyQuotes, setBuyQuotes] = useState(null);   // shares out for [YES, NO]
+  const [sellQuotes, setSellQuotes] = useState(null); // collateral out for selling all held [YES, NO]
+  const { symbol, decimals } = m.token;
+  const yesPrice = ammPrice(m.pool);
+  const amount = (() => { try { return Number(amt) > 0 ? parseUnits(amt, decimals) : 0n; } catch { return 0n; } })();
+
+  // Debounced so typing doesn't fire a quote per keystroke
+  useEffect(() => {
+    setBuyQuotes(null);
+    if (amount === 0n) return;
+    const t = setTimeout(() => Promise.all([onQuote(m, "buy", 0, amount), onQuote(m, "buy", 1, amount)]).then(setBuyQuotes).catch(() => {}), 300);
+    return () => clearTimeout(t);
+  }, [amount, m.id, m.pool.yes, m.pool.no]);
+  useEffect(() => {
+    setSellQuotes(null);
+    if (!m.shares.some(v => v !== "0")) return;
+    Promise.all(m.shares.map((v, j) => v === "0" ? 0n : onQuote(m, "sell", j, BigInt(v)))).then(setSellQuotes).catch(() => {});
+  }, [m.id, m.pool.yes, m.pool.no, m.shares[0], m.shares[1]]);
+
+  const buy = (j) => { onTrade(m, "buy", j, amount, withSlippage(buyQuotes[j], slip)); setAmt(""); };
+  const sell = (j) => onTrade(m, "sell", j, BigInt(m.shares[j]), withSlippage(sellQuotes[j], slip));
+  const avg = (q) => q > 0n ? (Number(amount) / Number(q)).toFixed(3) : "—";
+
+  return (
+    <div className="trade">
+      <div className="mkt-bet">
+        <input className="inp" type="number" min="0" step="0.01" placeholder={`Spend (${symbol})`} value={amt} onChange={(e) => setAmt(e.target.value)} />
+        <button className="btn-yes" disabled={!!loading || !buyQuotes} onClick={() => buy(0)}>Buy YES · {Math.round(yesPrice * 100)}¢</button>
+        <button className="btn-no" disabled={!!loading || !buyQuotes} onClick={() => buy(1)}>Buy NO · {Math.round((1 - yesPrice) * 100)}¢</button>
       </div>
-      <div style={{height:4,borderRadius:2,background:'var(--nog)',overflow:'hidden',marginBottom:14}}>
-        <div style={{height:'100%',width:`${yPct}%`,background:'var(--yes)',borderRadius:2,transition:'width .3s'}} />
+      <div className="trade-info">
+        {buyQuotes ? ["YES", "NO"].map((l, j) => (
+          <span key={l}>{l}: {fmtAmt(buyQuotes[j], decimals)} shares · avg {avg(buyQuotes[j])} {symbol} · min {fmtAmt(withSlippage(buyQuotes[j], slip), decimals)}</span>
+        )) : <span>Each winning share pays 1 {symbol}. Enter an amount for a quote.</span>}
+        <span>
+          Slippage
+          {SLIPPAGE_OPTIONS.map(b => <button key={b} className={`trade-slip ${slip === b ? "on" : ""}`} onClick={() => setSlip(b)}>{b / 100}%</button>)}
+        </span>
       </div>
-      {canBet && (
-        <div className="mkt-bet">
-          <input className="inp" type="number" min="0" step="0.01" placeholder="Amount (USDC)" value={amt} onChange={(e) => setAmt(e.target.value)} />
-          <button className="btn-yes" disabled={!!loading || !amt || Number(amt) <= 0} onClick={() => { onYes(m.id, amt); setAmt(""); }}>YES ↑</button>
-          <button className="btn-no" disabled={!!loading || !amt || Number(amt) <= 0} onClick={() => { onNo(m.id, amt); setAmt(""); }}>NO ↓</button>
+      {m.shares.some(v => v !== "0") && (
+        <div className="trade-held">
+          {["YES", "NO"].map((l, j) => m.shares[j] !== "0" && (
+            <span key={l} className={`pos-chip ${j === 0 ? "pos-y" : "pos-n"}`}>
+              {fmtAmt(m.shares[j], decimals)} {l}
+              <button className="btn-out" style={{marginLeft:8,padding:'2px 8px'}} disabled={!!loading || !sellQuotes} onClick={() => sell(j)}>
+                Sell{sellQuotes ? ` · ${fmtAmt(sellQuotes[j], decimals)} ${symbol}` : ""}
+              </button>
+            </span>
+          ))}
         </div>
       )}
     </div>
@@ -0,0 +1,59 @@
+/* ─── In-browser Solidity compiler (used by both deployers) ─── */
+// The real contract sources, keyed by their Hardhat source names ("contracts/…") so relative
+// imports resolve; vite.config.js reads them at build time instead of keeping a hand-copied version in sync.
+import SOURCES from "virtual:contract-sources";
+
+const SOLJSON_URL = "https://binaries.soliditylang.org/bin/soljson-v0.8.20+commit.a1b79de6.js";
+
+const WORKER_CODE = `self.onmessage = function(e) {
+  try {
+    importScripts("${SOLJSON_URL}");
+    self.postMessage({t:"loaded"});
+    var compile = Module.cwrap("solidity_compile","string",["string","number","number"]);
+    self.postMessage({t:"done",d:compile(e.data,0,0)});
+  } catch(err) { self.postMessage({t:"err",d:err.message}); }
+};`;
+
+/**
+ * Compile a contract from /contracts with the same settings as hardhat.config.js.
+ * @param {string} name      Contract name, e.g. "ARCPredictX"
+ * @param {Function} onLoaded Called once the compiler has been fetched
+ * @returns {Promise<{abi: any[], bytecode: string}>}
+ */
+export async function compileContract(name, onLoaded = () => {}) {
+  return (await compileContracts([name], onLoaded))[name];
+}
+
+/**
+ * Compile several contracts in one compiler run (the compiler is only fetched once).
+ * @param {string[]} names   Contract names
+ * @param {Function} onLoaded Called once the compiler has been fetched
+ * @returns {Promise<Record<string, {abi: any[], bytecode: string}>>}
+ */
+export async function compileContracts(names, onLoaded = () => {}) {
+  const input = JSON.stringify({
+    language: "Solidity",
+    sources: SOURCES,
+    settings: { optimizer: { enabled: true, runs: 200 }, viaIR: true, outputSelection: { "*": { "*": ["abi", "evm.bytecode.object"] } } },
+  });
+  const worker = new Worker(URL.createObjectURL(new Blob([WORKER_CODE], { type: "text/javascript" })));
+  try {
+    const result = await new Promise((resolve, reject) => {
+      worker.onmessage = (e) => {
+        if (e.data.t === "loaded") onLoaded();
+        else if (e.data.t === "done") resolve(e.data.d);
+        else reject(new Error(e.data.d));
+      };
+      worker.onerror = (e) => reject(new Error(e.message));
+      worker.postMessage(input);
+    });
+    const output = JSON.parse(result);
+    if (output.errors) { const errs = output.errors.filter(e => e.severity === "error"); if (errs.length) throw new Error(errs[0].formattedMessage); }
+    return Object.fromEntries(names.map((name) => {
+      const file = Object.keys(output.contracts).find(f => output.contracts[f][name]);
+      if (!file) throw new Error(`Contract ${name} not found`);
+      const compiled = output.contracts[file][name];
+      return [name, { abi: compiled.abi, bytecode: "0x" + compiled.evm.bytecode.object }];
+    }));
+  } finally { worker.terminate(); }
+}
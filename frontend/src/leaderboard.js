@@ -0,0 +1,101 @@
+/* ─── Forecaster stats, replayed from the synced market activity ─── */
+// Each account's bets, early exits, claims and refunds are folded into one ledger per market; settled
+// markets then give realized profit, win rate and a Brier score. Amounts are in the market's collateral.
+
+const SIDES = ["bet", "exit", "claim", "refund"];
+
+/**
+ * Every account's ledger per market, from the sync record's activity.
+ * @param {object} rec Sync record (see newSyncRecord in App.jsx)
+ * @returns {Object<string, Object<string, {bet: bigint, returned: bigint, stakes: bigint[], bets: {amount: bigint, block: number}[], paid: boolean}>>}
+ *          account (lowercase) => market id => ledger
+ */
+export function userLedgers(rec) {
+  const ledgers = {};
+  for (const [id, events] of Object.entries(rec.activity)) {
+    const m = rec.markets[id];
+    if (!m) continue;
+    for (const e of events) {
+      if (!SIDES.includes(e.kind)) continue;
+      const l = (ledgers[e.user.toLowerCase()] ??= {})[id] ??= { bet: 0n, returned: 0n, stakes: m.labels.map(() => 0n), bets: [], paid: false };
+      const amount = BigInt(e.amount);
+      if (e.kind === "bet") { l.bet += amount; l.stakes[e.outcome] += amount; l.bets.push({ amount, block: e.block }); }
+      else if (e.kind === "exit") { l.stakes[e.outcome] -= amount; l.returned += amount - BigInt(e.penalty); }
+      else { l.returned += amount; l.paid = true; }
+    }
+  }
+  return ledgers;
+}
+
+/** Block of the ruling or void that settled market `id`; null while open, or if only emergency mode voided it */
+export function settledBlock(rec, id) {
+  const last = (rec.activity[id] ?? []).findLast(e => e.kind === "resolved" || e.kind === "voided");
+  return last?.block ?? null;
+}
+
+/**
+ * How one account's position in a market turned out.
+ * - `closed`: settled with nothing left to collect (paid, refunded, or lost), so `profit` is realized
+ * - `called`: held a stake when the market resolved; `won` if the side they weighted most came out ahead
+ * - `brier`: Σ (stake share − outcome)² over the outcomes, 0 (perfect) to 2; a range market's outcome
+ *   is where the result fell in the range (LONG) and the rest (SHORT)
+ * @param {object} m       Market row from the sync record
+ * @param {object} l       The account's ledger for it (see userLedgers)
+ * @param {boolean} voided Whether the market counts as voided (cancelled, or unresolved in emergency refund mode)
+ */
+export function positionResult(m, l, voided) {
+  const held = l.stakes.reduce((a, b) => a + b, 0n);
+  const result = { settled: voided || m.resolved, closed: false, profit: l.returned - l.bet, called: false, won: false, brier: null };
+  if (voided) { result.closed = l.paid || held === 0n; return result; }
+  if (!m.resolved) return result;
+
+  let truth, owed;
+  if (m.scalar) {
+    const { lower, upper, value, longPayout, shortPayout } = m.range;
+    const [lo, hi, v] = [Number(lower), Number(upper), Number(value)];
+    const long = Math.min(Math.max((v - lo) / (hi - lo), 0), 1);
+    truth = [long, 1 - long];
+    owed = (l.stakes[0] > 0n && longPayout !== "0") || (l.stakes[1] > 0n && shortPayout !== "0");
+    result.won = (l.stakes[0] >= l.stakes[1]) === (BigInt(longPayout) > BigInt(m.pools[0]));
+  } else {
+    truth = l.stakes.map((_, j) => (j === m.winner ? 1 : 0));
+    owed = l.stakes[m.winner] > 0n;
+    result.won = l.stakes.every(s => s <= l.stakes[m.winner]);
+  }
+  result.closed = l.paid || !owed;
+  if (held > 0n) {
+    result.called = true;
+    result.brier = l.stakes.reduce((sum, s, j) => sum + (Number(s) / Number(held) - truth[j]) ** 2, 0);
+  } else result.won = false;
+  return result;
+}
+
+/**
+ * The leaderboard for one collateral over a time window.
+ * Volume counts bets placed in the window; profit, win rate and Brier count markets settled in it
+ * (markets voided by emergency mode have no settling log, so they only count over all time).
+ * @param {object} rec     Sync record; `rec.times` must hold the block times of the window's events
+ * @param {object} ledgers From userLedgers(rec)
+ * @param {{since: number, collateral: string, emergency: boolean}} opts since: unix seconds, 0 for all time
+ * @returns {{user: string, volume: bigint, profit: bigint, settled: number, called: number, wins: number, brier: number|null}[]}
+ */
+export function rankForecasters(rec, ledgers, { since, collateral, emergency }) {
+  const inWindow = (block) => since === 0 || (block !== null && rec.times[block] >= since);
+  const rows = [];
+  for (const [user, markets] of Object.entries(ledgers)) {
+    const row = { user, volume: 0n, profit: 0n, settled: 0, called: 0, wins: 0, brier: null };
+    let brierSum = 0;
+    for (const [id, l] of Object.entries(markets)) {
+      const m = rec.markets[id];
+      if (m.collateral !== collateral) continue;
+      for (const b of l.bets) if (inWindow(b.block)) row.volume += b.amount;
+      const r = positionResult(m, l, m.cancelled || (emergency && !m.resolved));
+      if (!r.settled || !inWindow(settledBlock(rec, id))) continue;
+      if (r.closed) { row.settled++; row.profit += r.profit; }
+      if (r.called) { row.called++; if (r.won) row.wins++; brierSum += r.brier; }
+    }
+    if (row.called) row.brier = brierSum / row.called;
+    if (row.volume > 0n || row.settled > 0 || row.called > 0) rows.push(row);
+  }
+  return rows;
+}
@@ -0,0 +1,90 @@
+/* ─── Market sync cache (IndexedDB) and log backfill ─── */
+const DB_NAME = "predictx";
+const DB_VERSION = 4; // bump when the cached shape changes; upgrading drops every stored record
+const STORE = "sync";
+const MIN_LOG_SPAN = 1000; // below this many blocks a failing eth_getLogs is a real error
+
+let dbPromise = null;
+function openDb() {
+  return dbPromise ??= new Promise((resolve, reject) => {
+    const req = indexedDB.open(DB_NAME, DB_VERSION);
+    req.onupgradeneeded = () => {
+      const db = req.result;
+      if (db.objectStoreNames.contains(STORE)) db.deleteObjectStore(STORE);
+      db.createObjectStore(STORE);
+    };
+    req.onsuccess = () => resolve(req.result);
+    req.onerror = () => reject(req.error);
+  });
+}
+
+function request(mode, fn) {
+  return openDb().then((db) => new Promise((resolve, reject) => {
+    const req = fn(db.transaction(STORE, mode).objectStore(STORE));
+    req.onsuccess = () => resolve(req.result);
+    req.onerror = () => reject(req.error);
+  }));
+}
+
+/**
+ * The synced state stored under `key` (one record per chain and contract).
+ * Without IndexedDB (some private windows) there is no cache and the app syncs from scratch.
+ * @param {string} key `${chainId}:${contract}`
+ * @returns {Promise<object|null>}
+ */
+export async function readSync(key) {
+  try { return (await request("readonly", (s) => s.get(key))) ?? null; }
+  catch (e) { console.error("Sync cache unavailable:", e); return null; }
+}
+
+/**
+ * Store the synced state for `key`, replacing the previous record.
+ * @param {string} key    `${chainId}:${contract}`
+ * @param {object} record Plain data (strings, numbers, arrays, objects)
+ */
+export async function writeSync(key, record) {
+  try { await request("readwrite", (s) => s.put(record, key)); }
+  catch (e) { console.error("Sync cache write failed:", e); }
+}
+
+/**
+ * Every log from `filter` in blocks `from … to`. RPCs cap eth_getLogs by block span or
+ * result count, so a range that fails is split in half and each half fetched on its own.
+ * @param {import("ethers").Provider} provider
+ * @param {{ address: string|string[], topics?: any[] }} filter
+ * @param {number} from First block (inclusive)
+ * @param {number} to   Last block (inclusive)
+ * @returns {Promise<import("ethers").Log[]>} In chain order
+ */
+export async function getLogsInRanges(provider, filter, from, to) {
+  try {
+    return await provider.getLogs({ ...filter, fromBlock: from, toBlock: to });
+  } catch (e) {
+    if (to - from < MIN_LOG_SPAN) throw e;
+    const mid = Math.floor((from + to) / 2);
+    return [...await getLogsInRanges(provider, filter, from, mid), ...await getLogsInRanges(provider, filter, mid + 1, to)];
+  }
+}
+
+/**
+ * The block `address` was deployed in, found by bisecting eth_getCode over `0 … head`, so a new
+ * sync record scans logs from there instead of from genesis. A node that can't read old state
+ * makes this fail, and the scan starts from block 0.
+ * @param {import("ethers").Provider} provider
+ * @param {string} address Contract address
+ * @param {number} head    Latest block, where the contract is known to exist
+ * @returns {Promise<number>}
+ */
+export async function findDeployBlock(provider, address, head) {
+  try {
+    let lo = 0, hi = head;
+    while (lo < hi) {
+      const mid = Math.floor((lo + hi) / 2);
+      if ((await provider.getCode(address, mid)) === "0x") lo = mid + 1; else hi = mid;
+    }
+    return lo;
+  } catch (e) {
+    console.error("Deployment block lookup failed:", e);
+    return 0;
+  }
+}
@@ -1,3 +1,31 @@
 import { defineConfig } from 'vite';
 import react from '@vitejs/plugin-react';
-export default defineConfig({ plugins: [react()] });
+import { readdirSync, readFileSync } from 'fs';
+import { resolve, sep } from 'path';
+
+// The in-browser compiler builds the real contracts/ sources. They are read here, on the Node side,
+// and handed to the app as `virtual:contract-sources`, so the dev server never serves files outside frontend/.
+const CONTRACTS = resolve(__dirname, '../contracts');
+const SOURCES_ID = 'virtual:contract-sources';
+
+function contractSources() {
+  return {
+    name: 'contract-sources',
+    resolveId: (id) => (id === SOURCES_ID ? '\0' + SOURCES_ID : null),
+    load(id) {
+      if (id !== '\0' + SOURCES_ID) return null;
+      const files = readdirSync(CONTRACTS, { recursive: true }).filter((f) => f.endsWith('.sol'));
+      const sources = Object.fromEntries(files.map((f) => {
+        this.addWatchFile(resolve(CONTRACTS, f));
+        return [`contracts/${f.split(sep).join('/')}`, { content: readFileSync(resolve(CONTRACTS, f), 'utf8') }];
+      }));
+      return `export default ${JSON.stringify(sources)};`;
+    },
+  };
+}
+
+export default defineConfig({
+  plugins: [react(), contractSources()],
+  // deployer.html is the standalone one-click deployer, built next to the app
+  build: { rollupOptions: { input: { main: resolve(__dirname, 'index.html'), deployer: resolve(__dirname, 'deployer.html') } } },
+});
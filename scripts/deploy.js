@@ -11,17 +11,70 @@ async function main() {
   const balance = await hre.ethers.provider.getBalance(deployer.address);
   console.log("Balance:", hre.ethers.formatEther(balance), "USDC\n");
 
-  const Factory = await hre.ethers.getContractFactory("ARCPredictX");
-  const contract = await Factory.deploy();
-  await contract.waitForDeployment();
+  const Impl = await hre.ethers.getContractFactory("ARCPredictX");
+  const implementation = await Impl.deploy();
+  await implementation.waitForDeployment();
+  const implAddress = await implementation.getAddress();
+  console.log("✅ ARCPredictX implementation deployed to:", implAddress);
 
-  const address = await contract.getAddress();
-  console.log("✅ ARCPredictX deployed to:", address);
+  const Factory = await hre.ethers.getContractFactory("ARCPredictXFactory");
+  const factory = await Factory.deploy(implAddress);
+  await factory.waitForDeployment();
+  const factoryAddress = await factory.getAddress();
+  console.log("✅ ARCPredictXFactory deployed to:", factoryAddress);
+
+  // The first instance is registered like any other, so it shows up in the frontend's switcher
+  const name = process.env.INSTANCE_NAME || "PredictX";
+  const address = await factory.createInstance.staticCall(name);
+  await (await factory.createInstance(name)).wait();
+  const contract = await hre.ethers.getContractAt("ARCPredictX", address);
+  console.log(`✅ ARCPredictX instance "${name}" deployed to:`, address);
   console.log("Admin:", deployer.address);
 
+  const Amm = await hre.ethers.getContractFactory("ARCPredictXAMM");
+  const amm = await Amm.deploy(address);
+  await amm.waitForDeployment();
+  const ammAddress = await amm.getAddress();
+  await (await contract.setAmm(ammAddress)).wait();
+  console.log("✅ ARCPredictXAMM deployed to:", ammAddress);
+
+  const Lens = await hre.ethers.getContractFactory("ARCPredictXLens");
+  const lens = await Lens.deploy();
+  await lens.waitForDeployment();
+  const lensAddress = await lens.getAddress();
+  console.log("✅ ARCPredictXLens deployed to:", lensAddress);
+
+  const Oracle = await hre.ethers.getContractFactory("ARCPredictXPriceOracle");
+  const oracle = await Oracle.deploy();
+  await oracle.waitForDeployment();
+  const oracleAddress = await oracle.getAddress();
+  await (await contract.setOracle(oracleAddress)).wait();
+  console.log("✅ ARCPredictXPriceOracle deployed to:", oracleAddress);
+  // Feeds the first instance's markets may settle from, e.g. PRICE_FEEDS=0xabc…,0xdef…
+  for (const feed of (process.env.PRICE_FEEDS || "").split(",").map(f => f.trim()).filter(Boolean)) {
+    await (await oracle.setFeedAllowed(address, feed, true)).wait();
+    console.log("   Allowed price feed:", feed);
+  }
+
+  const Parlay = await hre.ethers.getContractFactory("ARCPredictXParlay");
+  const parlay = await Parlay.deploy();
+  await parlay.waitForDeployment();
+  const parlayAddress = await parlay.getAddress();
+  console.log("✅ ARCPredictXParlay deployed to:", parlayAddress);
+
   // Write deployment info to frontend
   const artifact = await hre.artifacts.readArtifact("ARCPredictX");
-  const deployment = { address, abi: artifact.abi, deployer: deployer.address };
+  const ammArtifact = await hre.artifacts.readArtifact("ARCPredictXAMM");
+  const lensArtifact = await hre.artifacts.readArtifact("ARCPredictXLens");
+  const factoryArtifact = await hre.artifacts.readArtifact("ARCPredictXFactory");
+  const oracleArtifact = await hre.artifacts.readArtifact("ARCPredictXPriceOracle");
+  const parlayArtifact = await hre.artifacts.readArtifact("ARCPredictXParlay");
+  const deployment = {
+    address, abi: artifact.abi, ammAbi: ammArtifact.abi, lens: lensAddress, lensAbi: lensArtifact.abi,
+    factory: factoryAddress, factoryAbi: factoryArtifact.abi, oracle: oracleAddress, oracleAbi: oracleArtifact.abi,
+    parlay: parlayAddress, parlayAbi: parlayArtifact.abi,
+    deployer: deployer.address,
+  };
 
   const outPath = path.join(__dirname, "..", "frontend", "src", "deployment.json");
   fs.writeFileSync(outPath, JSON.stringify(deployment, null, 2));
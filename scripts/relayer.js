@@ -0,0 +1,122 @@
+const hre = require("hardhat");
+const http = require("http");
+const deployment = require("../frontend/src/deployment.json");
+
+// Submits EIP-712 bet and claim intents signed in the frontend, paying the gas from the
+// first Hardhat account of the selected network:
+//
+//   npx hardhat run scripts/relayer.js --network localhost
+//
+// Intents are accepted for PREDICTX_ADDRESS (default: deployment.json) and, when a factory
+// is known, for any instance it registered. Bets are only relayed on ERC-20 markets: the
+// contract pulls the stake from the signer's allowance, while a native bet would have to be
+// paid for by the relayer.
+
+const PORT = Number(process.env.RELAYER_PORT || 8787);
+const MAX_BODY = 16 * 1024;
+const CORS = { "Access-Control-Allow-Origin": "*", "Access-Control-Allow-Headers": "Content-Type" };
+
+const BET_TYPES = {
+  BetIntent: [
+    { name: "bettor", type: "address" },
+    { name: "marketId", type: "uint256" },
+    { name: "outcome", type: "uint8" },
+    { name: "amount", type: "uint256" },
+    { name: "nonce", type: "uint256" },
+    { name: "deadline", type: "uint256" },
+  ],
+};
+const CLAIM_TYPES = {
+  ClaimIntent: [
+    { name: "claimant", type: "address" },
+    { name: "marketIds", type: "uint256[]" },
+    { name: "nonce", type: "uint256" },
+    { name: "deadline", type: "uint256" },
+  ],
+};
+
+const { ethers } = hre;
+const pick = (...xs) => xs.find((x) => x && ethers.isAddress(x));
+
+async function main() {
+  const [relayer] = await ethers.getSigners();
+  const { chainId } = await ethers.provider.getNetwork();
+  const home = pick(process.env.PREDICTX_ADDRESS, deployment.address);
+  const factoryAddr = pick(process.env.FACTORY_ADDRESS, deployment.factory);
+  const factory = factoryAddr ? await ethers.getContractAt("ARCPredictXFactory", factoryAddr) : null;
+  if (!home && !factory) throw new Error("Set PREDICTX_ADDRESS or FACTORY_ADDRESS (or deploy first)");
+
+  const allowed = async (addr) => {
+    if (!ethers.isAddress(addr)) return false;
+    if (home && ethers.getAddress(addr) === ethers.getAddress(home)) return true;
+    return factory ? factory.isInstance(addr) : false;
+  };
+
+  // Check what the contract would check, then dry-run so reverts are reported without paying gas
+  const handlers = {
+    async bet(c, intent, sig) {
+      const market = await c.getMarketInfo(intent.marketId);
+      if (market.collateral === ethers.ZeroAddress) throw new Error("Native bets can't be relayed — use an ERC-20 market");
+      const args = [intent, sig.v, sig.r, sig.s];
+      await c.betBySig.staticCall(...args);
+      return c.betBySig(...args);
+    },
+    async claim(c, intent, sig) {
+      const args = [intent, sig.v, sig.r, sig.s];
+      await c.claimBySig.staticCall(...args);
+      return c.claimBySig(...args);
+    },
+  };
+  const typesFor = { bet: [BET_TYPES, "bettor"], claim: [CLAIM_TYPES, "claimant"] };
+
+  const relay = async (kind, { contract, intent, signature }) => {
+    if (!(await allowed(contract))) throw new Error("Unknown PredictX contract");
+    const [types, signerField] = typesFor[kind];
+    const domain = { name: "ARCPredictX", version: "1", chainId, verifyingContract: contract };
+    if (Number(intent.deadline) < Math.floor(Date.now() / 1000)) throw new Error("Intent expired");
+    const signer = ethers.verifyTypedData(domain, types, intent, signature);
+    if (signer !== ethers.getAddress(intent[signerField])) throw new Error("Signature does not match the signer");
+
+    const c = await ethers.getContractAt("ARCPredictX", contract, relayer);
+    const tx = await handlers[kind](c, intent, ethers.Signature.from(signature)).catch((e) => {
+      const data = e.data?.data ?? e.data;
+      const name = e.revert?.name || (typeof data === "string" && c.interface.parseError(data)?.name);
+      throw name ? new Error(name) : e;
+    });
+    console.log(`${kind} for ${signer} on ${contract}: ${tx.hash}`);
+    return { hash: tx.hash };
+  };
+
+  const server = http.createServer((req, res) => {
+    const reply = (status, body) => {
+      res.writeHead(status, { "Content-Type": "application/json", ...CORS });
+      res.end(JSON.stringify(body));
+    };
+    if (req.method === "OPTIONS") return res.writeHead(204, CORS).end();
+    if (req.method === "GET" && req.url === "/health") return reply(200, { relayer: relayer.address, chainId: chainId.toString() });
+    const kind = req.method === "POST" && req.url.slice(1);
+    if (!Object.hasOwn(handlers, kind)) return reply(404, { error: "Not found" });
+
+    let raw = "";
+    req.on("data", (chunk) => {
+      raw += chunk;
+      if (raw.length > MAX_BODY) req.destroy();
+    });
+    req.on("end", async () => {
+      try {
+        reply(200, await relay(kind, JSON.parse(raw)));
+      } catch (e) {
+        reply(400, { error: e.shortMessage || e.message || "Relay failed" });
+      }
+    });
+  });
+
+  server.listen(PORT, () => {
+    console.log(`Relayer ${relayer.address} on chain ${chainId}`);
+    console.log(`Accepting intents for ${[home, factory && `instances of ${factoryAddr}`].filter(Boolean).join(" and ")}`);
+    console.log(`Listening on http://localhost:${PORT}`);
+  });
+  await new Promise((resolve) => server.on("close", resolve));
+}
+
+main().catch((e) => { console.error(e); process.exit(1); });
@@ -1,11 +1,14 @@
 const { expect } = require("chai");
 const { ethers } = require("hardhat");
 const { time } = require("@nomicfoundation/hardhat-network-helpers");
+const { anyValue } = require("@nomicfoundation/hardhat-chai-matchers/withArgs");
 
 describe("ARCPredictX", function () {
   let contract, admin, user1, user2, user3;
   const ONE_DAY = 86400;
   const ONE_ETHER = ethers.parseEther("1");
+  const NO_LIMITS = { minBet: 0, maxPerUser: 0, maxPool: 0, cutoff: 0 };
+  const NO_RANGE = { lower: 0, upper: 0 };
 
   beforeEach(async function () {
     [admin, user1, user2, user3] = await ethers.getSigners();
@@ -22,6 +25,122 @@ describe("ARCPredictX", function () {
     it("should start with zero markets", async function () {
       expect(await contract.marketCount()).to.equal(0);
     });
+
+    it("should deploy its settlement module, which can't act on its own", async function () {
+      const module = await ethers.getContractAt("ARCPredictXSettlement", await contract.settlement());
+      expect(await ethers.provider.getCode(module)).to.not.equal("0x");
+      const endTime = (await time.latest()) + ONE_DAY;
+      await contract.createMarket("Will it rain?", endTime);
+      await time.increaseTo(endTime);
+      // Called directly the module only sees its own empty storage
+      await expect(module.resolveMarket(0, true)).to.be.revertedWithCustomError(module, "MissingRole");
+      await expect(module.cancelMarket(0)).to.be.revertedWithCustomError(module, "MissingRole");
+      await contract.resolveMarket(0, true);
+      expect((await contract.getMarketInfo(0)).resolved).to.equal(true);
+    });
+  });
+
+  describe("Ownership & roles", function () {
+    let CREATOR_ROLE, RESOLVER_ROLE, PAUSER_ROLE, ARBITER_ROLE;
+
+    beforeEach(async function () {
+      CREATOR_ROLE = await contract.CREATOR_ROLE();
+      RESOLVER_ROLE = await contract.RESOLVER_ROLE();
+      PAUSER_ROLE = await contract.PAUSER_ROLE();
+      ARBITER_ROLE = await contract.ARBITER_ROLE();
+    });
+
+    it("should make the deployer owner with every role", async function () {
+      expect(await contract.owner()).to.equal(admin.address);
+      for (const role of [CREATOR_ROLE, RESOLVER_ROLE, PAUSER_ROLE, ARBITER_ROLE]) {
+        expect(await contract.hasRole(role, admin.address)).to.equal(true);
+      }
+    });
+
+    it("should grant and revoke roles with events", async function () {
+      await expect(contract.grantRole(CREATOR_ROLE, user1.address))
+        .to.emit(contract, "RoleGranted")
+        .withArgs(CREATOR_ROLE, user1.address, admin.address);
+      const endTime = (await time.latest()) + ONE_DAY;
+      await contract.connect(user1).createMarket("Teammate market?", endTime);
+
+      await expect(contract.revokeRole(CREATOR_ROLE, user1.address))
+        .to.emit(contract, "RoleRevoked")
+        .withArgs(CREATOR_ROLE, user1.address, admin.address);
+      await expect(
+        contract.connect(user1).createMarket("Again?", endTime)
+      ).to.be.revertedWithCustomError(contract, "MissingRole");
+    });
+
+    it("should let a separate resolver resolve but not create", async function () {
+      await contract.grantRole(RESOLVER_ROLE, user2.address);
+      const endTime = (await time.latest()) + ONE_DAY;
+      await contract.createMarket("Operator resolves?", endTime);
+      await time.increaseTo(endTime);
+      await contract.connect(user2).resolveMarket(0, false);
+      await expect(
+        contract.connect(user2).createMarket("Q?", endTime + ONE_DAY)
+      ).to.be.revertedWithCustomError(contract, "MissingRole");
+    });
+
+    it("should restrict role management to the owner", async function () {
+      await expect(
+        contract.connect(user1).grantRole(CREATOR_ROLE, user1.address)
+      ).to.be.revertedWithCustomError(contract, "OnlyOwner");
+      await expect(
+        contract.connect(user1).revokeRole(CREATOR_ROLE, admin.address)
+      ).to.be.revertedWithCustomError(contract, "OnlyOwner");
+      await expect(
+        contract.grantRole(CREATOR_ROLE, ethers.ZeroAddress)
+      ).to.be.revertedWithCustomError(contract, "ZeroAddress");
+    });
+
+    it("should transfer ownership in two steps", async function () {
+      await expect(contract.transferOwnership(user1.address))
+        .to.emit(contract, "OwnershipTransferStarted")
+        .withArgs(admin.address, user1.address);
+      expect(await contract.owner()).to.equal(admin.address);
+      expect(await contract.pendingOwner()).to.equal(user1.address);
+
+      await expect(
+        contract.connect(user2).acceptOwnership()
+      ).to.be.revertedWithCustomError(contract, "NotPendingOwner");
+
+      await expect(contract.connect(user1).acceptOwnership())
+        .to.emit(contract, "OwnershipTransferred")
+        .withArgs(admin.address, user1.address);
+      expect(await contract.owner()).to.equal(user1.address);
+      expect(await contract.admin()).to.equal(user1.address);
+      expect(await contract.pendingOwner()).to.equal(ethers.ZeroAddress);
+
+      await expect(
+        contract.transferOwnership(admin.address)
+      ).to.be.revertedWithCustomError(contract, "OnlyOwner");
+    });
+
+    it("should hand the roles and the treasury to the new owner on accept", async function () {
+      const roles = [CREATOR_ROLE, RESOLVER_ROLE, PAUSER_ROLE, ARBITER_ROLE];
+      await contract.transferOwnership(user1.address);
+      const tx = contract.connect(user1).acceptOwnership();
+      await expect(tx).to.emit(contract, "RoleRevoked").withArgs(ARBITER_ROLE, admin.address, user1.address);
+      await expect(tx).to.emit(contract, "TreasuryUpdated").withArgs(user1.address);
+
+      for (const role of roles) {
+        expect(await contract.hasRole(role, admin.address)).to.equal(false);
+        expect(await contract.hasRole(role, user1.address)).to.equal(true);
+      }
+      expect(await contract.treasury()).to.equal(user1.address);
+      await expect(
+        contract.setPaused(true, false, false)
+      ).to.be.revertedWithCustomError(contract, "MissingRole");
+    });
+
+    it("should leave a separately set treasury where it is on accept", async function () {
+      await contract.setTreasury(user2.address);
+      await contract.transferOwnership(user1.address);
+      await contract.connect(user1).acceptOwnership();
+      expect(await contract.treasury()).to.equal(user2.address);
+    });
   });
 
   describe("createMarket", function () {
@@ -50,14 +169,15 @@ describe("ARCPredictX", function () {
       const endTime = (await time.latest()) + ONE_DAY;
       await expect(contract.createMarket("Test?", endTime))
         .to.emit(contract, "MarketCreated")
-        .withArgs(0, "Test?", endTime);
+        .withArgs(0, "Test?", endTime, ethers.ZeroHash, "");
     });
 
-    it("should revert if not admin", async function () {
+    it("should revert without the creator role", async function () {
       const endTime = (await time.latest()) + ONE_DAY;
       await expect(
         contract.connect(user1).createMarket("Test?", endTime)
-      ).to.be.revertedWithCustomError(contract, "OnlyAdmin");
+      ).to.be.revertedWithCustomError(contract, "MissingRole")
+        .withArgs(await contract.CREATOR_ROLE(), user1.address);
     });
 
     it("should revert if endTime is in the past", async function () {
@@ -153,11 +273,12 @@ describe("ARCPredictX", function () {
         .withArgs(0, true);
     });
 
-    it("should revert if not admin", async function () {
+    it("should revert without the resolver role", async function () {
       await time.increaseTo(endTime);
       await expect(
         contract.connect(user1).resolveMarket(0, true)
-      ).to.be.revertedWithCustomError(contract, "OnlyAdmin");
+      ).to.be.revertedWithCustomError(contract, "MissingRole")
+        .withArgs(await contract.RESOLVER_ROLE(), user1.address);
     });
 
     it("should revert if market not expired", async function () {
@@ -251,6 +372,7 @@ describe("ARCPredictX", function () {
 
     it("should revert if user is not on winning side", async function () {
       await contract.connect(user1).buyNo(0, { value: ONE_ETHER });
+      await contract.connect(user2).buyYes(0, { value: ONE_ETHER });
       await time.increaseTo(endTime);
       await contract.resolveMarket(0, true); // YES wins
 
@@ -281,6 +403,1434 @@ describe("ARCPredictX", function () {
     });
   });
 
+  describe("cancelMarket / refund", function () {
+    let endTime;
+
+    beforeEach(async function () {
+      endTime = (await time.latest()) + ONE_DAY;
+      await contract.createMarket("Ambiguous question?", endTime);
+      await contract.connect(user1).buyYes(0, { value: ethers.parseEther("2") });
+      await contract.connect(user1).buyNo(0, { value: ONE_ETHER });
+      await contract.connect(user2).buyNo(0, { value: ONE_ETHER });
+    });
+
+    it("should cancel a live market and emit MarketCancelled", async function () {
+      await expect(contract.cancelMarket(0))
+        .to.emit(contract, "MarketCancelled")
+        .withArgs(0);
+      const m = await contract.getMarket(0);
+      expect(m.cancelled).to.equal(true);
+      expect(m.resolved).to.equal(false);
+    });
+
+    it("should revert without the resolver role", async function () {
+      await expect(
+        contract.connect(user1).cancelMarket(0)
+      ).to.be.revertedWithCustomError(contract, "MissingRole");
+    });
+
+    it("should revert if already resolved", async function () {
+      await time.increaseTo(endTime);
+      await contract.resolveMarket(0, true);
+      await expect(
+        contract.cancelMarket(0)
+      ).to.be.revertedWithCustomError(contract, "MarketAlreadyResolved");
+    });
+
+    it("should block bets and resolution once cancelled", async function () {
+      await contract.cancelMarket(0);
+      await expect(
+        contract.connect(user3).buyYes(0, { value: ONE_ETHER })
+      ).to.be.revertedWithCustomError(contract, "MarketIsCancelled");
+      await time.increaseTo(endTime);
+      await expect(
+        contract.resolveMarket(0, true)
+      ).to.be.revertedWithCustomError(contract, "MarketIsCancelled");
+    });
+
+    it("should refund YES + NO stakes", async function () {
+      await contract.cancelMarket(0);
+      expect(await contract.getClaimable(0, user1.address)).to.equal(ethers.parseEther("3"));
+
+      const before = await ethers.provider.getBalance(user1.address);
+      const tx = await contract.connect(user1).refund(0);
+      const receipt = await tx.wait();
+      const gas = receipt.gasUsed * receipt.gasPrice;
+      const after = await ethers.provider.getBalance(user1.address);
+      expect(after - before + gas).to.equal(ethers.parseEther("3"));
+
+      await expect(contract.connect(user2).refund(0))
+        .to.emit(contract, "Refunded")
+        .withArgs(0, user2.address, ONE_ETHER);
+      expect(await contract.getClaimable(0, user1.address)).to.equal(0);
+    });
+
+    it("should revert refund on a market that is not cancelled", async function () {
+      await expect(
+        contract.connect(user1).refund(0)
+      ).to.be.revertedWithCustomError(contract, "MarketNotCancelled");
+    });
+
+    it("should revert on double refund", async function () {
+      await contract.cancelMarket(0);
+      await contract.connect(user1).refund(0);
+      await expect(
+        contract.connect(user1).refund(0)
+      ).to.be.revertedWithCustomError(contract, "AlreadyClaimed");
+    });
+
+    it("should revert refund with no stake", async function () {
+      await contract.cancelMarket(0);
+      await expect(
+        contract.connect(user3).refund(0)
+      ).to.be.revertedWithCustomError(contract, "NothingToRefund");
+    });
+
+    it("should void instead of resolving when the winning side is empty", async function () {
+      await contract.createMarket("Nobody on YES?", endTime);
+      await contract.connect(user2).buyNo(1, { value: ONE_ETHER });
+      await time.increaseTo(endTime);
+
+      await expect(contract.resolveMarket(1, true))
+        .to.emit(contract, "MarketCancelled")
+        .withArgs(1);
+      const m = await contract.getMarket(1);
+      expect(m.cancelled).to.equal(true);
+      expect(m.resolved).to.equal(false);
+      expect(await contract.getClaimable(1, user2.address)).to.equal(ONE_ETHER);
+    });
+  });
+
+  describe("Categorical markets", function () {
+    let endTime;
+
+    beforeEach(async function () {
+      endTime = (await time.latest()) + ONE_DAY;
+      await contract.createCategoricalMarket("Who wins the election?", ["Alice", "Bob", "Carol"], endTime);
+    });
+
+    it("should create a market with named outcomes", async function () {
+      const m = await contract.getMarketInfo(0);
+      expect(m.kind).to.equal(1);
+      expect(m.outcomeCount).to.equal(3);
+
+      const [labels, pools] = await contract.getOutcomes(0);
+      expect(labels).to.deep.equal(["Alice", "Bob", "Carol"]);
+      expect(pools).to.deep.equal([0n, 0n, 0n]);
+    });
+
+    it("should revert with fewer than 2 or more than MAX_OUTCOMES outcomes", async function () {
+      await expect(
+        contract.createCategoricalMarket("Q?", ["Only"], endTime)
+      ).to.be.revertedWithCustomError(contract, "InvalidOutcomeCount");
+      const many = Array.from({ length: 17 }, (_, i) => `O${i}`);
+      await expect(
+        contract.createCategoricalMarket("Q?", many, endTime)
+      ).to.be.revertedWithCustomError(contract, "InvalidOutcomeCount");
+    });
+
+    it("should track per-outcome pools and stakes", async function () {
+      await contract.connect(user1).buy(0, 2, { value: ethers.parseEther("2") });
+      await contract.connect(user1).buy(0, 0, { value: ONE_ETHER });
+
+      const [, pools] = await contract.getOutcomes(0);
+      expect(pools).to.deep.equal([ONE_ETHER, 0n, ethers.parseEther("2")]);
+      expect(await contract.getUserStakes(0, user1.address)).to.deep.equal([ONE_ETHER, 0n, ethers.parseEther("2")]);
+    });
+
+    it("should emit OutcomeBetPlaced", async function () {
+      await expect(contract.connect(user1).buy(0, 1, { value: ONE_ETHER }))
+        .to.emit(contract, "OutcomeBetPlaced")
+        .withArgs(0, user1.address, 1, ONE_ETHER);
+    });
+
+    it("should revert for an out-of-range outcome", async function () {
+      await expect(
+        contract.connect(user1).buy(0, 3, { value: ONE_ETHER })
+      ).to.be.revertedWithCustomError(contract, "InvalidOutcome");
+    });
+
+    it("should reject the binary-only entry points", async function () {
+      await expect(
+        contract.connect(user1).buyYes(0, { value: ONE_ETHER })
+      ).to.be.revertedWithCustomError(contract, "NotBinaryMarket");
+      await time.increaseTo(endTime);
+      await expect(
+        contract.resolveMarket(0, true)
+      ).to.be.revertedWithCustomError(contract, "NotBinaryMarket");
+    });
+
+    it("should pay the winning outcome proportionally", async function () {
+      // Alice: user1 3, user2 1 — Bob: user3 4 — Carol: user3 2
+      await contract.connect(user1).buy(0, 0, { value: ethers.parseEther("3") });
+      await contract.connect(user2).buy(0, 0, { value: ONE_ETHER });
+      await contract.connect(user3).buy(0, 1, { value: ethers.parseEther("4") });
+      await contract.connect(user3).buy(0, 2, { value: ethers.parseEther("2") });
+
+      await time.increaseTo(endTime);
+      await expect(contract.resolveOutcome(0, 0))
+        .to.emit(contract, "OutcomeResolved")
+        .withArgs(0, 0);
+
+      // totalPool = 10, Alice pool = 4
+      expect(await contract.getClaimable(0, user1.address)).to.equal(ethers.parseEther("7.5"));
+      expect(await contract.getClaimable(0, user2.address)).to.equal(ethers.parseEther("2.5"));
+      expect(await contract.getClaimable(0, user3.address)).to.equal(0);
+
+      await expect(contract.connect(user1).claimReward(0))
+        .to.emit(contract, "RewardClaimed")
+        .withArgs(0, user1.address, ethers.parseEther("7.5"));
+      await expect(
+        contract.connect(user3).claimReward(0)
+      ).to.be.revertedWithCustomError(contract, "NotWinner");
+    });
+
+    it("should void when the winning outcome has no bets and refund every stake", async function () {
+      await contract.connect(user1).buy(0, 0, { value: ONE_ETHER });
+      await contract.connect(user1).buy(0, 1, { value: ONE_ETHER });
+      await time.increaseTo(endTime);
+
+      await expect(contract.resolveOutcome(0, 2)).to.emit(contract, "MarketCancelled");
+      await expect(contract.connect(user1).refund(0))
+        .to.emit(contract, "Refunded")
+        .withArgs(0, user1.address, ethers.parseEther("2"));
+    });
+
+    it("should let binary markets resolve by index too", async function () {
+      await contract.createMarket("Binary?", endTime);
+      await contract.connect(user1).buy(1, 1, { value: ONE_ETHER });
+      expect(await contract.noBets(1, user1.address)).to.equal(ONE_ETHER);
+
+      await time.increaseTo(endTime);
+      await expect(contract.resolveOutcome(1, 1))
+        .to.emit(contract, "MarketResolved")
+        .withArgs(1, false);
+    });
+  });
+
+  describe("Fees", function () {
+    let endTime;
+
+    beforeEach(async function () {
+      endTime = (await time.latest()) + ONE_DAY;
+    });
+
+    it("should start with no fee and the deployer as treasury", async function () {
+      expect(await contract.feeBps()).to.equal(0);
+      expect(await contract.treasury()).to.equal(admin.address);
+    });
+
+    it("should update fee config and emit FeeConfigUpdated", async function () {
+      await expect(contract.setFeeConfig(200, 2500))
+        .to.emit(contract, "FeeConfigUpdated")
+        .withArgs(200, 2500);
+      expect(await contract.feeBps()).to.equal(200);
+      expect(await contract.creatorShareBps()).to.equal(2500);
+    });
+
+    it("should cap the fee and the creator share", async function () {
+      await expect(contract.setFeeConfig(1001, 0)).to.be.revertedWithCustomError(contract, "FeeTooHigh");
+      await expect(contract.setFeeConfig(100, 10001)).to.be.revertedWithCustomError(contract, "InvalidShare");
+    });
+
+    it("should restrict fee settings to the owner", async function () {
+      await expect(contract.connect(user1).setFeeConfig(100, 0)).to.be.revertedWithCustomError(contract, "OnlyOwner");
+      await expect(contract.connect(user1).setTreasury(user1.address)).to.be.revertedWithCustomError(contract, "OnlyOwner");
+    });
+
+    it("should update the treasury and reject the zero address", async function () {
+      await expect(contract.setTreasury(user3.address))
+        .to.emit(contract, "TreasuryUpdated")
+        .withArgs(user3.address);
+      await expect(contract.setTreasury(ethers.ZeroAddress)).to.be.revertedWithCustomError(contract, "ZeroAddress");
+    });
+
+    it("should take the fee from the losing pool and split it", async function () {
+      await contract.setTreasury(user3.address);
+      await contract.setFeeConfig(1000, 2000); // 10% of losers, creator gets 20% of that
+      await contract.createMarket("Fee market?", endTime);
+      await contract.connect(user1).buyYes(0, { value: ethers.parseEther("2") });
+      await contract.connect(user2).buyNo(0, { value: ethers.parseEther("8") });
+
+      await time.increaseTo(endTime);
+      // losing pool 8 → fee 0.8 → creator 0.16, treasury 0.64
+      await expect(contract.resolveMarket(0, true))
+        .to.emit(contract, "FeesAccrued")
+        .withArgs(0, ethers.parseEther("0.64"), ethers.parseEther("0.16"));
+      expect(await contract.accruedFees(user3.address)).to.equal(ethers.parseEther("0.64"));
+      expect(await contract.accruedFees(admin.address)).to.equal(ethers.parseEther("0.16"));
+      expect(await contract.getClaimable(0, user1.address)).to.equal(ethers.parseEther("9.2"));
+
+      await contract.connect(user1).claimReward(0);
+      await expect(contract.connect(user3).withdrawFees())
+        .to.emit(contract, "FeesWithdrawn")
+        .withArgs(user3.address, ethers.parseEther("0.64"));
+      await contract.withdrawFees();
+      expect(await ethers.provider.getBalance(await contract.getAddress())).to.equal(0);
+    });
+
+    it("should lock the fee rate in when the market is created", async function () {
+      await contract.createMarket("Created fee-free?", endTime);
+      await contract.setFeeConfig(500, 0);
+      await contract.connect(user1).buyYes(0, { value: ONE_ETHER });
+      await contract.connect(user2).buyNo(0, { value: ONE_ETHER });
+      await time.increaseTo(endTime);
+      await contract.resolveMarket(0, true);
+      expect(await contract.getClaimable(0, user1.address)).to.equal(ethers.parseEther("2"));
+    });
+
+    it("should lock the creator's share in when the market is created", async function () {
+      await contract.setTreasury(user3.address);
+      await contract.setFeeConfig(1000, 5000);
+      await contract.connect(user1).proposeMarket("Community fee market?", endTime);
+      expect((await contract.getMarketInfo(0)).creatorShareBps).to.equal(5000);
+      await contract.setFeeConfig(1000, 0); // cutting creators out only affects new markets
+      await contract.connect(user1).buyYes(0, { value: ONE_ETHER });
+      await contract.connect(user2).buyNo(0, { value: ONE_ETHER });
+      await time.increaseTo(endTime);
+      // losing pool 1 → fee 0.1, half of it still to the creator
+      await expect(contract.resolveMarket(0, true))
+        .to.emit(contract, "FeesAccrued")
+        .withArgs(0, ethers.parseEther("0.05"), ethers.parseEther("0.05"));
+      expect(await contract.accruedFees(user1.address)).to.equal(ethers.parseEther("0.05"));
+    });
+
+    it("should not charge fees on voided markets", async function () {
+      await contract.setFeeConfig(1000, 0);
+      await contract.createMarket("Void?", endTime);
+      await contract.connect(user1).buyNo(0, { value: ONE_ETHER });
+      await time.increaseTo(endTime);
+      await contract.resolveMarket(0, true);
+      expect(await contract.accruedFees(admin.address)).to.equal(0);
+      expect(await contract.getClaimable(0, user1.address)).to.equal(ONE_ETHER);
+    });
+
+    it("should revert withdrawFees with nothing accrued", async function () {
+      await expect(contract.connect(user1).withdrawFees()).to.be.revertedWithCustomError(contract, "NothingToWithdraw");
+    });
+  });
+
+  describe("Permissionless proposals", function () {
+    const BOND = ethers.parseEther("5");
+    const ONE_HOUR = 3600;
+    let endTime;
+
+    beforeEach(async function () {
+      await contract.setBondConfig(BOND, ONE_HOUR);
+      endTime = (await time.latest()) + ONE_DAY;
+    });
+
+    it("should update bond config and emit BondConfigUpdated", async function () {
+      await expect(contract.setBondConfig(ONE_ETHER, 60))
+        .to.emit(contract, "BondConfigUpdated")
+        .withArgs(ONE_ETHER, 60);
+      await expect(
+        contract.connect(user1).setBondConfig(0, 0)
+      ).to.be.revertedWithCustomError(contract, "OnlyOwner");
+    });
+
+    it("should let anyone propose a market by posting the bond", async function () {
+      await expect(contract.connect(user1).proposeMarket("Community question?", endTime, { value: BOND }))
+        .to.emit(contract, "MarketProposed")
+        .withArgs(0, user1.address, BOND);
+      const m = await contract.getMarketInfo(0);
+      expect(m.creator).to.equal(user1.address);
+      expect(m.bond).to.equal(BOND);
+
+      await contract.connect(user2).proposeCategoricalMarket("Which?", ["A", "B"], endTime, { value: BOND });
+      expect(await contract.marketCount()).to.equal(2);
+    });
+
+    it("should revert with the wrong bond or too short a duration", async function () {
+      await expect(
+        contract.connect(user1).proposeMarket("Q?", endTime, { value: ONE_ETHER })
+      ).to.be.revertedWithCustomError(contract, "WrongBond");
+      await expect(
+        contract.connect(user1).proposeMarket("Q?", (await time.latest()) + 60, { value: BOND })
+      ).to.be.revertedWithCustomError(contract, "DurationTooShort");
+    });
+
+    it("should return the bond after a clean resolution", async function () {
+      await contract.connect(user1).proposeMarket("Clean?", endTime, { value: BOND });
+      await expect(
+        contract.connect(user1).claimBond(0)
+      ).to.be.revertedWithCustomError(contract, "BondLocked");
+
+      await time.increaseTo(endTime);
+      await contract.resolveMarket(0, true);
+      await expect(
+        contract.connect(user2).claimBond(0)
+      ).to.be.revertedWithCustomError(contract, "NothingToWithdraw");
+      await expect(contract.connect(user1).claimBond(0))
+        .to.emit(contract, "BondReturned")
+        .withArgs(0, user1.address, BOND);
+      await expect(
+        contract.connect(user1).claimBond(0)
+      ).to.be.revertedWithCustomError(contract, "NothingToWithdraw");
+    });
+
+    it("should keep the bond claimable when a market is voided but not rejected", async function () {
+      await contract.connect(user1).proposeMarket("Postponed?", endTime, { value: BOND });
+      await contract.cancelMarket(0);
+      await expect(contract.connect(user1).claimBond(0)).to.emit(contract, "BondReturned");
+    });
+
+    it("should slash the bond to the treasury when rejected as invalid", async function () {
+      await contract.connect(user1).proposeMarket("Spam?", endTime, { value: BOND });
+      await contract.connect(user2).buyYes(0, { value: ONE_ETHER });
+
+      await expect(contract.rejectMarket(0))
+        .to.emit(contract, "BondSlashed")
+        .withArgs(0, BOND);
+      expect(await contract.accruedFees(admin.address)).to.equal(BOND);
+      expect((await contract.getMarketInfo(0)).cancelled).to.equal(true);
+      await expect(
+        contract.connect(user1).claimBond(0)
+      ).to.be.revertedWithCustomError(contract, "NothingToWithdraw");
+      // bettors still get their stake back
+      expect(await contract.getClaimable(0, user2.address)).to.equal(ONE_ETHER);
+    });
+
+    it("should restrict moderation to resolvers", async function () {
+      await contract.connect(user1).proposeMarket("Q?", endTime, { value: BOND });
+      await expect(
+        contract.connect(user1).rejectMarket(0)
+      ).to.be.revertedWithCustomError(contract, "MissingRole");
+      await expect(
+        contract.connect(user1).setMarketHidden(0, true)
+      ).to.be.revertedWithCustomError(contract, "MissingRole");
+    });
+
+    it("should block bets on hidden markets until restored", async function () {
+      await contract.connect(user1).proposeMarket("Hidden?", endTime, { value: BOND });
+      await expect(contract.setMarketHidden(0, true))
+        .to.emit(contract, "MarketHidden")
+        .withArgs(0, true);
+      await expect(
+        contract.connect(user2).buyYes(0, { value: ONE_ETHER })
+      ).to.be.revertedWithCustomError(contract, "MarketIsHidden");
+
+      await contract.setMarketHidden(0, false);
+      await contract.connect(user2).buyYes(0, { value: ONE_ETHER });
+    });
+  });
+
+  describe("Optimistic resolution", function () {
+    const BOND = ethers.parseEther("2");
+    const WINDOW = 3600;
+    let endTime;
+
+    beforeEach(async function () {
+      await contract.setResolutionConfig(BOND, WINDOW);
+      endTime = (await time.latest()) + ONE_DAY;
+      await contract.createMarket("Will it rain?", endTime);
+      await contract.connect(user1).buyYes(0, { value: ONE_ETHER });
+      await contract.connect(user2).buyNo(0, { value: ONE_ETHER });
+      await time.increaseTo(endTime);
+    });
+
+    it("should only update config as owner", async function () {
+      await expect(contract.setResolutionConfig(ONE_ETHER, 60))
+        .to.emit(contract, "ResolutionConfigUpdated")
+        .withArgs(ONE_ETHER, 60);
+      await expect(
+        contract.connect(user1).setResolutionConfig(0, 0)
+      ).to.be.revertedWithCustomError(contract, "OnlyOwner");
+    });
+
+    it("should record a proposal without resolving the market", async function () {
+      await expect(contract.resolveMarket(0, true, { value: BOND }))
+        .to.emit(contract, "ResolutionProposed")
+        .withArgs(0, 0, 0, admin.address, anyValue);
+      const r = await contract.resolutions(0);
+      expect(r.proposer).to.equal(admin.address);
+      expect(r.outcome).to.equal(0);
+      expect(r.bond).to.equal(BOND);
+
+      expect((await contract.getMarketInfo(0)).resolved).to.equal(false);
+      await expect(
+        contract.connect(user1).claimReward(0)
+      ).to.be.revertedWithCustomError(contract, "MarketNotResolved");
+    });
+
+    it("should require the resolution bond and reject a second proposal", async function () {
+      await expect(
+        contract.resolveMarket(0, true)
+      ).to.be.revertedWithCustomError(contract, "WrongBond");
+      await contract.resolveMarket(0, true, { value: BOND });
+      await expect(
+        contract.resolveOutcome(0, 1, { value: BOND })
+      ).to.be.revertedWithCustomError(contract, "ResolutionPending");
+    });
+
+    it("should finalize an undisputed proposal after the window and return the bond", async function () {
+      await contract.resolveMarket(0, true, { value: BOND });
+      await expect(
+        contract.finalizeResolution(0)
+      ).to.be.revertedWithCustomError(contract, "DisputeWindowOpen");
+
+      await time.increase(WINDOW);
+      await expect(contract.connect(user3).finalizeResolution(0))
+        .to.emit(contract, "MarketResolved")
+        .withArgs(0, true);
+      expect(await contract.accruedFees(admin.address)).to.equal(BOND);
+      await contract.connect(user1).claimReward(0);
+    });
+
+    it("should let anyone dispute within the window by matching the bond", async function () {
+      await contract.resolveMarket(0, false, { value: BOND });
+      await expect(
+        contract.connect(user1).disputeResolution(0, { value: ONE_ETHER })
+      ).to.be.revertedWithCustomError(contract, "WrongBond");
+      await expect(contract.connect(user1).disputeResolution(0, { value: BOND }))
+        .to.emit(contract, "ResolutionDisputed")
+        .withArgs(0, user1.address);
+      await expect(
+        contract.connect(user2).disputeResolution(0, { value: BOND })
+      ).to.be.revertedWithCustomError(contract, "AlreadyDisputed");
+
+      await time.increase(WINDOW);
+      await expect(
+        contract.finalizeResolution(0)
+      ).to.be.revertedWithCustomError(contract, "AlreadyDisputed");
+    });
+
+    it("should reject disputes after the window closes", async function () {
+      await contract.resolveMarket(0, true, { value: BOND });
+      await time.increase(WINDOW);
+      await expect(
+        contract.connect(user1).disputeResolution(0, { value: BOND })
+      ).to.be.revertedWithCustomError(contract, "DisputeWindowClosed");
+    });
+
+    it("should award both bonds to the disputer when the arbiter overturns the proposal", async function () {
+      await contract.resolveMarket(0, false, { value: BOND });
+      await contract.connect(user1).disputeResolution(0, { value: BOND });
+
+      await expect(contract.arbitrate(0, 0))
+        .to.emit(contract, "DisputeSettled")
+        .withArgs(0, 0, 0, user1.address)
+        .and.to.emit(contract, "MarketResolved")
+        .withArgs(0, true);
+      expect(await contract.accruedFees(user1.address)).to.equal(BOND * 2n);
+      expect(await contract.getClaimable(0, user1.address)).to.equal(ONE_ETHER * 2n);
+    });
+
+    it("should award both bonds to the proposer when the arbiter upholds it", async function () {
+      await contract.resolveMarket(0, true, { value: BOND });
+      await contract.connect(user2).disputeResolution(0, { value: BOND });
+      await contract.arbitrate(0, 0);
+      expect(await contract.accruedFees(admin.address)).to.equal(BOND * 2n);
+      expect(await contract.accruedFees(user2.address)).to.equal(0);
+    });
+
+    it("should restrict arbitration to disputed markets and the arbiter role", async function () {
+      await contract.resolveMarket(0, true, { value: BOND });
+      await expect(
+        contract.arbitrate(0, 1)
+      ).to.be.revertedWithCustomError(contract, "NotDisputed");
+      await contract.connect(user2).disputeResolution(0, { value: BOND });
+      await expect(
+        contract.connect(user1).arbitrate(0, 1)
+      ).to.be.revertedWithCustomError(contract, "MissingRole");
+    });
+
+    it("should return both bonds when a disputed market is voided", async function () {
+      await contract.resolveMarket(0, true, { value: BOND });
+      await contract.connect(user2).disputeResolution(0, { value: BOND });
+      await contract.cancelMarket(0);
+      expect(await contract.accruedFees(admin.address)).to.equal(BOND);
+      expect(await contract.accruedFees(user2.address)).to.equal(BOND);
+      expect((await contract.resolutions(0)).deadline).to.equal(0);
+    });
+  });
+
+  describe("ERC-20 collateral", function () {
+    const UNIT = 10n ** 6n; // 6-decimal stablecoin
+    let token, tokenAddr, endTime;
+
+    beforeEach(async function () {
+      const Token = await ethers.getContractFactory("MockERC20");
+      token = await Token.deploy("Test Dollar", "TUSD", 6);
+      tokenAddr = await token.getAddress();
+      for (const u of [user1, user2]) {
+        await token.mint(u.address, 1000n * UNIT);
+        await token.connect(u).approve(await contract.getAddress(), ethers.MaxUint256);
+      }
+      endTime = (await time.latest()) + ONE_DAY;
+      await contract.createMarketWithParams({ question: "Token market?", outcomes: [], endTime, collateral: tokenAddr, metadata: "", limits: NO_LIMITS, oracleData: "0x", range: NO_RANGE });
+    });
+
+    it("should record the collateral token", async function () {
+      const m = await contract.getMarketInfo(0);
+      expect(m.collateral).to.equal(tokenAddr);
+      expect(m.kind).to.equal(0);
+      expect(m.outcomeCount).to.equal(2);
+    });
+
+    it("should reject a collateral address without code", async function () {
+      await expect(
+        contract.createMarketWithParams({ question: "Q?", outcomes: [], endTime, collateral: user1.address, metadata: "", limits: NO_LIMITS, oracleData: "0x", range: NO_RANGE })
+      ).to.be.revertedWithCustomError(contract, "InvalidCollateral");
+    });
+
+    it("should create categorical token markets and bond proposals", async function () {
+      await contract.createMarketWithParams({ question: "Which?", outcomes: ["A", "B", "C"], endTime, collateral: tokenAddr, metadata: "", limits: NO_LIMITS, oracleData: "0x", range: NO_RANGE });
+      expect((await contract.getMarketInfo(1)).outcomeCount).to.equal(3);
+
+      await contract.setBondConfig(ONE_ETHER, 0);
+      await expect(
+        contract.connect(user1).proposeMarketWithParams({ question: "Mine?", outcomes: [], endTime, collateral: tokenAddr, metadata: "", limits: NO_LIMITS, oracleData: "0x", range: NO_RANGE }, { value: ONE_ETHER })
+      ).to.emit(contract, "MarketProposed").withArgs(2, user1.address, ONE_ETHER);
+    });
+
+    it("should pull tokens with placeBet", async function () {
+      await expect(contract.connect(user1).placeBet(0, 0, 30n * UNIT))
+        .to.emit(contract, "BetPlaced")
+        .withArgs(0, user1.address, true, 30n * UNIT);
+      expect(await token.balanceOf(await contract.getAddress())).to.equal(30n * UNIT);
+      expect(await contract.yesBets(0, user1.address)).to.equal(30n * UNIT);
+    });
+
+    it("should reject native value on token markets", async function () {
+      await expect(
+        contract.connect(user1).placeBet(0, 0, 30n * UNIT, { value: 1 })
+      ).to.be.revertedWithCustomError(contract, "WrongValue");
+      await expect(
+        contract.connect(user1).buyYes(0, { value: ONE_ETHER })
+      ).to.be.revertedWithCustomError(contract, "WrongValue");
+    });
+
+    it("should revert when the allowance is missing", async function () {
+      await token.connect(user1).approve(await contract.getAddress(), 0);
+      await expect(
+        contract.connect(user1).placeBet(0, 0, UNIT)
+      ).to.be.reverted;
+    });
+
+    it("should require msg.value to match the amount on native markets", async function () {
+      await contract.createMarket("Native?", endTime);
+      await expect(
+        contract.connect(user1).placeBet(1, 0, ONE_ETHER, { value: 1 })
+      ).to.be.revertedWithCustomError(contract, "WrongValue");
+      await contract.connect(user1).placeBet(1, 0, ONE_ETHER, { value: ONE_ETHER });
+      expect(await contract.yesBets(1, user1.address)).to.equal(ONE_ETHER);
+    });
+
+    it("should pay rewards and accrue fees in the token", async function () {
+      await contract.setFeeConfig(500, 0); // applies to markets created after this
+      await contract.createMarketWithParams({ question: "Fee?", outcomes: [], endTime, collateral: tokenAddr, metadata: "", limits: NO_LIMITS, oracleData: "0x", range: NO_RANGE });
+      await contract.connect(user1).placeBet(1, 0, 100n * UNIT);
+      await contract.connect(user2).placeBet(1, 1, 100n * UNIT);
+      await time.increaseTo(endTime);
+      await contract.resolveMarket(1, true);
+
+      await expect(contract.connect(user1).claimReward(1))
+        .to.emit(contract, "RewardClaimed")
+        .withArgs(1, user1.address, 195n * UNIT);
+      expect(await token.balanceOf(user1.address)).to.equal(1095n * UNIT);
+      expect(await contract.tokenFees(tokenAddr, admin.address)).to.equal(5n * UNIT);
+      expect(await contract.accruedFees(admin.address)).to.equal(0);
+
+      await expect(contract.withdrawTokenFees(tokenAddr))
+        .to.emit(contract, "TokenFeesWithdrawn")
+        .withArgs(tokenAddr, admin.address, 5n * UNIT);
+      expect(await token.balanceOf(admin.address)).to.equal(5n * UNIT);
+      await expect(
+        contract.withdrawTokenFees(tokenAddr)
+      ).to.be.revertedWithCustomError(contract, "NothingToWithdraw");
+    });
+
+    it("should refund tokens from a voided market", async function () {
+      await contract.connect(user1).placeBet(0, 1, 40n * UNIT);
+      await contract.cancelMarket(0);
+      await contract.connect(user1).refund(0);
+      expect(await token.balanceOf(user1.address)).to.equal(1000n * UNIT);
+    });
+  });
+
+  describe("Early exit", function () {
+    let endTime;
+
+    beforeEach(async function () {
+      endTime = (await time.latest()) + ONE_DAY;
+      await contract.createMarket("Exit?", endTime);
+      await contract.connect(user1).buyYes(0, { value: ethers.parseEther("4") });
+      await contract.connect(user2).buyNo(0, { value: ethers.parseEther("4") });
+    });
+
+    it("should return the full amount when there is no penalty", async function () {
+      await expect(contract.connect(user1).withdrawBet(0, true, ONE_ETHER))
+        .to.emit(contract, "BetWithdrawn")
+        .withArgs(0, user1.address, 0, ONE_ETHER, 0);
+      expect(await contract.yesBets(0, user1.address)).to.equal(ethers.parseEther("3"));
+      expect(await contract.outcomePools(0, 0)).to.equal(ethers.parseEther("3"));
+      expect((await contract.getMarketInfo(0)).totalPool).to.equal(ethers.parseEther("7"));
+    });
+
+    it("should keep the penalty in the pool for the winners", async function () {
+      await expect(contract.setExitPenalty(500))
+        .to.emit(contract, "ExitPenaltyUpdated")
+        .withArgs(500);
+      const before = await ethers.provider.getBalance(user1.address);
+      const tx = await contract.connect(user1).withdrawBet(0, true, ethers.parseEther("2"));
+      const { gasUsed, gasPrice } = await tx.wait();
+      expect(await ethers.provider.getBalance(user1.address)).to.equal(before + ethers.parseEther("1.9") - gasUsed * gasPrice);
+      expect(await contract.exitPenalties(0)).to.equal(ethers.parseEther("0.1"));
+
+      await time.increaseTo(endTime);
+      await contract.resolveMarket(0, false);
+      // 2 YES + 4 NO + 0.1 penalty, all to the NO side
+      expect(await contract.getClaimable(0, user2.address)).to.equal(ethers.parseEther("6.1"));
+      await contract.connect(user2).claimReward(0);
+      expect(await ethers.provider.getBalance(await contract.getAddress())).to.equal(0);
+    });
+
+    it("should send penalties to the treasury when the market is voided", async function () {
+      await contract.setExitPenalty(1000);
+      await contract.setTreasury(user3.address);
+      await contract.connect(user2).withdrawBet(0, false, ethers.parseEther("4"));
+      await contract.cancelMarket(0);
+      expect(await contract.accruedFees(user3.address)).to.equal(ethers.parseEther("0.4"));
+      await contract.connect(user1).refund(0);
+      await contract.connect(user3).withdrawFees();
+      expect(await ethers.provider.getBalance(await contract.getAddress())).to.equal(0);
+    });
+
+    it("should withdraw from any outcome of a categorical market", async function () {
+      await contract.createCategoricalMarket("Which?", ["A", "B", "C"], endTime);
+      await contract.connect(user1).buy(1, 2, { value: ONE_ETHER });
+      await expect(contract.connect(user1).withdrawStake(1, 2, ONE_ETHER))
+        .to.emit(contract, "BetWithdrawn")
+        .withArgs(1, user1.address, 2, ONE_ETHER, 0);
+      await expect(
+        contract.connect(user1).withdrawBet(1, true, ONE_ETHER)
+      ).to.be.revertedWithCustomError(contract, "NotBinaryMarket");
+    });
+
+    it("should reject withdrawals over the stake, after endTime or on voided markets", async function () {
+      await expect(
+        contract.connect(user1).withdrawBet(0, false, 1)
+      ).to.be.revertedWithCustomError(contract, "InsufficientStake");
+      await expect(
+        contract.connect(user1).withdrawBet(0, true, 0)
+      ).to.be.revertedWithCustomError(contract, "ZeroBet");
+      await contract.createMarket("Voided?", endTime);
+      await contract.connect(user1).buyYes(1, { value: ONE_ETHER });
+      await contract.cancelMarket(1);
+      await expect(
+        contract.connect(user1).withdrawBet(1, true, ONE_ETHER)
+      ).to.be.revertedWithCustomError(contract, "MarketIsCancelled");
+      await time.increaseTo(endTime);
+      await expect(
+        contract.connect(user1).withdrawBet(0, true, ONE_ETHER)
+      ).to.be.revertedWithCustomError(contract, "MarketExpired");
+    });
+
+    it("should cap the penalty and restrict it to the owner", async function () {
+      await expect(contract.setExitPenalty(1001)).to.be.revertedWithCustomError(contract, "PenaltyTooHigh");
+      await expect(contract.connect(user1).setExitPenalty(100)).to.be.revertedWithCustomError(contract, "OnlyOwner");
+    });
+  });
+
+  describe("Batch claims", function () {
+    let endTime;
+
+    beforeEach(async function () {
+      endTime = (await time.latest()) + ONE_DAY;
+      for (const q of ["A?", "B?", "C?", "D?"]) await contract.createMarket(q, endTime);
+      for (const id of [0, 1, 2, 3]) {
+        await contract.connect(user1).buyYes(id, { value: ONE_ETHER });
+        await contract.connect(user2).buyNo(id, { value: ONE_ETHER });
+      }
+      await time.increaseTo(endTime);
+    });
+
+    it("should pay rewards and refunds together and skip the rest", async function () {
+      await contract.resolveMarket(0, true);
+      await contract.resolveMarket(1, false); // user1 lost
+      await contract.cancelMarket(2);
+      // market 3 is still unresolved
+
+      const before = await ethers.provider.getBalance(user1.address);
+      const tx = contract.connect(user1).claimMany([0, 1, 2, 3]);
+      await expect(tx).to.emit(contract, "RewardClaimed").withArgs(0, user1.address, ethers.parseEther("2"));
+      await expect(tx).to.emit(contract, "Refunded").withArgs(2, user1.address, ONE_ETHER);
+      const { gasUsed, gasPrice } = await (await tx).wait();
+      expect(await ethers.provider.getBalance(user1.address)).to.equal(before + ethers.parseEther("3") - gasUsed * gasPrice);
+      expect(await contract.claimed(0, user1.address)).to.equal(true);
+      expect(await contract.claimed(1, user1.address)).to.equal(false);
+    });
+
+    it("should revert when nothing in the batch pays out", async function () {
+      await contract.resolveMarket(0, true);
+      await contract.connect(user1).claimReward(0);
+      await expect(
+        contract.connect(user1).claimMany([0, 3, 99])
+      ).to.be.revertedWithCustomError(contract, "NothingToClaim");
+    });
+
+    it("should not pay the same market twice in one batch", async function () {
+      await contract.resolveMarket(0, true);
+      await expect(contract.connect(user1).claimMany([0, 0]))
+        .to.emit(contract, "RewardClaimed")
+        .withArgs(0, user1.address, ethers.parseEther("2"));
+      expect(await ethers.provider.getBalance(await contract.getAddress())).to.equal(ethers.parseEther("6"));
+    });
+  });
+
+  describe("Betting limits", function () {
+    let endTime;
+    const create = (limits, outcomes = []) =>
+      contract.createMarketWithParams({ question: "Limited?", outcomes, endTime, collateral: ethers.ZeroAddress, metadata: "", limits: { ...NO_LIMITS, ...limits }, oracleData: "0x", range: NO_RANGE });
+
+    beforeEach(async function () {
+      endTime = (await time.latest()) + ONE_DAY;
+    });
+
+    it("should store the limits and reject inconsistent ones", async function () {
+      await create({ minBet: ONE_ETHER, maxPerUser: ONE_ETHER * 5n, maxPool: ONE_ETHER * 20n, cutoff: 3600 });
+      const l = await contract.limits(0);
+      expect(l.minBet).to.equal(ONE_ETHER);
+      expect(l.maxPerUser).to.equal(ONE_ETHER * 5n);
+      expect(l.maxPool).to.equal(ONE_ETHER * 20n);
+      expect(l.cutoff).to.equal(3600);
+
+      await expect(create({ cutoff: ONE_DAY })).to.be.revertedWithCustomError(contract, "InvalidLimits");
+      await expect(create({ minBet: ONE_ETHER, maxPerUser: 1 })).to.be.revertedWithCustomError(contract, "InvalidLimits");
+      await expect(create({ minBet: ONE_ETHER, maxPool: 1 })).to.be.revertedWithCustomError(contract, "InvalidLimits");
+    });
+
+    it("should enforce the minimum bet", async function () {
+      await create({ minBet: ONE_ETHER });
+      await expect(
+        contract.connect(user1).buyYes(0, { value: ONE_ETHER - 1n })
+      ).to.be.revertedWithCustomError(contract, "BetTooSmall");
+      await contract.connect(user1).buyYes(0, { value: ONE_ETHER });
+    });
+
+    it("should cap each user's total stake across outcomes", async function () {
+      await create({ maxPerUser: ONE_ETHER * 3n }, ["A", "B", "C"]);
+      await contract.connect(user1).buy(0, 0, { value: ONE_ETHER * 2n });
+      await expect(
+        contract.connect(user1).buy(0, 2, { value: ONE_ETHER * 2n })
+      ).to.be.revertedWithCustomError(contract, "UserLimitExceeded");
+      await contract.connect(user1).buy(0, 2, { value: ONE_ETHER });
+      await contract.connect(user2).buy(0, 1, { value: ONE_ETHER * 3n });
+    });
+
+    it("should cap the total pool", async function () {
+      await create({ maxPool: ONE_ETHER * 3n });
+      await contract.connect(user1).buyYes(0, { value: ONE_ETHER * 2n });
+      await expect(
+        contract.connect(user2).buyNo(0, { value: ONE_ETHER * 2n })
+      ).to.be.revertedWithCustomError(contract, "PoolLimitExceeded");
+      await contract.connect(user2).buyNo(0, { value: ONE_ETHER });
+    });
+
+    it("should close betting and early exit at the cutoff but resolve only at endTime", async function () {
+      await create({ cutoff: 3600 });
+      await contract.connect(user1).buyYes(0, { value: ONE_ETHER });
+      await contract.connect(user2).buyNo(0, { value: ONE_ETHER });
+
+      await time.increaseTo(endTime - 3600);
+      await expect(
+        contract.connect(user1).buyYes(0, { value: ONE_ETHER })
+      ).to.be.revertedWithCustomError(contract, "BettingClosed");
+      await expect(
+        contract.connect(user1).withdrawBet(0, true, ONE_ETHER)
+      ).to.be.revertedWithCustomError(contract, "BettingClosed");
+      await expect(contract.resolveMarket(0, true)).to.be.revertedWithCustomError(contract, "MarketNotExpired");
+
+      await time.increaseTo(endTime);
+      await contract.resolveMarket(0, true);
+    });
+
+    it("should apply minDuration to the betting window of a proposal", async function () {
+      await contract.setBondConfig(0, ONE_DAY / 2);
+      const params = { question: "Mine?", outcomes: [], endTime, collateral: ethers.ZeroAddress, metadata: "", limits: { ...NO_LIMITS, cutoff: ONE_DAY / 2 + 60 }, oracleData: "0x", range: NO_RANGE };
+      await expect(
+        contract.connect(user1).proposeMarketWithParams(params)
+      ).to.be.revertedWithCustomError(contract, "DurationTooShort");
+      await contract.connect(user1).proposeMarketWithParams({ ...params, limits: { ...NO_LIMITS, cutoff: 3600 } });
+    });
+  });
+
+  describe("Circuit breaker", function () {
+    let endTime;
+
+    beforeEach(async function () {
+      endTime = (await time.latest()) + ONE_DAY;
+      await contract.createMarket("Paused?", endTime);
+      await contract.connect(user1).buyYes(0, { value: ONE_ETHER });
+      await contract.connect(user2).buyNo(0, { value: ONE_ETHER });
+    });
+
+    it("should pause betting, resolution and claims independently", async function () {
+      await expect(contract.setPaused(true, false, false))
+        .to.emit(contract, "PauseUpdated")
+        .withArgs(true, false, false);
+      await expect(
+        contract.connect(user1).buyYes(0, { value: ONE_ETHER })
+      ).to.be.revertedWithCustomError(contract, "BettingPaused");
+      await expect(
+        contract.connect(user1).withdrawBet(0, true, ONE_ETHER)
+      ).to.be.revertedWithCustomError(contract, "BettingPaused");
+
+      await time.increaseTo(endTime);
+      await contract.setPaused(false, true, false);
+      await expect(contract.resolveMarket(0, true)).to.be.revertedWithCustomError(contract, "ResolutionPaused");
+
+      await contract.setPaused(false, false, true);
+      await contract.resolveMarket(0, true);
+      await expect(contract.connect(user1).claimReward(0)).to.be.revertedWithCustomError(contract, "ClaimsPaused");
+      await expect(contract.connect(user1).claimMany([0])).to.be.revertedWithCustomError(contract, "ClaimsPaused");
+
+      await contract.setPaused(false, false, false);
+      await contract.connect(user1).claimReward(0);
+    });
+
+    it("should keep disputes open while resolution is paused", async function () {
+      await contract.setResolutionConfig(ONE_ETHER, 3600);
+      await time.increaseTo(endTime);
+      await contract.resolveMarket(0, true, { value: ONE_ETHER });
+      await contract.setPaused(false, true, false);
+      await contract.connect(user3).disputeResolution(0, { value: ONE_ETHER });
+      await expect(contract.arbitrate(0, 1)).to.be.revertedWithCustomError(contract, "ResolutionPaused");
+    });
+
+    it("should only let the pauser pause", async function () {
+      await expect(
+        contract.connect(user1).setPaused(true, true, true)
+      ).to.be.revertedWithCustomError(contract, "MissingRole");
+    });
+
+    it("should activate emergency refunds only after the timelock", async function () {
+      await expect(contract.activateEmergencyRefund()).to.be.revertedWithCustomError(contract, "EmergencyNotScheduled");
+      const tx = contract.scheduleEmergencyRefund();
+      const activateAt = (await time.latest()) + 1 + 2 * ONE_DAY;
+      await expect(tx).to.emit(contract, "EmergencyRefundScheduled").withArgs(activateAt);
+      await expect(contract.activateEmergencyRefund()).to.be.revertedWithCustomError(contract, "EmergencyTimelocked");
+
+      await expect(contract.cancelEmergencyRefund()).to.emit(contract, "EmergencyRefundCancelled");
+      expect(await contract.emergencyRefundAt()).to.equal(0);
+
+      await contract.scheduleEmergencyRefund();
+      await time.increase(2 * ONE_DAY);
+      await expect(contract.activateEmergencyRefund()).to.emit(contract, "EmergencyRefundActivated");
+      await expect(contract.cancelEmergencyRefund()).to.be.revertedWithCustomError(contract, "EmergencyNotScheduled");
+      await expect(
+        contract.connect(user1).scheduleEmergencyRefund()
+      ).to.be.revertedWithCustomError(contract, "OnlyOwner");
+    });
+
+    it("should refund every unresolved market in emergency mode", async function () {
+      await contract.createMarket("Settled?", (await time.latest()) + 60);
+      await contract.connect(user1).buyYes(1, { value: ONE_ETHER });
+      await contract.connect(user2).buyNo(1, { value: ONE_ETHER });
+      await time.increase(61);
+      await contract.resolveMarket(1, true);
+
+      await contract.scheduleEmergencyRefund();
+      await time.increase(2 * ONE_DAY);
+      await contract.activateEmergencyRefund();
+
+      expect(await contract.getClaimable(0, user2.address)).to.equal(ONE_ETHER);
+      await expect(contract.connect(user2).refund(0))
+        .to.emit(contract, "MarketCancelled").withArgs(0)
+        .and.to.emit(contract, "Refunded").withArgs(0, user2.address, ONE_ETHER);
+      await expect(contract.connect(user1).claimMany([0, 1]))
+        .to.emit(contract, "Refunded").withArgs(0, user1.address, ONE_ETHER)
+        .and.to.emit(contract, "RewardClaimed").withArgs(1, user1.address, ethers.parseEther("2"));
+
+      await expect(
+        contract.connect(user1).buyYes(0, { value: ONE_ETHER })
+      ).to.be.revertedWithCustomError(contract, "EmergencyActive");
+      await expect(
+        contract.createMarket("New?", (await time.latest()) + ONE_DAY)
+      ).to.be.revertedWithCustomError(contract, "EmergencyActive");
+      expect(await ethers.provider.getBalance(await contract.getAddress())).to.equal(0);
+    });
+  });
+
+  describe("Market metadata", function () {
+    const doc = JSON.stringify({
+      description: "Settles on the Coinbase BTC-USD daily close.",
+      category: "Crypto",
+      tags: ["btc", "price"],
+      resolutionSource: "https://www.coinbase.com/price/bitcoin",
+      resolutionCriteria: "YES if the close on the end date is at or above $100,000.",
+      image: "ipfs://bafy-example",
+    });
+
+    it("should emit the document and store its hash", async function () {
+      const endTime = (await time.latest()) + ONE_DAY;
+      const hash = ethers.keccak256(ethers.toUtf8Bytes(doc));
+      await expect(contract.createMarketWithParams({ question: "BTC ≥ 100k?", outcomes: [], endTime, collateral: ethers.ZeroAddress, metadata: doc, limits: NO_LIMITS, oracleData: "0x", range: NO_RANGE }))
+        .to.emit(contract, "MarketCreated")
+        .withArgs(0, "BTC ≥ 100k?", endTime, hash, doc);
+      expect(await contract.metadataHash(0)).to.equal(hash);
+    });
+
+    it("should carry metadata on categorical proposals", async function () {
+      const endTime = (await time.latest()) + ONE_DAY;
+      const params = { question: "Which chain?", outcomes: ["A", "B"], endTime, collateral: ethers.ZeroAddress, metadata: doc, limits: NO_LIMITS, oracleData: "0x", range: NO_RANGE };
+      await expect(contract.connect(user1).proposeMarketWithParams(params))
+        .to.emit(contract, "MarketCreated")
+        .withArgs(0, "Which chain?", endTime, ethers.keccak256(ethers.toUtf8Bytes(doc)), doc);
+    });
+
+    it("should leave the hash empty without a document", async function () {
+      await contract.createMarket("Plain?", (await time.latest()) + ONE_DAY);
+      expect(await contract.metadataHash(0)).to.equal(ethers.ZeroHash);
+    });
+  });
+
+  describe("Signed intents", function () {
+    const UNIT = 10n ** 6n;
+    const BET_TYPES = {
+      BetIntent: [
+        { name: "bettor", type: "address" },
+        { name: "marketId", type: "uint256" },
+        { name: "outcome", type: "uint8" },
+        { name: "amount", type: "uint256" },
+        { name: "nonce", type: "uint256" },
+        { name: "deadline", type: "uint256" },
+      ],
+    };
+    const CLAIM_TYPES = {
+      ClaimIntent: [
+        { name: "claimant", type: "address" },
+        { name: "marketIds", type: "uint256[]" },
+        { name: "nonce", type: "uint256" },
+        { name: "deadline", type: "uint256" },
+      ],
+    };
+    let token, domain, endTime;
+
+    beforeEach(async function () {
+      token = await (await ethers.getContractFactory("MockERC20")).deploy("Test Dollar", "TUSD", 6);
+      await token.mint(user1.address, 1000n * UNIT);
+      await token.connect(user1).approve(await contract.getAddress(), ethers.MaxUint256);
+      endTime = (await time.latest()) + ONE_DAY;
+      await contract.createMarketWithParams({ question: "Gasless?", outcomes: [], endTime, collateral: await token.getAddress(), metadata: "", limits: NO_LIMITS, oracleData: "0x", range: NO_RANGE });
+      const { chainId } = await ethers.provider.getNetwork();
+      domain = { name: "ARCPredictX", version: "1", chainId, verifyingContract: await contract.getAddress() };
+    });
+
+    async function signBet(signer, fields = {}) {
+      const intent = { bettor: signer.address, marketId: 0, outcome: 0, amount: 10n * UNIT, nonce: await contract.nonces(signer.address), deadline: endTime, ...fields };
+      return { intent, sig: ethers.Signature.from(await signer.signTypedData(domain, BET_TYPES, intent)) };
+    }
+
+    it("should credit a relayed bet to the signer and pull their tokens", async function () {
+      const { intent, sig } = await signBet(user1);
+      await expect(contract.connect(user3).betBySig(intent, sig.v, sig.r, sig.s))
+        .to.emit(contract, "BetPlaced")
+        .withArgs(0, user1.address, true, 10n * UNIT);
+      expect(await contract.yesBets(0, user1.address)).to.equal(10n * UNIT);
+      expect(await contract.yesBets(0, user3.address)).to.equal(0);
+      expect(await token.balanceOf(user1.address)).to.equal(990n * UNIT);
+      expect(await contract.nonces(user1.address)).to.equal(1);
+      expect(await contract.DOMAIN_SEPARATOR()).to.equal(ethers.TypedDataEncoder.hashDomain(domain));
+    });
+
+    it("should reject replays, stale nonces, expired intents and other signers", async function () {
+      const { intent, sig } = await signBet(user1);
+      await contract.connect(user3).betBySig(intent, sig.v, sig.r, sig.s);
+      await expect(
+        contract.connect(user3).betBySig(intent, sig.v, sig.r, sig.s)
+      ).to.be.revertedWithCustomError(contract, "InvalidNonce");
+
+      const late = await signBet(user1, { deadline: (await time.latest()) - 1 });
+      await expect(
+        contract.connect(user3).betBySig(late.intent, late.sig.v, late.sig.r, late.sig.s)
+      ).to.be.revertedWithCustomError(contract, "IntentExpired");
+
+      const forged = await signBet(user2, { bettor: user1.address, nonce: 1 });
+      await expect(
+        contract.connect(user3).betBySig(forged.intent, forged.sig.v, forged.sig.r, forged.sig.s)
+      ).to.be.revertedWithCustomError(contract, "InvalidSignature");
+
+      const tampered = await signBet(user1);
+      await expect(
+        contract.connect(user3).betBySig({ ...tampered.intent, amount: 100n * UNIT }, tampered.sig.v, tampered.sig.r, tampered.sig.s)
+      ).to.be.revertedWithCustomError(contract, "InvalidSignature");
+    });
+
+    it("should apply the usual betting rules to relayed bets", async function () {
+      await contract.setPaused(true, false, false);
+      const { intent, sig } = await signBet(user1);
+      await expect(
+        contract.connect(user3).betBySig(intent, sig.v, sig.r, sig.s)
+      ).to.be.revertedWithCustomError(contract, "BettingPaused");
+      expect(await contract.nonces(user1.address)).to.equal(0);
+    });
+
+    it("should take a native bet's stake from the submitter and credit the signer", async function () {
+      await contract.createMarket("Native?", endTime);
+      const { intent, sig } = await signBet(user1, { marketId: 1, amount: ONE_ETHER });
+      await expect(
+        contract.connect(user3).betBySig(intent, sig.v, sig.r, sig.s)
+      ).to.be.revertedWithCustomError(contract, "WrongValue");
+      await expect(contract.connect(user3).betBySig(intent, sig.v, sig.r, sig.s, { value: ONE_ETHER }))
+        .to.changeEtherBalances([user3, user1], [-ONE_ETHER, 0]);
+      expect(await contract.yesBets(1, user1.address)).to.equal(ONE_ETHER);
+      expect(await contract.yesBets(1, user3.address)).to.equal(0);
+    });
+
+    it("should pay relayed claims to the signer", async function () {
+      const { intent, sig } = await signBet(user1);
+      await contract.connect(user3).betBySig(intent, sig.v, sig.r, sig.s);
+      await time.increaseTo(endTime);
+      await contract.resolveMarket(0, true);
+
+      const claim = { claimant: user1.address, marketIds: [0], nonce: 1, deadline: endTime + ONE_DAY };
+      const csig = ethers.Signature.from(await user1.signTypedData(domain, CLAIM_TYPES, claim));
+      await expect(contract.connect(user3).claimBySig(claim, csig.v, csig.r, csig.s))
+        .to.emit(contract, "RewardClaimed")
+        .withArgs(0, user1.address, 10n * UNIT);
+      expect(await token.balanceOf(user1.address)).to.equal(1000n * UNIT);
+      expect(await token.balanceOf(user3.address)).to.equal(0);
+      await expect(
+        contract.connect(user3).claimBySig(claim, csig.v, csig.r, csig.s)
+      ).to.be.revertedWithCustomError(contract, "InvalidNonce");
+    });
+  });
+
+  describe("Scalar markets", function () {
+    let endTime;
+    const [LONG, SHORT] = [0, 1];
+    const E = (n) => ethers.parseEther(String(n));
+    const create = (range, outcomes = []) =>
+      contract.createMarketWithParams({ question: "TVL on Dec 1 ($M)?", outcomes, endTime, collateral: ethers.ZeroAddress, metadata: "", limits: NO_LIMITS, oracleData: "0x", range });
+
+    beforeEach(async function () {
+      endTime = (await time.latest()) + ONE_DAY;
+    });
+
+    it("should store the range and reject invalid ones", async function () {
+      await create({ lower: -100, upper: 200 });
+      expect((await contract.getMarketInfo(0)).kind).to.equal(2);
+      const s = await contract.scalars(0);
+      expect([s.lower, s.upper]).to.deep.equal([-100n, 200n]);
+      expect((await contract.getOutcomes(0)).labels).to.deep.equal(["LONG", "SHORT"]);
+
+      await expect(create({ lower: 5, upper: 5 })).to.be.revertedWithCustomError(contract, "InvalidRange");
+      await expect(create({ lower: 0, upper: 10 }, ["A", "B"])).to.be.revertedWithCustomError(contract, "InvalidRange");
+      await expect(create({ lower: 0, upper: 2n ** 128n })).to.be.revertedWithCustomError(contract, "InvalidRange");
+    });
+
+    it("should split the pool linearly between LONG and SHORT", async function () {
+      await create({ lower: 100, upper: 200 });
+      await contract.connect(user1).placeBet(0, LONG, E(3), { value: E(3) });
+      await contract.connect(user2).placeBet(0, SHORT, E(3), { value: E(3) });
+      await contract.connect(user3).placeBet(0, LONG, E(1), { value: E(1) });
+      await contract.connect(user3).placeBet(0, SHORT, E(1), { value: E(1) });
+      await time.increaseTo(endTime);
+
+      // 175 is 75% of the way up: LONG shares 6 of 8, SHORT the other 2
+      await expect(contract.resolveScalar(0, 175))
+        .to.emit(contract, "ScalarResolved")
+        .withArgs(0, 175, E(6), E(2));
+      expect(await contract.getClaimable(0, user1.address)).to.equal(E("4.5"));
+      expect(await contract.getClaimable(0, user2.address)).to.equal(E("1.5"));
+      expect(await contract.getClaimable(0, user3.address)).to.equal(E(2)); // 1.5 + 0.5
+
+      for (const u of [user1, user2, user3]) await contract.connect(u).claimReward(0);
+      expect(await ethers.provider.getBalance(await contract.getAddress())).to.equal(0);
+    });
+
+    it("should clamp at the bounds and take the fee from the gaining side", async function () {
+      await contract.setFeeConfig(1000, 0);
+      await create({ lower: 100, upper: 200 });
+      await contract.connect(user1).placeBet(0, LONG, E(1), { value: E(1) });
+      await contract.connect(user2).placeBet(0, SHORT, E(3), { value: E(3) });
+      await time.increaseTo(endTime);
+
+      // LONG takes all 4, and pays 10% of the 3 it won
+      await expect(contract.resolveScalar(0, 250))
+        .to.emit(contract, "ScalarResolved")
+        .withArgs(0, 250, E("3.7"), 0);
+      expect((await contract.scalars(0)).value).to.equal(250);
+      expect(await contract.accruedFees(admin.address)).to.equal(E("0.3"));
+      expect(await contract.getClaimable(0, user1.address)).to.equal(E("3.7"));
+      expect(await contract.getClaimable(0, user2.address)).to.equal(0);
+      await expect(contract.connect(user2).claimReward(0)).to.be.revertedWithCustomError(contract, "NotWinner");
+    });
+
+    it("should give the whole pool to the only side that bet", async function () {
+      await create({ lower: 100, upper: 200 });
+      await contract.connect(user1).placeBet(0, LONG, E(2), { value: E(2) });
+      await time.increaseTo(endTime);
+      await contract.resolveScalar(0, 100);
+      expect(await contract.getClaimable(0, user1.address)).to.equal(E(2));
+    });
+
+    it("should only settle scalar markets through resolveScalar", async function () {
+      await create({ lower: 100, upper: 200 });
+      await contract.createMarket("Binary?", endTime);
+      await expect(contract.resolveScalar(0, 150)).to.be.revertedWithCustomError(contract, "MarketNotExpired");
+      await time.increaseTo(endTime);
+
+      await expect(contract.resolveOutcome(0, LONG)).to.be.revertedWithCustomError(contract, "InvalidOutcome");
+      await expect(contract.resolveMarket(0, true)).to.be.revertedWithCustomError(contract, "NotBinaryMarket");
+      await expect(contract.resolveScalar(1, 150)).to.be.revertedWithCustomError(contract, "NotScalarMarket");
+      await expect(
+        contract.connect(user1).resolveScalar(0, 150)
+      ).to.be.revertedWithCustomError(contract, "MissingRole");
+
+      await contract.resolveScalar(0, 150);
+      await expect(contract.resolveScalar(0, 150)).to.be.revertedWithCustomError(contract, "MarketAlreadyResolved");
+    });
+
+    it("should put a proposed value through the dispute window", async function () {
+      const BOND = E(1);
+      await contract.setResolutionConfig(BOND, 3600);
+      await create({ lower: 100, upper: 200 });
+      await create({ lower: 100, upper: 200 });
+      for (const id of [0, 1]) {
+        await contract.connect(user1).placeBet(id, LONG, E(3), { value: E(3) });
+        await contract.connect(user2).placeBet(id, SHORT, E(1), { value: E(1) });
+      }
+      await time.increaseTo(endTime);
+
+      await expect(contract.resolveScalar(0, 150)).to.be.revertedWithCustomError(contract, "WrongBond");
+      await expect(contract.resolveScalar(0, 150, { value: BOND }))
+        .to.emit(contract, "ResolutionProposed").withArgs(0, 0, 150, admin.address, anyValue);
+      expect((await contract.resolutions(0)).value).to.equal(150);
+      expect((await contract.getMarketInfo(0)).resolved).to.equal(false);
+      await expect(contract.resolveScalar(0, 175, { value: BOND })).to.be.revertedWithCustomError(contract, "ResolutionPending");
+
+      // Disputed: the arbiter's value stands and the disputer takes both bonds
+      await contract.connect(user2).disputeResolution(0, { value: BOND });
+      await expect(contract.arbitrate(0, LONG)).to.be.revertedWithCustomError(contract, "InvalidOutcome");
+      await expect(contract.arbitrateScalar(0, 120))
+        .to.emit(contract, "DisputeSettled").withArgs(0, 0, 120, user2.address)
+        .and.to.emit(contract, "ScalarResolved");
+      expect((await contract.scalars(0)).value).to.equal(120);
+      expect(await contract.accruedFees(user2.address)).to.equal(BOND * 2n);
+
+      // Undisputed: final at the proposed value once the window has passed
+      await contract.resolveScalar(1, 180, { value: BOND });
+      await expect(contract.finalizeResolution(1)).to.be.revertedWithCustomError(contract, "DisputeWindowOpen");
+      await time.increase(3600);
+      await expect(contract.finalizeResolution(1)).to.emit(contract, "ScalarResolved");
+      expect((await contract.scalars(1)).value).to.equal(180);
+      await expect(contract.arbitrateScalar(2, 0)).to.be.revertedWithCustomError(contract, "NotScalarMarket");
+    });
+  });
+
+  describe("Rescheduling", function () {
+    let endTime;
+
+    beforeEach(async function () {
+      endTime = (await time.latest()) + ONE_DAY;
+      await contract.createMarket("Will the match be played?", endTime);
+      await contract.connect(user1).buyYes(0, { value: ONE_ETHER });
+    });
+
+    it("should extend a postponed market and keep betting open", async function () {
+      const later = endTime + 2 * ONE_DAY;
+      await expect(contract.rescheduleMarket(0, later))
+        .to.emit(contract, "MarketRescheduled")
+        .withArgs(0, endTime, later);
+      expect((await contract.getMarketInfo(0)).endTime).to.equal(later);
+      expect(await contract.reschedules(0)).to.equal(1);
+
+      await time.increaseTo(endTime + 60);
+      await contract.connect(user2).buyNo(0, { value: ONE_ETHER });
+      await expect(contract.resolveMarket(0, true)).to.be.revertedWithCustomError(contract, "MarketNotExpired");
+    });
+
+    it("should close betting early but never in the past, leaving endTime alone", async function () {
+      const soon = (await time.latest()) + 3600;
+      await expect(contract.closeBetting(0, soon))
+        .to.emit(contract, "BettingClosedEarly")
+        .withArgs(0, soon);
+      expect((await contract.getMarketInfo(0)).endTime).to.equal(endTime);
+      expect((await contract.limits(0)).cutoff).to.equal(endTime - soon);
+      expect(await contract.reschedules(0)).to.equal(0);
+
+      await time.increaseTo(soon);
+      await expect(
+        contract.connect(user2).buyNo(0, { value: ONE_ETHER })
+      ).to.be.revertedWithCustomError(contract, "BettingClosed");
+      await expect(contract.resolveMarket(0, true)).to.be.revertedWithCustomError(contract, "MarketNotExpired");
+      await expect(contract.closeBetting(0, soon + 60)).to.be.revertedWithCustomError(contract, "BettingClosed");
+      await time.increaseTo(endTime);
+      await contract.resolveMarket(0, true);
+
+      await contract.createMarket("Later?", endTime + ONE_DAY);
+      await expect(
+        contract.closeBetting(1, (await time.latest()) - 1)
+      ).to.be.revertedWithCustomError(contract, "EndTimeInPast");
+      await expect(
+        contract.closeBetting(1, endTime + ONE_DAY)
+      ).to.be.revertedWithCustomError(contract, "NotEarlier");
+    });
+
+    it("should only move endTime later, and keep closed betting closed", async function () {
+      await expect(contract.rescheduleMarket(0, endTime - 60)).to.be.revertedWithCustomError(contract, "NotExtension");
+      await expect(contract.rescheduleMarket(0, endTime)).to.be.revertedWithCustomError(contract, "NotExtension");
+
+      const soon = (await time.latest()) + 3600;
+      await contract.closeBetting(0, soon);
+      await time.increaseTo(soon);
+      await expect(contract.rescheduleMarket(0, endTime + ONE_DAY))
+        .to.emit(contract, "MarketRescheduled")
+        .withArgs(0, endTime, endTime + ONE_DAY);
+      await expect(
+        contract.connect(user2).buyNo(0, { value: ONE_ETHER })
+      ).to.be.revertedWithCustomError(contract, "BettingClosed");
+      expect((await contract.limits(0)).cutoff).to.equal(endTime + ONE_DAY - soon);
+    });
+
+    it("should cap how far and how often a market moves", async function () {
+      await expect(
+        contract.rescheduleMarket(0, endTime + 30 * ONE_DAY + 1)
+      ).to.be.revertedWithCustomError(contract, "ExtensionTooLong");
+      for (let i = 1; i <= 3; i++) await contract.rescheduleMarket(0, endTime + i * 30 * ONE_DAY);
+      await expect(
+        contract.rescheduleMarket(0, endTime + 91 * ONE_DAY)
+      ).to.be.revertedWithCustomError(contract, "TooManyReschedules");
+    });
+
+    it("should only let a resolver reschedule or close an open market", async function () {
+      await expect(
+        contract.connect(user1).rescheduleMarket(0, endTime + ONE_DAY)
+      ).to.be.revertedWithCustomError(contract, "MissingRole");
+      await expect(
+        contract.connect(user1).closeBetting(0, endTime - 60)
+      ).to.be.revertedWithCustomError(contract, "MissingRole");
+      await contract.cancelMarket(0);
+      await expect(
+        contract.rescheduleMarket(0, endTime + ONE_DAY)
+      ).to.be.revertedWithCustomError(contract, "MarketIsCancelled");
+      await expect(
+        contract.closeBetting(0, endTime - 60)
+      ).to.be.revertedWithCustomError(contract, "MarketIsCancelled");
+    });
+  });
+
+  describe("Referrals", function () {
+    const FEE_BPS = 500;  // 5% of the losing pools
+    const REF_BPS = 2000; // 20% of that fee
+    const E = (n) => ethers.parseEther(String(n));
+    let endTime;
+
+    beforeEach(async function () {
+      endTime = (await time.latest()) + ONE_DAY;
+      await contract.setFeeConfig(FEE_BPS, 0);
+      await contract.setReferralBps(REF_BPS);
+      await contract.createMarket("Referred?", endTime);
+    });
+
+    it("should record the first referrer only, ignoring self and zero", async function () {
+      await contract.connect(user1).placeBetWithReferrer(0, 0, ONE_ETHER, user1.address, { value: ONE_ETHER });
+      await contract.connect(user1).placeBetWithReferrer(0, 0, ONE_ETHER, ethers.ZeroAddress, { value: ONE_ETHER });
+      expect(await contract.referrerOf(user1.address)).to.equal(ethers.ZeroAddress);
+
+      await expect(contract.connect(user1).placeBetWithReferrer(0, 0, ONE_ETHER, user3.address, { value: ONE_ETHER }))
+        .to.emit(contract, "ReferrerSet").withArgs(user1.address, user3.address);
+      await expect(contract.connect(user1).placeBetWithReferrer(0, 1, ONE_ETHER, user2.address, { value: ONE_ETHER }))
+        .to.not.emit(contract, "ReferrerSet");
+      expect(await contract.referrerOf(user1.address)).to.equal(user3.address);
+      expect(await contract.getUserStakes(0, user1.address)).to.deep.equal([ONE_ETHER * 3n, ONE_ETHER]);
+    });
+
+    it("should pay the referrer out of the fee, not the referee's winnings", async function () {
+      await contract.connect(user1).placeBetWithReferrer(0, 0, ONE_ETHER, user3.address, { value: ONE_ETHER });
+      await contract.connect(user2).buyNo(0, { value: E(3) });
+      await time.increaseTo(endTime);
+
+      // Fee 0.15 on the 3 lost: 0.03 is set aside for referrers, the treasury gets the other 0.12
+      await expect(contract.resolveMarket(0, true)).to.emit(contract, "FeesAccrued").withArgs(0, E("0.12"), 0);
+      expect(await contract.getClaimable(0, user1.address)).to.equal(E("3.85"));
+      await expect(contract.connect(user1).claimReward(0))
+        .to.emit(contract, "ReferralPaid").withArgs(0, user3.address, user1.address, E("0.03"))
+        .and.to.emit(contract, "RewardClaimed").withArgs(0, user1.address, E("3.85"));
+      expect(await contract.referralEarnings(user3.address, ethers.ZeroAddress)).to.equal(E("0.03"));
+      await expect(contract.connect(user3).withdrawFees()).to.changeEtherBalance(user3, E("0.03"));
+      expect(await ethers.provider.getBalance(await contract.getAddress())).to.equal(await contract.accruedFees(admin.address));
+    });
+
+    it("should release the share of winners without a referrer to the treasury", async function () {
+      await contract.connect(user1).buyYes(0, { value: ONE_ETHER });
+      await contract.connect(user2).buyNo(0, { value: E(3) });
+      await time.increaseTo(endTime);
+      await contract.resolveMarket(0, true);
+
+      expect(await contract.accruedFees(admin.address)).to.equal(E("0.12"));
+      await expect(contract.connect(user1).claimReward(0)).to.not.emit(contract, "ReferralPaid");
+      expect(await contract.accruedFees(admin.address)).to.equal(E("0.15"));
+      expect(await ethers.provider.getBalance(await contract.getAddress())).to.equal(E("0.15"));
+    });
+
+    it("should lock the referral rate in when the market is created", async function () {
+      await contract.setReferralBps(0);
+      await contract.createMarket("Unreferred?", endTime);
+      expect((await contract.getMarketInfo(0)).referralBps).to.equal(REF_BPS);
+      expect((await contract.getMarketInfo(1)).referralBps).to.equal(0);
+
+      for (const id of [0, 1]) {
+        await contract.connect(user1).placeBetWithReferrer(id, 0, ONE_ETHER, user3.address, { value: ONE_ETHER });
+        await contract.connect(user2).buyNo(id, { value: E(3) });
+      }
+      await time.increaseTo(endTime);
+      for (const id of [0, 1]) await contract.resolveMarket(id, true);
+
+      await contract.connect(user1).claimMany([0, 1]);
+      expect(await contract.referralEarnings(user3.address, ethers.ZeroAddress)).to.equal(E("0.03"));
+    });
+
+    it("should take nothing from refunds or markets without a fee", async function () {
+      await contract.connect(user1).placeBetWithReferrer(0, 0, ONE_ETHER, user3.address, { value: ONE_ETHER });
+      await contract.createMarket("Voided?", endTime);
+      await contract.connect(user1).buyNo(1, { value: ONE_ETHER });
+      await contract.connect(user2).buyYes(1, { value: ONE_ETHER });
+      await time.increaseTo(endTime);
+      await contract.resolveMarket(0, true); // user1 was the only bettor
+      await contract.cancelMarket(1);
+
+      expect(await contract.getClaimable(0, user1.address)).to.equal(ONE_ETHER);
+      await expect(contract.connect(user1).claimMany([0, 1]))
+        .to.not.emit(contract, "ReferralPaid");
+      expect(await contract.accruedFees(user3.address)).to.equal(0);
+    });
+
+    it("should credit token-market shares in the token", async function () {
+      const token = await (await ethers.getContractFactory("MockERC20")).deploy("Test Dollar", "TUSD", 6);
+      const tokenAddr = await token.getAddress();
+      for (const u of [user1, user2]) {
+        await token.mint(u.address, 1000n);
+        await token.connect(u).approve(await contract.getAddress(), ethers.MaxUint256);
+      }
+      await contract.createMarketWithParams({ question: "Token?", outcomes: [], endTime, collateral: tokenAddr, metadata: "", limits: NO_LIMITS, oracleData: "0x", range: NO_RANGE });
+      await contract.connect(user1).placeBetWithReferrer(1, 1, 100n, user3.address);
+      await contract.connect(user2).placeBet(1, 0, 400n);
+      await time.increaseTo(endTime);
+      await contract.resolveMarket(1, false);
+
+      // Fee 20 on the 400 lost, 4 of it for the referrer
+      await contract.connect(user1).claimMany([1]);
+      expect(await token.balanceOf(user1.address)).to.equal(1000n - 100n + 480n);
+      expect(await contract.tokenFees(tokenAddr, user3.address)).to.equal(4n);
+      expect(await contract.referralEarnings(user3.address, tokenAddr)).to.equal(4n);
+      await contract.connect(user3).withdrawTokenFees(tokenAddr);
+      expect(await token.balanceOf(user3.address)).to.equal(4n);
+    });
+
+    it("should let only the owner set the referral share, within the cap", async function () {
+      await expect(contract.setReferralBps(5000)).to.emit(contract, "ReferralConfigUpdated").withArgs(5000);
+      expect(await contract.referralBps()).to.equal(5000);
+      await expect(contract.setReferralBps(5001)).to.be.revertedWithCustomError(contract, "ReferralTooHigh");
+      await expect(
+        contract.connect(user1).setReferralBps(0)
+      ).to.be.revertedWithCustomError(contract, "OnlyOwner");
+    });
+  });
+
   describe("View functions", function () {
     it("getUserBets should return correct data", async function () {
       const endTime = (await time.latest()) + ONE_DAY;
@@ -0,0 +1,281 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+
+describe("ARCPredictXAMM", function () {
+  let predictx, amm, admin, user1, user2, user3;
+  const ONE_DAY = 86400;
+  const ONE_ETHER = ethers.parseEther("1");
+  const NO_LIMITS = { minBet: 0, maxPerUser: 0, maxPool: 0, cutoff: 0 };
+  const NO_RANGE = { lower: 0, upper: 0 };
+  const SEED = ethers.parseEther("100");
+  let endTime;
+
+  beforeEach(async function () {
+    [admin, user1, user2, user3] = await ethers.getSigners();
+    predictx = await (await ethers.getContractFactory("ARCPredictX")).deploy();
+    amm = await (await ethers.getContractFactory("ARCPredictXAMM")).deploy(await predictx.getAddress());
+    endTime = (await time.latest()) + ONE_DAY;
+    await predictx.createMarket("Will it rain?", endTime);
+  });
+
+  describe("Linking", function () {
+    it("should let the owner point PredictX at the AMM", async function () {
+      const addr = await amm.getAddress();
+      await expect(predictx.setAmm(addr)).to.emit(predictx, "AmmUpdated").withArgs(addr);
+      expect(await predictx.amm()).to.equal(addr);
+      await expect(
+        predictx.connect(user1).setAmm(addr)
+      ).to.be.revertedWithCustomError(predictx, "OnlyOwner");
+    });
+  });
+
+  describe("createPool", function () {
+    it("should seed a 50/50 pool", async function () {
+      await expect(amm.createPool(0, SEED, { value: SEED }))
+        .to.emit(amm, "PoolCreated")
+        .withArgs(0, admin.address, SEED);
+      const [yesPrice, noPrice] = await amm.getPrice(0);
+      expect(yesPrice).to.equal(ONE_ETHER / 2n);
+      expect(noPrice).to.equal(ONE_ETHER / 2n);
+    });
+
+    it("should require CREATOR_ROLE on PredictX", async function () {
+      await expect(
+        amm.connect(user1).createPool(0, SEED, { value: SEED })
+      ).to.be.revertedWithCustomError(amm, "NotCreator");
+    });
+
+    it("should reject duplicate pools, categorical and closed markets", async function () {
+      await amm.createPool(0, SEED, { value: SEED });
+      await expect(
+        amm.createPool(0, SEED, { value: SEED })
+      ).to.be.revertedWithCustomError(amm, "PoolExists");
+
+      await predictx.createCategoricalMarket("Which?", ["A", "B", "C"], endTime);
+      await expect(
+        amm.createPool(1, SEED, { value: SEED })
+      ).to.be.revertedWithCustomError(amm, "NotBinaryMarket");
+
+      await predictx.createMarket("Soon?", (await time.latest()) + 60);
+      await time.increase(61);
+      await expect(
+        amm.createPool(2, SEED, { value: SEED })
+      ).to.be.revertedWithCustomError(amm, "MarketClosed");
+    });
+  });
+
+  describe("Trading", function () {
+    beforeEach(async function () {
+      await amm.createPool(0, SEED, { value: SEED });
+    });
+
+    it("should match the fixed-product quote and move the price", async function () {
+      const quote = await amm.quoteBuy(0, 0, ONE_ETHER * 10n);
+      await expect(amm.connect(user1).buy(0, 0, ONE_ETHER * 10n, quote, { value: ONE_ETHER * 10n }))
+        .to.emit(amm, "SharesBought")
+        .withArgs(0, user1.address, 0, ONE_ETHER * 10n, quote);
+
+      // 100 * 100 = newYes * 110  ⇒  out = 100 + 10 - ceil(10000/110)
+      expect(quote).to.equal(SEED + ONE_ETHER * 10n - (SEED * SEED + SEED + ONE_ETHER * 10n - 1n) / (SEED + ONE_ETHER * 10n));
+      expect((await amm.getShares(0, user1.address)).yesShares).to.equal(quote);
+      const [yesPrice] = await amm.getPrice(0);
+      expect(yesPrice).to.be.gt(ONE_ETHER / 2n);
+    });
+
+    it("should enforce the slippage guard", async function () {
+      const quote = await amm.quoteBuy(0, 1, ONE_ETHER);
+      await expect(
+        amm.connect(user1).buy(0, 1, ONE_ETHER, quote + 1n, { value: ONE_ETHER })
+      ).to.be.revertedWithCustomError(amm, "SlippageExceeded");
+    });
+
+    it("should let a trader exit before close for slightly less than they paid", async function () {
+      await amm.connect(user1).buy(0, 0, ONE_ETHER * 10n, 0, { value: ONE_ETHER * 10n });
+      const held = (await amm.getShares(0, user1.address)).yesShares;
+      const quote = await amm.quoteSell(0, 0, held);
+      expect(quote).to.be.lte(ONE_ETHER * 10n);
+      expect(quote).to.be.gt(ONE_ETHER * 10n - 10n);
+
+      await expect(amm.connect(user1).sell(0, 0, held, quote))
+        .to.emit(amm, "SharesSold")
+        .withArgs(0, user1.address, 0, held, quote);
+      expect((await amm.getShares(0, user1.address)).yesShares).to.equal(0);
+      await expect(
+        amm.connect(user1).sell(0, 0, 1, 0)
+      ).to.be.revertedWithCustomError(amm, "InsufficientShares");
+    });
+
+    it("should stop trading at endTime", async function () {
+      await time.increaseTo(endTime);
+      await expect(
+        amm.connect(user1).buy(0, 0, ONE_ETHER, 0, { value: ONE_ETHER })
+      ).to.be.revertedWithCustomError(amm, "MarketClosed");
+    });
+
+    it("should stop trading at the market's betting cutoff", async function () {
+      const params = { question: "Cutoff?", outcomes: [], endTime, collateral: ethers.ZeroAddress, metadata: "", limits: { ...NO_LIMITS, cutoff: 3600 }, oracleData: "0x", range: NO_RANGE };
+      await predictx.createMarketWithParams(params);
+      await amm.createPool(1, SEED, { value: SEED });
+      await time.increaseTo(endTime - 3600);
+      await expect(
+        amm.connect(user1).buy(1, 0, ONE_ETHER, 0, { value: ONE_ETHER })
+      ).to.be.revertedWithCustomError(amm, "MarketClosed");
+    });
+
+    it("should require msg.value to match the amount", async function () {
+      await expect(
+        amm.connect(user1).buy(0, 0, ONE_ETHER, 0, { value: 1 })
+      ).to.be.revertedWithCustomError(amm, "WrongValue");
+    });
+  });
+
+  describe("Settlement", function () {
+    beforeEach(async function () {
+      await amm.createPool(0, SEED, { value: SEED });
+      await amm.connect(user1).buy(0, 0, ONE_ETHER * 20n, 0, { value: ONE_ETHER * 20n });
+      await amm.connect(user2).buy(0, 1, ONE_ETHER * 5n, 0, { value: ONE_ETHER * 5n });
+    });
+
+    it("should not redeem before the market settles", async function () {
+      await expect(
+        amm.connect(user1).redeem(0)
+      ).to.be.revertedWithCustomError(amm, "MarketNotSettled");
+    });
+
+    it("should redeem winning shares 1:1 and leave the pool solvent", async function () {
+      await time.increaseTo(endTime);
+      await predictx.resolveMarket(0, true);
+
+      const held = (await amm.getShares(0, user1.address)).yesShares;
+      await expect(amm.connect(user1).redeem(0))
+        .to.emit(amm, "SharesRedeemed")
+        .withArgs(0, user1.address, held);
+      await expect(
+        amm.connect(user2).redeem(0)
+      ).to.be.revertedWithCustomError(amm, "NothingToRedeem");
+
+      const pool = await amm.pools(0);
+      await expect(amm.withdrawLiquidity(0))
+        .to.emit(amm, "LiquidityWithdrawn")
+        .withArgs(0, admin.address, pool.yesReserve);
+      expect(await ethers.provider.getBalance(await amm.getAddress())).to.equal(0);
+    });
+
+    it("should bound the provider's loss by the seed under one-sided flow", async function () {
+      await amm.connect(user3).buy(0, 0, ONE_ETHER * 1000n, 0, { value: ONE_ETHER * 1000n });
+      await time.increaseTo(endTime);
+      await predictx.resolveMarket(0, true);
+
+      const before = await ethers.provider.getBalance(admin.address);
+      const tx = await amm.withdrawLiquidity(0);
+      const { gasUsed, gasPrice } = await tx.wait();
+      const received = (await ethers.provider.getBalance(admin.address)) - before + gasUsed * gasPrice;
+      expect(received).to.be.gt(0);
+      expect(received).to.be.lt(SEED);
+    });
+
+    it("should redeem every share at half a unit when the market is voided", async function () {
+      await predictx.cancelMarket(0);
+      const s1 = await amm.getShares(0, user1.address);
+      const s2 = await amm.getShares(0, user2.address);
+      await amm.connect(user1).redeem(0);
+      await amm.connect(user2).redeem(0);
+      await amm.withdrawLiquidity(0);
+
+      const balance = await ethers.provider.getBalance(await amm.getAddress());
+      expect(balance).to.be.lte(2n); // rounding dust only
+      expect((s1.yesShares + s1.noShares) / 2n).to.be.gt(0);
+      expect((s2.yesShares + s2.noShares) / 2n).to.be.gt(0);
+    });
+
+    it("should pay the ruled outcome's shares when only a dust bet opposed it", async function () {
+      await predictx.connect(user3).placeBet(0, 1, 1, { value: 1 });
+      await time.increaseTo(endTime);
+      await predictx.resolveMarket(0, true);
+      expect((await predictx.getMarketInfo(0)).cancelled).to.equal(true);
+      expect(await predictx.voidedRuling(0)).to.equal(1);
+
+      const { yesShares, noShares } = await amm.getShares(0, user1.address);
+      expect(noShares).to.equal(0);
+      await expect(amm.connect(user1).redeem(0))
+        .to.emit(amm, "SharesRedeemed")
+        .withArgs(0, user1.address, yesShares);
+      await expect(
+        amm.connect(user2).redeem(0)
+      ).to.be.revertedWithCustomError(amm, "NothingToRedeem");
+    });
+
+    it("should only let the provider withdraw, once", async function () {
+      await predictx.cancelMarket(0);
+      await expect(
+        amm.connect(user1).withdrawLiquidity(0)
+      ).to.be.revertedWithCustomError(amm, "NotProvider");
+      await amm.withdrawLiquidity(0);
+      await expect(
+        amm.withdrawLiquidity(0)
+      ).to.be.revertedWithCustomError(amm, "AlreadyWithdrawn");
+    });
+  });
+
+  describe("Circuit breaker", function () {
+    beforeEach(async function () {
+      await amm.createPool(0, SEED, { value: SEED });
+      await amm.connect(user1).buy(0, 0, ONE_ETHER * 10n, 0, { value: ONE_ETHER * 10n });
+    });
+
+    it("should stop trading while PredictX betting is paused", async function () {
+      await predictx.setPaused(true, false, false);
+      await expect(
+        amm.connect(user2).buy(0, 1, ONE_ETHER, 0, { value: ONE_ETHER })
+      ).to.be.revertedWithCustomError(amm, "MarketClosed");
+      await predictx.setPaused(false, false, false);
+      await amm.connect(user2).buy(0, 1, ONE_ETHER, 0, { value: ONE_ETHER });
+    });
+
+    it("should hold redemptions while PredictX claims are paused", async function () {
+      await time.increaseTo(endTime);
+      await predictx.resolveMarket(0, true);
+      await predictx.setPaused(false, false, true);
+      await expect(amm.connect(user1).redeem(0)).to.be.revertedWithCustomError(amm, "ClaimsPaused");
+      await expect(amm.withdrawLiquidity(0)).to.be.revertedWithCustomError(amm, "ClaimsPaused");
+    });
+
+    it("should redeem as a void in emergency refund mode", async function () {
+      await predictx.scheduleEmergencyRefund();
+      await time.increase(2 * ONE_DAY);
+      await predictx.activateEmergencyRefund();
+
+      const s1 = await amm.getShares(0, user1.address);
+      await expect(amm.connect(user1).redeem(0))
+        .to.emit(amm, "SharesRedeemed")
+        .withArgs(0, user1.address, (s1.yesShares + s1.noShares) / 2n);
+      await amm.withdrawLiquidity(0);
+    });
+  });
+
+  describe("ERC-20 collateral", function () {
+    it("should trade and redeem in the market's token", async function () {
+      const token = await (await ethers.getContractFactory("MockERC20")).deploy("Test Dollar", "TUSD", 6);
+      const tokenAddr = await token.getAddress();
+      const ammAddr = await amm.getAddress();
+      await predictx.createMarketWithParams({ question: "Token?", outcomes: [], endTime, collateral: tokenAddr, metadata: "", limits: NO_LIMITS, oracleData: "0x", range: NO_RANGE });
+      for (const s of [admin, user1]) {
+        await token.mint(s.address, 1_000_000_000n);
+        await token.connect(s).approve(ammAddr, ethers.MaxUint256);
+      }
+
+      await amm.createPool(1, 500_000_000n);
+      await expect(
+        amm.connect(user1).buy(1, 1, 1_000_000n, 0, { value: 1 })
+      ).to.be.revertedWithCustomError(amm, "WrongValue");
+      await amm.connect(user1).buy(1, 1, 10_000_000n, 0);
+
+      await time.increaseTo(endTime);
+      await predictx.resolveMarket(1, false);
+      const held = (await amm.getShares(1, user1.address)).noShares;
+      await amm.connect(user1).redeem(1);
+      expect(await token.balanceOf(user1.address)).to.equal(1_000_000_000n - 10_000_000n + held);
+    });
+  });
+});
@@ -0,0 +1,96 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+
+describe("ARCPredictXFactory", function () {
+  let implementation, factory, admin, user1, user2;
+  const ONE_DAY = 86400;
+  const ONE_ETHER = ethers.parseEther("1");
+
+  beforeEach(async function () {
+    [admin, user1, user2] = await ethers.getSigners();
+    implementation = await (await ethers.getContractFactory("ARCPredictX")).deploy();
+    factory = await (await ethers.getContractFactory("ARCPredictXFactory")).deploy(await implementation.getAddress());
+  });
+
+  async function create(signer, name) {
+    const instance = await factory.connect(signer).createInstance.staticCall(name);
+    await factory.connect(signer).createInstance(name);
+    return ethers.getContractAt("ARCPredictX", instance);
+  }
+
+  describe("createInstance", function () {
+    it("should deploy an instance owned by the caller with every role", async function () {
+      const instance = await factory.connect(user1).createInstance.staticCall("Team A");
+      await expect(factory.connect(user1).createInstance("Team A"))
+        .to.emit(factory, "InstanceCreated")
+        .withArgs(0, instance, user1.address, "Team A");
+
+      const px = await ethers.getContractAt("ARCPredictX", instance);
+      expect(await px.owner()).to.equal(user1.address);
+      expect(await px.treasury()).to.equal(user1.address);
+      for (const role of ["CREATOR_ROLE", "RESOLVER_ROLE", "PAUSER_ROLE", "ARBITER_ROLE"]) {
+        expect(await px.hasRole(await px[role](), user1.address)).to.equal(true);
+      }
+      expect(await px.hasRole(await px.CREATOR_ROLE(), admin.address)).to.equal(false);
+      expect(await factory.isInstance(instance)).to.equal(true);
+      expect(await factory.isInstance(await implementation.getAddress())).to.equal(false);
+    });
+
+    it("should reject an empty name", async function () {
+      await expect(factory.createInstance("")).to.be.revertedWithCustomError(factory, "EmptyName");
+    });
+
+    it("should not let an instance or the implementation be initialized again", async function () {
+      const px = await create(user1, "Team A");
+      await expect(px.connect(user2).initialize(user2.address)).to.be.revertedWithCustomError(px, "AlreadyInitialized");
+      await expect(
+        implementation.connect(user2).initialize(user2.address)
+      ).to.be.revertedWithCustomError(implementation, "AlreadyInitialized");
+    });
+
+    it("should keep each instance's markets and funds separate", async function () {
+      const a = await create(user1, "Team A");
+      const b = await create(user2, "Team B");
+      const endTime = (await time.latest()) + ONE_DAY;
+      await a.connect(user1).createMarket("Only in A?", endTime);
+      await a.connect(user2).buyYes(0, { value: ONE_ETHER });
+
+      expect(await a.marketCount()).to.equal(1);
+      expect(await b.marketCount()).to.equal(0);
+      expect(await implementation.marketCount()).to.equal(0);
+      expect(await ethers.provider.getBalance(await a.getAddress())).to.equal(ONE_ETHER);
+      await expect(
+        b.connect(user1).createMarket("Not mine", endTime)
+      ).to.be.revertedWithCustomError(b, "MissingRole");
+    });
+  });
+
+  describe("Registry", function () {
+    beforeEach(async function () {
+      await create(user1, "Team A");
+      await create(user2, "Team B");
+      await create(user1, "Team C");
+    });
+
+    it("should record name, owner and creation time", async function () {
+      expect(await factory.instanceCount()).to.equal(3);
+      const entry = await factory.getInstance(1);
+      expect(entry.name).to.equal("Team B");
+      expect(entry.owner).to.equal(user2.address);
+      expect(entry.createdAt).to.equal(await time.latest() - 1);
+    });
+
+    it("should page through instances", async function () {
+      const page = await factory.getInstances(1, 5);
+      expect(page.map(i => i.name)).to.deep.equal(["Team B", "Team C"]);
+      expect(await factory.getInstances(3, 5)).to.have.lengthOf(0);
+    });
+
+    it("should list instances by creator", async function () {
+      const mine = await factory.getInstancesByOwner(user1.address);
+      expect(mine.map(i => i.name)).to.deep.equal(["Team A", "Team C"]);
+      expect(await factory.getInstancesByOwner(admin.address)).to.have.lengthOf(0);
+    });
+  });
+});
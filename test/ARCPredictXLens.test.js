@@ -0,0 +1,78 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+
+describe("ARCPredictXLens", function () {
+  let predictx, lens, admin, user1, user2;
+  const ONE_DAY = 86400;
+  const ONE_ETHER = ethers.parseEther("1");
+  let endTime;
+
+  beforeEach(async function () {
+    [admin, user1, user2] = await ethers.getSigners();
+    predictx = await (await ethers.getContractFactory("ARCPredictX")).deploy();
+    lens = await (await ethers.getContractFactory("ARCPredictXLens")).deploy();
+    endTime = (await time.latest()) + ONE_DAY;
+    await predictx.createMarket("Will it rain?", endTime);
+    await predictx.createCategoricalMarket("Which?", ["A", "B", "C"], endTime);
+    await predictx.createMarket("Will it snow?", endTime);
+  });
+
+  describe("getMarkets", function () {
+    it("should return a page of markets clamped to marketCount", async function () {
+      const page = await lens.getMarkets(predictx, 1, 10);
+      expect(page.length).to.equal(2);
+      expect(page[0].question).to.equal("Which?");
+      expect(page[0].outcomeCount).to.equal(3);
+      expect(page[1].id).to.equal(2);
+      expect((await lens.getMarkets(predictx, 3, 10)).length).to.equal(0);
+      expect((await lens.getMarkets(predictx, 0, 2)).length).to.equal(2);
+    });
+  });
+
+  describe("getUserPortfolio", function () {
+    it("should join each market with the user's stakes and claim status", async function () {
+      await predictx.connect(user1).buyYes(0, { value: ONE_ETHER * 2n });
+      await predictx.connect(user2).buyNo(0, { value: ONE_ETHER });
+      await predictx.connect(user1).buy(1, 2, { value: ONE_ETHER });
+      await time.increaseTo(endTime);
+      await predictx.resolveMarket(0, true);
+
+      const page = await lens.getUserPortfolio(predictx, user1.address, 0, 2);
+      expect(page.length).to.equal(2);
+      expect(page[0].labels).to.deep.equal(["YES", "NO"]);
+      expect(page[0].pools).to.deep.equal([ONE_ETHER * 2n, ONE_ETHER]);
+      expect(page[0].stakes).to.deep.equal([ONE_ETHER * 2n, 0n]);
+      expect(page[0].claimable).to.equal(ONE_ETHER * 3n);
+      expect(page[0].claimed).to.equal(false);
+      expect(page[1].labels).to.deep.equal(["A", "B", "C"]);
+      expect(page[1].stakes).to.deep.equal([0n, 0n, ONE_ETHER]);
+      expect(page[1].claimable).to.equal(0);
+    });
+
+    it("should include pending resolutions", async function () {
+      await predictx.setResolutionConfig(ONE_ETHER, 3600);
+      await time.increaseTo(endTime);
+      await predictx.resolveMarket(2, false, { value: ONE_ETHER });
+
+      const [row] = await lens.getUserPortfolio(predictx, user1.address, 2, 1);
+      expect(row.resolution.proposer).to.equal(admin.address);
+      expect(row.resolution.outcome).to.equal(1);
+      expect(row.resolution.bond).to.equal(ONE_ETHER);
+    });
+
+    it("should include AMM pools and shares once an AMM is linked", async function () {
+      const amm = await (await ethers.getContractFactory("ARCPredictXAMM")).deploy(predictx);
+      await predictx.setAmm(amm);
+      await amm.createPool(0, ONE_ETHER * 10n, { value: ONE_ETHER * 10n });
+      await amm.connect(user1).buy(0, 0, ONE_ETHER, 0, { value: ONE_ETHER });
+
+      const page = await lens.getUserPortfolio(predictx, user1.address, 0, 3);
+      expect(page[0].ammPool.provider).to.equal(admin.address);
+      expect(page[0].ammPool.seeded).to.equal(ONE_ETHER * 10n);
+      expect(page[0].yesShares).to.equal((await amm.getShares(0, user1.address)).yesShares);
+      expect(page[1].ammPool.provider).to.equal(ethers.ZeroAddress);
+      expect(page[2].ammPool.provider).to.equal(ethers.ZeroAddress);
+    });
+  });
+});
@@ -0,0 +1,195 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+
+describe("ARCPredictXParlay", function () {
+  let predictx, parlay, px, admin, user1, user2, user3;
+  const ONE_DAY = 86400;
+  const ONE_ETHER = ethers.parseEther("1");
+  const NO_LIMITS = { minBet: 0, maxPerUser: 0, maxPool: 0, cutoff: 0 };
+  const NO_RANGE = { lower: 0, upper: 0 };
+  const BANK = ethers.parseEther("50");
+  const [YES, NO] = [0, 1];
+  let endTime;
+
+  beforeEach(async function () {
+    [admin, user1, user2, user3] = await ethers.getSigners();
+    predictx = await (await ethers.getContractFactory("ARCPredictX")).deploy();
+    parlay = await (await ethers.getContractFactory("ARCPredictXParlay")).deploy();
+    px = await predictx.getAddress();
+    endTime = (await time.latest()) + ONE_DAY;
+    // Market 0: YES 1 / NO 3 (YES pays 4×); market 1: YES 2 / NO 2 (either side pays 2×)
+    await predictx.createMarket("Will it rain?", endTime);
+    await predictx.createMarket("Will it snow?", endTime);
+    await predictx.connect(user1).buyYes(0, { value: ONE_ETHER });
+    await predictx.connect(user2).buyNo(0, { value: ONE_ETHER * 3n });
+    await predictx.connect(user1).buyYes(1, { value: ONE_ETHER * 2n });
+    await predictx.connect(user2).buyNo(1, { value: ONE_ETHER * 2n });
+    await parlay.addLiquidity(px, ethers.ZeroAddress, BANK, { value: BANK });
+  });
+
+  const buy = (stake = ONE_ETHER, ids = [0, 1], sides = [YES, NO], signer = user3) =>
+    parlay.connect(signer).buyTicket(px, ids, sides, stake, 0, { value: stake });
+
+  describe("Liquidity", function () {
+    it("should let only the PredictX owner fund and drain the pool", async function () {
+      expect(await parlay.liquidity(px, ethers.ZeroAddress)).to.equal(BANK);
+      await expect(
+        parlay.connect(user1).addLiquidity(px, ethers.ZeroAddress, ONE_ETHER, { value: ONE_ETHER })
+      ).to.be.revertedWithCustomError(parlay, "NotOwner");
+      await expect(
+        parlay.connect(user1).removeLiquidity(px, ethers.ZeroAddress, ONE_ETHER)
+      ).to.be.revertedWithCustomError(parlay, "NotOwner");
+      const tx = parlay.removeLiquidity(px, ethers.ZeroAddress, ONE_ETHER);
+      await expect(tx).to.emit(parlay, "LiquidityRemoved").withArgs(px, ethers.ZeroAddress, ONE_ETHER);
+      await expect(tx).to.changeEtherBalance(admin, ONE_ETHER);
+    });
+
+    it("should keep reserved payouts out of reach", async function () {
+      await buy(); // reserves 8, of which 7 come from the pool
+      expect(await parlay.reserved(px, ethers.ZeroAddress)).to.equal(ONE_ETHER * 8n);
+      expect(await parlay.liquidity(px, ethers.ZeroAddress)).to.equal(BANK - ONE_ETHER * 7n);
+      await expect(
+        parlay.removeLiquidity(px, ethers.ZeroAddress, BANK)
+      ).to.be.revertedWithCustomError(parlay, "InsufficientLiquidity");
+    });
+  });
+
+  describe("Buying", function () {
+    it("should lock each leg's pari-mutuel odds and multiply them", async function () {
+      expect((await parlay.quote(px, [0, 1], [YES, NO], ONE_ETHER)).payout).to.equal(ONE_ETHER * 8n);
+      await expect(buy())
+        .to.emit(parlay, "TicketBought")
+        .withArgs(0, px, user3.address, ONE_ETHER, ONE_ETHER * 8n, [0, 1], [YES, NO]);
+      const legs = await parlay.getLegs(0);
+      expect(legs[0].odds).to.equal(ONE_ETHER * 4n);
+      expect(legs[1].odds).to.equal(ONE_ETHER * 2n);
+      expect(await parlay.getTickets(user3.address)).to.deep.equal([0n]);
+
+      // Later bets move the markets, not the ticket
+      await predictx.connect(user1).buyYes(0, { value: ONE_ETHER * 3n });
+      expect((await parlay.tickets(0)).maxPayout).to.equal(ONE_ETHER * 8n);
+    });
+
+    it("should refuse malformed tickets", async function () {
+      await expect(buy(ONE_ETHER, [0], [YES])).to.be.revertedWithCustomError(parlay, "InvalidLegCount");
+      await expect(buy(ONE_ETHER, [0, 0], [YES, NO])).to.be.revertedWithCustomError(parlay, "DuplicateMarket");
+      await expect(buy(ONE_ETHER, [0, 1], [YES, 2])).to.be.revertedWithCustomError(parlay, "InvalidOutcome");
+      await expect(buy(ONE_ETHER, [0, 9], [YES, NO])).to.be.revertedWithCustomError(parlay, "MarketClosed");
+
+      await predictx.createCategoricalMarket("Which?", ["A", "B", "C"], endTime);
+      await expect(buy(ONE_ETHER, [0, 2], [YES, NO])).to.be.revertedWithCustomError(parlay, "NotBinaryMarket");
+      await predictx.createMarket("Nobody here?", endTime);
+      await expect(buy(ONE_ETHER, [0, 3], [YES, NO])).to.be.revertedWithCustomError(parlay, "EmptySide");
+    });
+
+    it("should refuse legs in another collateral or past their cutoff", async function () {
+      const token = await (await ethers.getContractFactory("MockERC20")).deploy("Test Dollar", "TUSD", 6);
+      await predictx.createMarketWithParams({ question: "Token?", outcomes: [], endTime, collateral: await token.getAddress(), metadata: "", limits: NO_LIMITS, oracleData: "0x", range: NO_RANGE });
+      await expect(buy(ONE_ETHER, [0, 2], [YES, NO])).to.be.revertedWithCustomError(parlay, "CollateralMismatch");
+
+      await predictx.createMarketWithParams({ question: "Cut off?", outcomes: [], endTime: endTime + ONE_DAY, collateral: ethers.ZeroAddress, metadata: "", limits: { ...NO_LIMITS, cutoff: ONE_DAY }, oracleData: "0x", range: NO_RANGE });
+      await predictx.connect(user1).buyYes(3, { value: ONE_ETHER });
+      await time.increaseTo(endTime);
+      await expect(buy(ONE_ETHER, [3, 1], [YES, NO])).to.be.revertedWithCustomError(parlay, "MarketClosed");
+    });
+
+    it("should cap the odds and the payout the pool has to back", async function () {
+      await predictx.createMarket("Long shot?", endTime);
+      await predictx.connect(user1).buyYes(2, { value: ONE_ETHER });
+      await predictx.connect(user2).buyNo(2, { value: ONE_ETHER * 49n });
+      expect((await parlay.quote(px, [2, 1], [YES, NO], ONE_ETHER)).payout).to.equal(ONE_ETHER * 20n); // 50× capped at 10×
+
+      await expect(buy(ONE_ETHER * 3n, [2, 1], [YES, NO])).to.be.revertedWithCustomError(parlay, "InsufficientLiquidity");
+      await expect(
+        parlay.connect(user3).buyTicket(px, [0, 1], [YES, NO], ONE_ETHER, ONE_ETHER * 9n, { value: ONE_ETHER })
+      ).to.be.revertedWithCustomError(parlay, "SlippageExceeded");
+
+      await predictx.createMarket("Another long shot?", endTime);
+      await predictx.connect(user1).buyYes(3, { value: ONE_ETHER });
+      await predictx.connect(user2).buyNo(3, { value: ONE_ETHER * 49n });
+      await expect(buy(ONE_ETHER, [2, 3, 1], [YES, YES, NO])).to.be.revertedWithCustomError(parlay, "PayoutTooHigh");
+    });
+  });
+
+  describe("Settlement", function () {
+    beforeEach(async function () {
+      await buy();
+      await time.increaseTo(endTime);
+    });
+
+    it("should pay the full multiple when every leg wins", async function () {
+      await predictx.resolveMarket(0, true);
+      await expect(parlay.settle(0)).to.be.revertedWithCustomError(parlay, "TicketOpen");
+      await predictx.resolveMarket(1, false);
+
+      expect(await parlay.preview(0)).to.deep.equal([true, ONE_ETHER * 8n]);
+      const tx = parlay.connect(user1).settle(0);
+      await expect(tx).to.emit(parlay, "TicketSettled").withArgs(0, user3.address, ONE_ETHER * 8n);
+      await expect(tx).to.changeEtherBalance(user3, ONE_ETHER * 8n);
+      expect(await parlay.reserved(px, ethers.ZeroAddress)).to.equal(0);
+      expect(await parlay.liquidity(px, ethers.ZeroAddress)).to.equal(BANK - ONE_ETHER * 7n);
+      await expect(parlay.settle(0)).to.be.revertedWithCustomError(parlay, "AlreadySettled");
+    });
+
+    it("should lose as soon as one leg loses and return the reserve to the pool", async function () {
+      await predictx.resolveMarket(1, true);
+      await expect(parlay.settle(0))
+        .to.emit(parlay, "TicketSettled").withArgs(0, user3.address, 0);
+      expect(await parlay.liquidity(px, ethers.ZeroAddress)).to.equal(BANK + ONE_ETHER);
+    });
+
+    it("should count a voided leg as 1× and refund a fully voided ticket", async function () {
+      await predictx.cancelMarket(0);
+      await predictx.resolveMarket(1, false);
+      await expect(parlay.settle(0)).to.changeEtherBalance(user3, ONE_ETHER * 2n);
+
+      await predictx.createMarket("Later?", endTime + ONE_DAY);
+      await predictx.createMarket("Later still?", endTime + ONE_DAY);
+      for (const id of [2, 3]) {
+        await predictx.connect(user1).buyYes(id, { value: ONE_ETHER });
+        await predictx.connect(user2).buyNo(id, { value: ONE_ETHER });
+      }
+      await buy(ONE_ETHER, [2, 3], [YES, YES]);
+      await predictx.cancelMarket(2);
+      await predictx.cancelMarket(3);
+      await expect(parlay.settle(1)).to.changeEtherBalance(user3, ONE_ETHER);
+    });
+
+    it("should pay a leg at its closing odds when they are lower than when bought", async function () {
+      await predictx.createMarket("Inflated?", endTime + ONE_DAY);
+      await predictx.createMarket("Steady?", endTime + ONE_DAY);
+      for (const id of [2, 3]) {
+        await predictx.connect(user1).buyYes(id, { value: ONE_ETHER * 2n });
+        await predictx.connect(user2).buyNo(id, { value: ONE_ETHER * 2n });
+      }
+      const fair = (await parlay.quote(px, [2, 3], [YES, YES], ONE_ETHER)).payout; // 2× × 2×
+      // Inflate market 2's YES odds from 2× to 10×, buy at 10× × 2× = 20×, then take the bet back for free
+      await predictx.connect(user3).buyNo(2, { value: ONE_ETHER * 16n });
+      await buy(ONE_ETHER, [2, 3], [YES, YES]);
+      expect((await parlay.tickets(1)).maxPayout).to.equal(ONE_ETHER * 20n);
+      await predictx.connect(user3).withdrawBet(2, false, ONE_ETHER * 16n);
+
+      await time.increaseTo(endTime + ONE_DAY);
+      await predictx.resolveMarket(2, true);
+      await predictx.resolveMarket(3, true);
+      const liquidity = await parlay.liquidity(px, ethers.ZeroAddress);
+      // Nothing gained over an honest ticket bought at the fair odds
+      await expect(parlay.settle(1)).to.changeEtherBalance(user3, fair);
+      expect(fair).to.equal(ONE_ETHER * 4n);
+      expect(await parlay.liquidity(px, ethers.ZeroAddress)).to.equal(liquidity + ONE_ETHER * 16n);
+    });
+
+    it("should follow PredictX's claim pause and emergency voids", async function () {
+      await predictx.resolveMarket(0, true);
+      await predictx.setPaused(false, false, true);
+      await expect(parlay.settle(0)).to.be.revertedWithCustomError(parlay, "ClaimsPaused");
+      await predictx.setPaused(false, false, false);
+
+      await predictx.scheduleEmergencyRefund();
+      await time.increase(2 * ONE_DAY);
+      await predictx.activateEmergencyRefund();
+      await expect(parlay.settle(0)).to.changeEtherBalance(user3, ONE_ETHER * 4n); // market 1 counts as voided
+    });
+  });
+});
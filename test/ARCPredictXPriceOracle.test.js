@@ -0,0 +1,186 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+
+describe("ARCPredictXPriceOracle", function () {
+  let predictx, oracle, feed, admin, user1, user2;
+  const ONE_DAY = 86400;
+  const ONE_ETHER = ethers.parseEther("1");
+  const NO_LIMITS = { minBet: 0, maxPerUser: 0, maxPool: 0, cutoff: 0 };
+  const NO_RANGE = { lower: 0, upper: 0 };
+  const PRICE = (usd) => BigInt(usd) * 10n ** 8n; // 8-decimal feed
+  const [ABOVE, AT_OR_ABOVE, BELOW] = [0, 1, 2];
+  let endTime;
+
+  beforeEach(async function () {
+    [admin, user1, user2] = await ethers.getSigners();
+    predictx = await (await ethers.getContractFactory("ARCPredictX")).deploy();
+    oracle = await (await ethers.getContractFactory("ARCPredictXPriceOracle")).deploy();
+    feed = await (await ethers.getContractFactory("MockAggregator")).deploy(8, "ETH / USD");
+    await feed.setAnswer(PRICE(2900));
+    await predictx.setOracle(await oracle.getAddress());
+    await oracle.setFeedAllowed(await predictx.getAddress(), await feed.getAddress(), true);
+    endTime = (await time.latest()) + ONE_DAY;
+  });
+
+  const terms = (threshold, comparison, feedAddr) =>
+    ethers.AbiCoder.defaultAbiCoder().encode(["address", "int256", "uint8"], [feedAddr, threshold, comparison]);
+
+  async function priceMarket(threshold = PRICE(3000), comparison = AT_OR_ABOVE, signer = admin) {
+    const params = {
+      question: "ETH ≥ $3,000?", outcomes: [], endTime, collateral: ethers.ZeroAddress, metadata: "",
+      limits: NO_LIMITS, oracleData: terms(threshold, comparison, await feed.getAddress()), range: NO_RANGE,
+    };
+    return signer === admin ? predictx.createMarketWithParams(params) : predictx.connect(signer).proposeMarketWithParams(params);
+  }
+
+  describe("Linking", function () {
+    it("should let only the owner link the oracle", async function () {
+      const addr = await oracle.getAddress();
+      await expect(predictx.setOracle(addr)).to.emit(predictx, "OracleUpdated").withArgs(addr);
+      expect(await predictx.oracle()).to.equal(addr);
+      await expect(
+        predictx.connect(user1).setOracle(addr)
+      ).to.be.revertedWithCustomError(predictx, "OnlyOwner");
+    });
+
+    it("should refuse oracle terms without a linked oracle", async function () {
+      await predictx.setOracle(ethers.ZeroAddress);
+      await expect(priceMarket()).to.be.revertedWithCustomError(predictx, "NoOracle");
+    });
+  });
+
+  describe("Market setup", function () {
+    it("should record the feed, threshold and comparison", async function () {
+      await expect(priceMarket())
+        .to.emit(oracle, "ConditionSet")
+        .withArgs(await predictx.getAddress(), 0, await feed.getAddress(), PRICE(3000), AT_OR_ABOVE);
+      expect(await predictx.marketOracle(0)).to.equal(await oracle.getAddress());
+      const c = await oracle.conditions(await predictx.getAddress(), 0);
+      expect(c.threshold).to.equal(PRICE(3000));
+      expect(c.settled).to.equal(false);
+    });
+
+    it("should accept oracle terms on proposals", async function () {
+      await priceMarket(PRICE(3000), ABOVE, user1);
+      expect((await predictx.getMarketInfo(0)).creator).to.equal(user1.address);
+      expect(await predictx.marketOracle(0)).to.equal(await oracle.getAddress());
+    });
+
+    it("should check a proposal's bond and window before calling the oracle", async function () {
+      await predictx.setBondConfig(ONE_ETHER, 3600);
+      // Not an allowed feed, so reaching the oracle would revert with FeedNotAllowed
+      const params = { question: "Bad feed?", outcomes: [], endTime, collateral: ethers.ZeroAddress, metadata: "", limits: NO_LIMITS, oracleData: terms(PRICE(1), ABOVE, user1.address), range: NO_RANGE };
+      const propose = (p, value = ONE_ETHER) => predictx.connect(user1).proposeMarketWithParams(p, { value });
+      await expect(propose(params, 0)).to.be.revertedWithCustomError(predictx, "WrongBond");
+      await expect(propose({ ...params, endTime: (await time.latest()) + 60 })).to.be.revertedWithCustomError(predictx, "DurationTooShort");
+      await expect(propose({ ...params, limits: { ...NO_LIMITS, cutoff: ONE_DAY * 2 } })).to.be.revertedWithCustomError(predictx, "DurationTooShort");
+      await expect(propose(params)).to.be.revertedWithCustomError(oracle, "FeedNotAllowed");
+    });
+
+    it("should reject categorical markets and feeds the owner hasn't allowed", async function () {
+      const base = { question: "Which?", outcomes: ["A", "B", "C"], endTime, collateral: ethers.ZeroAddress, metadata: "", limits: NO_LIMITS, range: NO_RANGE };
+      await expect(
+        predictx.createMarketWithParams({ ...base, oracleData: terms(PRICE(1), ABOVE, await feed.getAddress()) })
+      ).to.be.revertedWithCustomError(oracle, "NotBinaryMarket");
+      await expect(
+        predictx.createMarketWithParams({ ...base, outcomes: [], oracleData: terms(PRICE(1), ABOVE, user1.address) })
+      ).to.be.revertedWithCustomError(oracle, "FeedNotAllowed");
+    });
+
+    it("should let only the PredictX owner manage its feed list", async function () {
+      const predictxAddr = await predictx.getAddress();
+      const rogue = await (await ethers.getContractFactory("MockAggregator")).deploy(8, "Rogue");
+      const rogueAddr = await rogue.getAddress();
+      await expect(
+        oracle.connect(user1).setFeedAllowed(predictxAddr, rogueAddr, true)
+      ).to.be.revertedWithCustomError(oracle, "NotOwner");
+      await expect(
+        oracle.setFeedAllowed(predictxAddr, user1.address, true)
+      ).to.be.revertedWithCustomError(oracle, "InvalidFeed");
+
+      // A live feed is still refused until it is on the list
+      const params = { question: "Rogue?", outcomes: [], endTime, collateral: ethers.ZeroAddress, metadata: "", limits: NO_LIMITS, oracleData: terms(PRICE(1), ABOVE, rogueAddr), range: NO_RANGE };
+      await expect(predictx.createMarketWithParams(params)).to.be.revertedWithCustomError(oracle, "FeedNotAllowed");
+
+      // Lists are per PredictX contract: another instance's owner can't allow feeds here
+      const other = await (await ethers.getContractFactory("ARCPredictX")).connect(user1).deploy();
+      await oracle.connect(user1).setFeedAllowed(await other.getAddress(), rogueAddr, true);
+      await expect(predictx.createMarketWithParams(params)).to.be.revertedWithCustomError(oracle, "FeedNotAllowed");
+
+      await expect(oracle.setFeedAllowed(predictxAddr, await feed.getAddress(), false))
+        .to.emit(oracle, "FeedAllowed")
+        .withArgs(predictxAddr, await feed.getAddress(), false);
+      await expect(priceMarket()).to.be.revertedWithCustomError(oracle, "FeedNotAllowed");
+    });
+  });
+
+  describe("Settlement", function () {
+    beforeEach(async function () {
+      await priceMarket();
+      await predictx.connect(user1).buyYes(0, { value: ONE_ETHER });
+      await predictx.connect(user2).buyNo(0, { value: ONE_ETHER });
+    });
+
+    it("should settle from the first reading at or after endTime", async function () {
+      await time.increaseTo(endTime);
+      await feed.setAnswer(PRICE(3000)); // round 2
+      await feed.setAnswer(PRICE(2500)); // round 3, too late to count
+
+      expect(await oracle.firstRoundAfterEnd(await predictx.getAddress(), 0, 10)).to.equal(2);
+      await expect(oracle.connect(user2).settle(await predictx.getAddress(), 0, 2))
+        .to.emit(oracle, "PriceSettled")
+        .withArgs(await predictx.getAddress(), 0, 2, PRICE(3000), true)
+        .and.to.emit(predictx, "MarketResolved").withArgs(0, true);
+
+      const m = await predictx.getMarketInfo(0);
+      expect(m.resolved).to.equal(true);
+      expect(m.winningOutcome).to.equal(0);
+      expect((await oracle.conditions(await predictx.getAddress(), 0)).price).to.equal(PRICE(3000));
+      await expect(
+        oracle.settle(await predictx.getAddress(), 0, 2)
+      ).to.be.revertedWithCustomError(oracle, "AlreadySettled");
+    });
+
+    it("should resolve NO when the comparison fails", async function () {
+      await time.increaseTo(endTime);
+      await feed.setAnswer(PRICE(2999));
+      await oracle.settle(await predictx.getAddress(), 0, 2);
+      expect((await predictx.getMarketInfo(0)).winningOutcome).to.equal(1);
+    });
+
+    it("should refuse early rounds, later rounds and early calls", async function () {
+      const px = await predictx.getAddress();
+      await expect(oracle.settle(px, 0, 1)).to.be.revertedWithCustomError(oracle, "MarketNotExpired");
+      await time.increaseTo(endTime);
+      expect(await oracle.firstRoundAfterEnd(px, 0, 10)).to.equal(0);
+      await expect(oracle.settle(px, 0, 1)).to.be.revertedWithCustomError(oracle, "RoundTooEarly");
+
+      await feed.setAnswer(PRICE(2000));
+      await feed.setAnswer(PRICE(4000));
+      await expect(oracle.settle(px, 0, 3)).to.be.revertedWithCustomError(oracle, "NotFirstRound");
+    });
+
+    it("should ignore the resolver role and bonds on oracle markets", async function () {
+      await predictx.setResolutionConfig(ONE_ETHER, ONE_DAY);
+      await time.increaseTo(endTime);
+      await expect(
+        predictx.resolveMarket(0, true, { value: ONE_ETHER })
+      ).to.be.revertedWithCustomError(predictx, "NotMarketOracle");
+
+      await feed.setAnswer(PRICE(3100));
+      await oracle.settle(await predictx.getAddress(), 0, 2);
+      expect((await predictx.getMarketInfo(0)).resolved).to.equal(true); // no dispute window
+      expect(await predictx.accruedFees(await oracle.getAddress())).to.equal(0);
+    });
+
+    it("should still let a resolver void a market whose feed went quiet", async function () {
+      await time.increaseTo(endTime);
+      await predictx.cancelMarket(0);
+      await feed.setAnswer(PRICE(3100));
+      await expect(
+        oracle.settle(await predictx.getAddress(), 0, 2)
+      ).to.be.revertedWithCustomError(predictx, "MarketIsCancelled");
+    });
+  });
+});
@@ -0,0 +1,119 @@
+const { expect } = require("chai");
+
+const C = "0xc0", OTHER = "0xd0";
+const A = "0xAaAa", B = "0xbbbb";
+
+const market = (fields) => ({ labels: ["Yes", "No"], pools: ["0", "0"], collateral: C, resolved: false, cancelled: false, scalar: false, winner: 0, ...fields });
+const bet = (user, outcome, amount, block) => ({ kind: "bet", user, outcome, amount: String(amount), block });
+
+// Market 0 resolves YES, 1 resolves NO, 2 is voided, 3 is still open and 4 is in another collateral
+function syncRecord() {
+  return {
+    markets: {
+      0: market({ resolved: true, winner: 0 }),
+      1: market({ resolved: true, winner: 1 }),
+      2: market({ cancelled: true }),
+      3: market({}),
+      4: market({ resolved: true, winner: 0, collateral: OTHER }),
+    },
+    activity: {
+      0: [bet(A, 0, 3, 10), bet(A, 1, 1, 11), bet(B, 1, 4, 12), { kind: "resolved", outcome: 0, block: 20 }, { kind: "claim", user: A, amount: "6", block: 30 }],
+      1: [bet(A, 0, 2, 13), { kind: "exit", user: A, outcome: 0, amount: "2", penalty: "1", block: 14 }, bet(B, 1, 2, 14), { kind: "resolved", outcome: 1, block: 21 }],
+      2: [bet(A, 0, 5, 15), { kind: "voided", block: 22 }, { kind: "refund", user: A, amount: "5", block: 31 }],
+      3: [bet(B, 0, 1, 16)],
+      4: [bet(A, 0, 7, 17)],
+    },
+    times: { 10: 500, 11: 500, 12: 500, 13: 500, 14: 500, 15: 2500, 16: 2500, 17: 2500, 20: 1000, 21: 3000, 22: 3000 },
+  };
+}
+
+describe("Frontend leaderboard", function () {
+  let userLedgers, settledBlock, positionResult, rankForecasters;
+
+  before(async function () {
+    ({ userLedgers, settledBlock, positionResult, rankForecasters } = await import("../../frontend/src/leaderboard.js"));
+  });
+
+  describe("userLedgers", function () {
+    it("should fold bets, exits, claims and refunds per account and market", async function () {
+      const ledgers = userLedgers(syncRecord());
+      expect(Object.keys(ledgers).sort()).to.deep.equal(["0xaaaa", "0xbbbb"]);
+      const a = ledgers["0xaaaa"];
+      expect(a[0]).to.deep.include({ bet: 4n, returned: 6n, stakes: [3n, 1n], paid: true });
+      expect(a[1]).to.deep.include({ bet: 2n, returned: 1n, stakes: [0n, 0n], paid: false }); // 2 back less a 1 penalty
+      expect(a[2]).to.deep.include({ bet: 5n, returned: 5n, paid: true });
+      expect(a[0].bets).to.deep.equal([{ amount: 3n, block: 10 }, { amount: 1n, block: 11 }]);
+      expect(ledgers["0xbbbb"][1]).to.deep.include({ bet: 2n, returned: 0n, stakes: [0n, 2n], paid: false });
+    });
+
+    it("should find the block that settled a market", async function () {
+      const rec = syncRecord();
+      expect(settledBlock(rec, 0)).to.equal(20);
+      expect(settledBlock(rec, 2)).to.equal(22);
+      expect(settledBlock(rec, 3)).to.equal(null);
+    });
+  });
+
+  describe("positionResult", function () {
+    it("should score a hedged winning position", async function () {
+      const rec = syncRecord();
+      const r = positionResult(rec.markets[0], userLedgers(rec)["0xaaaa"][0], false);
+      expect(r).to.include({ settled: true, closed: true, profit: 2n, called: true, won: true });
+      expect(r.brier).to.equal(0.125); // (0.75 − 1)² + (0.25 − 0)²
+    });
+
+    it("should keep an unclaimed winner open and close a loser", async function () {
+      const rec = syncRecord();
+      const ledgers = userLedgers(rec);
+      expect(positionResult(rec.markets[1], ledgers["0xbbbb"][1], false)).to.include({ closed: false, called: true, won: true, brier: 0 });
+      expect(positionResult(rec.markets[0], ledgers["0xbbbb"][0], false)).to.include({ closed: true, profit: -4n, won: false, brier: 2 });
+    });
+
+    it("should not score a position fully exited before resolution", async function () {
+      const rec = syncRecord();
+      expect(positionResult(rec.markets[1], userLedgers(rec)["0xaaaa"][1], false)).to.include({ closed: true, profit: -1n, called: false, won: false, brier: null });
+    });
+
+    it("should close voided positions once refunded", async function () {
+      const rec = syncRecord();
+      const ledgers = userLedgers(rec);
+      expect(positionResult(rec.markets[2], ledgers["0xaaaa"][2], true)).to.include({ settled: true, closed: true, profit: 0n, called: false });
+      expect(positionResult(rec.markets[3], ledgers["0xbbbb"][3], true)).to.include({ settled: true, closed: false, called: false });
+      expect(positionResult(rec.markets[3], ledgers["0xbbbb"][3], false)).to.include({ settled: false, closed: false });
+    });
+
+    it("should score a range market against where the value fell", async function () {
+      const m = market({ scalar: true, resolved: true, labels: ["LONG", "SHORT"], pools: ["30", "10"],
+        range: { lower: "0", upper: "100", value: "75", longPayout: "36", shortPayout: "4" } });
+      const l = { bet: 40n, returned: 0n, stakes: [30n, 10n], bets: [], paid: false };
+      expect(positionResult(m, l, false)).to.include({ closed: false, called: true, won: true, brier: 0 });
+      const short = { ...l, stakes: [0n, 40n] };
+      expect(positionResult(m, short, false).brier).to.equal(1.125); // 0.75² + 0.75²
+      expect(positionResult(m, short, false).won).to.equal(false);
+    });
+  });
+
+  describe("rankForecasters", function () {
+    it("should rank a collateral over all time", async function () {
+      const rec = syncRecord();
+      const rows = rankForecasters(rec, userLedgers(rec), { since: 0, collateral: C, emergency: false });
+      const byUser = Object.fromEntries(rows.map(r => [r.user, r]));
+      expect(byUser["0xaaaa"]).to.deep.equal({ user: "0xaaaa", volume: 11n, profit: 1n, settled: 3, called: 1, wins: 1, brier: 0.125 });
+      expect(byUser["0xbbbb"]).to.deep.equal({ user: "0xbbbb", volume: 7n, profit: -4n, settled: 1, called: 2, wins: 1, brier: 1 });
+    });
+
+    it("should count only bets placed and markets settled in the window", async function () {
+      const rec = syncRecord();
+      const rows = rankForecasters(rec, userLedgers(rec), { since: 2000, collateral: C, emergency: false });
+      const byUser = Object.fromEntries(rows.map(r => [r.user, r]));
+      expect(byUser["0xaaaa"]).to.deep.equal({ user: "0xaaaa", volume: 5n, profit: -1n, settled: 2, called: 0, wins: 0, brier: null });
+      expect(byUser["0xbbbb"]).to.deep.equal({ user: "0xbbbb", volume: 1n, profit: 0n, settled: 0, called: 1, wins: 1, brier: 0 });
+    });
+
+    it("should leave out other collaterals and accounts with nothing to show", async function () {
+      const rec = syncRecord();
+      const rows = rankForecasters(rec, userLedgers(rec), { since: 0, collateral: OTHER, emergency: false });
+      expect(rows).to.deep.equal([{ user: "0xaaaa", volume: 7n, profit: 0n, settled: 0, called: 1, wins: 1, brier: 0 }]);
+    });
+  });
+});
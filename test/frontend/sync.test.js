@@ -0,0 +1,79 @@
+const { expect } = require("chai");
+
+// A provider whose eth_getLogs refuses spans over `maxSpan` blocks and returns one log per call
+function logsProvider(maxSpan) {
+  const calls = [];
+  return {
+    calls,
+    async getLogs({ fromBlock, toBlock }) {
+      calls.push([fromBlock, toBlock]);
+      if (toBlock - fromBlock + 1 > maxSpan) throw new Error("block range too large");
+      return [{ fromBlock, toBlock }];
+    },
+  };
+}
+
+describe("Frontend sync", function () {
+  let getLogsInRanges, findDeployBlock;
+
+  before(async function () {
+    ({ getLogsInRanges, findDeployBlock } = await import("../../frontend/src/sync.js"));
+  });
+
+  describe("getLogsInRanges", function () {
+    it("should fetch a range the RPC accepts in one call", async function () {
+      const provider = logsProvider(10000);
+      const logs = await getLogsInRanges(provider, { address: "0x1" }, 100, 5099);
+      expect(logs).to.deep.equal([{ fromBlock: 100, toBlock: 5099 }]);
+      expect(provider.calls.length).to.equal(1);
+    });
+
+    it("should split a refused range in halves, in chain order", async function () {
+      const provider = logsProvider(2500);
+      const logs = await getLogsInRanges(provider, { address: "0x1" }, 0, 9999);
+      expect(logs).to.deep.equal([
+        { fromBlock: 0, toBlock: 2499 },
+        { fromBlock: 2500, toBlock: 4999 },
+        { fromBlock: 5000, toBlock: 7499 },
+        { fromBlock: 7500, toBlock: 9999 },
+      ]);
+    });
+
+    it("should split uneven ranges without gaps or overlaps", async function () {
+      const provider = logsProvider(3000);
+      const logs = await getLogsInRanges(provider, { address: "0x1" }, 17, 10016);
+      expect(logs[0].fromBlock).to.equal(17);
+      expect(logs.at(-1).toBlock).to.equal(10016);
+      for (let i = 1; i < logs.length; i++) expect(logs[i].fromBlock).to.equal(logs[i - 1].toBlock + 1);
+      for (const l of logs) expect(l.toBlock - l.fromBlock + 1).to.be.at.most(3000);
+    });
+
+    it("should rethrow once a failing range is too small to split", async function () {
+      const provider = logsProvider(0);
+      await expect(getLogsInRanges(provider, { address: "0x1" }, 0, 3999)).to.be.rejectedWith("block range too large");
+      const [from, to] = provider.calls.at(-1);
+      expect(to - from).to.be.below(1000);
+    });
+  });
+
+  describe("findDeployBlock", function () {
+    const codeFrom = (deployed) => ({ getCode: async (_, block) => (block >= deployed ? "0x6080" : "0x") });
+
+    it("should find the first block with code", async function () {
+      expect(await findDeployBlock(codeFrom(1234), "0x1", 100000)).to.equal(1234);
+      expect(await findDeployBlock(codeFrom(0), "0x1", 100000)).to.equal(0);
+      expect(await findDeployBlock(codeFrom(100000), "0x1", 100000)).to.equal(100000);
+    });
+
+    it("should fall back to block 0 when old state can't be read", async function () {
+      const error = console.error;
+      console.error = () => {};
+      try {
+        const provider = { getCode: async () => { throw new Error("missing trie node"); } };
+        expect(await findDeployBlock(provider, "0x1", 100000)).to.equal(0);
+      } finally {
+        console.error = error;
+      }
+    });
+  });
+});